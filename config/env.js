@@ -13,5 +13,41 @@ module.exports = {
   SMTP_HOST: process.env.SMTP_HOST,
   SMTP_PORT: process.env.SMTP_PORT,
   SMTP_USER: process.env.SMTP_USER,
-  SMTP_PASS: process.env.SMTP_PASS
+  SMTP_PASS: process.env.SMTP_PASS,
+  MOMO_WEBHOOK_TOLERANCE_SECONDS: parseInt(process.env.MOMO_WEBHOOK_TOLERANCE_SECONDS) || 300,
+  MTN_MOMO_API_URL: process.env.MTN_MOMO_API_URL,
+  MTN_MOMO_API_KEY: process.env.MTN_MOMO_API_KEY,
+  MTN_MOMO_WEBHOOK_SECRET: process.env.MTN_MOMO_WEBHOOK_SECRET,
+  TELECEL_CASH_API_URL: process.env.TELECEL_CASH_API_URL,
+  TELECEL_CASH_API_KEY: process.env.TELECEL_CASH_API_KEY,
+  TELECEL_CASH_WEBHOOK_SECRET: process.env.TELECEL_CASH_WEBHOOK_SECRET,
+  AIRTELTIGO_MONEY_API_URL: process.env.AIRTELTIGO_MONEY_API_URL,
+  AIRTELTIGO_MONEY_API_KEY: process.env.AIRTELTIGO_MONEY_API_KEY,
+  AIRTELTIGO_MONEY_WEBHOOK_SECRET: process.env.AIRTELTIGO_MONEY_WEBHOOK_SECRET,
+  // The deposit simulator is off unless explicitly turned on, and never runs in production
+  MOMO_SIMULATOR_ENABLED: process.env.MOMO_SIMULATOR_ENABLED === 'true',
+  MOMO_SIMULATOR_WEBHOOK_SECRET: process.env.MOMO_SIMULATOR_WEBHOOK_SECRET,
+  SCHEDULED_JOBS: process.env.SCHEDULED_JOBS !== 'false',
+  RECONCILIATION_TIME: process.env.RECONCILIATION_TIME || '02:00',
+  WALLET_HOLD_TTL_HOURS: parseInt(process.env.WALLET_HOLD_TTL_HOURS) || 72,
+  EXPIRY_SWEEP_MINUTES: parseInt(process.env.EXPIRY_SWEEP_MINUTES) || 15,
+  PAY_LINK_BASE_URL: process.env.PAY_LINK_BASE_URL,
+  USSD_SESSION_TTL_SECONDS: parseInt(process.env.USSD_SESSION_TTL_SECONDS) || 180,
+  USSD_GATEWAY_TOKEN: process.env.USSD_GATEWAY_TOKEN,
+  BILLER_PROVIDER: process.env.BILLER_PROVIDER || (process.env.NODE_ENV === 'production' ? 'aggregator' : 'fake'),
+  BILLER_API_URL: process.env.BILLER_API_URL,
+  BILLER_API_KEY: process.env.BILLER_API_KEY,
+  BILL_REQUERY_MINUTES: parseInt(process.env.BILL_REQUERY_MINUTES) || 5,
+  SAVINGS_AUTO_SAVE_MINUTES: parseInt(process.env.SAVINGS_AUTO_SAVE_MINUTES) || 60,
+  SCHEDULED_TRANSFER_MINUTES: parseInt(process.env.SCHEDULED_TRANSFER_MINUTES) || 5,
+  SCHEDULED_TRANSFER_MAX_RETRIES: parseInt(process.env.SCHEDULED_TRANSFER_MAX_RETRIES) || 3,
+  SCHEDULED_TRANSFER_RETRY_MINUTES: parseInt(process.env.SCHEDULED_TRANSFER_RETRY_MINUTES) || 60,
+  FRAUD_CHALLENGE_SCORE: parseInt(process.env.FRAUD_CHALLENGE_SCORE) || 40,
+  FRAUD_REVIEW_SCORE: parseInt(process.env.FRAUD_REVIEW_SCORE) || 70,
+  // Where replies on tickets no staff member has answered yet are sent; mail to
+  // its support+TKT-XXXXXX@ variants is threaded onto that ticket
+  SUPPORT_EMAIL: process.env.SUPPORT_EMAIL,
+  SUPPORT_SLA_CHECK_MINUTES: parseInt(process.env.SUPPORT_SLA_CHECK_MINUTES) || 5,
+  // Shared secret the mail relay sends with inbound support email; inbound email is refused without it
+  INBOUND_EMAIL_TOKEN: process.env.INBOUND_EMAIL_TOKEN
 };
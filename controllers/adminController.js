@@ -1,12 +1,57 @@
 // controllers/adminController.js
 const User = require('../models/User');
+const Withdrawal = require('../models/Withdrawal');
+const FeeSchedule = require('../models/FeeSchedule');
+const WalletLimit = require('../models/WalletLimit');
+const Transaction = require('../models/Transaction');
+const WalletHold = require('../models/WalletHold');
+const Commission = require('../models/Commission');
+const CommissionRule = require('../models/CommissionRule');
+const CommissionSettlement = require('../models/CommissionSettlement');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const DisbursementBatch = require('../models/DisbursementBatch');
+const FraudRule = require('../models/FraudRule');
+const FraudScreening = require('../models/FraudScreening');
+const ScheduledTransfer = require('../models/ScheduledTransfer');
+const SupportTicket = require('../models/SupportTicket');
+const SupportTicketMessage = require('../models/SupportTicketMessage');
+const SupportTicketEvent = require('../models/SupportTicketEvent');
+const SupportTeam = require('../models/SupportTeam');
+const SupportSlaPolicy = require('../models/SupportSlaPolicy');
+const TransactionDispute = require('../models/TransactionDispute');
+const ReconciliationReportGenerator = require('../utils/reconciliationReportGenerator');
+const DisbursementCsv = require('../utils/disbursementCsv');
+const MoneyUtils = require('../utils/moneyUtils');
 const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
 const config = require('../config/env');
+const { supabase } = require('../config/database');
 const ResponseHandler = require('../utils/responseHandlers');
+const EmailService = require('../utils/emailService');
+const { formatWithdrawal } = require('./withdrawalController');
+const { formatDispute } = require('./supportController');
+const { formatTransaction, formatBalances, formatHold } = require('./transactionController');
 const ErrorHandler = require('../middlewares/errorHandler');
 const DatabaseSeeder = require('../utils/seeder');
 
+// Add cedi amounts next to the stored minor units
+const formatDisbursementBatch = (batch) => ({
+  ...batch,
+  total: MoneyUtils.fromMinorUnits(batch.total_minor),
+  paid: MoneyUtils.fromMinorUnits(batch.paid_minor)
+});
+
+const formatFraudScreening = (screening) => ({
+  ...screening,
+  amount: MoneyUtils.fromMinorUnits(screening.amount_minor),
+  ...(screening.payload && { fee: MoneyUtils.fromMinorUnits(screening.payload.fee.amountMinor) })
+});
+
+const formatDisbursementItem = (item) => ({
+  ...item,
+  amount: item.amount_minor === null ? null : MoneyUtils.fromMinorUnits(item.amount_minor)
+});
+
 class AdminController {
   /**
    * Admin Login
@@ -70,11 +115,13 @@ class AdminController {
       const [
         userStats,
         verificationStats,
-        transactionStats
+        transactionStats,
+        supportStats
       ] = await Promise.all([
         userModel.getUserStats(startDate, endDate),
         userModel.getVerificationStats(startDate, endDate),
-        userModel.getTransactionStats(startDate, endDate)
+        userModel.getTransactionStats(startDate, endDate),
+        new SupportTicket().getSlaStats(startDate, endDate)
       ]);
 
       return ResponseHandler.success(res, {
@@ -82,7 +129,8 @@ class AdminController {
         stats: {
           users: userStats,
           verifications: verificationStats,
-          transactions: transactionStats
+          transactions: transactionStats,
+          support: supportStats
         }
       });
     } catch (error) {
@@ -150,14 +198,15 @@ class AdminController {
         return next(new ErrorHandler.AppError('User not found', 404));
       }
 
-      // Get user's activity and documents
-      const [activity, documents] = await Promise.all([
+      // Get user's activity, documents and balances
+      const [activity, documents, balances] = await Promise.all([
         userModel.getUserActivity(req.params.id),
-        userModel.getUserDocuments(req.params.id)
+        userModel.getUserDocuments(req.params.id),
+        new WalletHold().getBalances(req.params.id)
       ]);
 
       return ResponseHandler.success(res, {
-        user,
+        user: { ...user, ...formatBalances(balances) },
         activity,
         documents
       });
@@ -226,21 +275,73 @@ class AdminController {
         verified_at: new Date().toISOString()
       });
 
+      let feeHold;
+      try {
+        feeHold = await AdminController.settleVerificationFee(verificationRequest, req.user.id);
+      } catch (error) {
+        await userModel.reopenDocumentVerification(verificationRequest);
+        throw error;
+      }
+
       // Log admin activity
-      await this.logAdminActivity(
+      await AdminController.logAdminActivity(
         req.user.id,
         'VERIFY_DOCUMENT',
         req,
-        { documentId: id, status, comments }
+        { documentId: id, status, comments, holdId: feeHold?.id }
       );
 
       return ResponseHandler.success(res, {
         verificationRequest,
+        fee_hold: feeHold ? formatHold(feeHold) : null,
         message: `Document ${status.toLowerCase()} successfully`
       });
     } catch (error) {
-      next(new ErrorHandler.AppError(error.message, 500));
+      next(new ErrorHandler.AppError(error.message, error.statusCode || 500));
+    }
+  }
+
+  /**
+   * Charge the verification fee held at upload when the document is approved,
+   * or free it when the document is rejected
+   * @param {Object} verificationRequest - Reviewed verification request
+   * @param {string} adminId - Reviewing admin ID
+   * @returns {Promise<Object|null>} Captured or released hold
+   */
+  static async settleVerificationFee(verificationRequest, adminId) {
+    if (!verificationRequest.wallet_hold_id) return null;
+
+    const holdModel = new WalletHold();
+    const hold = await holdModel.findById(verificationRequest.wallet_hold_id);
+    if (!hold) return null;
+
+    if (verificationRequest.status === 'rejected') {
+      return holdModel.release(hold, { releasedBy: adminId, reason: 'Document rejected' });
     }
+    if (verificationRequest.status !== 'approved') return null;
+
+    const fee = {
+      amountMinor: Number(hold.amount_minor),
+      scheduleId: hold.metadata.fee_schedule_id,
+      version: hold.metadata.fee_schedule_version
+    };
+    const captured = await holdModel.capture(hold, fee.amountMinor, {
+      ...Transaction.feeFields(fee),
+      type: Transaction.TYPES.VERIFICATION_FEE,
+      counterAccount: Transaction.ACCOUNTS.FEE_REVENUE,
+      description: hold.description,
+      metadata: { verification_request_id: verificationRequest.id },
+      capturedBy: adminId
+    });
+
+    await new Commission()
+      .accrue(CommissionRule.OPERATIONS.VERIFICATION_FEE, hold.user_id, {
+        sourceId: captured.capture_transaction_id,
+        baseMinor: fee.amountMinor
+      })
+      .catch(error => console.error('Error accruing verification fee commission:', error));
+
+    return captured;
   }
 
   /**
@@ -280,6 +381,1354 @@ class AdminController {
     }
   }
 
+  /**
+   * Get Withdrawal Requests
+   * @route GET /api/admin/withdrawals
+   */
+  static async getWithdrawals(req, res, next) {
+    try {
+      const { page = 1, limit = 10, status, userId, sortOrder = 'asc' } = req.query;
+      const withdrawalModel = new Withdrawal();
+
+      const result = await withdrawalModel.getPaginated({
+        page: parseInt(page),
+        limit: parseInt(limit),
+        filters: { status, user_id: userId },
+        sortBy: 'created_at',
+        sortOrder
+      });
+
+      return ResponseHandler.success(res, {
+        ...result,
+        data: result.data.map(formatWithdrawal)
+      });
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, 500));
+    }
+  }
+
+  /**
+   * Review Withdrawal (approve or reject)
+   * @route PUT /api/admin/withdrawals/:id/review
+   */
+  static async reviewWithdrawal(req, res, next) {
+    try {
+      const { decision, note } = req.body;
+      const withdrawalModel = new Withdrawal();
+
+      const withdrawal = await withdrawalModel.findById(req.params.id);
+      if (!withdrawal) {
+        return next(new ErrorHandler.AppError('Withdrawal not found', 404));
+      }
+
+      const updated = decision === 'approve'
+        ? await withdrawalModel.approve(withdrawal, req.user.id, note)
+        : await withdrawalModel.reject(withdrawal, req.user.id, note);
+
+      await AdminController.logAdminActivity(
+        req.user.id,
+        decision === 'approve' ? 'APPROVE_WITHDRAWAL' : 'REJECT_WITHDRAWAL',
+        req,
+        { withdrawalId: withdrawal.id, amountMinor: withdrawal.amount_minor, note }
+      );
+
+      await AdminController.notifyWithdrawalOwner(updated);
+
+      return ResponseHandler.success(res, {
+        withdrawal: formatWithdrawal(updated),
+        message: `Withdrawal ${updated.status} successfully`
+      });
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, error.statusCode || 500));
+    }
+  }
+
+  /**
+   * Record Withdrawal Payout Outcome
+   * @route PUT /api/admin/withdrawals/:id/payout
+   */
+  static async recordWithdrawalPayout(req, res, next) {
+    try {
+      const { status, payout_reference, note } = req.body;
+      const withdrawalModel = new Withdrawal();
+
+      const withdrawal = await withdrawalModel.findById(req.params.id);
+      if (!withdrawal) {
+        return next(new ErrorHandler.AppError('Withdrawal not found', 404));
+      }
+
+      const updated = await withdrawalModel.recordPayout(withdrawal, {
+        status,
+        payoutReference: payout_reference,
+        note
+      });
+
+      await AdminController.logAdminActivity(
+        req.user.id,
+        status === 'paid' ? 'MARK_WITHDRAWAL_PAID' : 'MARK_WITHDRAWAL_FAILED',
+        req,
+        { withdrawalId: withdrawal.id, payoutReference: payout_reference, note }
+      );
+
+      await AdminController.notifyWithdrawalOwner(updated);
+
+      return ResponseHandler.success(res, {
+        withdrawal: formatWithdrawal(updated),
+        message: `Withdrawal marked as ${updated.status}`
+      });
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, error.statusCode || 500));
+    }
+  }
+
+  /**
+   * Refund all or part of a transaction
+   * @route POST /api/admin/transactions/:id/refunds
+   */
+  static async refundTransaction(req, res, next) {
+    try {
+      const { amount, reason_code, note } = req.body;
+      const transactionModel = new Transaction();
+
+      const refund = await transactionModel.refund(
+        req.params.id,
+        amount === undefined ? undefined : MoneyUtils.toMinorUnits(amount),
+        { reasonCode: reason_code, note, initiatedBy: req.user.id }
+      );
+
+      await AdminController.logAdminActivity(
+        req.user.id,
+        'REFUND_TRANSACTION',
+        req,
+        {
+          transactionId: req.params.id,
+          refundId: refund.id,
+          amountMinor: refund.amount_minor,
+          reasonCode: reason_code,
+          note
+        }
+      );
+
+      return ResponseHandler.created(res, {
+        refund: formatTransaction(refund)
+      }, 'Refund issued successfully');
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, error.statusCode || 500));
+    }
+  }
+
+  /**
+   * Get Wallet Holds
+   * @route GET /api/admin/holds
+   */
+  static async getHolds(req, res, next) {
+    try {
+      const { page = 1, limit = 10, status, purpose, userId } = req.query;
+      const holdModel = new WalletHold();
+
+      const result = await holdModel.getPaginated({
+        page: parseInt(page),
+        limit: parseInt(limit),
+        filters: { status, purpose, user_id: userId },
+        sortBy: 'created_at',
+        sortOrder: 'desc'
+      });
+
+      return ResponseHandler.success(res, {
+        ...result,
+        data: result.data.map(formatHold)
+      });
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, 500));
+    }
+  }
+
+  /**
+   * Place an escrow hold on a user's wallet for a purchase
+   * @route POST /api/admin/holds
+   */
+  static async placeHold(req, res, next) {
+    try {
+      const { user_id, payee_id, amount, description, expires_in_hours } = req.body;
+      const holdModel = new WalletHold();
+
+      if (payee_id === user_id) {
+        return next(new ErrorHandler.AppError('Payee must be a different user', 400));
+      }
+      const payee = await new User().findById(payee_id);
+      if (!payee) {
+        return next(new ErrorHandler.AppError('Payee not found', 404));
+      }
+
+      const hold = await holdModel.place(user_id, MoneyUtils.toMinorUnits(amount), {
+        purpose: WalletHold.PURPOSES.ESCROW,
+        description,
+        metadata: { payee_id },
+        expiresAt: expires_in_hours
+          ? new Date(Date.now() + expires_in_hours * 60 * 60 * 1000).toISOString()
+          : WalletHold.defaultExpiry(),
+        placedBy: req.user.id
+      });
+
+      await AdminController.logAdminActivity(
+        req.user.id,
+        'PLACE_WALLET_HOLD',
+        req,
+        { holdId: hold.id, userId: user_id, payeeId: payee_id, amountMinor: hold.amount_minor }
+      );
+
+      return ResponseHandler.created(res, {
+        hold: formatHold(hold)
+      }, 'Hold placed successfully');
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, error.statusCode || 500));
+    }
+  }
+
+  /**
+   * Capture all or part of an escrow hold to its payee
+   * @route POST /api/admin/holds/:id/capture
+   */
+  static async captureHold(req, res, next) {
+    try {
+      const { amount, note } = req.body;
+      const holdModel = new WalletHold();
+
+      const hold = await holdModel.findById(req.params.id);
+      if (!hold) {
+        return next(new ErrorHandler.AppError('Hold not found', 404));
+      }
+      if (hold.purpose !== WalletHold.PURPOSES.ESCROW) {
+        return next(new ErrorHandler.AppError(`${hold.purpose} holds are captured by their own review`, 400));
+      }
+
+      const captured = await holdModel.capture(
+        hold,
+        amount === undefined ? undefined : MoneyUtils.toMinorUnits(amount),
+        {
+          type: Transaction.TYPES.ESCROW_PAYMENT,
+          payeeId: hold.metadata.payee_id,
+          description: hold.description || 'Escrow payment',
+          metadata: { note },
+          capturedBy: req.user.id
+        }
+      );
+
+      await AdminController.logAdminActivity(
+        req.user.id,
+        'CAPTURE_WALLET_HOLD',
+        req,
+        { holdId: hold.id, transactionId: captured.capture_transaction_id, capturedMinor: captured.captured_minor, note }
+      );
+
+      return ResponseHandler.success(res, {
+        hold: formatHold(captured),
+        transaction: formatTransaction(captured.transaction)
+      }, 'Hold captured successfully');
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, error.statusCode || 500));
+    }
+  }
+
+  /**
+   * Release an escrow hold, freeing the funds
+   * @route POST /api/admin/holds/:id/release
+   */
+  static async releaseHold(req, res, next) {
+    try {
+      const { reason } = req.body;
+      const holdModel = new WalletHold();
+
+      const hold = await holdModel.findById(req.params.id);
+      if (!hold) {
+        return next(new ErrorHandler.AppError('Hold not found', 404));
+      }
+      if (hold.purpose !== WalletHold.PURPOSES.ESCROW) {
+        return next(new ErrorHandler.AppError(`${hold.purpose} holds are released by their own review`, 400));
+      }
+
+      const released = await holdModel.release(hold, { releasedBy: req.user.id, reason });
+
+      await AdminController.logAdminActivity(
+        req.user.id,
+        'RELEASE_WALLET_HOLD',
+        req,
+        { holdId: hold.id, reason }
+      );
+
+      return ResponseHandler.success(res, {
+        hold: formatHold(released)
+      }, 'Hold released successfully');
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, error.statusCode || 500));
+    }
+  }
+
+  /**
+   * Get Fee Schedules
+   * @route GET /api/admin/fee-schedules
+   */
+  static async getFeeSchedules(req, res, next) {
+    try {
+      const { page = 1, limit = 10, operation, active } = req.query;
+      const feeModel = new FeeSchedule();
+
+      const result = await feeModel.getPaginated({
+        page: parseInt(page),
+        limit: parseInt(limit),
+        filters: {
+          operation,
+          active: active === undefined ? undefined : active === 'true'
+        },
+        sortBy: 'created_at',
+        sortOrder: 'desc'
+      });
+
+      return ResponseHandler.success(res, result);
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, error.statusCode || 500));
+    }
+  }
+
+  /**
+   * Publish a new fee schedule version
+   * @route POST /api/admin/fee-schedules
+   */
+  static async createFeeSchedule(req, res, next) {
+    try {
+      const {
+        operation, kyc_level, role, type,
+        flat_minor = 0, rate_bps = 0, tiers = [], min_minor = null, max_minor = null
+      } = req.body;
+      const feeModel = new FeeSchedule();
+
+      const schedule = await feeModel.createVersion({
+        operation, kyc_level, role, type, flat_minor, rate_bps, tiers, min_minor, max_minor
+      }, req.user.id);
+
+      await AdminController.logAdminActivity(
+        req.user.id,
+        'CREATE_FEE_SCHEDULE',
+        req,
+        { scheduleId: schedule.id, operation, kycLevel: kyc_level, role, version: schedule.version }
+      );
+
+      return ResponseHandler.created(res, schedule, 'Fee schedule published successfully');
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, error.statusCode || 500));
+    }
+  }
+
+  /**
+   * Deactivate a fee schedule
+   * @route PUT /api/admin/fee-schedules/:id/deactivate
+   */
+  static async deactivateFeeSchedule(req, res, next) {
+    try {
+      const feeModel = new FeeSchedule();
+      const schedule = await feeModel.deactivate(req.params.id);
+
+      if (!schedule) {
+        return next(new ErrorHandler.AppError('Fee schedule not found', 404));
+      }
+
+      await AdminController.logAdminActivity(
+        req.user.id,
+        'DEACTIVATE_FEE_SCHEDULE',
+        req,
+        { scheduleId: schedule.id, operation: schedule.operation, version: schedule.version }
+      );
+
+      return ResponseHandler.success(res, schedule, 'Fee schedule deactivated successfully');
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, error.statusCode || 500));
+    }
+  }
+
+  /**
+   * Get Wallet Limits for every KYC level
+   * @route GET /api/admin/wallet-limits
+   */
+  static async getWalletLimits(req, res, next) {
+    try {
+      const limitModel = new WalletLimit();
+      const limits = await limitModel.getAll();
+
+      return ResponseHandler.success(res, limits);
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, error.statusCode || 500));
+    }
+  }
+
+  /**
+   * Update Wallet Limits of a KYC level
+   * @route PUT /api/admin/wallet-limits/:level
+   */
+  static async updateWalletLimits(req, res, next) {
+    try {
+      const changes = Object.fromEntries(
+        new WalletLimit().selectableFields
+          .filter(field => field.endsWith('_minor') && req.body[field] !== undefined)
+          .map(field => [field, req.body[field]])
+      );
+
+      if (Object.keys(changes).length === 0) {
+        return next(new ErrorHandler.AppError('No limits provided', 400));
+      }
+
+      const limitModel = new WalletLimit();
+      const limits = await limitModel.update(req.params.level, changes, req.user.id);
+
+      await AdminController.logAdminActivity(
+        req.user.id,
+        'UPDATE_WALLET_LIMITS',
+        req,
+        { kycLevel: req.params.level, changes }
+      );
+
+      return ResponseHandler.success(res, limits, 'Wallet limits updated successfully');
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, error.statusCode || 500));
+    }
+  }
+
+  /**
+   * Get Commission Rules
+   * @route GET /api/admin/commission-rules
+   */
+  static async getCommissionRules(req, res, next) {
+    try {
+      const ruleModel = new CommissionRule();
+      const rules = await ruleModel.getAll();
+
+      return ResponseHandler.success(res, rules);
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, 500));
+    }
+  }
+
+  /**
+   * Set the Commission Rule of an operation
+   * @route PUT /api/admin/commission-rules/:operation
+   */
+  static async updateCommissionRule(req, res, next) {
+    try {
+      const {
+        type, flat_minor = 0, rate_bps = 0, tiers = [], min_minor = null, max_minor = null, active = true
+      } = req.body;
+      const ruleModel = new CommissionRule();
+
+      const rule = await ruleModel.save(req.params.operation, {
+        type, flat_minor, rate_bps, tiers, min_minor, max_minor, active
+      }, req.user.id);
+
+      await AdminController.logAdminActivity(
+        req.user.id,
+        'UPDATE_COMMISSION_RULE',
+        req,
+        { operation: req.params.operation, rule }
+      );
+
+      return ResponseHandler.success(res, rule, 'Commission rule saved successfully');
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, 500));
+    }
+  }
+
+  /**
+   * Get Commission Settlement runs
+   * @route GET /api/admin/commission-settlements
+   */
+  static async getCommissionSettlements(req, res, next) {
+    try {
+      const { page = 1, limit = 10 } = req.query;
+      const settlementModel = new CommissionSettlement();
+
+      const result = await settlementModel.getPaginated({
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      return ResponseHandler.success(res, result);
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, 500));
+    }
+  }
+
+  /**
+   * Run a Commission Settlement: move accrued commission into agents' wallets
+   * @route POST /api/admin/commission-settlements
+   */
+  static async runCommissionSettlement(req, res, next) {
+    try {
+      const settlementModel = new CommissionSettlement();
+      const settlement = await settlementModel.run(req.user.id);
+
+      await AdminController.logAdminActivity(
+        req.user.id,
+        'RUN_COMMISSION_SETTLEMENT',
+        req,
+        {
+          settlementId: settlement.id,
+          agentCount: settlement.agent_count,
+          totalMinor: settlement.total_minor,
+          failures: settlement.failures.length
+        }
+      );
+
+      return ResponseHandler.created(res, {
+        ...settlement,
+        total: MoneyUtils.fromMinorUnits(settlement.total_minor)
+      }, 'Commission settlement completed');
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, 500));
+    }
+  }
+
+  /**
+   * Get Fraud Review queue, oldest first
+   * @route GET /api/admin/fraud-reviews
+   */
+  static async getFraudReviews(req, res, next) {
+    try {
+      const { page = 1, limit = 10, status = FraudScreening.REVIEW_STATUSES.PENDING, userId } = req.query;
+      const screeningModel = new FraudScreening();
+
+      const result = await screeningModel.getPaginated({
+        page: parseInt(page),
+        limit: parseInt(limit),
+        select: [
+          ...screeningModel.selectableFields,
+          'user:users!user_id(name, email, agent_code)',
+          'counterparty:users!counterparty_id(name, agent_code)'
+        ].join(','),
+        filters: { review_status: status, user_id: userId },
+        sortBy: 'created_at',
+        sortOrder: 'asc'
+      });
+
+      return ResponseHandler.success(res, {
+        ...result,
+        data: result.data.map(formatFraudScreening)
+      });
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, 500));
+    }
+  }
+
+  /**
+   * Get a Fraud Review with the user's recent screenings
+   * @route GET /api/admin/fraud-reviews/:id
+   */
+  static async getFraudReview(req, res, next) {
+    try {
+      const screeningModel = new FraudScreening();
+      const screening = await screeningModel.findById(req.params.id);
+      if (!screening) {
+        return next(new ErrorHandler.AppError('Fraud review not found', 404));
+      }
+
+      const history = await screeningModel.getPaginated({
+        limit: 10,
+        filters: { user_id: screening.user_id },
+        sortBy: 'created_at',
+        sortOrder: 'desc'
+      });
+
+      return ResponseHandler.success(res, {
+        review: formatFraudScreening(screening),
+        recent_screenings: history.data.map(formatFraudScreening)
+      });
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, 500));
+    }
+  }
+
+  /**
+   * Review a held payment (approve or decline)
+   * @route PUT /api/admin/fraud-reviews/:id/review
+   */
+  static async reviewFraudScreening(req, res, next) {
+    try {
+      const { decision, note } = req.body;
+      const screeningModel = new FraudScreening();
+
+      const screening = await screeningModel.findById(req.params.id);
+      if (!screening || !screening.review_status) {
+        return next(new ErrorHandler.AppError('Fraud review not found', 404));
+      }
+
+      const updated = decision === 'approve'
+        ? await screeningModel.approve(screening, req.user.id, note)
+        : await screeningModel.decline(screening, req.user.id, note);
+
+      await AdminController.logAdminActivity(
+        req.user.id,
+        decision === 'approve' ? 'APPROVE_FRAUD_REVIEW' : 'DECLINE_FRAUD_REVIEW',
+        req,
+        { screeningId: screening.id, amountMinor: screening.amount_minor, note }
+      );
+
+      // A held scheduled run is settled with the decision, and its owner told about the run
+      const heldRun = await new ScheduledTransfer().settleHeldRun({ ...screening, ...updated })
+        .catch(error => console.error('Error settling held scheduled transfer run:', error));
+
+      if (!heldRun) {
+        EmailService.sendPaymentReviewEmail(screening.user.email, screening.user.name, { ...screening, ...updated })
+          .catch(error => console.error('Error sending payment review email:', error));
+      }
+
+      return ResponseHandler.success(res, {
+        review: formatFraudScreening({ ...screening, ...updated }),
+        transaction: updated.transaction ? formatTransaction(updated.transaction) : null
+      }, `Payment ${updated.review_status} successfully`);
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, error.statusCode || 500));
+    }
+  }
+
+  /**
+   * Get Fraud Rules
+   * @route GET /api/admin/fraud-rules
+   */
+  static async getFraudRules(req, res, next) {
+    try {
+      const rules = await new FraudRule().getAll();
+
+      return ResponseHandler.success(res, {
+        rules,
+        thresholds: {
+          challenge_score: config.FRAUD_CHALLENGE_SCORE,
+          review_score: config.FRAUD_REVIEW_SCORE
+        }
+      });
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, 500));
+    }
+  }
+
+  /**
+   * Enable, disable or tune a Fraud Rule
+   * @route PUT /api/admin/fraud-rules/:code
+   */
+  static async updateFraudRule(req, res, next) {
+    try {
+      const { enabled, score, params } = req.body;
+      const rule = await new FraudRule().update(req.params.code, { enabled, score, params }, req.user.id);
+
+      await AdminController.logAdminActivity(
+        req.user.id,
+        'UPDATE_FRAUD_RULE',
+        req,
+        { code: req.params.code, rule }
+      );
+
+      return ResponseHandler.success(res, rule, 'Fraud rule saved successfully');
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, error.statusCode || 500));
+    }
+  }
+
+  /**
+   * Get Support Ticket Queue
+   * @route GET /api/admin/support/tickets
+   */
+  static async getSupportTickets(req, res, next) {
+    try {
+      const {
+        page = 1,
+        limit = 10,
+        status,
+        type,
+        category,
+        priority,
+        userId,
+        assigneeId,
+        teamId,
+        needsTriage,
+        search,
+        startDate,
+        endDate,
+        sortBy = 'created_at',
+        sortOrder = 'asc'
+      } = req.query;
+      const ticketModel = new SupportTicket();
+
+      const result = await ticketModel.getPaginated({
+        page: parseInt(page),
+        limit: parseInt(limit),
+        select: [
+          ...ticketModel.selectableFields,
+          'user:users!user_id(name, email, agent_code)',
+          'assignee:users!assignee_id(name)'
+        ].join(','),
+        filters: {
+          status,
+          type,
+          category,
+          priority,
+          user_id: userId,
+          assignee_id: assigneeId,
+          team_id: teamId,
+          needs_triage: needsTriage
+        },
+        ranges: { created_at: { gte: startDate, lte: endDate } },
+        search,
+        sortBy,
+        sortOrder
+      });
+
+      return ResponseHandler.success(res, result);
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, 500));
+    }
+  }
+
+  /**
+   * Get Support Ticket with its conversation, internal notes and timeline;
+   * opening it marks the user's replies as read
+   * @route GET /api/admin/support/tickets/:id
+   */
+  static async getSupportTicket(req, res, next) {
+    try {
+      const messageModel = new SupportTicketMessage();
+      const ticket = await new SupportTicket().findById(req.params.id);
+      if (!ticket) {
+        return next(new ErrorHandler.AppError('Ticket not found', 404));
+      }
+
+      const [messages, timeline, dispute] = await Promise.all([
+        messageModel.getThread(ticket.id, { includeInternal: true }),
+        new SupportTicketEvent().getForTicket(ticket.id),
+        ticket.type === SupportTicket.TYPES.DISPUTE ? new TransactionDispute().findByTicket(ticket.id) : null
+      ]);
+      await messageModel.markRead(ticket.id, { id: req.user.id, role: SupportTicketMessage.AUTHOR_ROLES.STAFF });
+
+      return ResponseHandler.success(res, {
+        ticket,
+        ...(dispute && { dispute: formatDispute(dispute) }),
+        messages,
+        timeline
+      });
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, 500));
+    }
+  }
+
+  /**
+   * Reply on a Support Ticket or add an internal note
+   * @route POST /api/admin/support/tickets/:id/messages
+   */
+  static async addSupportTicketMessage(req, res, next) {
+    try {
+      const messageModel = new SupportTicketMessage();
+      const ticket = await new SupportTicket().findById(req.params.id);
+      if (!ticket) {
+        return next(new ErrorHandler.AppError('Ticket not found', 404));
+      }
+
+      const internal = req.body.internal === true;
+      const message = await messageModel.create(
+        ticket,
+        { id: req.user.id, role: SupportTicketMessage.AUTHOR_ROLES.STAFF },
+        { body: req.body.body, internal, files: req.validatedFiles }
+      );
+
+      await AdminController.logAdminActivity(
+        req.user.id,
+        internal ? 'ADD_TICKET_NOTE' : 'REPLY_TO_TICKET',
+        req,
+        { ticketId: ticket.id, reference: ticket.reference, messageId: message.id }
+      );
+
+      if (!internal) {
+        await new SupportTicket().recordFirstResponse(ticket, req.user.id);
+      }
+
+      messageModel
+        .notify(ticket, message)
+        .catch(error => console.error('Error sending ticket reply notification:', error));
+
+      return ResponseHandler.created(res, { message }, internal ? 'Note added' : 'Reply sent');
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, error.statusCode || 500));
+    }
+  }
+
+  /**
+   * Move a Support Ticket through its workflow
+   * @route PUT /api/admin/support/tickets/:id/status
+   */
+  static async updateSupportTicketStatus(req, res, next) {
+    try {
+      const ticketModel = new SupportTicket();
+      const ticket = await ticketModel.findById(req.params.id);
+      if (!ticket) {
+        return next(new ErrorHandler.AppError('Ticket not found', 404));
+      }
+
+      const updated = await ticketModel.setStatus(ticket, req.body.status, { actorId: req.user.id });
+
+      await AdminController.logAdminActivity(
+        req.user.id,
+        'UPDATE_SUPPORT_TICKET_STATUS',
+        req,
+        { ticketId: ticket.id, reference: ticket.reference, from: ticket.status, to: updated.status }
+      );
+
+      return ResponseHandler.success(res, { ticket: updated }, `Ticket ${updated.status}`);
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, error.statusCode || 500));
+    }
+  }
+
+  /**
+   * Assign a Support Ticket to a team and/or admin
+   * @route PUT /api/admin/support/tickets/:id/assignment
+   */
+  static async assignSupportTicket(req, res, next) {
+    try {
+      const ticketModel = new SupportTicket();
+      const ticket = await ticketModel.findById(req.params.id);
+      if (!ticket) {
+        return next(new ErrorHandler.AppError('Ticket not found', 404));
+      }
+
+      const { team_id: teamId, assignee_id: assigneeId } = req.body;
+      const updated = await ticketModel.assign(ticket, { teamId, assigneeId }, req.user.id);
+
+      await AdminController.logAdminActivity(
+        req.user.id,
+        'ASSIGN_SUPPORT_TICKET',
+        req,
+        { ticketId: ticket.id, reference: ticket.reference, teamId: updated.team_id, assigneeId: updated.assignee_id }
+      );
+
+      return ResponseHandler.success(
+        res,
+        { ticket: updated },
+        updated.assignee_id ? 'Ticket assigned' : 'Ticket is unassigned'
+      );
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, error.statusCode || 500));
+    }
+  }
+
+  /**
+   * Clear an emailed Support Ticket from triage, linking it to the user who sent it
+   * @route PUT /api/admin/support/tickets/:id/triage
+   */
+  static async triageSupportTicket(req, res, next) {
+    try {
+      const ticketModel = new SupportTicket();
+      const ticket = await ticketModel.findById(req.params.id);
+      if (!ticket) {
+        return next(new ErrorHandler.AppError('Ticket not found', 404));
+      }
+
+      const updated = await ticketModel.triage(ticket, req.body.user_id || null, req.user.id);
+
+      await AdminController.logAdminActivity(
+        req.user.id,
+        'TRIAGE_SUPPORT_TICKET',
+        req,
+        { ticketId: ticket.id, reference: ticket.reference, userId: updated.user_id }
+      );
+
+      return ResponseHandler.success(res, { ticket: updated }, 'Ticket triaged');
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, error.statusCode || 500));
+    }
+  }
+
+  /**
+   * Get Transaction Disputes
+   * @route GET /api/admin/disputes
+   */
+  static async getDisputes(req, res, next) {
+    try {
+      const { page = 1, limit = 10, status = TransactionDispute.STATUSES.OPEN, reason, userId } = req.query;
+      const disputeModel = new TransactionDispute();
+
+      const result = await disputeModel.getPaginated({
+        page: parseInt(page),
+        limit: parseInt(limit),
+        select: [
+          ...disputeModel.selectableFields,
+          `items:transaction_dispute_items(${disputeModel.itemFields.join(',')})`,
+          'ticket:support_tickets!ticket_id(reference, status, priority, assignee_id)',
+          'user:users!user_id(name, email, agent_code)'
+        ].join(','),
+        filters: { status, reason, user_id: userId },
+        sortBy: 'created_at',
+        sortOrder: 'asc'
+      });
+
+      return ResponseHandler.success(res, {
+        ...result,
+        data: result.data.map(formatDispute)
+      });
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, 500));
+    }
+  }
+
+  /**
+   * Resolve a Transaction Dispute: refund, refund in part or reject
+   * @route PUT /api/admin/disputes/:id/resolve
+   */
+  static async resolveDispute(req, res, next) {
+    try {
+      const { outcome, refunds = [], note } = req.body;
+      const disputeModel = new TransactionDispute();
+
+      const dispute = await disputeModel.findById(req.params.id);
+      if (!dispute) {
+        return next(new ErrorHandler.AppError('Dispute not found', 404));
+      }
+
+      const amounts = Object.fromEntries(
+        refunds.map(refund => [refund.transaction_id, MoneyUtils.toMinorUnits(refund.amount)])
+      );
+      const resolved = await disputeModel.resolve(dispute, outcome, { amounts, note }, req.user.id);
+
+      await AdminController.logAdminActivity(
+        req.user.id,
+        'RESOLVE_DISPUTE',
+        req,
+        {
+          disputeId: dispute.id,
+          reference: dispute.ticket.reference,
+          outcome,
+          refunds: resolved.items.map(item => ({
+            transactionId: item.transaction_id,
+            refundMinor: item.refund_minor,
+            refundTransactionId: item.refund_transaction_id
+          })),
+          note
+        }
+      );
+
+      const owner = await new User().findById(dispute.user_id);
+      if (owner) {
+        EmailService.sendDisputeOutcomeEmail(owner.email, owner.name, resolved)
+          .catch(error => console.error('Error sending dispute outcome email:', error));
+      }
+
+      return ResponseHandler.success(res, {
+        dispute: formatDispute(resolved)
+      }, `Dispute ${resolved.status.replace(/_/g, ' ')}`);
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, error.statusCode || 500));
+    }
+  }
+
+  /**
+   * Get Support Teams with their members
+   * @route GET /api/admin/support/teams
+   */
+  static async getSupportTeams(req, res, next) {
+    try {
+      const teams = await new SupportTeam().getAll();
+      return ResponseHandler.success(res, teams);
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, 500));
+    }
+  }
+
+  /**
+   * Create a Support Team
+   * @route POST /api/admin/support/teams
+   */
+  static async createSupportTeam(req, res, next) {
+    try {
+      const { name, categories, supervisor_id, members } = req.body;
+      const team = await new SupportTeam().create({ name, categories, supervisor_id, members });
+
+      await AdminController.logAdminActivity(req.user.id, 'CREATE_SUPPORT_TEAM', req, { teamId: team.id, name, categories, members });
+
+      return ResponseHandler.created(res, team, 'Support team created successfully');
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, error.statusCode || 500));
+    }
+  }
+
+  /**
+   * Update a Support Team's categories, supervisor or members
+   * @route PUT /api/admin/support/teams/:id
+   */
+  static async updateSupportTeam(req, res, next) {
+    try {
+      const teamModel = new SupportTeam();
+      const team = await teamModel.findById(req.params.id);
+      if (!team) {
+        return next(new ErrorHandler.AppError('Support team not found', 404));
+      }
+
+      const { name, categories, supervisor_id, members } = req.body;
+      const updated = await teamModel.update(team, { name, categories, supervisor_id, members });
+
+      await AdminController.logAdminActivity(req.user.id, 'UPDATE_SUPPORT_TEAM', req, { teamId: team.id, changes: req.body });
+
+      return ResponseHandler.success(res, updated, 'Support team saved successfully');
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, error.statusCode || 500));
+    }
+  }
+
+  /**
+   * Get SLA Policies
+   * @route GET /api/admin/support/sla-policies
+   */
+  static async getSlaPolicies(req, res, next) {
+    try {
+      const policies = await new SupportSlaPolicy().getAll();
+      return ResponseHandler.success(res, policies);
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, 500));
+    }
+  }
+
+  /**
+   * Update the SLA targets for a priority
+   * @route PUT /api/admin/support/sla-policies/:priority
+   */
+  static async updateSlaPolicy(req, res, next) {
+    try {
+      const { first_response_minutes, resolution_minutes } = req.body;
+      const policy = await new SupportSlaPolicy().update(
+        req.params.priority,
+        { first_response_minutes, resolution_minutes },
+        req.user.id
+      );
+
+      await AdminController.logAdminActivity(req.user.id, 'UPDATE_SLA_POLICY', req, { policy });
+
+      return ResponseHandler.success(res, policy, 'SLA policy saved successfully');
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, error.statusCode || 500));
+    }
+  }
+
+  /**
+   * Get Reconciliation Reports
+   * @route GET /api/admin/reconciliation-reports
+   */
+  static async getReconciliationReports(req, res, next) {
+    try {
+      const { page = 1, limit = 10, status } = req.query;
+      const reportModel = new ReconciliationReport();
+
+      const result = await reportModel.getPaginated({
+        page: parseInt(page),
+        limit: parseInt(limit),
+        filters: { status }
+      });
+
+      return ResponseHandler.success(res, result);
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, 500));
+    }
+  }
+
+  /**
+   * Get a Reconciliation Report with its discrepancies
+   * @route GET /api/admin/reconciliation-reports/:id
+   */
+  static async getReconciliationReport(req, res, next) {
+    try {
+      const reportModel = new ReconciliationReport();
+      const report = await reportModel.findById(req.params.id);
+
+      if (!report) {
+        return next(new ErrorHandler.AppError('Reconciliation report not found', 404));
+      }
+
+      return ResponseHandler.success(res, report);
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, 500));
+    }
+  }
+
+  /**
+   * Run a Reconciliation now
+   * @route POST /api/admin/reconciliation-reports
+   */
+  static async runReconciliation(req, res, next) {
+    try {
+      const reportModel = new ReconciliationReport();
+      const report = await reportModel.run({ trigger: 'manual', runBy: req.user.id });
+
+      await AdminController.logAdminActivity(
+        req.user.id,
+        'RUN_RECONCILIATION',
+        req,
+        { reportId: report.id, status: report.status, discrepancies: report.discrepancy_count }
+      );
+
+      return ResponseHandler.created(res, report, `Reconciliation ${report.status}`);
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, 500));
+    }
+  }
+
+  /**
+   * Download a Reconciliation Report
+   * @route GET /api/admin/reconciliation-reports/:id/download
+   */
+  static async downloadReconciliationReport(req, res, next) {
+    try {
+      const { format = 'csv' } = req.query;
+      const reportModel = new ReconciliationReport();
+      const report = await reportModel.findById(req.params.id);
+
+      if (!report) {
+        return next(new ErrorHandler.AppError('Reconciliation report not found', 404));
+      }
+
+      const date = report.started_at.split('T')[0];
+      const filename = `reconciliation-${date}-${report.id}.${format}`;
+      const data = format === 'json'
+        ? JSON.stringify(report, null, 2)
+        : ReconciliationReportGenerator.toCsv(report);
+
+      res.setHeader('Content-Type', format === 'json' ? 'application/json' : 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+
+      return res.send(data);
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, 500));
+    }
+  }
+
+  /**
+   * Get Disbursement Batches
+   * @route GET /api/admin/disbursements
+   */
+  static async getDisbursements(req, res, next) {
+    try {
+      const { page = 1, limit = 10, status } = req.query;
+      const batchModel = new DisbursementBatch();
+
+      const result = await batchModel.getPaginated({
+        page: parseInt(page),
+        limit: parseInt(limit),
+        filters: { status }
+      });
+
+      return ResponseHandler.success(res, {
+        ...result,
+        data: result.data.map(formatDisbursementBatch)
+      });
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, 500));
+    }
+  }
+
+  /**
+   * Upload a Disbursement File: validates every row and returns a preview.
+   * Nothing is paid until the batch is approved.
+   * @route POST /api/admin/disbursements
+   */
+  static async createDisbursement(req, res, next) {
+    try {
+      const { description } = typeof req.body === 'object' ? req.body : req.query;
+
+      let rows;
+      try {
+        rows = DisbursementCsv.parse(req.validatedFile.content);
+      } catch (error) {
+        return next(new ErrorHandler.AppError(`Invalid disbursement file: ${error.message}`, 400));
+      }
+
+      const batchModel = new DisbursementBatch();
+      const batch = await batchModel.createDraft(rows, {
+        fileName: req.validatedFile.name,
+        description,
+        createdBy: req.user.id
+      });
+
+      await AdminController.logAdminActivity(
+        req.user.id,
+        'UPLOAD_DISBURSEMENT',
+        req,
+        { batchId: batch.id, rows: batch.row_count, invalid: batch.invalid_count, totalMinor: batch.total_minor }
+      );
+
+      return ResponseHandler.created(res, {
+        batch: formatDisbursementBatch(batch),
+        items: batch.items.map(formatDisbursementItem)
+      }, batch.invalid_count > 0
+        ? `${batch.invalid_count} of ${batch.row_count} rows have errors and will not be paid`
+        : 'All rows are valid. Approve the batch to pay them');
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, error.statusCode || 500));
+    }
+  }
+
+  /**
+   * Get a Disbursement Batch with its rows
+   * @route GET /api/admin/disbursements/:id
+   */
+  static async getDisbursement(req, res, next) {
+    try {
+      const batchModel = new DisbursementBatch();
+      const batch = await batchModel.findById(req.params.id);
+
+      if (!batch) {
+        return next(new ErrorHandler.AppError('Disbursement batch not found', 404));
+      }
+
+      const items = await batchModel.getItems(batch.id, { status: req.query.status });
+
+      return ResponseHandler.success(res, {
+        batch: formatDisbursementBatch(batch),
+        items: items.map(formatDisbursementItem)
+      });
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, 500));
+    }
+  }
+
+  /**
+   * Approve a Disbursement Batch and start paying it in the background
+   * @route POST /api/admin/disbursements/:id/approve
+   */
+  static async approveDisbursement(req, res, next) {
+    try {
+      const batchModel = new DisbursementBatch();
+      const batch = await batchModel.findById(req.params.id);
+
+      if (!batch) {
+        return next(new ErrorHandler.AppError('Disbursement batch not found', 404));
+      }
+
+      const approved = await batchModel.approve(batch, req.user.id);
+      AdminController.runDisbursement(approved.id);
+
+      await AdminController.logAdminActivity(
+        req.user.id,
+        'APPROVE_DISBURSEMENT',
+        req,
+        { batchId: batch.id, rows: batch.valid_count, totalMinor: batch.total_minor }
+      );
+
+      return ResponseHandler.success(res, {
+        batch: formatDisbursementBatch(approved)
+      }, 'Batch approved. Payments are being processed', 202);
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, error.statusCode || 500));
+    }
+  }
+
+  /**
+   * Resume a Disbursement Batch that stopped part way (e.g. after a restart)
+   * @route POST /api/admin/disbursements/:id/resume
+   */
+  static async resumeDisbursement(req, res, next) {
+    try {
+      const batchModel = new DisbursementBatch();
+      const batch = await batchModel.findById(req.params.id);
+
+      if (!batch) {
+        return next(new ErrorHandler.AppError('Disbursement batch not found', 404));
+      }
+      if (batch.status !== DisbursementBatch.STATUSES.PROCESSING) {
+        return next(new ErrorHandler.AppError(`Batch is ${batch.status} and cannot be resumed`, 409));
+      }
+
+      AdminController.runDisbursement(batch.id);
+
+      await AdminController.logAdminActivity(req.user.id, 'RESUME_DISBURSEMENT', req, { batchId: batch.id });
+
+      return ResponseHandler.success(res, {
+        batch: formatDisbursementBatch(batch)
+      }, 'Remaining payments are being processed', 202);
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, 500));
+    }
+  }
+
+  /**
+   * Cancel a draft Disbursement Batch
+   * @route POST /api/admin/disbursements/:id/cancel
+   */
+  static async cancelDisbursement(req, res, next) {
+    try {
+      const batchModel = new DisbursementBatch();
+      const batch = await batchModel.findById(req.params.id);
+
+      if (!batch) {
+        return next(new ErrorHandler.AppError('Disbursement batch not found', 404));
+      }
+
+      const cancelled = await batchModel.cancel(batch);
+
+      await AdminController.logAdminActivity(req.user.id, 'CANCEL_DISBURSEMENT', req, { batchId: batch.id });
+
+      return ResponseHandler.success(res, {
+        batch: formatDisbursementBatch(cancelled)
+      }, 'Batch cancelled');
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, error.statusCode || 500));
+    }
+  }
+
+  /**
+   * Download the per-row results of a Disbursement Batch
+   * @route GET /api/admin/disbursements/:id/results
+   */
+  static async downloadDisbursementResults(req, res, next) {
+    try {
+      const { format = 'csv' } = req.query;
+      const batchModel = new DisbursementBatch();
+      const batch = await batchModel.findById(req.params.id);
+
+      if (!batch) {
+        return next(new ErrorHandler.AppError('Disbursement batch not found', 404));
+      }
+
+      const items = await batchModel.getItems(batch.id);
+      const filename = `disbursement-${batch.id}-results.${format}`;
+      const data = format === 'json'
+        ? JSON.stringify({ batch, items }, null, 2)
+        : DisbursementCsv.toCsv(batch, items);
+
+      res.setHeader('Content-Type', format === 'json' ? 'application/json' : 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+
+      return res.send(data);
+    } catch (error) {
+      next(new ErrorHandler.AppError(error.message, 500));
+    }
+  }
+
+  /**
+   * Pay a batch without holding up the response
+   * @private
+   */
+  static runDisbursement(batchId) {
+    new DisbursementBatch()
+      .process(batchId)
+      .catch(error => console.error(`Error processing disbursement batch ${batchId}:`, error));
+  }
+
+  /**
+   * Email a withdrawal's owner about its new status
+   * @private
+   */
+  static async notifyWithdrawalOwner(withdrawal) {
+    const { data: owner } = await supabase
+      .from('users')
+      .select('name, email')
+      .eq('id', withdrawal.user_id)
+      .single();
+
+    if (owner) {
+      await EmailService.sendWithdrawalStatusEmail(owner.email, owner.name, withdrawal);
+    }
+  }
+
   /**
    * Log Admin Activity
    * @private
@@ -1,5 +1,7 @@
 // controllers/authController.js
 const User = require("../models/User");
+const Commission = require("../models/Commission");
+const CommissionRule = require("../models/CommissionRule");
 const ResponseHandler = require("../utils/responseHandlers");
 const EmailService = require("../utils/emailService");
 const SessionManager = require("../utils/sessionManager");
@@ -30,7 +32,7 @@ function generateVerificationCode() {
  */
 async function register(req, res) {
   try {
-    const { name, email, phone, password, password_confirmation } = req.body;
+    const { name, email, phone, password, password_confirmation, referral_code } = req.body;
 
     // Validate passwords match
     if (password !== password_confirmation) {
@@ -45,6 +47,15 @@ async function register(req, res) {
       return ResponseHandler.badRequest(res, "Email already registered");
     }
 
+    // Link the user to the agent who referred them
+    let referrer = null;
+    if (referral_code) {
+      referrer = await userModel.findByAgentCode(referral_code);
+      if (!referrer) {
+        return ResponseHandler.badRequest(res, "Invalid referral code");
+      }
+    }
+
     // Generate verification code and expiry
     const verificationCode = generateVerificationCode();
     const verificationExpiry = new Date(Date.now() + 30 * 60 * 1000); // 30 minutes
@@ -57,6 +68,7 @@ async function register(req, res) {
       password,
       verification_code: verificationCode,
       verification_code_expires: verificationExpiry,
+      ...(referrer && { referred_by: referrer.id }),
     });
 
     // Generate tokens
@@ -190,6 +202,11 @@ async function verifyEmail(req, res) {
       return ResponseHandler.error(res, "Failed to verify email");
     }
 
+    // A registration counts for the referring agent once the email is verified
+    await new Commission()
+      .accrue(CommissionRule.OPERATIONS.REGISTRATION, user.id, { sourceId: user.id })
+      .catch((error) => console.error("Error accruing registration commission:", error));
+
     await EmailService.sendWelcomeEmail(user.email, user.name);
     return ResponseHandler.success(res, {
       message: "Email verified successfully",
@@ -0,0 +1,170 @@
+// controllers/billController.js
+const Biller = require('../models/Biller');
+const BillPayment = require('../models/BillPayment');
+const FeeSchedule = require('../models/FeeSchedule');
+const FraudScreening = require('../models/FraudScreening');
+const Billers = require('../utils/billers');
+const MoneyUtils = require('../utils/moneyUtils');
+const ResponseHandler = require('../utils/responseHandlers');
+const { AppError } = require('../middlewares/errorHandler');
+
+const formatBiller = (biller) => ({
+  slug: biller.slug,
+  name: biller.name,
+  category: biller.category,
+  reference_label: biller.reference_label,
+  reference_hint: biller.reference_hint,
+  supports_lookup: biller.supports_lookup,
+  min_amount: MoneyUtils.fromMinorUnits(biller.min_minor),
+  max_amount: MoneyUtils.fromMinorUnits(biller.max_minor)
+});
+
+const formatPayment = (payment) => ({
+  ...payment,
+  ...(payment.biller && { biller: formatBiller(payment.biller) }),
+  amount: MoneyUtils.fromMinorUnits(payment.amount_minor),
+  fee: MoneyUtils.fromMinorUnits(payment.fee_minor)
+});
+
+const findBiller = async (slug) => {
+  const biller = await new Biller().findBySlug(slug);
+  if (!biller) {
+    throw new AppError('Biller not found', 404);
+  }
+  return biller;
+};
+
+// Billers users can pay, by category
+const getBillers = async (req, res) => {
+  try {
+    const billers = await new Biller().getCatalog({ category: req.query.category });
+
+    return ResponseHandler.success(res, {
+      billers: billers.map(formatBiller)
+    });
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+// Check a customer reference, look up the customer where the biller supports it and quote the fee
+const lookupCustomer = async (req, res) => {
+  try {
+    const { reference, amount } = req.query;
+    const biller = await findBiller(req.params.slug);
+    const customerReference = Biller.normalizeReference(biller, reference);
+
+    const customer = biller.supports_lookup
+      ? await Billers.getAdapter().lookup({ biller, customerReference })
+      : null;
+
+    let fee = null;
+    if (amount !== undefined) {
+      const amountMinor = MoneyUtils.toMinorUnits(amount);
+      Biller.assertAmount(biller, amountMinor);
+      fee = await new FeeSchedule().quote(FeeSchedule.OPERATIONS.BILL_PAYMENT, amountMinor, req.user);
+    }
+
+    return ResponseHandler.success(res, {
+      biller: formatBiller(biller),
+      customer_reference: customerReference,
+      customer_name: customer ? customer.customerName : null,
+      customer_details: customer ? customer.details : null,
+      fee: fee ? MoneyUtils.fromMinorUnits(fee.amountMinor) : null,
+      fee_schedule_version: fee ? fee.version : null
+    });
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+// Pay airtime or a bill from the wallet
+const payBill = async (req, res) => {
+  try {
+    const { biller: slug, customer_reference, amount, quoted_fee, wallet_pin } = req.body;
+    const biller = await findBiller(slug);
+    const customerReference = Biller.normalizeReference(biller, customer_reference);
+    const amountMinor = MoneyUtils.toMinorUnits(amount);
+    Biller.assertAmount(biller, amountMinor);
+
+    const fee = await new FeeSchedule().quote(FeeSchedule.OPERATIONS.BILL_PAYMENT, amountMinor, req.user);
+    FeeSchedule.assertQuoteMatches(fee, quoted_fee);
+
+    // Lookup also catches mistyped meter and account numbers before any money moves
+    const customer = biller.supports_lookup
+      ? await Billers.getAdapter().lookup({ biller, customerReference })
+      : null;
+
+    const screeningModel = new FraudScreening();
+    const { screening } = await screeningModel.guard(req.user, {
+      operation: FraudScreening.OPERATIONS.BILL_PAYMENT,
+      amountMinor
+    }, FraudScreening.fromRequest(req), { pin: wallet_pin });
+
+    const payment = await new BillPayment().pay(req.user, biller, {
+      customerReference,
+      customerName: customer ? customer.customerName : null,
+      amountMinor,
+      fee
+    });
+    if (payment.transaction_id) await screeningModel.linkTransaction(screening, payment.transaction_id);
+
+    const messages = {
+      [BillPayment.STATUSES.COMPLETED]: 'Payment completed successfully',
+      [BillPayment.STATUSES.PROCESSING]: 'Payment is being processed',
+      [BillPayment.STATUSES.REVERSED]: 'Payment was declined by the biller and has been refunded'
+    };
+
+    return ResponseHandler.created(res, {
+      payment: formatPayment({ ...payment, biller })
+    }, messages[payment.status]);
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+// The caller's bill payments
+const getPayments = async (req, res) => {
+  try {
+    const { page, limit, status } = req.query;
+    const paymentModel = new BillPayment();
+
+    const result = await paymentModel.getPaginated({
+      page: parseInt(page) || 1,
+      limit: parseInt(limit) || undefined,
+      select: [...paymentModel.selectableFields, 'biller:billers(*)'].join(','),
+      filters: { user_id: req.user.id, status }
+    });
+
+    return ResponseHandler.success(res, {
+      ...result,
+      data: result.data.map(formatPayment)
+    });
+  } catch (error) {
+    return ResponseHandler.error(res, error.message);
+  }
+};
+
+const getPayment = async (req, res) => {
+  try {
+    const payment = await new BillPayment().findById(req.params.id);
+
+    if (!payment || payment.user_id !== req.user.id) {
+      return ResponseHandler.notFound(res, 'Bill payment not found');
+    }
+
+    return ResponseHandler.success(res, {
+      payment: formatPayment(payment)
+    });
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+module.exports = {
+  getBillers,
+  lookupCustomer,
+  payBill,
+  getPayments,
+  getPayment
+};
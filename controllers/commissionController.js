@@ -0,0 +1,62 @@
+// controllers/commissionController.js
+const Commission = require('../models/Commission');
+const MoneyUtils = require('../utils/moneyUtils');
+const ResponseHandler = require('../utils/responseHandlers');
+
+// Add the cedi amount next to the stored minor units
+const formatCommission = (commission) => ({
+  ...commission,
+  amount: MoneyUtils.fromMinorUnits(commission.amount_minor),
+  base_amount: MoneyUtils.fromMinorUnits(commission.base_minor),
+  settled: Boolean(commission.settlement_id)
+});
+
+// Commission report for the calling agent: totals for the period plus a page of accruals
+const getCommissionReport = async (req, res) => {
+  try {
+    if (!req.user.agent_code) {
+      return ResponseHandler.forbidden(res, 'Only agents earn commission');
+    }
+
+    const { page, limit, operation, startDate, endDate } = req.query;
+    const commissionModel = new Commission();
+
+    const [summary, result] = await Promise.all([
+      commissionModel.getSummary(req.user.id, { startDate, endDate }),
+      commissionModel.getPaginated({
+        page: parseInt(page) || 1,
+        limit: parseInt(limit) || undefined,
+        filters: { agent_id: req.user.id, operation },
+        ranges: { created_at: { gte: startDate, lte: endDate } }
+      })
+    ]);
+
+    const byOperation = Object.fromEntries(
+      Object.entries(summary.by_operation).map(([name, totals]) => [
+        name,
+        { count: totals.count, amount: MoneyUtils.fromMinorUnits(totals.amount_minor) }
+      ])
+    );
+
+    return ResponseHandler.success(res, {
+      agent_code: req.user.agent_code,
+      period: { startDate, endDate },
+      summary: {
+        referrals: summary.referrals,
+        earned: MoneyUtils.fromMinorUnits(summary.earned_minor),
+        settled: MoneyUtils.fromMinorUnits(summary.settled_minor),
+        unsettled_balance: MoneyUtils.fromMinorUnits(summary.unsettled_balance_minor),
+        by_operation: byOperation
+      },
+      ...result,
+      data: result.data.map(formatCommission)
+    });
+  } catch (error) {
+    return ResponseHandler.error(res, error.message);
+  }
+};
+
+module.exports = {
+  formatCommission,
+  getCommissionReport
+};
@@ -0,0 +1,165 @@
+// controllers/inboundEmailController.js
+const crypto = require('crypto');
+const User = require('../models/User');
+const SupportTicket = require('../models/SupportTicket');
+const SupportTicketMessage = require('../models/SupportTicketMessage');
+const SupportInboundEmail = require('../models/SupportInboundEmail');
+const MimeParser = require('../utils/mimeParser');
+const ResponseHandler = require('../utils/responseHandlers');
+const config = require('../config/env');
+
+const { USER } = SupportTicketMessage.AUTHOR_ROLES;
+
+// Only the mail relay (or our upload script) knows the token; without one configured nothing gets in.
+// It is read from a header only: URLs end up in access and proxy logs.
+const isTrustedRelay = (req) => {
+  if (!config.INBOUND_EMAIL_TOKEN) return false;
+
+  const provided = Buffer.from(String(req.get('x-inbound-token') || ''));
+  const expected = Buffer.from(config.INBOUND_EMAIL_TOKEN);
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+};
+
+const truncate = (text, max) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+// Who a reply on an existing ticket is from: its owner or the person who
+// emailed it in. Nothing authenticates the From header, so email never posts
+// as support staff; anyone else gets a ticket of their own.
+const findAuthor = (ticket, sender, from) => {
+  if (sender && ticket.user_id === sender.id) return { id: sender.id, role: USER };
+  if (!ticket.user_id && ticket.requester_email === from.address) return { id: null, email: from.address, role: USER };
+  return null;
+};
+
+// The email's text, with a note of any attachments that were left out
+const composeBody = (text, skipped) => {
+  const body = truncate(text.trim() || '(no message)', SupportInboundEmail.MAX_BODY_LENGTH);
+  if (!skipped.length) return body;
+
+  return `${body}\n\nAttachments not added:\n${skipped.map(file => `${file.name}: ${file.reason}`).join('\n')}`;
+};
+
+// Mail relay delivery: one raw MIME message per request. A message naming a
+// ticket its sender may reply on is added to that ticket; anything else opens
+// a new ticket, flagged for triage when the sender is not a user.
+const handleInboundEmail = async (req, res) => {
+  if (!config.INBOUND_EMAIL_TOKEN) {
+    return ResponseHandler.error(res, 'Inbound email is not configured', 503);
+  }
+  if (!isTrustedRelay(req)) {
+    return ResponseHandler.unauthorized(res, 'Invalid relay token');
+  }
+
+  try {
+    const raw = req.body;
+    if (!Buffer.isBuffer(raw) || !raw.length) {
+      return ResponseHandler.badRequest(res, 'Send the raw email as the request body');
+    }
+
+    let email;
+    try {
+      email = MimeParser.parse(raw);
+    } catch (error) {
+      return ResponseHandler.badRequest(res, `Could not read the email: ${error.message}`);
+    }
+    if (!email.from) {
+      return ResponseHandler.badRequest(res, 'The email has no sender address');
+    }
+
+    // Relays retry deliveries; a processed email is acknowledged again without side effects
+    const messageId = email.messageId || `<${crypto.createHash('sha256').update(raw).digest('hex')}@inbound>`;
+    const inboundModel = new SupportInboundEmail();
+    const stored = await inboundModel.record(messageId, email, raw.length)
+      || await inboundModel.find(messageId);
+
+    if (stored.status !== SupportInboundEmail.STATUSES.PROCESSING) {
+      return ResponseHandler.success(res, {
+        duplicate: true,
+        status: stored.status,
+        ticket_id: stored.ticket_id
+      }, 'Email already processed');
+    }
+
+    if (email.autoSubmitted || SupportInboundEmail.isOwnAddress(email.from.address)) {
+      await inboundModel.markProcessed(stored.id, { status: SupportInboundEmail.STATUSES.IGNORED });
+      return ResponseHandler.success(res, { status: SupportInboundEmail.STATUSES.IGNORED }, 'Automatic email ignored');
+    }
+
+    const ticketModel = new SupportTicket();
+    const messageModel = new SupportTicketMessage();
+    const sender = await new User().findByAnyEmail(SupportInboundEmail.addressVariants(email.from.address));
+    const { files, skipped } = SupportInboundEmail.extractAttachments(email.attachments);
+    const reference = SupportInboundEmail.findReference(email);
+    const existing = reference ? await ticketModel.findByReference(reference) : null;
+    const author = existing && findAuthor(existing, sender, email.from);
+
+    if (author && existing.status !== SupportTicket.STATUSES.CLOSED) {
+      const message = await messageModel.create(existing, author, {
+        body: composeBody(MimeParser.stripQuotedReply(email.text), skipped),
+        files,
+        source: SupportTicketMessage.SOURCES.EMAIL
+      });
+
+      await ticketModel.reopenForReply(existing, author.id);
+
+      messageModel
+        .notify(existing, message)
+        .catch(error => console.error('Error sending ticket reply notification:', error));
+
+      await inboundModel.markProcessed(stored.id, {
+        status: SupportInboundEmail.STATUSES.THREADED,
+        ticketId: existing.id,
+        messageId: message.id,
+        skipped
+      });
+
+      return ResponseHandler.created(res, {
+        status: SupportInboundEmail.STATUSES.THREADED,
+        ticket_reference: existing.reference,
+        message_id: message.id,
+        skipped_attachments: skipped
+      }, `Reply added to ticket ${existing.reference}`);
+    }
+
+    // A reply on a closed ticket starts a new one that points back to it
+    const followUp = author ? `Follow-up to ${existing.reference}, which is closed.\n\n` : '';
+    const ticket = await ticketModel.create(sender ? sender.id : null, {
+      subject: truncate(email.subject.trim() || '(no subject)', SupportInboundEmail.MAX_SUBJECT_LENGTH),
+      description: composeBody(`${followUp}${email.text.trim()}`, skipped),
+      category: 'other',
+      source: SupportTicket.SOURCES.EMAIL,
+      requester: { email: email.from.address, name: email.from.name },
+      needsTriage: !sender
+    });
+
+    let message = null;
+    if (files.length) {
+      message = await messageModel.create(
+        ticket,
+        sender ? { id: sender.id, role: USER } : { id: null, email: email.from.address, role: USER },
+        { body: 'Attachments from the original email', files, source: SupportTicketMessage.SOURCES.EMAIL }
+      );
+    }
+
+    await inboundModel.markProcessed(stored.id, {
+      status: SupportInboundEmail.STATUSES.CREATED,
+      ticketId: ticket.id,
+      messageId: message ? message.id : null,
+      skipped
+    });
+
+    return ResponseHandler.created(res, {
+      status: SupportInboundEmail.STATUSES.CREATED,
+      ticket_reference: ticket.reference,
+      needs_triage: ticket.needs_triage,
+      attachments: message ? message.attachments.length : 0,
+      skipped_attachments: skipped
+    }, `Ticket ${ticket.reference} opened`);
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+module.exports = {
+  handleInboundEmail
+};
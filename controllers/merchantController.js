@@ -0,0 +1,214 @@
+// controllers/merchantController.js
+const Merchant = require('../models/Merchant');
+const FeeSchedule = require('../models/FeeSchedule');
+const FraudScreening = require('../models/FraudScreening');
+const MoneyUtils = require('../utils/moneyUtils');
+const ResponseHandler = require('../utils/responseHandlers');
+const { formatTransaction } = require('./transactionController');
+const { AppError } = require('../middlewares/errorHandler');
+
+// Only the profile fields the owner may set, with the destination cleared for wallet settlement
+const pickProfile = (body) => {
+  const profile = Merchant.EDITABLE_FIELDS.reduce((fields, field) => (
+    body[field] === undefined ? fields : { ...fields, [field]: body[field] }
+  ), {});
+
+  if (profile.settlement_method === 'wallet') {
+    profile.settlement_destination = {};
+  }
+
+  return profile;
+};
+
+const findOwnMerchant = async (user) => {
+  const merchant = await new Merchant().findByUserId(user.id);
+  if (!merchant) {
+    throw new AppError('You do not have a merchant profile', 404);
+  }
+  return merchant;
+};
+
+// What the payer sees before confirming a QR payment
+const formatMerchant = (merchant) => ({
+  merchant_code: merchant.merchant_code,
+  business_name: merchant.business_name,
+  category: merchant.category,
+  city: merchant.city
+});
+
+// Register the caller as a merchant
+const createMerchant = async (req, res) => {
+  try {
+    const merchant = await new Merchant().create(req.user.id, pickProfile(req.body));
+
+    return ResponseHandler.created(res, { merchant }, 'Merchant profile created');
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+const getMerchant = async (req, res) => {
+  try {
+    const merchant = await findOwnMerchant(req.user);
+
+    return ResponseHandler.success(res, { merchant });
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+const updateMerchant = async (req, res) => {
+  try {
+    const merchant = await findOwnMerchant(req.user);
+    const profile = pickProfile(req.body);
+
+    if (!Object.keys(profile).length) {
+      return ResponseHandler.badRequest(res, 'Nothing to update');
+    }
+
+    const updated = await new Merchant().update(merchant.id, profile);
+
+    return ResponseHandler.success(res, { merchant: updated }, 'Merchant profile updated');
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+// Generate a static QR payload, or a dynamic one when an amount is given
+const generateQr = async (req, res) => {
+  try {
+    const { amount, reference } = req.body;
+    const merchant = await findOwnMerchant(req.user);
+
+    if (merchant.status !== Merchant.STATUSES.ACTIVE) {
+      return ResponseHandler.error(res, 'Your merchant account is suspended', 409);
+    }
+
+    const qr = await new Merchant().issueQr(merchant, {
+      amountMinor: amount === undefined ? undefined : MoneyUtils.toMinorUnits(amount),
+      reference
+    });
+
+    return ResponseHandler.success(res, {
+      qr: {
+        type: qr.type,
+        payload: qr.payload,
+        amount: qr.amountMinor ? MoneyUtils.fromMinorUnits(qr.amountMinor) : null,
+        reference: qr.reference,
+        expires_at: qr.expiresAt
+      }
+    });
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+// Sales totals and a daily breakdown; defaults to the last 30 days
+const getSalesSummary = async (req, res) => {
+  try {
+    const merchant = await findOwnMerchant(req.user);
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+    const startDate = req.query.startDate
+      ? new Date(req.query.startDate)
+      : new Date(endDate.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    if (startDate >= endDate) {
+      return ResponseHandler.badRequest(res, 'Start date must be before end date');
+    }
+
+    const { totals, days } = await new Merchant().getSalesSummary(merchant.id, {
+      startDate: startDate.toISOString(),
+      endDate: endDate.toISOString()
+    });
+
+    return ResponseHandler.success(res, {
+      period: { start_date: startDate.toISOString(), end_date: endDate.toISOString() },
+      totals: {
+        ...totals,
+        amount: MoneyUtils.fromMinorUnits(totals.amount_minor),
+        average_amount: MoneyUtils.fromMinorUnits(totals.average_minor)
+      },
+      days: days.map(day => ({ ...day, amount: MoneyUtils.fromMinorUnits(day.amount_minor) }))
+    });
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+// Check a scanned payload and show the merchant, amount and fee before paying
+const previewPayment = async (req, res) => {
+  try {
+    const { payload, amount } = req.body;
+    const { merchant, qr } = await new Merchant().resolveQr(payload);
+    const amountMinor = qr.amountMinor || (amount === undefined ? null : MoneyUtils.toMinorUnits(amount));
+
+    const fee = amountMinor
+      ? await new FeeSchedule().quote(FeeSchedule.OPERATIONS.MERCHANT_PAYMENT, amountMinor, req.user)
+      : null;
+
+    return ResponseHandler.success(res, {
+      merchant: formatMerchant(merchant),
+      type: qr.dynamic ? Merchant.QR_TYPES.DYNAMIC : Merchant.QR_TYPES.STATIC,
+      amount: amountMinor ? MoneyUtils.fromMinorUnits(amountMinor) : null,
+      reference: qr.reference,
+      fee: fee ? MoneyUtils.fromMinorUnits(fee.amountMinor) : null,
+      fee_schedule_version: fee ? fee.version : null
+    });
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+// Pay a merchant from a scanned payload
+const payMerchant = async (req, res) => {
+  try {
+    const { payload, amount, quoted_fee, wallet_pin } = req.body;
+    const merchantModel = new Merchant();
+    const { merchant, qr } = await merchantModel.resolveQr(payload);
+    const amountMinor = amount === undefined ? undefined : MoneyUtils.toMinorUnits(amount);
+
+    if (!qr.amountMinor && !amountMinor) {
+      return ResponseHandler.badRequest(res, 'Amount is required for this QR code');
+    }
+
+    const fee = await new FeeSchedule().quote(
+      FeeSchedule.OPERATIONS.MERCHANT_PAYMENT,
+      qr.amountMinor || amountMinor,
+      req.user
+    );
+    FeeSchedule.assertQuoteMatches(fee, quoted_fee);
+
+    const screeningModel = new FraudScreening();
+    const { screening } = await screeningModel.guard(req.user, {
+      operation: FraudScreening.OPERATIONS.MERCHANT_PAYMENT,
+      amountMinor: qr.amountMinor || amountMinor,
+      counterpartyId: merchant.user_id
+    }, FraudScreening.fromRequest(req), { pin: wallet_pin });
+
+    const { payment, transaction } = await merchantModel.pay(merchant, qr, req.user, { amountMinor, fee });
+    await screeningModel.linkTransaction(screening, transaction.id);
+
+    // The payer's last line carries the balance after the amount and any fee
+    const payerEntry = transaction.entries.filter(entry => entry.user_id === req.user.id).pop();
+
+    return ResponseHandler.created(res, {
+      transaction: formatTransaction(transaction),
+      merchant: formatMerchant(merchant),
+      reference: payment.reference,
+      fee: MoneyUtils.fromMinorUnits(fee.amountMinor),
+      wallet_balance: MoneyUtils.fromMinorUnits(payerEntry.balance_after_minor)
+    }, 'Payment completed successfully');
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+module.exports = {
+  createMerchant,
+  getMerchant,
+  updateMerchant,
+  generateQr,
+  getSalesSummary,
+  previewPayment,
+  payMerchant
+};
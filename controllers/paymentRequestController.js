@@ -0,0 +1,258 @@
+// controllers/paymentRequestController.js
+const PaymentRequest = require('../models/PaymentRequest');
+const User = require('../models/User');
+const FeeSchedule = require('../models/FeeSchedule');
+const FraudScreening = require('../models/FraudScreening');
+const MoneyUtils = require('../utils/moneyUtils');
+const EmailService = require('../utils/emailService');
+const ResponseHandler = require('../utils/responseHandlers');
+const config = require('../config/env');
+const { formatTransaction } = require('./transactionController');
+const { AppError } = require('../middlewares/errorHandler');
+
+// Add cedi amounts, the status users should see and the shareable link
+const formatRequest = (request) => ({
+  ...request,
+  status: PaymentRequest.effectiveStatus(request),
+  amount: request.amount_minor ? MoneyUtils.fromMinorUnits(request.amount_minor) : null,
+  paid_amount: MoneyUtils.fromMinorUnits(request.paid_minor || 0),
+  pay_link: config.PAY_LINK_BASE_URL ? `${config.PAY_LINK_BASE_URL}/${request.code}` : null
+});
+
+const expiryFromHours = (hours) =>
+  hours ? new Date(Date.now() + hours * 60 * 60 * 1000).toISOString() : null;
+
+// Look a request up by code for the caller; a direct request is only visible to its two users
+const findVisibleRequest = async (code, user) => {
+  const requestModel = new PaymentRequest();
+  const request = await requestModel.findByCode(code);
+
+  if (
+    !request ||
+    (request.kind === PaymentRequest.KINDS.DIRECT &&
+      request.requester_id !== user.id &&
+      request.payer_id !== user.id)
+  ) {
+    throw new AppError('Payment request not found', 404);
+  }
+
+  return request;
+};
+
+// Ask another user for money
+const createRequest = async (req, res) => {
+  try {
+    const { payer: identifier, amount, description, expires_in_hours } = req.body;
+
+    const payer = await new User().findByIdentifier(identifier);
+    if (!User.isActive(payer)) {
+      return ResponseHandler.notFound(res, 'Payer not found');
+    }
+
+    const requestModel = new PaymentRequest();
+    const request = await requestModel.createDirect(req.user.id, payer.id, MoneyUtils.toMinorUnits(amount), {
+      description,
+      expiresAt: expiryFromHours(expires_in_hours)
+    });
+
+    EmailService.sendPaymentRequestEmail(payer.email, payer.name, request, req.user)
+      .catch(error => console.error('Error sending payment request email:', error));
+
+    return ResponseHandler.created(res, {
+      request: formatRequest(request),
+      payer: {
+        name: payer.name,
+        agent_code: payer.agent_code
+      }
+    }, 'Payment request sent');
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+// Create a one-time or reusable pay link
+const createLink = async (req, res) => {
+  try {
+    const { amount, description, reusable, expires_in_hours } = req.body;
+
+    const requestModel = new PaymentRequest();
+    const request = await requestModel.createLink(req.user.id, {
+      amountMinor: amount === undefined ? null : MoneyUtils.toMinorUnits(amount),
+      description,
+      reusable,
+      expiresAt: expiryFromHours(expires_in_hours)
+    });
+
+    return ResponseHandler.created(res, {
+      request: formatRequest(request)
+    }, 'Pay link created');
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+// Requests and links the caller has created
+const getRequests = async (req, res) => {
+  try {
+    const { page, limit, status, kind } = req.query;
+    const requestModel = new PaymentRequest();
+
+    const result = await requestModel.getPaginated({
+      page: parseInt(page) || 1,
+      limit: parseInt(limit) || undefined,
+      select: [...requestModel.selectableFields, 'payer:users!payer_id(name, agent_code)'].join(','),
+      filters: { requester_id: req.user.id, status, kind }
+    });
+
+    return ResponseHandler.success(res, {
+      ...result,
+      data: result.data.map(formatRequest)
+    });
+  } catch (error) {
+    return ResponseHandler.error(res, error.message);
+  }
+};
+
+// Requests other users have sent the caller
+const getIncomingRequests = async (req, res) => {
+  try {
+    const { page, limit, status } = req.query;
+    const requestModel = new PaymentRequest();
+
+    const result = await requestModel.getPaginated({
+      page: parseInt(page) || 1,
+      limit: parseInt(limit) || undefined,
+      select: [...requestModel.selectableFields, 'requester:users!requester_id(name, agent_code)'].join(','),
+      filters: { payer_id: req.user.id, status }
+    });
+
+    return ResponseHandler.success(res, {
+      ...result,
+      data: result.data.map(formatRequest)
+    });
+  } catch (error) {
+    return ResponseHandler.error(res, error.message);
+  }
+};
+
+// Show a request: the payer sees who is asking, why and the fee; the requester also sees payments
+const getRequest = async (req, res) => {
+  try {
+    const request = await findVisibleRequest(req.params.code, req.user);
+
+    if (request.requester_id === req.user.id) {
+      const payments = await new PaymentRequest().getPayments(request.id);
+      return ResponseHandler.success(res, {
+        request: formatRequest(request),
+        payments: payments.map(payment => ({
+          ...payment,
+          amount: MoneyUtils.fromMinorUnits(payment.amount_minor)
+        }))
+      });
+    }
+
+    const fee = request.amount_minor
+      ? await new FeeSchedule().quote(FeeSchedule.OPERATIONS.TRANSFER, Number(request.amount_minor), req.user)
+      : null;
+
+    return ResponseHandler.success(res, {
+      request: {
+        code: request.code,
+        kind: request.kind,
+        requester: request.requester,
+        amount: request.amount_minor ? MoneyUtils.fromMinorUnits(request.amount_minor) : null,
+        description: request.description,
+        status: PaymentRequest.effectiveStatus(request),
+        expires_at: request.expires_at
+      },
+      fee: fee ? MoneyUtils.fromMinorUnits(fee.amountMinor) : null,
+      fee_schedule_version: fee ? fee.version : null
+    });
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+// Pay a request or link with a transfer to the requester
+const payRequest = async (req, res) => {
+  try {
+    const { amount, quoted_fee, wallet_pin } = req.body;
+    const request = await findVisibleRequest(req.params.code, req.user);
+    const amountMinor = request.amount_minor
+      ? Number(request.amount_minor)
+      : amount === undefined ? undefined : MoneyUtils.toMinorUnits(amount);
+
+    if (!amountMinor) {
+      return ResponseHandler.badRequest(res, 'Amount is required for this payment link');
+    }
+
+    const feeModel = new FeeSchedule();
+    const fee = await feeModel.quote(FeeSchedule.OPERATIONS.TRANSFER, amountMinor, req.user);
+    FeeSchedule.assertQuoteMatches(fee, quoted_fee);
+
+    const screeningModel = new FraudScreening();
+    const { screening } = await screeningModel.guard(req.user, {
+      operation: FraudScreening.OPERATIONS.PAYMENT_REQUEST,
+      amountMinor,
+      counterpartyId: request.requester_id
+    }, FraudScreening.fromRequest(req), { pin: wallet_pin });
+
+    const requestModel = new PaymentRequest();
+    const { transaction } = await requestModel.pay(request, req.user, {
+      amountMinor: amount === undefined ? undefined : MoneyUtils.toMinorUnits(amount),
+      fee
+    });
+    await screeningModel.linkTransaction(screening, transaction.id);
+
+    // The payer's last line carries the balance after the amount and any fee
+    const payerEntry = transaction.entries.filter(entry => entry.user_id === req.user.id).pop();
+
+    return ResponseHandler.created(res, {
+      transaction: formatTransaction(transaction),
+      requester: request.requester,
+      fee: MoneyUtils.fromMinorUnits(fee.amountMinor),
+      wallet_balance: MoneyUtils.fromMinorUnits(payerEntry.balance_after_minor)
+    }, 'Payment completed successfully');
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+// Decline a request sent to the caller
+const declineRequest = async (req, res) => {
+  try {
+    const request = await findVisibleRequest(req.params.code, req.user);
+    const declined = await new PaymentRequest().decline(request, req.user.id, req.body.reason);
+
+    return ResponseHandler.success(res, {
+      request: formatRequest(declined)
+    }, 'Payment request declined');
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+// Cancel one of the caller's requests or links
+const cancelRequest = async (req, res) => {
+  try {
+    const request = await findVisibleRequest(req.params.code, req.user);
+    const cancelled = await new PaymentRequest().cancel(request, req.user.id);
+
+    return ResponseHandler.success(res, {
+      request: formatRequest(cancelled)
+    }, 'Payment request cancelled');
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+module.exports = {
+  createRequest,
+  createLink,
+  getRequests,
+  getIncomingRequests,
+  getRequest,
+  payRequest,
+  declineRequest,
+  cancelRequest
+};
@@ -0,0 +1,222 @@
+// controllers/savingsController.js
+const SavingsPot = require('../models/SavingsPot');
+const MoneyUtils = require('../utils/moneyUtils');
+const ResponseHandler = require('../utils/responseHandlers');
+const { formatTransaction } = require('./transactionController');
+const { AppError } = require('../middlewares/errorHandler');
+
+const toMinorOrNull = (amount) => (amount === null ? null : MoneyUtils.toMinorUnits(amount));
+
+// Turn the request body into pot columns; a null top-up amount switches scheduled top-ups off
+const pickPot = (body, pot = null) => {
+  const fields = {};
+
+  ['name', 'target_date', 'locked_until', 'early_withdrawal'].forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  if (body.target_amount !== undefined) fields.target_minor = toMinorOrNull(body.target_amount);
+
+  if (body.auto_save_amount === null) {
+    Object.assign(fields, { auto_save_minor: null, auto_save_frequency: null, next_auto_save_at: null });
+  } else if (body.auto_save_amount !== undefined) {
+    Object.assign(fields, {
+      auto_save_minor: MoneyUtils.toMinorUnits(body.auto_save_amount),
+      auto_save_frequency: body.auto_save_frequency,
+      next_auto_save_at: body.auto_save_start || (pot && pot.next_auto_save_at) || new Date().toISOString(),
+      last_auto_save_error: null
+    });
+  } else if (body.auto_save_frequency !== undefined || body.auto_save_start !== undefined) {
+    if (!pot || !pot.auto_save_minor) {
+      throw new AppError('Set a top-up amount to schedule top-ups', 400);
+    }
+    if (body.auto_save_frequency !== undefined) fields.auto_save_frequency = body.auto_save_frequency;
+    if (body.auto_save_start !== undefined) fields.next_auto_save_at = body.auto_save_start;
+  }
+
+  return fields;
+};
+
+const formatPot = (pot) => ({
+  ...pot,
+  balance: MoneyUtils.fromMinorUnits(pot.balance_minor),
+  target_amount: pot.target_minor === null ? null : MoneyUtils.fromMinorUnits(pot.target_minor),
+  progress_percent: pot.target_minor
+    ? Math.min(100, Math.floor((pot.balance_minor / Number(pot.target_minor)) * 100))
+    : null,
+  auto_save_amount: pot.auto_save_minor === null ? null : MoneyUtils.fromMinorUnits(pot.auto_save_minor),
+  locked: SavingsPot.isLocked(pot)
+});
+
+const formatMovement = (entry) => ({
+  ...entry,
+  amount: MoneyUtils.fromMinorUnits(entry.amount_minor),
+  balance_after: MoneyUtils.fromMinorUnits(entry.balance_after_minor)
+});
+
+const findOwnPot = async (req) => {
+  const pot = await new SavingsPot().findForUser(req.params.id, req.user.id);
+  if (!pot) {
+    throw new AppError('Savings pot not found', 404);
+  }
+  return pot;
+};
+
+// The penalty shown to the user must still be the one charged
+const assertPenaltyMatches = (penalty, quotedPenalty) => {
+  if (quotedPenalty === undefined || quotedPenalty === null || quotedPenalty === '') return;
+
+  if (MoneyUtils.toMinorUnits(quotedPenalty) !== penalty.amountMinor) {
+    throw new AppError(
+      `The early withdrawal penalty is now ${MoneyUtils.format(penalty.amountMinor)}. Please confirm the new amount`,
+      409
+    );
+  }
+};
+
+// The caller's pots and the total saved across them
+const getPots = async (req, res) => {
+  try {
+    const pots = await new SavingsPot().getForUser(req.user.id, { status: req.query.status });
+    const totalMinor = pots.reduce((total, pot) => total + pot.balance_minor, 0);
+
+    return ResponseHandler.success(res, {
+      pots: pots.map(formatPot),
+      total_savings: MoneyUtils.fromMinorUnits(totalMinor)
+    });
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+const createPot = async (req, res) => {
+  try {
+    const pot = await new SavingsPot().create(req.user.id, pickPot(req.body));
+
+    return ResponseHandler.created(res, {
+      pot: formatPot(pot)
+    }, 'Savings pot created');
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+// One pot with its latest movements
+const getPot = async (req, res) => {
+  try {
+    const potModel = new SavingsPot();
+    const pot = await findOwnPot(req);
+    const movements = await potModel.getMovements(pot);
+
+    return ResponseHandler.success(res, {
+      pot: formatPot(pot),
+      movements: movements.map(formatMovement)
+    });
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+const updatePot = async (req, res) => {
+  try {
+    const pot = await findOwnPot(req);
+    const updated = await new SavingsPot().update(pot, pickPot(req.body, pot));
+
+    return ResponseHandler.success(res, {
+      pot: formatPot(updated)
+    }, 'Savings pot updated');
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+// Move money from the wallet into a pot
+const depositToPot = async (req, res) => {
+  try {
+    const potModel = new SavingsPot();
+    const pot = await findOwnPot(req);
+    const transaction = await potModel.deposit(pot, MoneyUtils.toMinorUnits(req.body.amount));
+
+    return ResponseHandler.created(res, {
+      transaction: formatTransaction(transaction),
+      pot: formatPot(await potModel.findForUser(pot.id, req.user.id))
+    }, 'Money added to savings pot');
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+// What an amount taken out now would cost, and what reaches the wallet
+const quoteWithdrawal = async (req, res) => {
+  try {
+    const pot = await findOwnPot(req);
+    const amountMinor = req.query.amount === undefined ? pot.balance_minor : MoneyUtils.toMinorUnits(req.query.amount);
+    const penalty = await new SavingsPot().quotePenalty(pot, amountMinor, req.user);
+
+    return ResponseHandler.success(res, {
+      amount: MoneyUtils.fromMinorUnits(amountMinor),
+      penalty: MoneyUtils.fromMinorUnits(penalty.amountMinor),
+      net_amount: MoneyUtils.fromMinorUnits(Math.max(amountMinor - penalty.amountMinor, 0)),
+      early: SavingsPot.isLocked(pot),
+      locked_until: pot.locked_until,
+      fee_schedule_version: penalty.version
+    });
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+// Move money from a pot back to the wallet
+const withdrawFromPot = async (req, res) => {
+  try {
+    const potModel = new SavingsPot();
+    const pot = await findOwnPot(req);
+    if (pot.status !== SavingsPot.STATUSES.ACTIVE) {
+      throw new AppError('This savings pot is closed', 409);
+    }
+
+    const amountMinor = MoneyUtils.toMinorUnits(req.body.amount);
+    const penalty = await potModel.quotePenalty(pot, amountMinor, req.user);
+    assertPenaltyMatches(penalty, req.body.quoted_penalty);
+
+    const transaction = await potModel.withdraw(pot, amountMinor, penalty);
+
+    return ResponseHandler.created(res, {
+      transaction: formatTransaction(transaction),
+      pot: formatPot(await potModel.findForUser(pot.id, req.user.id))
+    }, 'Money moved to your wallet');
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+// Empty a pot into the wallet and close it
+const closePot = async (req, res) => {
+  try {
+    const potModel = new SavingsPot();
+    const pot = await findOwnPot(req);
+    const penalty = pot.balance_minor > 0
+      ? await potModel.quotePenalty(pot, pot.balance_minor, req.user)
+      : { amountMinor: 0 };
+    assertPenaltyMatches(penalty, req.body.quoted_penalty);
+
+    const { pot: closed, transaction } = await potModel.close(pot, penalty);
+
+    return ResponseHandler.success(res, {
+      pot: formatPot(closed),
+      transaction: transaction ? formatTransaction(transaction) : null
+    }, 'Savings pot closed');
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+module.exports = {
+  getPots,
+  createPot,
+  getPot,
+  updatePot,
+  depositToPot,
+  quoteWithdrawal,
+  withdrawFromPot,
+  closePot
+};
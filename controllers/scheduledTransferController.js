@@ -0,0 +1,173 @@
+// controllers/scheduledTransferController.js
+const ScheduledTransfer = require('../models/ScheduledTransfer');
+const User = require('../models/User');
+const FeeSchedule = require('../models/FeeSchedule');
+const MoneyUtils = require('../utils/moneyUtils');
+const ResponseHandler = require('../utils/responseHandlers');
+const config = require('../config/env');
+const { AppError } = require('../middlewares/errorHandler');
+
+const formatTransfer = (transfer) => ({
+  ...transfer,
+  amount: MoneyUtils.fromMinorUnits(transfer.amount_minor),
+  upcoming_runs: ScheduledTransfer.upcoming(transfer)
+});
+
+const formatRun = (run) => ({
+  ...run,
+  amount: MoneyUtils.fromMinorUnits(run.amount_minor),
+  fee: MoneyUtils.fromMinorUnits(run.fee_minor)
+});
+
+const findOwnTransfer = async (req) => {
+  const transfer = await new ScheduledTransfer().findForUser(req.params.id, req.user.id);
+  if (!transfer) {
+    throw new AppError('Scheduled transfer not found', 404);
+  }
+  return transfer;
+};
+
+// Only the schedule fields that apply to the chosen type
+const pickSchedule = (body) => {
+  const schedule = {
+    schedule_type: body.schedule_type,
+    starts_at: body.starts_at || new Date().toISOString(),
+    ends_at: body.ends_at || null,
+    max_runs: body.schedule_type === ScheduledTransfer.SCHEDULE_TYPES.ONCE ? 1 : body.max_runs || null,
+    max_retries: body.max_retries ?? config.SCHEDULED_TRANSFER_MAX_RETRIES,
+    retry_delay_minutes: body.retry_delay_minutes ?? config.SCHEDULED_TRANSFER_RETRY_MINUTES
+  };
+
+  if (body.schedule_type === ScheduledTransfer.SCHEDULE_TYPES.INTERVAL) {
+    schedule.interval_unit = body.interval_unit;
+    schedule.interval_count = body.interval_count || 1;
+  }
+  if (body.schedule_type === ScheduledTransfer.SCHEDULE_TYPES.CRON) {
+    schedule.cron_expression = body.cron_expression.trim().replace(/\s+/g, ' ');
+  }
+
+  return schedule;
+};
+
+// The caller's scheduled transfers
+const getScheduledTransfers = async (req, res) => {
+  try {
+    const { page, limit, status } = req.query;
+    const transferModel = new ScheduledTransfer();
+
+    const result = await transferModel.getPaginated({
+      page: parseInt(page) || 1,
+      limit: parseInt(limit) || undefined,
+      select: [...transferModel.selectableFields, 'recipient:users!recipient_id(name, agent_code)'].join(','),
+      filters: { user_id: req.user.id, status }
+    });
+
+    return ResponseHandler.success(res, {
+      ...result,
+      data: result.data.map(formatTransfer)
+    });
+  } catch (error) {
+    return ResponseHandler.error(res, error.message);
+  }
+};
+
+// Set up a one-off or recurring transfer to another user
+const createScheduledTransfer = async (req, res) => {
+  try {
+    const { recipient: identifier, amount, note } = req.body;
+
+    const recipient = await new User().findByIdentifier(identifier);
+    if (!User.canReceive(recipient)) {
+      return ResponseHandler.notFound(res, 'Recipient not found');
+    }
+    if (recipient.id === req.user.id) {
+      return ResponseHandler.badRequest(res, 'You cannot transfer money to yourself');
+    }
+
+    const amountMinor = MoneyUtils.toMinorUnits(amount);
+    const transfer = await new ScheduledTransfer().create({
+      user_id: req.user.id,
+      recipient_id: recipient.id,
+      amount_minor: amountMinor,
+      note: note || null,
+      ...pickSchedule(req.body)
+    });
+
+    // The fee is charged at the rate in force on each run; this is today's
+    const fee = await new FeeSchedule().quote(FeeSchedule.OPERATIONS.TRANSFER, amountMinor, req.user);
+
+    return ResponseHandler.created(res, {
+      scheduled_transfer: formatTransfer(transfer),
+      recipient: {
+        name: recipient.name,
+        agent_code: recipient.agent_code
+      },
+      current_fee: MoneyUtils.fromMinorUnits(fee.amountMinor)
+    }, 'Transfer scheduled');
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+// One scheduled transfer with its latest runs
+const getScheduledTransfer = async (req, res) => {
+  try {
+    const transfer = await findOwnTransfer(req);
+    const runs = await new ScheduledTransfer().getRuns(transfer.id);
+
+    return ResponseHandler.success(res, {
+      scheduled_transfer: formatTransfer(transfer),
+      runs: runs.map(formatRun)
+    });
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+// Change the amount, note, end or retry policy; a different schedule needs a new instruction
+const updateScheduledTransfer = async (req, res) => {
+  try {
+    const transfer = await findOwnTransfer(req);
+    const updates = ScheduledTransfer.EDITABLE_FIELDS.reduce((fields, field) => (
+      req.body[field] === undefined ? fields : { ...fields, [field]: req.body[field] }
+    ), {});
+    if (req.body.amount !== undefined) {
+      updates.amount_minor = MoneyUtils.toMinorUnits(req.body.amount);
+    }
+
+    const updated = await new ScheduledTransfer().update(transfer, updates);
+
+    return ResponseHandler.success(res, {
+      scheduled_transfer: formatTransfer({ ...updated, recipient: transfer.recipient })
+    }, 'Scheduled transfer updated');
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+const changeStatus = (action, message) => async (req, res) => {
+  try {
+    const transfer = await findOwnTransfer(req);
+    const updated = await new ScheduledTransfer()[action](transfer);
+
+    return ResponseHandler.success(res, {
+      scheduled_transfer: formatTransfer({ ...updated, recipient: transfer.recipient })
+    }, message);
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+const pauseScheduledTransfer = changeStatus('pause', 'Scheduled transfer paused');
+const resumeScheduledTransfer = changeStatus('resume', 'Scheduled transfer resumed');
+const cancelScheduledTransfer = changeStatus('cancel', 'Scheduled transfer cancelled');
+
+module.exports = {
+  getScheduledTransfers,
+  createScheduledTransfer,
+  getScheduledTransfer,
+  updateScheduledTransfer,
+  pauseScheduledTransfer,
+  resumeScheduledTransfer,
+  cancelScheduledTransfer
+};
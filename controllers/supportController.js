@@ -0,0 +1,187 @@
+// controllers/supportController.js
+const SupportTicket = require('../models/SupportTicket');
+const SupportTicketMessage = require('../models/SupportTicketMessage');
+const TransactionDispute = require('../models/TransactionDispute');
+const MoneyUtils = require('../utils/moneyUtils');
+const ResponseHandler = require('../utils/responseHandlers');
+const { AppError } = require('../middlewares/errorHandler');
+
+// Leave out who is working the ticket, how it is tracking against its SLA and triage
+const formatTicket = ({
+  needs_triage,
+  team_id,
+  assignee_id,
+  assigned_at,
+  assignee,
+  team,
+  first_response_breached_at,
+  resolution_breached_at,
+  escalation_level,
+  escalated_to,
+  escalated_at,
+  ...ticket
+}) => ticket;
+
+// Add cedi amounts next to the disputed and refunded minor units
+const formatDispute = (dispute) => ({
+  ...dispute,
+  items: dispute.items.map(item => ({
+    ...item,
+    disputed_amount: MoneyUtils.fromMinorUnits(item.disputed_minor),
+    refund_amount: item.refund_minor === null ? null : MoneyUtils.fromMinorUnits(item.refund_minor),
+    transaction: item.transaction && {
+      ...item.transaction,
+      amount: MoneyUtils.fromMinorUnits(item.transaction.amount_minor)
+    }
+  }))
+});
+
+// Tickets are only visible to the user who opened them
+const findOwnTicket = async (req) => {
+  const ticket = await new SupportTicket().findById(req.params.id);
+  if (!ticket || ticket.user_id !== req.user.id) {
+    throw new AppError('Ticket not found', 404);
+  }
+  return ticket;
+};
+
+const createTicket = async (req, res) => {
+  try {
+    const { subject, description, category, priority } = req.body;
+    const ticket = await new SupportTicket().create(req.user.id, { subject, description, category, priority });
+
+    return ResponseHandler.created(res, {
+      ticket: formatTicket(ticket)
+    }, `Ticket ${ticket.reference} opened`);
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+const getMyTickets = async (req, res) => {
+  try {
+    const { page, limit, status, category, type, search } = req.query;
+
+    const result = await new SupportTicket().getPaginated({
+      page: parseInt(page) || 1,
+      limit: parseInt(limit) || undefined,
+      filters: { user_id: req.user.id, status, category, type },
+      search
+    });
+
+    return ResponseHandler.success(res, {
+      ...result,
+      data: result.data.map(formatTicket)
+    });
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+// A ticket and its conversation; opening it marks support's replies as read
+const getMyTicket = async (req, res) => {
+  try {
+    const messageModel = new SupportTicketMessage();
+    const ticket = await findOwnTicket(req);
+    const [messages, dispute] = await Promise.all([
+      messageModel.getThread(ticket.id),
+      ticket.type === SupportTicket.TYPES.DISPUTE ? new TransactionDispute().findByTicket(ticket.id) : null
+    ]);
+
+    await messageModel.markRead(ticket.id, { id: req.user.id, role: SupportTicketMessage.AUTHOR_ROLES.USER });
+
+    return ResponseHandler.success(res, {
+      ticket: formatTicket(ticket),
+      ...(dispute && { dispute: formatDispute(dispute) }),
+      messages
+    });
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+// Dispute one or more of the caller's payments; evidence is posted on the ticket's conversation
+const openDispute = async (req, res) => {
+  try {
+    const { reason, subject, description, priority, transactions } = req.body;
+    const { dispute, ticket } = await new TransactionDispute().open(req.user, {
+      reason,
+      subject,
+      description,
+      priority,
+      claims: transactions.map(claim => ({
+        transactionId: claim.transaction_id,
+        amountMinor: claim.amount === undefined ? undefined : MoneyUtils.toMinorUnits(claim.amount)
+      }))
+    });
+
+    let evidence = [];
+    if (req.validatedFiles && req.validatedFiles.length) {
+      const message = await new SupportTicketMessage().create(
+        ticket,
+        { id: req.user.id, role: SupportTicketMessage.AUTHOR_ROLES.USER },
+        { body: 'Evidence for this dispute', files: req.validatedFiles }
+      );
+      evidence = message.attachments;
+    }
+
+    return ResponseHandler.created(res, {
+      ticket: formatTicket(ticket),
+      dispute: formatDispute(dispute),
+      evidence
+    }, `Dispute ${ticket.reference} opened`);
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+// Reply on a ticket; a ticket waiting on the user or already resolved goes back to support
+const addMyTicketMessage = async (req, res) => {
+  try {
+    const ticket = await findOwnTicket(req);
+    const message = await new SupportTicketMessage().create(
+      ticket,
+      { id: req.user.id, role: SupportTicketMessage.AUTHOR_ROLES.USER },
+      { body: req.body.body, files: req.validatedFiles }
+    );
+    const updated = await new SupportTicket().reopenForReply(ticket, req.user.id);
+
+    new SupportTicketMessage()
+      .notify(ticket, message)
+      .catch(error => console.error('Error sending ticket reply notification:', error));
+
+    return ResponseHandler.created(res, {
+      message,
+      ticket_status: updated.status
+    }, 'Reply sent');
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+// Reopen or close a ticket support has resolved
+const updateMyTicketStatus = async (req, res) => {
+  try {
+    const ticket = await findOwnTicket(req);
+    const updated = await new SupportTicket().setStatus(ticket, req.body.status, {
+      byOwner: true,
+      actorId: req.user.id
+    });
+
+    return ResponseHandler.success(res, {
+      ticket: formatTicket(updated)
+    }, `Ticket ${updated.status === 'open' ? 'reopened' : updated.status}`);
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+module.exports = {
+  formatDispute,
+  createTicket,
+  openDispute,
+  getMyTickets,
+  getMyTicket,
+  addMyTicketMessage,
+  updateMyTicketStatus
+};
@@ -0,0 +1,378 @@
+// controllers/transactionController.js
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const FeeSchedule = require('../models/FeeSchedule');
+const WalletLimit = require('../models/WalletLimit');
+const WalletHold = require('../models/WalletHold');
+const FraudScreening = require('../models/FraudScreening');
+const TransactionDispute = require('../models/TransactionDispute');
+const MoneyUtils = require('../utils/moneyUtils');
+const StatementGenerator = require('../utils/statementGenerator');
+const MobileMoney = require('../utils/mobileMoney');
+const ResponseHandler = require('../utils/responseHandlers');
+const { AppError } = require('../middlewares/errorHandler');
+
+// Add the cedi amount next to the stored minor units
+const formatTransaction = (transaction, refunds, disputes) => ({
+  ...transaction,
+  amount: MoneyUtils.fromMinorUnits(transaction.amount_minor),
+  ...(transaction.refunded_minor !== undefined && {
+    refunded_amount: MoneyUtils.fromMinorUnits(transaction.refunded_minor)
+  }),
+  ...(refunds && {
+    refunds: refunds
+      .filter(refund => refund.original_transaction_id === transaction.id)
+      .map(refund => ({ ...refund, amount: MoneyUtils.fromMinorUnits(refund.amount_minor) }))
+  }),
+  ...(disputes && {
+    dispute: disputes.has(transaction.id)
+      ? {
+        ...disputes.get(transaction.id),
+        refund_amount: disputes.get(transaction.id).refund_minor === null
+          ? null
+          : MoneyUtils.fromMinorUnits(disputes.get(transaction.id).refund_minor)
+      }
+      : null
+  })
+});
+
+// Ledger balance, funds on hold, what is left to spend and the total in savings pots, in cedis
+const formatBalances = (balances) => ({
+  ledger_balance: MoneyUtils.fromMinorUnits(balances.ledger_minor),
+  held_balance: MoneyUtils.fromMinorUnits(balances.held_minor),
+  available_balance: MoneyUtils.fromMinorUnits(balances.available_minor),
+  savings_balance: MoneyUtils.fromMinorUnits(balances.savings_minor)
+});
+
+const formatHold = (hold) => ({
+  ...hold,
+  amount: MoneyUtils.fromMinorUnits(hold.amount_minor),
+  captured_amount: MoneyUtils.fromMinorUnits(hold.captured_minor || 0)
+});
+
+// Load the refunds issued against a page of transactions
+const findRefunds = (transactionModel, transactions) =>
+  transactionModel.getRefunds(
+    transactions.filter(transaction => Number(transaction.refunded_minor) > 0).map(transaction => transaction.id)
+  );
+
+// Load the disputes the caller raised on a page of transactions; admins see every dispute
+const findDisputes = (transactions, user) =>
+  new TransactionDispute().findForTransactions(
+    transactions.map(transaction => transaction.id),
+    user.role === 'admin' ? null : user.id
+  );
+
+// Resolve a transfer recipient and make sure they can receive money
+const resolveRecipient = async (identifier, sender) => {
+  const userModel = new User();
+  const recipient = await userModel.findByIdentifier(identifier);
+
+  if (!User.canReceive(recipient)) {
+    throw new AppError('Recipient not found', 404);
+  }
+  if (recipient.id === sender.id) {
+    throw new AppError('You cannot transfer money to yourself', 400);
+  }
+
+  return recipient;
+};
+
+const optionalMinorUnits = (amount) =>
+  amount === undefined ? undefined : MoneyUtils.toMinorUnits(amount);
+
+// Get the caller's transactions with filtering and pagination
+const getTransactions = async (req, res) => {
+  try {
+    const {
+      page,
+      limit,
+      search,
+      type,
+      status,
+      minAmount,
+      maxAmount,
+      startDate,
+      endDate,
+      sortBy,
+      sortOrder
+    } = req.query;
+
+    const transactionModel = new Transaction();
+    const result = await transactionModel.getPaginated({
+      page: parseInt(page) || 1,
+      limit: parseInt(limit) || undefined,
+      search,
+      sortBy,
+      sortOrder,
+      participantId: req.user.id,
+      filters: { type, status },
+      ranges: {
+        amount_minor: {
+          gte: optionalMinorUnits(minAmount),
+          lte: optionalMinorUnits(maxAmount)
+        },
+        created_at: { gte: startDate, lte: endDate }
+      }
+    });
+
+    const [refunds, disputes] = await Promise.all([
+      findRefunds(transactionModel, result.data),
+      findDisputes(result.data, req.user)
+    ]);
+
+    return ResponseHandler.success(res, {
+      ...result,
+      data: result.data.map(transaction => formatTransaction(transaction, refunds, disputes))
+    });
+  } catch (error) {
+    return ResponseHandler.error(res, error.message);
+  }
+};
+
+// Get a single transaction owned by the caller
+const getTransaction = async (req, res) => {
+  try {
+    const transactionModel = new Transaction();
+    const transaction = await transactionModel.findById(req.params.id);
+    const isAdmin = req.user.role === 'admin';
+
+    if (!transaction || (!isAdmin && !Transaction.involves(transaction, req.user.id))) {
+      return ResponseHandler.notFound(res, 'Transaction not found');
+    }
+
+    const entries = await transactionModel.getEntries(transaction.id);
+    const refunds = await findRefunds(transactionModel, [transaction]);
+    const disputes = await findDisputes([transaction], req.user);
+
+    return ResponseHandler.success(res, {
+      transaction: formatTransaction(transaction, refunds, disputes),
+      entries: isAdmin ? entries : entries.filter(entry => entry.user_id === req.user.id)
+    });
+  } catch (error) {
+    return ResponseHandler.error(res, error.message);
+  }
+};
+
+// Download a wallet statement as CSV or PDF
+const downloadStatement = async (req, res) => {
+  try {
+    const { format = 'csv', startDate, endDate } = req.query;
+    const period = { startDate, endDate };
+
+    const transactionModel = new Transaction();
+    const statement = await transactionModel.getStatement(req.user.id, period);
+
+    const timestamp = new Date().toISOString().split('T')[0];
+    const filename = `statement-${req.user.agent_code || req.user.id}-${timestamp}.${format}`;
+
+    const data = format === 'pdf'
+      ? await StatementGenerator.toPdf(statement, req.user, period)
+      : StatementGenerator.toCsv(statement, req.user, period);
+
+    res.setHeader('Content-Type', format === 'pdf' ? 'application/pdf' : 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+
+    return res.send(data);
+  } catch (error) {
+    return ResponseHandler.error(res, error.message);
+  }
+};
+
+// Look up a recipient's name before confirming a transfer
+const lookupRecipient = async (req, res) => {
+  try {
+    const recipient = await resolveRecipient(req.query.recipient, req.user);
+
+    return ResponseHandler.success(res, {
+      recipient: {
+        name: recipient.name,
+        agent_code: recipient.agent_code
+      }
+    });
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+// Transfer money from the caller's wallet to another user
+const createTransfer = async (req, res) => {
+  try {
+    const { recipient: identifier, amount, note, quoted_fee, wallet_pin } = req.body;
+    const recipient = await resolveRecipient(identifier, req.user);
+    const amountMinor = MoneyUtils.toMinorUnits(amount);
+
+    const feeModel = new FeeSchedule();
+    const fee = await feeModel.quote(FeeSchedule.OPERATIONS.TRANSFER, amountMinor, req.user);
+    FeeSchedule.assertQuoteMatches(fee, quoted_fee);
+
+    const description = note || `Transfer to ${recipient.name}`;
+    const metadata = { note, recipient_identifier: identifier };
+
+    // Score the transfer before any money moves
+    const screeningModel = new FraudScreening();
+    const { screening, review } = await screeningModel.guard(req.user, {
+      operation: FraudScreening.OPERATIONS.TRANSFER,
+      amountMinor,
+      counterpartyId: recipient.id
+    }, FraudScreening.fromRequest(req), { pin: wallet_pin, review: { fee, description, metadata } });
+
+    if (review) {
+      return ResponseHandler.success(res, {
+        review_id: review.id,
+        review_status: review.review_status,
+        amount: MoneyUtils.fromMinorUnits(amountMinor),
+        fee: MoneyUtils.fromMinorUnits(fee.amountMinor),
+        recipient: {
+          name: recipient.name,
+          agent_code: recipient.agent_code
+        }
+      }, 'Transfer is being reviewed. The funds are on hold until it is approved', 202);
+    }
+
+    const transactionModel = new Transaction();
+    const transaction = await transactionModel.transfer(
+      req.user.id,
+      recipient.id,
+      amountMinor,
+      { fee, description, metadata }
+    );
+    await screeningModel.linkTransaction(screening, transaction.id);
+
+    // The sender's last line carries the balance after the amount and any fee
+    const senderEntry = transaction.entries.filter(entry => entry.user_id === req.user.id).pop();
+
+    return ResponseHandler.created(res, {
+      transaction: formatTransaction(transaction),
+      recipient: {
+        name: recipient.name,
+        agent_code: recipient.agent_code
+      },
+      fee: MoneyUtils.fromMinorUnits(fee.amountMinor),
+      wallet_balance: MoneyUtils.fromMinorUnits(senderEntry.balance_after_minor)
+    }, 'Transfer completed successfully');
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+// Start a mobile money deposit into the caller's wallet
+const createDeposit = async (req, res) => {
+  try {
+    const { provider, amount } = req.body;
+    const phone = req.body.phone || req.user.phone;
+    if (!phone) {
+      return ResponseHandler.badRequest(res, 'A mobile money phone number is required');
+    }
+
+    const adapter = MobileMoney.getAdapter(provider);
+    const transactionModel = new Transaction();
+    let transaction = await transactionModel.createDeposit(
+      req.user.id,
+      MoneyUtils.toMinorUnits(amount),
+      { provider, phone }
+    );
+
+    try {
+      const { providerReference } = await adapter.requestCollection({
+        reference: transaction.reference,
+        amountMinor: transaction.amount_minor,
+        phone,
+        description: 'Ultimate Blog wallet top-up'
+      });
+      transaction = await transactionModel.setProviderReference(transaction.id, providerReference);
+    } catch (error) {
+      await transactionModel.failDeposit(transaction, error.message);
+      throw error;
+    }
+
+    return ResponseHandler.success(res, {
+      transaction: formatTransaction(transaction),
+      instructions: 'Approve the payment prompt on your phone to complete the deposit'
+    }, 'Deposit initiated', 202);
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+// Quote the fee for an operation before the user confirms it
+const quoteFee = async (req, res) => {
+  try {
+    const { operation, amount = 0 } = req.query;
+    const amountMinor = MoneyUtils.toMinorUnits(amount);
+
+    const feeModel = new FeeSchedule();
+    const fee = await feeModel.quote(operation, amountMinor, req.user);
+
+    return ResponseHandler.success(res, {
+      operation,
+      amount: MoneyUtils.fromMinorUnits(amountMinor),
+      fee: MoneyUtils.fromMinorUnits(fee.amountMinor),
+      total: MoneyUtils.fromMinorUnits(amountMinor + fee.amountMinor),
+      fee_schedule_version: fee.version
+    });
+  } catch (error) {
+    return ResponseHandler.error(res, error.message);
+  }
+};
+
+// Show the caller's KYC tier limits and what is left of them
+const getLimits = async (req, res) => {
+  try {
+    const limitModel = new WalletLimit();
+    const allowances = await limitModel.getAllowances(req.user);
+
+    // Caps that are not set come back as null (no limit)
+    const toCedis = amounts => Object.fromEntries(
+      Object.entries(amounts)
+        .filter(([field]) => field.endsWith('_minor'))
+        .map(([field, value]) => [
+          field.replace(/_minor$/, ''),
+          value === null || value === undefined ? null : MoneyUtils.fromMinorUnits(value)
+        ])
+    );
+
+    return ResponseHandler.success(res, {
+      kyc_level: allowances.kycLevel,
+      limits: toCedis(allowances.limits),
+      used: toCedis(allowances.usage),
+      remaining: toCedis(allowances.remaining),
+      upgrade_hint: allowances.upgradeHint
+    });
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+// Show the caller's available balance and the holds reserving the rest
+const getBalance = async (req, res) => {
+  try {
+    const holdModel = new WalletHold();
+    const [balances, holds] = await Promise.all([
+      holdModel.getBalances(req.user.id),
+      holdModel.getActive(req.user.id)
+    ]);
+
+    return ResponseHandler.success(res, {
+      ...formatBalances(balances),
+      holds: holds.map(formatHold)
+    });
+  } catch (error) {
+    return ResponseHandler.error(res, error.message);
+  }
+};
+
+module.exports = {
+  formatTransaction,
+  formatBalances,
+  formatHold,
+  getTransactions,
+  getTransaction,
+  downloadStatement,
+  lookupRecipient,
+  createTransfer,
+  createDeposit,
+  quoteFee,
+  getLimits,
+  getBalance
+};
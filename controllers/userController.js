@@ -1,6 +1,10 @@
 // controllers/userController.js
 const User = require('../models/User');
+const FeeSchedule = require('../models/FeeSchedule');
+const WalletHold = require('../models/WalletHold');
+const MoneyUtils = require('../utils/moneyUtils');
 const ResponseHandler = require('../utils/responseHandlers');
+const { formatBalances } = require('./transactionController');
 const { ValidationError } = require('../middlewares/errorHandler');
 
 // Get users with filtering and pagination
@@ -36,7 +40,9 @@ const getUser = async (req, res) => {
       return ResponseHandler.notFound(res, 'User not found');
     }
 
-    return ResponseHandler.success(res, { user });
+    const balances = await new WalletHold().getBalances(user.id);
+
+    return ResponseHandler.success(res, { user: { ...user, ...formatBalances(balances) } });
   } catch (error) {
     return ResponseHandler.error(res, error.message);
   }
@@ -103,24 +109,24 @@ const updateUser = async (req, res) => {
 
 // Handle document upload and verification
 const uploadDocument = async (req, res) => {
+  const holdModel = new WalletHold();
+  let feeHold;
+
   try {
     const { validatedFile } = req;
     const { type, number, expiryDate } = req.body;
-    const VERIFICATION_FEE = 30; // Ghana cedis
 
     const userModel = new User();
     
-    // Check if user exists and has sufficient balance
+    // Check if user exists
     const user = await userModel.findById(req.params.id);
     if (!user) {
       return ResponseHandler.notFound(res, 'User not found');
     }
 
-    if (user.wallet_balance < VERIFICATION_FEE) {
-      return ResponseHandler.badRequest(res, 
-        `Insufficient wallet balance. Verification requires ${VERIFICATION_FEE} Ghana cedis`
-      );
-    }
+    const feeModel = new FeeSchedule();
+    const fee = await feeModel.quote(FeeSchedule.OPERATIONS.DOCUMENT_VERIFICATION, 0, user);
+    const verificationFee = MoneyUtils.fromMinorUnits(fee.amountMinor);
 
     // Check if user already has a pending verification
     const existingVerification = await userModel.getDocumentVerificationStatus(req.params.id);
@@ -128,30 +134,39 @@ const uploadDocument = async (req, res) => {
       return ResponseHandler.badRequest(res, 'You already have a pending verification request');
     }
 
-    // Deduct verification fee
-    await userModel.updateWallet(req.params.id, VERIFICATION_FEE, 'subtract');
+    // Hold the verification fee; it is only charged if the document is approved
+    if (fee.amountMinor > 0) {
+      feeHold = await holdModel.place(req.params.id, fee.amountMinor, {
+        purpose: WalletHold.PURPOSES.VERIFICATION_FEE,
+        description: `Document verification fee (${type})`,
+        metadata: { fee_schedule_id: fee.scheduleId, fee_schedule_version: fee.version }
+      });
+    }
 
     // Upload document and update user record
     const updatedUser = await userModel.uploadIdentificationDocument(
       req.params.id,
       validatedFile,
-      { type, number, expiryDate }
+      { type, number, expiryDate, walletHoldId: feeHold ? feeHold.id : null }
     );
 
     return ResponseHandler.success(res, {
       message: 'Document uploaded successfully',
       user: updatedUser,
-      verification_fee: VERIFICATION_FEE,
+      verification_fee: verificationFee,
+      fee_schedule_version: fee.version,
+      hold_id: feeHold ? feeHold.id : null,
       estimated_verification_time: '24-48 hours'
     });
 
   } catch (error) {
-    // Refund verification fee if upload fails
-    if (error.message.includes('Document upload failed')) {
-      const userModel = new User();
-      await userModel.updateWallet(req.params.id, VERIFICATION_FEE, 'add');
+    // Free the held fee if upload fails
+    if (feeHold && error.message.includes('Document upload failed')) {
+      await holdModel
+        .release(feeHold, { reason: error.message })
+        .catch(releaseError => console.error('Error releasing verification fee hold:', releaseError));
     }
-    return ResponseHandler.error(res, error.message);
+    return ResponseHandler.error(res, error.message, error.statusCode);
   }
 };
 
@@ -181,17 +196,20 @@ const getDocumentStatus = async (req, res) => {
 // Update wallet balance
 const updateWallet = async (req, res) => {
   try {
-    const { amount, type } = req.body;
+    const { amount, type, transaction_reference } = req.body;
     const userModel = new User();
 
-    const user = await userModel.updateWallet(req.params.id, amount, type);
+    const user = await userModel.updateWallet(req.params.id, amount, type, {
+      description: `Wallet ${type === 'add' ? 'credit' : 'debit'}`,
+      metadata: { external_reference: transaction_reference }
+    });
     
     return ResponseHandler.success(res, { 
       user,
       message: `Wallet ${type === 'add' ? 'credited' : 'debited'} successfully`
     });
   } catch (error) {
-    return ResponseHandler.error(res, error.message);
+    return ResponseHandler.error(res, error.message, error.statusCode);
   }
 };
 
@@ -225,6 +243,29 @@ const restoreUser = async (req, res) => {
   }
 };
 
+// Set or reset the caller's wallet PIN, used to confirm USSD payments
+const setWalletPin = async (req, res) => {
+  try {
+    const { password, pin, pin_confirmation } = req.body;
+    const userModel = new User();
+
+    if (pin !== pin_confirmation) {
+      return ResponseHandler.badRequest(res, 'PINs do not match');
+    }
+    if (!(await userModel.comparePassword(password, req.user.password))) {
+      return ResponseHandler.error(res, 'Password is incorrect', 401);
+    }
+
+    await userModel.setWalletPin(req.user.id, pin);
+
+    return ResponseHandler.success(res, {
+      wallet_pin_set: true
+    }, req.user.wallet_pin_hash ? 'Wallet PIN changed' : 'Wallet PIN set');
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
 module.exports = {
   getUsers,
   getUser,
@@ -234,5 +275,6 @@ module.exports = {
   getDocumentStatus,
   updateWallet,
   deleteUser,
-  restoreUser
+  restoreUser,
+  setWalletPin
 };
\ No newline at end of file
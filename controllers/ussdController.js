@@ -0,0 +1,77 @@
+// controllers/ussdController.js
+const crypto = require('crypto');
+const User = require('../models/User');
+const UssdSession = require('../models/UssdSession');
+const UssdMenu = require('../utils/ussdMenu');
+const config = require('../config/env');
+
+// Aggregators expect plain text starting with CON (wait for input) or END (close the session)
+const reply = (res, text, end) => res.type('text/plain').send(`${end ? 'END' : 'CON'} ${text}`);
+
+// Only the aggregator knows the gateway token
+const isTrustedGateway = (req) => {
+  const provided = Buffer.from(String(req.get('x-ussd-token') || ''));
+  const expected = Buffer.from(config.USSD_GATEWAY_TOKEN);
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+};
+
+// Aggregator callback: one request per screen, keyed by the aggregator's session ID
+const handleCallback = async (req, res) => {
+  // Without a token anyone could drive any number's session, so nothing gets in
+  if (!config.USSD_GATEWAY_TOKEN) {
+    return res.status(503).type('text/plain').send('END USSD is not configured');
+  }
+  if (!isTrustedGateway(req)) {
+    return res.status(401).type('text/plain').send('END Unauthorized');
+  }
+
+  const { sessionId, text } = req.body;
+  const msisdn = req.body.msisdn || req.body.phoneNumber;
+  // Some aggregators send every input so far joined by "*"; the last one is the new input
+  const input = String(text || '').split('*').pop();
+  const sessionModel = new UssdSession();
+
+  try {
+    const session = await sessionModel.find(sessionId);
+    const user = await new User().findByPhone(session ? session.msisdn : msisdn);
+
+    if (session && !User.phoneVariants(session.msisdn).includes(String(msisdn).trim())) {
+      return reply(res, 'Session error. Please dial again.', true);
+    }
+    if (!user) {
+      return reply(res, 'This number is not registered for Ultimate Blog Wallet.', true);
+    }
+    if (!User.isActive(user)) {
+      return reply(res, 'Your account is not active. Please contact support.', true);
+    }
+
+    if (!session) {
+      await sessionModel.start({
+        session_id: sessionId,
+        msisdn,
+        user_id: user.id,
+        state: UssdMenu.STATES.MAIN
+      });
+      return reply(res, UssdMenu.MAIN_MENU, false);
+    }
+
+    const result = await UssdMenu.handle(session, input, user);
+
+    if (!result.state) {
+      await sessionModel.end(sessionId);
+      return reply(res, result.text, true);
+    }
+
+    if (!(await sessionModel.advance(session, result.state, result.data))) {
+      return reply(res, 'This request is already being processed.', true);
+    }
+    return reply(res, result.text, false);
+  } catch (error) {
+    console.error('USSD callback error:', error);
+    return reply(res, 'Service is temporarily unavailable. Please try again later.', true);
+  }
+};
+
+module.exports = {
+  handleCallback
+};
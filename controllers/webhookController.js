@@ -0,0 +1,66 @@
+// controllers/webhookController.js
+const Transaction = require('../models/Transaction');
+const PaymentWebhookEvent = require('../models/PaymentWebhookEvent');
+const Commission = require('../models/Commission');
+const CommissionRule = require('../models/CommissionRule');
+const MobileMoney = require('../utils/mobileMoney');
+const ResponseHandler = require('../utils/responseHandlers');
+
+// Apply a provider's deposit outcome to the pending transaction
+const handleDepositWebhook = async (req, res) => {
+  try {
+    const { provider } = req.params;
+    const adapter = MobileMoney.getAdapter(provider);
+    if (!adapter) {
+      return ResponseHandler.notFound(res, 'Unknown payment provider');
+    }
+
+    adapter.verifySignature(req);
+    const event = adapter.parseDepositEvent(req.body);
+
+    if (!event.eventId || !event.reference) {
+      return ResponseHandler.badRequest(res, 'Webhook is missing the event ID or reference');
+    }
+
+    // Providers retry deliveries; a processed event is acknowledged again without side effects
+    const eventModel = new PaymentWebhookEvent();
+    const storedEvent = await eventModel.record(provider, event, req.body)
+      || await eventModel.find(provider, event.eventId);
+
+    if (storedEvent.processed_at) {
+      return ResponseHandler.success(res, { duplicate: true }, 'Event already processed');
+    }
+
+    const transactionModel = new Transaction();
+    const transaction = await transactionModel.findByReference(event.reference);
+
+    if (!transaction || transaction.type !== Transaction.TYPES.DEPOSIT || transaction.provider !== provider) {
+      return ResponseHandler.notFound(res, 'Deposit not found');
+    }
+
+    if (event.status !== 'pending' && transaction.status === Transaction.STATUSES.PENDING) {
+      if (event.status === 'successful') {
+        await transactionModel.confirmDeposit(transaction, event);
+
+        await new Commission()
+          .accrue(CommissionRule.OPERATIONS.CASH_IN, transaction.user_id, {
+            sourceId: transaction.id,
+            baseMinor: Number(transaction.amount_minor)
+          })
+          .catch(error => console.error('Error accruing cash-in commission:', error));
+      } else {
+        await transactionModel.failDeposit(transaction, event.reason);
+      }
+    }
+
+    await eventModel.markProcessed(storedEvent.id);
+
+    return ResponseHandler.success(res, { reference: transaction.reference }, 'Event processed');
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+module.exports = {
+  handleDepositWebhook
+};
@@ -0,0 +1,93 @@
+// controllers/withdrawalController.js
+const Withdrawal = require('../models/Withdrawal');
+const FeeSchedule = require('../models/FeeSchedule');
+const FraudScreening = require('../models/FraudScreening');
+const MoneyUtils = require('../utils/moneyUtils');
+const EmailService = require('../utils/emailService');
+const ResponseHandler = require('../utils/responseHandlers');
+
+// Add the cedi amount next to the stored minor units
+const formatWithdrawal = (withdrawal) => ({
+  ...withdrawal,
+  amount: MoneyUtils.fromMinorUnits(withdrawal.amount_minor),
+  fee: MoneyUtils.fromMinorUnits(withdrawal.fee_minor || 0)
+});
+
+// Request a payout from the caller's wallet
+const requestWithdrawal = async (req, res) => {
+  try {
+    const { amount, method, provider, phone, bank_name, account_number, account_name, quoted_fee, wallet_pin } = req.body;
+    const destination = method === 'bank'
+      ? { bank_name, account_number, account_name }
+      : { provider, phone };
+    const amountMinor = MoneyUtils.toMinorUnits(amount);
+
+    const feeModel = new FeeSchedule();
+    const fee = await feeModel.quote(FeeSchedule.OPERATIONS.WITHDRAWAL, amountMinor, req.user);
+    FeeSchedule.assertQuoteMatches(fee, quoted_fee);
+
+    await new FraudScreening().guard(req.user, {
+      operation: FraudScreening.OPERATIONS.WITHDRAWAL,
+      amountMinor
+    }, FraudScreening.fromRequest(req), { pin: wallet_pin });
+
+    const withdrawalModel = new Withdrawal();
+    const withdrawal = await withdrawalModel.request(
+      req.user.id,
+      amountMinor,
+      { method, destination, fee }
+    );
+
+    await EmailService.sendWithdrawalStatusEmail(req.user.email, req.user.name, withdrawal);
+
+    return ResponseHandler.created(res, {
+      withdrawal: formatWithdrawal(withdrawal)
+    }, 'Withdrawal requested. Funds are on hold pending review');
+  } catch (error) {
+    return ResponseHandler.error(res, error.message, error.statusCode);
+  }
+};
+
+// Get the caller's withdrawals
+const getWithdrawals = async (req, res) => {
+  try {
+    const { page, limit, status } = req.query;
+    const withdrawalModel = new Withdrawal();
+
+    const result = await withdrawalModel.getPaginated({
+      page: parseInt(page) || 1,
+      limit: parseInt(limit) || undefined,
+      filters: { user_id: req.user.id, status }
+    });
+
+    return ResponseHandler.success(res, {
+      ...result,
+      data: result.data.map(formatWithdrawal)
+    });
+  } catch (error) {
+    return ResponseHandler.error(res, error.message);
+  }
+};
+
+// Get the status of one of the caller's withdrawals
+const getWithdrawal = async (req, res) => {
+  try {
+    const withdrawalModel = new Withdrawal();
+    const withdrawal = await withdrawalModel.findById(req.params.id);
+
+    if (!withdrawal || withdrawal.user_id !== req.user.id) {
+      return ResponseHandler.notFound(res, 'Withdrawal not found');
+    }
+
+    return ResponseHandler.success(res, { withdrawal: formatWithdrawal(withdrawal) });
+  } catch (error) {
+    return ResponseHandler.error(res, error.message);
+  }
+};
+
+module.exports = {
+  formatWithdrawal,
+  requestWithdrawal,
+  getWithdrawals,
+  getWithdrawal
+};
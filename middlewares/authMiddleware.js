@@ -1,7 +1,7 @@
 // middlewares/authMiddleware.js
 const jwt = require('jsonwebtoken');
 const config = require('../config/env');
-const supabase = require('../config/database');
+const { supabase } = require('../config/database');
 const ResponseHandler = require('../utils/responseHandlers');
 
 class AuthMiddleware {
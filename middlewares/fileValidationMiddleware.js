@@ -1,4 +1,5 @@
 const path = require('path');
+const multer = require('multer');
 const ResponseHandler = require('../utils/responseHandlers');
 
 class FileValidationMiddleware {
@@ -14,6 +15,88 @@ class FileValidationMiddleware {
     pdf: 10 * 1024 * 1024   // 10MB for PDFs
   };
 
+  // Form fields a multipart request may carry besides its files, and the size of each
+  static MAX_FORM_FIELDS = 30;
+  static MAX_FIELD_SIZE = 100 * 1024; // 100KB
+
+  /**
+   * Parse a multipart body with up to maxCount files in one field. Mount it
+   * after authentication on the routes that take uploads. Files land in
+   * req.files.<field> (an array when more than one is allowed) and form
+   * fields in req.body. A body that cannot be read, or breaks a limit, is a
+   * 400 rather than an upload that silently goes missing.
+   * @param {string} field - Form field the files are sent in
+   * @param {number} maxCount - Most files accepted
+   */
+  static uploads(field, maxCount = 1) {
+    // Uploads are kept in memory, so every count is capped as well as the file size
+    const parser = multer({
+      storage: multer.memoryStorage(),
+      limits: {
+        fileSize: FileValidationMiddleware.FILE_SIZE_LIMITS.pdf,
+        files: maxCount,
+        fields: FileValidationMiddleware.MAX_FORM_FIELDS,
+        fieldSize: FileValidationMiddleware.MAX_FIELD_SIZE,
+        parts: maxCount + FileValidationMiddleware.MAX_FORM_FIELDS
+      }
+    }).fields([{ name: field, maxCount }]);
+
+    return (req, res, next) => {
+      parser(req, res, (err) => {
+        if (err && err.code === 'LIMIT_FILE_SIZE') {
+          return ResponseHandler.badRequest(res,
+            `File size too large. Maximum size is ${FileValidationMiddleware.FILE_SIZE_LIMITS.pdf / (1024 * 1024)}MB`
+          );
+        }
+        if (err && ['LIMIT_FILE_COUNT', 'LIMIT_UNEXPECTED_FILE'].includes(err.code)) {
+          return ResponseHandler.badRequest(res,
+            `Upload up to ${maxCount} ${maxCount === 1 ? 'file' : 'files'} in the "${field}" field`
+          );
+        }
+        if (err && ['LIMIT_FIELD_COUNT', 'LIMIT_FIELD_VALUE', 'LIMIT_PART_COUNT'].includes(err.code)) {
+          return ResponseHandler.badRequest(res, 'Too many or too large form fields');
+        }
+        if (err) {
+          return ResponseHandler.badRequest(res, 'Could not read the uploaded files');
+        }
+
+        if (req.files && req.files[field]) {
+          const files = req.files[field].map(file => ({
+            name: file.originalname,
+            mimetype: file.mimetype,
+            size: file.size,
+            data: file.buffer
+          }));
+          req.files = { [field]: maxCount === 1 ? files[0] : files };
+        }
+
+        next();
+      });
+    };
+  }
+
+  /**
+   * Check an upload against the allowed types and size limits
+   * @returns {string|null} What is wrong with the file, or null if it is acceptable
+   */
+  static checkFile(file) {
+    if (!FileValidationMiddleware.ALLOWED_FILE_TYPES[file.mimetype]) {
+      return `Invalid file type. Allowed types are: ${Object.keys(FileValidationMiddleware.ALLOWED_FILE_TYPES)
+        .map(type => type.split('/')[1].toUpperCase())
+        .join(', ')}`;
+    }
+
+    const sizeLimit = file.mimetype === 'application/pdf'
+      ? FileValidationMiddleware.FILE_SIZE_LIMITS.pdf
+      : FileValidationMiddleware.FILE_SIZE_LIMITS.image;
+
+    if (file.size > sizeLimit) {
+      return `File size too large. Maximum size is ${sizeLimit / (1024 * 1024)}MB`;
+    }
+
+    return null;
+  }
+
   static validateIdDocument(req, res, next) {
     try {
       if (!req.files || !req.files.document) {
@@ -22,25 +105,9 @@ class FileValidationMiddleware {
 
       const file = req.files.document;
 
-      // Check file type
-      if (!FileValidationMiddleware.ALLOWED_FILE_TYPES[file.mimetype]) {
-        return ResponseHandler.badRequest(res, 
-          `Invalid file type. Allowed types are: ${Object.keys(FileValidationMiddleware.ALLOWED_FILE_TYPES)
-            .map(type => type.split('/')[1].toUpperCase())
-            .join(', ')}`
-        );
-      }
-
-      // Check file size
-      const sizeLimit = file.mimetype === 'application/pdf' 
-        ? FileValidationMiddleware.FILE_SIZE_LIMITS.pdf 
-        : FileValidationMiddleware.FILE_SIZE_LIMITS.image;
-
-      if (file.size > sizeLimit) {
-        const limitInMb = sizeLimit / (1024 * 1024);
-        return ResponseHandler.badRequest(res, 
-          `File size too large. Maximum size is ${limitInMb}MB`
-        );
+      const problem = FileValidationMiddleware.checkFile(file);
+      if (problem) {
+        return ResponseHandler.badRequest(res, problem);
       }
 
       // Generate safe filename
@@ -61,6 +128,89 @@ class FileValidationMiddleware {
     }
   }
 
+  static MAX_ATTACHMENTS = 5;
+
+  /**
+   * Optional "attachments" uploads on a message, checked with the same rules
+   * as identification documents
+   */
+  static validateAttachments(req, res, next) {
+    try {
+      const uploaded = req.files && req.files.attachments;
+      const files = uploaded ? [].concat(uploaded) : [];
+
+      if (files.length > FileValidationMiddleware.MAX_ATTACHMENTS) {
+        return ResponseHandler.badRequest(res,
+          `You can attach up to ${FileValidationMiddleware.MAX_ATTACHMENTS} files`
+        );
+      }
+
+      for (const file of files) {
+        const problem = FileValidationMiddleware.checkFile(file);
+        if (problem) {
+          return ResponseHandler.badRequest(res, `${path.basename(file.name || 'Attachment')}: ${problem}`);
+        }
+      }
+
+      req.validatedFiles = files.map(FileValidationMiddleware.toAttachment);
+
+      next();
+    } catch (err) {
+      return ResponseHandler.error(res, 'Error processing file upload');
+    }
+  }
+
+  /**
+   * Shape a file that passed checkFile for SupportTicketMessage.create
+   */
+  static toAttachment(file) {
+    return {
+      name: path.basename(file.name || 'attachment'),
+      safeFileName: `${Date.now()}-${Math.round(Math.random() * 1E9)}${FileValidationMiddleware.ALLOWED_FILE_TYPES[file.mimetype]}`,
+      buffer: file.data,
+      mimetype: file.mimetype,
+      size: file.size
+    };
+  }
+
+  static CSV_SIZE_LIMIT = 2 * 1024 * 1024; // 2MB
+
+  static CSV_TYPES = ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'];
+
+  /**
+   * Accept a CSV as an uploaded "file" field or as a text/csv request body
+   */
+  static validateCsvFile(req, res, next) {
+    try {
+      const file = req.files && req.files.file;
+      let content;
+
+      if (file) {
+        if (!FileValidationMiddleware.CSV_TYPES.includes(file.mimetype) && !/\.csv$/i.test(file.name || '')) {
+          return ResponseHandler.badRequest(res, 'Invalid file type. Please upload a CSV file');
+        }
+        if (file.size > FileValidationMiddleware.CSV_SIZE_LIMIT) {
+          return ResponseHandler.badRequest(res, 'File size too large. Maximum size is 2MB');
+        }
+        content = file.data.toString('utf8');
+      } else if (typeof req.body === 'string' && req.is('text/csv')) {
+        content = req.body;
+      } else {
+        return ResponseHandler.badRequest(res, 'Please upload a CSV file');
+      }
+
+      req.validatedFile = {
+        name: file ? path.basename(file.name) : req.query.fileName || 'upload.csv',
+        content,
+        size: Buffer.byteLength(content)
+      };
+
+      next();
+    } catch (err) {
+      return ResponseHandler.error(res, 'Error processing file upload');
+    }
+  }
+
   static validateIdDocumentType(req, res, next) {
     const ALLOWED_ID_TYPES = ['Ghana Card', 'Voter ID', 'NHIS', 'Student ID'];
     const ID_NUMBER_PATTERNS = {
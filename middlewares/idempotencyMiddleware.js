@@ -0,0 +1,111 @@
+// middlewares/idempotencyMiddleware.js
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const ResponseHandler = require('../utils/responseHandlers');
+const RequestContext = require('../utils/requestContext');
+
+class IdempotencyMiddleware {
+  // Sent to retries of a request that stopped partway after moving money
+  static INTERRUPTED_MESSAGE = 'This request was interrupted after the payment was made. Check your transactions before trying again';
+
+  /**
+   * Serialize a value with sorted object keys
+   */
+  static canonicalize(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.canonicalize(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort()
+        .map(key => `${JSON.stringify(key)}:${this.canonicalize(value[key])}`)
+        .join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  /**
+   * Fingerprint the parts of a request that decide what it does
+   */
+  static fingerprint(req) {
+    const files = Object.entries(req.files || {}).reduce((result, [field, uploads]) => {
+      result[field] = [].concat(uploads)
+        .map(file => `${file.name}:${file.size}:${crypto.createHash('sha256').update(file.data).digest('hex')}`);
+      return result;
+    }, {});
+
+    return crypto
+      .createHash('sha256')
+      .update(this.canonicalize({
+        method: req.method,
+        path: req.baseUrl + req.path,
+        body: req.body || {},
+        files
+      }))
+      .digest('hex');
+  }
+
+  /**
+   * Make a money-moving route safe to retry.
+   * The key comes from the Idempotency-Key header or the body's transaction_reference.
+   * A replay returns the stored response; the same key with a different payload gets a 409.
+   * A key left processing by a request that died is taken over once PROCESSING_MINUTES
+   * pass, unless that request already moved money.
+   */
+  static handle(scope) {
+    return async (req, res, next) => {
+      const key = req.get('Idempotency-Key') || req.body?.transaction_reference;
+      if (!key) return next();
+
+      try {
+        const keyModel = new IdempotencyKey();
+        const requestHash = IdempotencyMiddleware.fingerprint(req);
+        let reserved = await keyModel.reserve(req.user.id, scope, key, requestHash);
+
+        if (!reserved) {
+          const existing = await keyModel.find(req.user.id, scope, key);
+
+          if (!existing || existing.request_hash !== requestHash) {
+            return ResponseHandler.error(res, 'Idempotency key has already been used with a different request', 409);
+          }
+          if (existing.status === IdempotencyKey.STATUSES.COMPLETED) {
+            res.setHeader('Idempotent-Replayed', 'true');
+            return res.status(existing.response_status).json(existing.response_body);
+          }
+          if (IdempotencyKey.isAbandoned(existing)) {
+            if (await keyModel.hasPosted(existing.id)) {
+              const body = { status: 'error', message: IdempotencyMiddleware.INTERRUPTED_MESSAGE };
+              await keyModel.complete(existing.id, 409, body);
+              return res.status(409).json(body);
+            }
+            reserved = await keyModel.reclaim(existing);
+          }
+          if (!reserved) {
+            return ResponseHandler.error(res, 'A request with this idempotency key is still being processed', 409);
+          }
+        }
+
+        // Store the outcome before it is sent. A server error frees the key for a
+        // retry only if nothing was posted; otherwise the error is what retries get.
+        const json = res.json.bind(res);
+        res.json = async (body) => {
+          try {
+            if (res.statusCode >= 500 && !(await keyModel.hasPosted(reserved.id))) {
+              await keyModel.release(reserved.id);
+            } else {
+              await keyModel.complete(reserved.id, res.statusCode, body);
+            }
+          } catch (error) {
+            console.error('Error storing idempotent response:', error);
+          }
+          return json(body);
+        };
+
+        RequestContext.run({ idempotencyKeyId: reserved.id }, next);
+      } catch (error) {
+        return ResponseHandler.error(res, 'Error processing idempotency key');
+      }
+    };
+  }
+}
+
+module.exports = IdempotencyMiddleware;
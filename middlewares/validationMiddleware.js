@@ -101,6 +101,28 @@ class ValidationMiddleware {
     ];
   }
 
+  /**
+   * Wallet PIN rules; the account password is required to set or reset it
+   */
+  static walletPinRules() {
+    return [
+      body('password')
+        .notEmpty().withMessage('Password is required'),
+
+      body('pin')
+        .matches(/^\d{4}$/).withMessage('PIN must be 4 digits')
+        .custom(value => {
+          if (/^(\d)\1{3}$/.test(value) || ['0123', '1234', '2345', '3456', '4567', '5678', '6789'].includes(value)) {
+            throw new Error('PIN is too easy to guess');
+          }
+          return true;
+        }),
+
+      body('pin_confirmation')
+        .notEmpty().withMessage('PIN confirmation is required')
+    ];
+  }
+
   /**
    * Document upload validation rules
    */
@@ -142,6 +164,892 @@ class ValidationMiddleware {
     ];
   }
 
+  /**
+   * Mobile money deposit validation rules
+   */
+  static depositRules(providers) {
+    return [
+      body('provider')
+        .trim()
+        .notEmpty().withMessage('Provider is required')
+        .isIn(providers).withMessage(`Provider must be one of: ${providers.join(', ')}`),
+
+      body('phone')
+        .optional()
+        .trim()
+        .matches(/^\+?\d{9,15}$/).withMessage('Must be a valid phone number'),
+
+      body('amount')
+        .notEmpty().withMessage('Amount is required')
+        .isFloat({ min: 1 }).withMessage('Amount must be at least 1')
+    ];
+  }
+
+  /**
+   * Wallet transfer validation rules
+   */
+  static transferRules() {
+    return [
+      body('recipient')
+        .trim()
+        .notEmpty().withMessage('Recipient agent code, phone or email is required'),
+
+      body('amount')
+        .notEmpty().withMessage('Amount is required')
+        .isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0'),
+
+      body('note')
+        .optional()
+        .trim()
+        .isLength({ max: 140 }).withMessage('Note cannot exceed 140 characters'),
+
+      body('quoted_fee')
+        .optional()
+        .isFloat({ min: 0 }).withMessage('Quoted fee must be a positive number'),
+
+      this.screeningPinRule()
+    ];
+  }
+
+  /**
+   * Wallet PIN sent again with a payment when fraud screening asks for a step-up
+   */
+  static screeningPinRule() {
+    return body('wallet_pin')
+      .optional()
+      .matches(/^\d{4}$/).withMessage('PIN must be 4 digits');
+  }
+
+  /**
+   * Payment request validation rules
+   */
+  static paymentRequestRules() {
+    return [
+      body('payer')
+        .trim()
+        .notEmpty().withMessage('Payer agent code, phone or email is required'),
+
+      body('amount')
+        .notEmpty().withMessage('Amount is required')
+        .isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0'),
+
+      ...this.paymentRequestDetailRules()
+    ];
+  }
+
+  /**
+   * Pay link validation rules; leaving out the amount lets the payer choose it
+   */
+  static paymentLinkRules() {
+    return [
+      body('amount')
+        .optional()
+        .isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0'),
+
+      body('reusable')
+        .optional()
+        .isBoolean().withMessage('Reusable must be true or false')
+        .toBoolean(),
+
+      ...this.paymentRequestDetailRules()
+    ];
+  }
+
+  static paymentRequestDetailRules() {
+    return [
+      body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 140 }).withMessage('Description cannot exceed 140 characters'),
+
+      body('expires_in_hours')
+        .optional()
+        .isInt({ min: 1, max: 720 }).withMessage('Expiry must be between 1 and 720 hours')
+        .toInt()
+    ];
+  }
+
+  /**
+   * Payment request payment rules
+   */
+  static paymentRequestPaymentRules() {
+    return [
+      body('amount')
+        .optional()
+        .isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0'),
+
+      body('quoted_fee')
+        .optional()
+        .isFloat({ min: 0 }).withMessage('Quoted fee must be a positive number'),
+
+      this.screeningPinRule()
+    ];
+  }
+
+  /**
+   * Merchant profile rules; on update every field is optional
+   */
+  static merchantRules({ categories, methods, frequencies, providers }, isUpdate = false) {
+    const required = (field, message) => isUpdate
+      ? body(field).optional()
+      : body(field).notEmpty().withMessage(message);
+    const isMobileMoney = body('settlement_method').equals('mobile_money');
+    const isBank = body('settlement_method').equals('bank');
+
+    return [
+      required('business_name', 'Business name is required')
+        .trim()
+        .isLength({ min: 2, max: 25 }).withMessage('Business name must be between 2 and 25 characters'),
+
+      required('category', 'Category is required')
+        .isIn(categories).withMessage(`Category must be one of: ${categories.join(', ')}`),
+
+      body('city')
+        .optional()
+        .trim()
+        .isLength({ max: 15 }).withMessage('City cannot exceed 15 characters'),
+
+      body('settlement_method')
+        .optional()
+        .isIn(methods).withMessage(`Settlement method must be one of: ${methods.join(', ')}`),
+
+      body('settlement_frequency')
+        .optional()
+        .isIn(frequencies).withMessage(`Settlement frequency must be one of: ${frequencies.join(', ')}`),
+
+      body('settlement_destination.provider')
+        .if(isMobileMoney)
+        .trim()
+        .notEmpty().withMessage('Mobile money provider is required')
+        .isIn(providers).withMessage(`Provider must be one of: ${providers.join(', ')}`),
+
+      body('settlement_destination.phone')
+        .if(isMobileMoney)
+        .trim()
+        .notEmpty().withMessage('Mobile money number is required')
+        .matches(/^\+?\d{9,15}$/).withMessage('Must be a valid phone number'),
+
+      body('settlement_destination.bank_name')
+        .if(isBank)
+        .trim()
+        .notEmpty().withMessage('Bank name is required'),
+
+      body('settlement_destination.account_number')
+        .if(isBank)
+        .trim()
+        .notEmpty().withMessage('Account number is required')
+        .matches(/^\d{6,20}$/).withMessage('Invalid account number'),
+
+      body('settlement_destination.account_name')
+        .if(isBank)
+        .trim()
+        .notEmpty().withMessage('Account name is required')
+    ];
+  }
+
+  /**
+   * Merchant QR rules; an amount makes the code dynamic
+   */
+  static merchantQrRules() {
+    return [
+      body('amount')
+        .optional()
+        .isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0'),
+
+      body('reference')
+        .optional()
+        .trim()
+        .matches(/^[A-Za-z0-9-]{1,25}$/).withMessage('Reference must be up to 25 letters, digits or dashes')
+    ];
+  }
+
+  /**
+   * Merchant QR payment rules
+   */
+  static merchantPaymentRules() {
+    return [
+      body('payload')
+        .trim()
+        .notEmpty().withMessage('QR payload is required')
+        .isLength({ max: 512 }).withMessage('QR payload is too long'),
+
+      ...this.paymentRequestPaymentRules()
+    ];
+  }
+
+  /**
+   * Airtime and bill payment rules; the reference itself is checked against the biller's rule
+   */
+  static billPaymentRules() {
+    return [
+      body('biller')
+        .trim()
+        .notEmpty().withMessage('Biller is required'),
+
+      body('customer_reference')
+        .trim()
+        .notEmpty().withMessage('Customer reference is required'),
+
+      body('amount')
+        .notEmpty().withMessage('Amount is required')
+        .isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0'),
+
+      body('quoted_fee')
+        .optional()
+        .isFloat({ min: 0 }).withMessage('Quoted fee must be a positive number'),
+
+      this.screeningPinRule()
+    ];
+  }
+
+  /**
+   * Savings pot rules; on update every field is optional and null clears the target or top-up
+   */
+  static savingsPotRules({ frequencies, earlyWithdrawal }, isUpdate = false) {
+    const isFuture = value => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('Date must be in the future');
+      }
+      return true;
+    };
+
+    return [
+      (isUpdate ? body('name').optional() : body('name').notEmpty().withMessage('Pot name is required'))
+        .trim()
+        .isLength({ min: 1, max: 50 }).withMessage('Pot name cannot exceed 50 characters'),
+
+      body('target_amount')
+        .optional({ nullable: true })
+        .isFloat({ min: 0.01 }).withMessage('Target amount must be greater than 0'),
+
+      body('target_date')
+        .optional({ nullable: true })
+        .isISO8601().withMessage('Must be a valid date')
+        .custom(isFuture),
+
+      body('locked_until')
+        .optional({ nullable: true })
+        .isISO8601().withMessage('Must be a valid date')
+        .custom(isFuture),
+
+      body('early_withdrawal')
+        .optional()
+        .isIn(earlyWithdrawal).withMessage(`Early withdrawal must be one of: ${earlyWithdrawal.join(', ')}`),
+
+      body('auto_save_amount')
+        .optional({ nullable: true })
+        .isFloat({ min: 0.01 }).withMessage('Top-up amount must be greater than 0'),
+
+      body('auto_save_frequency')
+        .if(body('auto_save_amount').exists({ values: 'null' }))
+        .notEmpty().withMessage('Top-up frequency is required')
+        .isIn(frequencies).withMessage(`Top-up frequency must be one of: ${frequencies.join(', ')}`),
+
+      body('auto_save_start')
+        .optional()
+        .isISO8601().withMessage('Must be a valid date')
+    ];
+  }
+
+  /**
+   * Savings pot deposit and withdrawal rules
+   */
+  static savingsMovementRules() {
+    return [
+      body('amount')
+        .notEmpty().withMessage('Amount is required')
+        .isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0'),
+
+      body('quoted_penalty')
+        .optional()
+        .isFloat({ min: 0 }).withMessage('Quoted penalty must be a positive number')
+    ];
+  }
+
+  /**
+   * Scheduled transfer rules; the cron expression itself is checked by the model
+   */
+  static scheduledTransferRules({ types, units }) {
+    const isInterval = body('schedule_type').equals('interval');
+    const isCron = body('schedule_type').equals('cron');
+
+    return [
+      body('recipient')
+        .trim()
+        .notEmpty().withMessage('Recipient agent code, phone or email is required'),
+
+      body('amount')
+        .notEmpty().withMessage('Amount is required')
+        .isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0'),
+
+      body('note')
+        .optional()
+        .trim()
+        .isLength({ max: 140 }).withMessage('Note cannot exceed 140 characters'),
+
+      body('schedule_type')
+        .notEmpty().withMessage('Schedule type is required')
+        .isIn(types).withMessage(`Schedule type must be one of: ${types.join(', ')}`),
+
+      body('starts_at')
+        .if(body('schedule_type').equals('once'))
+        .notEmpty().withMessage('Date to send the transfer is required'),
+
+      body('starts_at')
+        .optional()
+        .isISO8601().withMessage('Must be a valid date'),
+
+      body('interval_unit')
+        .if(isInterval)
+        .notEmpty().withMessage('Interval unit is required')
+        .isIn(units).withMessage(`Interval unit must be one of: ${units.join(', ')}`),
+
+      body('interval_count')
+        .if(isInterval)
+        .optional()
+        .isInt({ min: 1, max: 365 }).withMessage('Interval must be between 1 and 365')
+        .toInt(),
+
+      body('cron_expression')
+        .if(isCron)
+        .trim()
+        .notEmpty().withMessage('Cron expression is required'),
+
+      ...this.scheduledTransferPolicyRules()
+    ];
+  }
+
+  /**
+   * End, run limit and retry policy rules, shared by create and update
+   */
+  static scheduledTransferPolicyRules() {
+    return [
+      body('ends_at')
+        .optional({ nullable: true })
+        .isISO8601().withMessage('Must be a valid date')
+        .custom((value, { req }) => {
+          if (new Date(value) <= new Date(req.body.starts_at || Date.now())) {
+            throw new Error('End date must be after the start date');
+          }
+          return true;
+        }),
+
+      body('max_runs')
+        .optional({ nullable: true })
+        .isInt({ min: 1 }).withMessage('Maximum runs must be a positive integer')
+        .toInt(),
+
+      body('max_retries')
+        .optional()
+        .isInt({ min: 0, max: 10 }).withMessage('Retries must be between 0 and 10')
+        .toInt(),
+
+      body('retry_delay_minutes')
+        .optional()
+        .isInt({ min: 5, max: 1440 }).withMessage('Retry delay must be between 5 and 1440 minutes')
+        .toInt()
+    ];
+  }
+
+  /**
+   * Withdrawal request validation rules
+   */
+  static withdrawalRules(providers) {
+    const isMobileMoney = body('method').equals('mobile_money');
+    const isBank = body('method').equals('bank');
+
+    return [
+      body('amount')
+        .notEmpty().withMessage('Amount is required')
+        .isFloat({ min: 1 }).withMessage('Amount must be at least 1'),
+
+      body('method')
+        .trim()
+        .notEmpty().withMessage('Payout method is required')
+        .isIn(['mobile_money', 'bank']).withMessage('Payout method must be mobile_money or bank'),
+
+      body('provider')
+        .if(isMobileMoney)
+        .trim()
+        .notEmpty().withMessage('Mobile money provider is required')
+        .isIn(providers).withMessage(`Provider must be one of: ${providers.join(', ')}`),
+
+      body('phone')
+        .if(isMobileMoney)
+        .trim()
+        .notEmpty().withMessage('Mobile money number is required')
+        .matches(/^\+?\d{9,15}$/).withMessage('Must be a valid phone number'),
+
+      body('bank_name')
+        .if(isBank)
+        .trim()
+        .notEmpty().withMessage('Bank name is required'),
+
+      body('account_number')
+        .if(isBank)
+        .trim()
+        .notEmpty().withMessage('Account number is required')
+        .matches(/^\d{6,20}$/).withMessage('Invalid account number'),
+
+      body('account_name')
+        .if(isBank)
+        .trim()
+        .notEmpty().withMessage('Account name is required'),
+
+      body('quoted_fee')
+        .optional()
+        .isFloat({ min: 0 }).withMessage('Quoted fee must be a positive number'),
+
+      this.screeningPinRule()
+    ];
+  }
+
+  /**
+   * Fee schedule rules (admin)
+   */
+  static feeScheduleRules(operations, kycLevels) {
+    const minorAmount = (field, label) => body(field)
+      .optional({ nullable: true })
+      .isInt({ min: 0 }).withMessage(`${label} must be a whole number of pesewas`);
+
+    return [
+      body('operation')
+        .trim()
+        .notEmpty().withMessage('Operation is required')
+        .isIn(operations).withMessage(`Operation must be one of: ${operations.join(', ')}`),
+
+      body('type')
+        .trim()
+        .notEmpty().withMessage('Fee type is required')
+        .isIn(['flat', 'percentage', 'tiered']).withMessage('Fee type must be flat, percentage or tiered'),
+
+      body('kyc_level')
+        .optional({ nullable: true })
+        .isIn(kycLevels).withMessage(`KYC level must be one of: ${kycLevels.join(', ')}`),
+
+      body('role')
+        .optional({ nullable: true })
+        .isIn(['user', 'admin']).withMessage('Role must be user or admin'),
+
+      minorAmount('flat_minor', 'Flat fee'),
+      minorAmount('min_minor', 'Minimum fee'),
+      minorAmount('max_minor', 'Maximum fee'),
+
+      body('rate_bps')
+        .if(body('type').equals('percentage'))
+        .notEmpty().withMessage('Rate is required for percentage fees')
+        .isInt({ min: 0, max: 10000 }).withMessage('Rate must be between 0 and 10000 basis points'),
+
+      body('tiers')
+        .if(body('type').equals('tiered'))
+        .isArray({ min: 1 }).withMessage('Tiered fees need at least one tier'),
+
+      body('tiers.*.up_to_minor')
+        .optional({ nullable: true })
+        .isInt({ min: 1 }).withMessage('Tier limits must be whole numbers of pesewas'),
+
+      body('tiers.*.flat_minor')
+        .optional()
+        .isInt({ min: 0 }).withMessage('Tier flat fees must be whole numbers of pesewas'),
+
+      body('tiers.*.rate_bps')
+        .optional()
+        .isInt({ min: 0, max: 10000 }).withMessage('Tier rates must be between 0 and 10000 basis points')
+    ];
+  }
+
+  /**
+   * Commission rule rules (admin); same shape as a fee schedule
+   */
+  static commissionRuleRules() {
+    return [
+      body('type')
+        .trim()
+        .notEmpty().withMessage('Commission type is required')
+        .isIn(['flat', 'percentage', 'tiered']).withMessage('Commission type must be flat, percentage or tiered'),
+
+      body(['flat_minor', 'min_minor', 'max_minor'])
+        .optional({ nullable: true })
+        .isInt({ min: 0 }).withMessage('Amounts must be whole numbers of pesewas'),
+
+      body('rate_bps')
+        .if(body('type').equals('percentage'))
+        .notEmpty().withMessage('Rate is required for percentage commission')
+        .isInt({ min: 0, max: 10000 }).withMessage('Rate must be between 0 and 10000 basis points'),
+
+      body('tiers')
+        .if(body('type').equals('tiered'))
+        .isArray({ min: 1 }).withMessage('Tiered commission needs at least one tier'),
+
+      body('active')
+        .optional()
+        .isBoolean().withMessage('Active must be true or false')
+    ];
+  }
+
+  /**
+   * Fraud rule rules (admin); thresholds are in pesewas, minutes, hours or counts
+   */
+  static fraudRuleRules() {
+    return [
+      body('enabled')
+        .optional()
+        .isBoolean().withMessage('Enabled must be true or false'),
+
+      body('score')
+        .optional()
+        .isInt({ min: 0, max: 100 }).withMessage('Score must be between 0 and 100'),
+
+      body('params')
+        .optional()
+        .isObject().withMessage('Params must be an object of thresholds')
+    ];
+  }
+
+  /**
+   * Fraud review decision rules (admin)
+   */
+  static fraudReviewRules() {
+    return [
+      body('decision')
+        .trim()
+        .notEmpty().withMessage('Decision is required')
+        .isIn(['approve', 'decline']).withMessage('Decision must be approve or decline'),
+
+      body('note')
+        .if(body('decision').equals('decline'))
+        .trim()
+        .notEmpty().withMessage('A reason is required when declining a payment')
+        .isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+    ];
+  }
+
+  /**
+   * Support ticket rules
+   */
+  static supportTicketRules({ categories, priorities }) {
+    return [
+      body('subject')
+        .trim()
+        .notEmpty().withMessage('Subject is required')
+        .isLength({ max: 150 }).withMessage('Subject cannot exceed 150 characters'),
+
+      body('description')
+        .trim()
+        .notEmpty().withMessage('Description is required')
+        .isLength({ max: 5000 }).withMessage('Description cannot exceed 5000 characters'),
+
+      body('category')
+        .trim()
+        .notEmpty().withMessage('Category is required')
+        .isIn(categories).withMessage(`Category must be one of: ${categories.join(', ')}`),
+
+      body('priority')
+        .optional()
+        .trim()
+        .isIn(priorities).withMessage(`Priority must be one of: ${priorities.join(', ')}`)
+    ];
+  }
+
+  /**
+   * Support ticket reply rules; internal notes are for staff only
+   */
+  static ticketMessageRules({ allowInternal = false } = {}) {
+    return [
+      body('body')
+        .trim()
+        .notEmpty().withMessage('Message is required')
+        .isLength({ max: 5000 }).withMessage('Message cannot exceed 5000 characters'),
+
+      ...(allowInternal
+        ? [
+          body('internal')
+            .optional()
+            .isBoolean().withMessage('Internal must be true or false')
+            .toBoolean()
+        ]
+        : [])
+    ];
+  }
+
+  /**
+   * Transaction dispute rules. In a multipart upload "transactions" is sent as
+   * a JSON string and parsed here.
+   */
+  static disputeRules({ reasons, priorities, maxTransactions }) {
+    return [
+      body('reason')
+        .trim()
+        .notEmpty().withMessage('Reason is required')
+        .isIn(reasons).withMessage(`Reason must be one of: ${reasons.join(', ')}`),
+
+      body('subject')
+        .optional()
+        .trim()
+        .isLength({ max: 150 }).withMessage('Subject cannot exceed 150 characters'),
+
+      body('description')
+        .trim()
+        .notEmpty().withMessage('Please describe what went wrong')
+        .isLength({ max: 5000 }).withMessage('Description cannot exceed 5000 characters'),
+
+      body('priority')
+        .optional()
+        .trim()
+        .isIn(priorities).withMessage(`Priority must be one of: ${priorities.join(', ')}`),
+
+      body('transactions')
+        .customSanitizer(value => {
+          if (typeof value !== 'string') return value;
+          try {
+            return JSON.parse(value);
+          } catch (err) {
+            return value;
+          }
+        })
+        .isArray({ min: 1, max: maxTransactions })
+        .withMessage(`List between 1 and ${maxTransactions} transactions`),
+
+      body('transactions.*.transaction_id')
+        .isUUID().withMessage('Invalid transaction ID'),
+
+      body('transactions.*.amount')
+        .optional()
+        .isFloat({ min: 0.01 }).withMessage('Disputed amount must be greater than 0')
+        .toFloat()
+    ];
+  }
+
+  /**
+   * Dispute resolution rules (admin); partial refunds list the amount per transaction
+   */
+  static disputeResolutionRules(outcomes) {
+    return [
+      body('outcome')
+        .trim()
+        .notEmpty().withMessage('Outcome is required')
+        .isIn(outcomes).withMessage(`Outcome must be one of: ${outcomes.join(', ')}`),
+
+      body('refunds')
+        .if(body('outcome').equals('partial_refund'))
+        .isArray({ min: 1 }).withMessage('List the amount to refund on each transaction'),
+
+      body('refunds.*.transaction_id')
+        .isUUID().withMessage('Invalid transaction ID'),
+
+      body('refunds.*.amount')
+        .isFloat({ min: 0.01 }).withMessage('Refund amount must be greater than 0')
+        .toFloat(),
+
+      body('note')
+        .if(body('outcome').equals('reject'))
+        .trim()
+        .notEmpty().withMessage('A reason is required when rejecting a dispute'),
+
+      body('note')
+        .optional()
+        .trim()
+        .isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+    ];
+  }
+
+  /**
+   * Support ticket status change rules
+   */
+  static ticketStatusRules(statuses) {
+    return [
+      body('status')
+        .trim()
+        .notEmpty().withMessage('Status is required')
+        .isIn(statuses).withMessage(`Status must be one of: ${statuses.join(', ')}`)
+    ];
+  }
+
+  /**
+   * Support ticket assignment rules (admin); a team without an admin assigns
+   * the team's next member, and a null admin unassigns the ticket
+   */
+  static ticketAssignmentRules() {
+    return [
+      body('team_id')
+        .optional()
+        .isUUID().withMessage('Invalid team ID'),
+
+      body('assignee_id')
+        .optional({ nullable: true })
+        .isUUID().withMessage('Invalid admin ID'),
+
+      body()
+        .custom(value => value.team_id !== undefined || value.assignee_id !== undefined)
+        .withMessage('Provide a team, an admin or both')
+    ];
+  }
+
+  /**
+   * Support team rules (admin)
+   */
+  static supportTeamRules(categories, isUpdate = false) {
+    return [
+      body('name')
+        .if((value, { req }) => !isUpdate || req.body.name !== undefined)
+        .trim()
+        .notEmpty().withMessage('Team name is required')
+        .isLength({ max: 100 }).withMessage('Team name cannot exceed 100 characters'),
+
+      body('categories')
+        .optional()
+        .isArray().withMessage('Categories must be a list'),
+
+      body('categories.*')
+        .isIn(categories).withMessage(`Category must be one of: ${categories.join(', ')}`),
+
+      body('supervisor_id')
+        .optional({ nullable: true })
+        .isUUID().withMessage('Invalid supervisor ID'),
+
+      body('members')
+        .optional()
+        .isArray().withMessage('Members must be a list of admin IDs'),
+
+      body('members.*')
+        .isUUID().withMessage('Invalid member ID')
+    ];
+  }
+
+  /**
+   * SLA policy rules (admin); targets are in minutes
+   */
+  static slaPolicyRules() {
+    return ['first_response_minutes', 'resolution_minutes'].map(field =>
+      body(field)
+        .optional()
+        .isInt({ min: 1 }).withMessage('Targets must be a positive number of minutes')
+        .toInt()
+    );
+  }
+
+  /**
+   * Wallet limit rules (admin); amounts are in pesewas and null removes a cap
+   */
+  static walletLimitRules() {
+    return [
+      'max_balance_minor',
+      'per_transaction_minor',
+      'daily_debit_minor',
+      'daily_credit_minor',
+      'monthly_debit_minor',
+      'monthly_credit_minor'
+    ].map(field => body(field)
+      .optional({ nullable: true })
+      .isInt({ min: 0 }).withMessage(`${field} must be a whole number of pesewas`));
+  }
+
+  /**
+   * Refund rules (admin); amount defaults to what is left to refund
+   */
+  static refundRules(reasonCodes) {
+    return [
+      body('amount')
+        .optional()
+        .isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0'),
+
+      body('reason_code')
+        .trim()
+        .notEmpty().withMessage('Reason code is required')
+        .isIn(reasonCodes).withMessage(`Reason code must be one of: ${reasonCodes.join(', ')}`),
+
+      body('note')
+        .optional()
+        .trim()
+        .isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+    ];
+  }
+
+  /**
+   * Escrow hold rules (admin)
+   */
+  static holdRules() {
+    return [
+      body('user_id')
+        .notEmpty().withMessage('User ID is required')
+        .isUUID().withMessage('Invalid user ID'),
+
+      body('payee_id')
+        .notEmpty().withMessage('Payee ID is required')
+        .isUUID().withMessage('Invalid payee ID'),
+
+      body('amount')
+        .notEmpty().withMessage('Amount is required')
+        .isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0'),
+
+      body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 255 }).withMessage('Description cannot exceed 255 characters'),
+
+      body('expires_in_hours')
+        .optional()
+        .isInt({ min: 1, max: 720 }).withMessage('Expiry must be between 1 and 720 hours')
+        .toInt()
+    ];
+  }
+
+  /**
+   * Hold capture rules (admin)
+   */
+  static holdCaptureRules() {
+    return [
+      body('amount')
+        .optional()
+        .isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0'),
+
+      body('note')
+        .optional()
+        .trim()
+        .isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+    ];
+  }
+
+  /**
+   * Withdrawal review rules (admin)
+   */
+  static withdrawalReviewRules() {
+    return [
+      body('decision')
+        .trim()
+        .notEmpty().withMessage('Decision is required')
+        .isIn(['approve', 'reject']).withMessage('Decision must be approve or reject'),
+
+      body('note')
+        .if(body('decision').equals('reject'))
+        .trim()
+        .notEmpty().withMessage('A reason is required when rejecting a withdrawal')
+        .isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+    ];
+  }
+
+  /**
+   * Withdrawal payout outcome rules (admin)
+   */
+  static withdrawalPayoutRules() {
+    return [
+      body('status')
+        .trim()
+        .notEmpty().withMessage('Status is required')
+        .isIn(['paid', 'failed']).withMessage('Status must be paid or failed'),
+
+      body('payout_reference')
+        .if(body('status').equals('paid'))
+        .trim()
+        .notEmpty().withMessage('Payout reference is required'),
+
+      body('note')
+        .optional()
+        .trim()
+        .isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+    ];
+  }
+
   /**
    * Document verification rules (admin)
    */
@@ -0,0 +1,272 @@
+const QueryBuilder = require("../utils/QueryBuilder");
+const Transaction = require("./Transaction");
+const ErrorHandler = require("../middlewares/errorHandler");
+const Billers = require("../utils/billers");
+const BaseBillerAdapter = require("../utils/billers/baseBillerAdapter");
+
+class BillPayment extends QueryBuilder {
+  static STATUSES = {
+    PENDING: "pending",
+    PROCESSING: "processing",
+    COMPLETED: "completed",
+    REVERSED: "reversed",
+    FAILED: "failed",
+  };
+
+  constructor() {
+    super("bill_payments");
+    this.selectableFields = [
+      "id",
+      "user_id",
+      "biller_id",
+      "customer_reference",
+      "customer_name",
+      "amount_minor",
+      "fee_minor",
+      "status",
+      "transaction_id",
+      "reversal_transaction_id",
+      "provider_reference",
+      "token",
+      "failure_reason",
+      "check_count",
+      "last_checked_at",
+      "completed_at",
+      "created_at",
+      "updated_at",
+    ];
+  }
+
+  /**
+   * Find payment by ID
+   * @param {string} id - Payment ID
+   * @returns {Promise<Object>} Payment data with its biller
+   */
+  async findById(id) {
+    try {
+      const { data, error } = await this.query
+        .select([...this.selectableFields, "biller:billers(*)"].join(","))
+        .eq("id", id)
+        .is("deleted_at", null)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error finding bill payment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store a new payment before anything is debited
+   * @param {Object} paymentData - Payment data
+   * @returns {Promise<Object>} Created payment
+   */
+  async create(paymentData) {
+    try {
+      const { data, error } = await this.query
+        .insert({
+          ...paymentData,
+          status: BillPayment.STATUSES.PENDING,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        })
+        .select(this.selectableFields.join(","))
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error creating bill payment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move a payment on from the status it was read in
+   * @param {Object} payment - Payment data
+   * @param {string} from - Expected current status
+   * @param {Object} updates - Fields to set, including the new status
+   * @returns {Promise<Object>} Updated payment
+   */
+  async transition(payment, from, updates) {
+    try {
+      const { data, error } = await this.query
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq("id", payment.id)
+        .eq("status", from)
+        .select(this.selectableFields.join(","))
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!data) {
+        throw new ErrorHandler.AppError("Bill payment was updated by someone else", 409);
+      }
+      return data;
+    } catch (error) {
+      if (error.isOperational) throw error;
+      throw new Error(`Error updating bill payment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pay a bill: debit the wallet, call the provider, then confirm or reverse.
+   * If the provider cannot be reached the payment stays processing and is
+   * settled by requeryPending().
+   * @param {Object} user - Paying user
+   * @param {Object} biller - Biller data
+   * @param {Object} options - customerReference (normalized), customerName, amountMinor, fee
+   * @returns {Promise<Object>} Payment in its latest status
+   */
+  async pay(user, biller, { customerReference, customerName = null, amountMinor, fee }) {
+    const payment = await this.create({
+      user_id: user.id,
+      biller_id: biller.id,
+      customer_reference: customerReference,
+      customer_name: customerName,
+      amount_minor: amountMinor,
+      fee_minor: fee.amountMinor,
+    });
+
+    let transaction;
+    try {
+      transaction = await new Transaction().payBill(user.id, amountMinor, {
+        fee,
+        description: `${biller.name} - ${customerReference}`,
+        metadata: { bill_payment_id: payment.id, biller: biller.slug, customer_reference: customerReference },
+      });
+    } catch (error) {
+      await this.transition(payment, BillPayment.STATUSES.PENDING, {
+        status: BillPayment.STATUSES.FAILED,
+        failure_reason: error.message,
+      }).catch((updateError) => console.error("Error failing bill payment:", updateError));
+      throw error;
+    }
+
+    const processing = await this.transition(payment, BillPayment.STATUSES.PENDING, {
+      status: BillPayment.STATUSES.PROCESSING,
+      transaction_id: transaction.id,
+    });
+
+    let result;
+    try {
+      result = await Billers.getAdapter().pay({
+        biller,
+        reference: payment.id,
+        customerReference,
+        amountMinor,
+      });
+    } catch (error) {
+      console.error(`Bill payment ${payment.id} provider call failed:`, error.message);
+      return processing;
+    }
+
+    return this.applyResult(processing, result);
+  }
+
+  /**
+   * Settle a processing payment from a provider result
+   * @param {Object} payment - Processing payment
+   * @param {Object} result - Normalized adapter result
+   * @returns {Promise<Object>} Updated payment
+   */
+  async applyResult(payment, result) {
+    const providerReference = result.providerReference || payment.provider_reference;
+
+    if (result.status === BaseBillerAdapter.STATUSES.SUCCESSFUL) {
+      return this.transition(payment, BillPayment.STATUSES.PROCESSING, {
+        status: BillPayment.STATUSES.COMPLETED,
+        provider_reference: providerReference,
+        token: result.token || null,
+        completed_at: new Date().toISOString(),
+      });
+    }
+
+    if (result.status === BaseBillerAdapter.STATUSES.FAILED) {
+      return this.reverse({ ...payment, provider_reference: providerReference }, result.message);
+    }
+
+    if (providerReference !== payment.provider_reference) {
+      return this.transition(payment, BillPayment.STATUSES.PROCESSING, { provider_reference: providerReference });
+    }
+    return payment;
+  }
+
+  /**
+   * Refund a payment the provider declined. The payment is marked reversed
+   * first so it is refunded once, and put back to processing if the refund fails.
+   * @param {Object} payment - Processing payment
+   * @param {string} reason - Provider's reason
+   * @returns {Promise<Object>} Reversed payment
+   */
+  async reverse(payment, reason) {
+    const reversed = await this.transition(payment, BillPayment.STATUSES.PROCESSING, {
+      status: BillPayment.STATUSES.REVERSED,
+      provider_reference: payment.provider_reference,
+      failure_reason: reason || "Declined by provider",
+    });
+
+    try {
+      const refund = await new Transaction().refund(payment.transaction_id, null, {
+        reasonCode: Transaction.REFUND_REASONS.SERVICE_FAILURE,
+        note: reason || "Bill payment declined by provider",
+      });
+
+      const { error } = await this.query
+        .update({ reversal_transaction_id: refund.id, updated_at: new Date().toISOString() })
+        .eq("id", payment.id);
+      if (error) console.error("Error linking bill payment reversal:", error);
+
+      return { ...reversed, reversal_transaction_id: refund.id };
+    } catch (error) {
+      await this.transition(reversed, BillPayment.STATUSES.REVERSED, {
+        status: BillPayment.STATUSES.PROCESSING,
+        failure_reason: null,
+      }).catch((updateError) => console.error("Error reopening bill payment:", updateError));
+      throw error;
+    }
+  }
+
+  /**
+   * Ask the provider about payments still processing
+   * @param {Object} options - olderThanMinutes, limit
+   * @returns {Promise<Object>} Counts of payments checked and settled
+   */
+  async requeryPending({ olderThanMinutes = 2, limit = 50 } = {}) {
+    const { data: payments, error } = await this.query
+      .select([...this.selectableFields, "biller:billers(*)"].join(","))
+      .eq("status", BillPayment.STATUSES.PROCESSING)
+      .lte("updated_at", new Date(Date.now() - olderThanMinutes * 60 * 1000).toISOString())
+      .order("updated_at", { ascending: true })
+      .limit(limit);
+
+    if (error) throw new Error(`Error fetching processing bill payments: ${error.message}`);
+
+    const adapter = Billers.getAdapter();
+    let settled = 0;
+
+    for (const payment of payments) {
+      try {
+        const result = await adapter.checkStatus({
+          biller: payment.biller,
+          reference: payment.id,
+          providerReference: payment.provider_reference,
+        });
+
+        // Touch the payment so it moves to the back of the queue
+        const checked = await this.transition(payment, BillPayment.STATUSES.PROCESSING, {
+          check_count: Number(payment.check_count) + 1,
+          last_checked_at: new Date().toISOString(),
+        });
+
+        const updated = await this.applyResult(checked, result);
+        if (updated.status !== BillPayment.STATUSES.PROCESSING) settled += 1;
+      } catch (checkError) {
+        console.error(`Error checking bill payment ${payment.id}:`, checkError.message);
+      }
+    }
+
+    return { checked: payments.length, settled };
+  }
+}
+
+module.exports = BillPayment;
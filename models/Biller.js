@@ -0,0 +1,100 @@
+const QueryBuilder = require("../utils/QueryBuilder");
+const ErrorHandler = require("../middlewares/errorHandler");
+const MoneyUtils = require("../utils/moneyUtils");
+
+class Biller extends QueryBuilder {
+  static CATEGORIES = ["airtime", "electricity", "water", "tv"];
+
+  constructor() {
+    super("billers");
+    this.selectableFields = [
+      "id",
+      "slug",
+      "name",
+      "category",
+      "provider_code",
+      "reference_label",
+      "reference_pattern",
+      "reference_hint",
+      "supports_lookup",
+      "min_minor",
+      "max_minor",
+      "active",
+    ];
+  }
+
+  /**
+   * Active billers, optionally in one category
+   * @param {Object} options - category
+   * @returns {Promise<Array>} Billers ordered by category and name
+   */
+  async getCatalog({ category } = {}) {
+    try {
+      let query = this.query.select(this.selectableFields.join(",")).eq("active", true);
+      if (category) query = query.eq("category", category);
+
+      const { data, error } = await query.order("category").order("name");
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error fetching billers: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find an active biller by slug
+   * @param {string} slug - Biller slug
+   * @returns {Promise<Object>} Biller data
+   */
+  async findBySlug(slug) {
+    try {
+      const { data, error } = await this.query
+        .select(this.selectableFields.join(","))
+        .eq("slug", slug)
+        .eq("active", true)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error finding biller: ${error.message}`);
+    }
+  }
+
+  /**
+   * Normalize a customer reference and check it against the biller's rule
+   * @param {Object} biller - Biller data
+   * @param {string} reference - Reference as entered
+   * @returns {string} Normalized reference
+   */
+  static normalizeReference(biller, reference) {
+    let value = String(reference).replace(/[\s-]/g, "");
+    // Phone numbers are stored in the local 0XXXXXXXXX form
+    if (biller.category === "airtime") value = value.replace(/^(\+?233)/, "0");
+
+    if (!new RegExp(biller.reference_pattern).test(value)) {
+      throw new ErrorHandler.AppError(
+        `Invalid ${biller.reference_label.toLowerCase()} for ${biller.name}${biller.reference_hint ? ` (${biller.reference_hint})` : ""}`,
+        400
+      );
+    }
+    return value;
+  }
+
+  /**
+   * Check an amount against the biller's limits
+   * @param {Object} biller - Biller data
+   * @param {number} amountMinor - Amount in minor units
+   */
+  static assertAmount(biller, amountMinor) {
+    if (amountMinor < Number(biller.min_minor) || amountMinor > Number(biller.max_minor)) {
+      throw new ErrorHandler.AppError(
+        `${biller.name} payments must be between ${MoneyUtils.format(biller.min_minor)} and ${MoneyUtils.format(biller.max_minor)}`,
+        400
+      );
+    }
+  }
+}
+
+module.exports = Biller;
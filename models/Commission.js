@@ -0,0 +1,140 @@
+const QueryBuilder = require("../utils/QueryBuilder");
+const CommissionRule = require("./CommissionRule");
+const Transaction = require("./Transaction");
+
+class Commission extends QueryBuilder {
+  constructor() {
+    super("agent_commissions");
+    this.selectableFields = [
+      "id",
+      "agent_id",
+      "referred_user_id",
+      "operation",
+      "source_id",
+      "base_minor",
+      "amount_minor",
+      "transaction_id",
+      "settlement_id",
+      "settlement_transaction_id",
+      "created_at",
+    ];
+  }
+
+  /**
+   * Accrue commission to the agent who referred a user.
+   * Each operation and source earns commission at most once.
+   * @param {string} operation - Commission operation
+   * @param {string} userId - Referred user who performed the operation
+   * @param {Object} source - sourceId (transaction or user ID) and baseMinor
+   * @returns {Promise<Object|null>} Accrual, or null when nothing is earned
+   */
+  async accrue(operation, userId, { sourceId, baseMinor = 0 }) {
+    const { data: user, error: userError } = await this.supabase
+      .from("users")
+      .select("id, referred_by")
+      .eq("id", userId)
+      .maybeSingle();
+    if (userError) throw new Error(`Error finding referring agent: ${userError.message}`);
+    if (!user || !user.referred_by) return null;
+
+    const rule = await new CommissionRule().findActive(operation);
+    if (!rule) return null;
+
+    const amountMinor = CommissionRule.calculate(rule, baseMinor);
+    if (amountMinor <= 0) return null;
+
+    const { data: accrual, error } = await this.query
+      .insert({
+        agent_id: user.referred_by,
+        referred_user_id: user.id,
+        operation,
+        source_id: sourceId,
+        base_minor: baseMinor,
+        amount_minor: amountMinor,
+        created_at: new Date().toISOString(),
+      })
+      .select(this.selectableFields.join(","))
+      .single();
+
+    if (error && error.code === "23505") return null;
+    if (error) throw new Error(`Error recording commission: ${error.message}`);
+
+    let transaction;
+    try {
+      transaction = await new Transaction().accrueCommission(user.referred_by, amountMinor, {
+        counterparty_id: user.id,
+        description: `Commission: ${operation.replace("_", " ")}`,
+        metadata: { commission_id: accrual.id, operation, source_id: sourceId },
+      });
+    } catch (ledgerError) {
+      await this.query.delete().eq("id", accrual.id);
+      throw ledgerError;
+    }
+
+    const { error: linkError } = await this.query
+      .update({ transaction_id: transaction.id })
+      .eq("id", accrual.id);
+    if (linkError) throw new Error(`Error recording commission: ${linkError.message}`);
+
+    return { ...accrual, transaction_id: transaction.id };
+  }
+
+  /**
+   * Summarise an agent's commission for a period
+   * @param {string} agentId - Agent user ID
+   * @param {Object} period - startDate and endDate (ISO 8601, both optional)
+   * @returns {Promise<Object>} Accrued balance, referral count and per-operation totals
+   */
+  async getSummary(agentId, { startDate, endDate } = {}) {
+    try {
+      let query = this.query
+        .select("operation, amount_minor, settlement_id")
+        .eq("agent_id", agentId)
+        .is("deleted_at", null);
+      if (startDate) query = query.gte("created_at", startDate);
+      if (endDate) query = query.lte("created_at", endDate);
+
+      const [{ data, error }, { count, error: countError }, account] = await Promise.all([
+        query,
+        this.supabase
+          .from("users")
+          .select("id", { count: "exact", head: true })
+          .eq("referred_by", agentId)
+          .is("deleted_at", null),
+        new Transaction().getAccount(`commission:${agentId}`),
+      ]);
+
+      if (error) throw error;
+      if (countError) throw countError;
+
+      const byOperation = Object.values(CommissionRule.OPERATIONS).reduce((totals, operation) => {
+        totals[operation] = { count: 0, amount_minor: 0 };
+        return totals;
+      }, {});
+
+      const summary = {
+        unsettled_balance_minor: account ? Number(account.balance_minor) : 0,
+        referrals: count || 0,
+        earned_minor: 0,
+        settled_minor: 0,
+        by_operation: byOperation,
+      };
+
+      data.forEach((accrual) => {
+        const amountMinor = Number(accrual.amount_minor);
+        summary.earned_minor += amountMinor;
+        if (accrual.settlement_id) summary.settled_minor += amountMinor;
+        if (byOperation[accrual.operation]) {
+          byOperation[accrual.operation].count += 1;
+          byOperation[accrual.operation].amount_minor += amountMinor;
+        }
+      });
+
+      return summary;
+    } catch (error) {
+      throw new Error(`Error building commission report: ${error.message}`);
+    }
+  }
+}
+
+module.exports = Commission;
@@ -0,0 +1,101 @@
+const QueryBuilder = require("../utils/QueryBuilder");
+const FeeSchedule = require("./FeeSchedule");
+
+class CommissionRule extends QueryBuilder {
+  static OPERATIONS = {
+    REGISTRATION: "registration",
+    CASH_IN: "cash_in",
+    VERIFICATION_FEE: "verification_fee",
+  };
+
+  constructor() {
+    super("commission_rules");
+    this.selectableFields = [
+      "operation",
+      "type",
+      "flat_minor",
+      "rate_bps",
+      "tiers",
+      "min_minor",
+      "max_minor",
+      "active",
+      "updated_by",
+      "updated_at",
+    ];
+  }
+
+  /**
+   * Commission a rule pays on an amount; rules use the fee schedule format
+   * @param {Object} rule - Commission rule
+   * @param {number} baseMinor - Amount the commission is earned on, in minor units
+   * @returns {number} Commission in minor units
+   */
+  static calculate(rule, baseMinor) {
+    return FeeSchedule.calculate(rule, baseMinor);
+  }
+
+  /**
+   * Get every commission rule
+   * @returns {Promise<Array>} Rules
+   */
+  async getAll() {
+    try {
+      const { data, error } = await this.query
+        .select(this.selectableFields.join(","))
+        .order("operation", { ascending: true });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error fetching commission rules: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the active rule for an operation
+   * @param {string} operation - Operation name
+   * @returns {Promise<Object|null>} Rule
+   */
+  async findActive(operation) {
+    try {
+      const { data, error } = await this.query
+        .select(this.selectableFields.join(","))
+        .eq("operation", operation)
+        .eq("active", true)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error finding commission rule: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create or replace the rule for an operation
+   * @param {string} operation - Operation name
+   * @param {Object} ruleData - Rule definition
+   * @param {string} adminId - Admin making the change
+   * @returns {Promise<Object>} Saved rule
+   */
+  async save(operation, ruleData, adminId) {
+    try {
+      const { data, error } = await this.query
+        .upsert({
+          ...ruleData,
+          operation,
+          updated_by: adminId,
+          updated_at: new Date().toISOString(),
+        })
+        .select(this.selectableFields.join(","))
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error saving commission rule: ${error.message}`);
+    }
+  }
+}
+
+module.exports = CommissionRule;
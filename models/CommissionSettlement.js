@@ -0,0 +1,144 @@
+const QueryBuilder = require("../utils/QueryBuilder");
+const Transaction = require("./Transaction");
+
+class CommissionSettlement extends QueryBuilder {
+  static STATUSES = {
+    RUNNING: "running",
+    COMPLETED: "completed",
+  };
+
+  constructor() {
+    super("commission_settlements");
+    this.selectableFields = [
+      "id",
+      "status",
+      "run_by",
+      "agent_count",
+      "total_minor",
+      "failures",
+      "created_at",
+      "completed_at",
+    ];
+  }
+
+  /**
+   * Unsettled accruals, grouped by agent
+   * @returns {Promise<Map<string, Array<string>>>} agentId => accrual IDs
+   */
+  async findUnsettled() {
+    const { data, error } = await this.supabase
+      .from("agent_commissions")
+      .select("id, agent_id")
+      .is("settlement_id", null)
+      .not("transaction_id", "is", null)
+      .is("deleted_at", null);
+
+    if (error) throw new Error(`Error fetching unsettled commission: ${error.message}`);
+
+    return data.reduce((agents, accrual) => {
+      agents.set(accrual.agent_id, [...(agents.get(accrual.agent_id) || []), accrual.id]);
+      return agents;
+    }, new Map());
+  }
+
+  /**
+   * Settle one agent: claim their accruals for this run, then move the total into their wallet
+   * @param {Object} settlement - Settlement run
+   * @param {string} agentId - Agent user ID
+   * @param {Array<string>} accrualIds - Unsettled accrual IDs
+   * @returns {Promise<number>} Amount settled in minor units
+   */
+  async settleAgent(settlement, agentId, accrualIds) {
+    // Claiming only still-unsettled rows keeps overlapping runs from paying twice
+    const { data: claimed, error } = await this.supabase
+      .from("agent_commissions")
+      .update({ settlement_id: settlement.id })
+      .in("id", accrualIds)
+      .is("settlement_id", null)
+      .select("id, amount_minor");
+
+    if (error) throw new Error(`Error claiming commission: ${error.message}`);
+
+    const totalMinor = claimed.reduce((sum, accrual) => sum + Number(accrual.amount_minor), 0);
+    if (totalMinor === 0) return 0;
+
+    const claimedIds = claimed.map((accrual) => accrual.id);
+    try {
+      const transaction = await new Transaction().settleCommission(agentId, totalMinor, {
+        description: `Commission settlement (${claimed.length} item${claimed.length === 1 ? "" : "s"})`,
+        metadata: { settlement_id: settlement.id },
+      });
+
+      await this.supabase
+        .from("agent_commissions")
+        .update({ settlement_transaction_id: transaction.id })
+        .in("id", claimedIds);
+    } catch (settleError) {
+      // Leave the accruals for the next run
+      await this.supabase
+        .from("agent_commissions")
+        .update({ settlement_id: null })
+        .in("id", claimedIds)
+        .eq("settlement_id", settlement.id);
+      throw settleError;
+    }
+
+    return totalMinor;
+  }
+
+  /**
+   * Move all accrued commission into agents' wallets.
+   * An agent whose settlement fails is reported and picked up by the next run.
+   * @param {string|null} runBy - Admin ID, empty for scheduled runs
+   * @returns {Promise<Object>} Completed settlement run
+   */
+  async run(runBy = null) {
+    try {
+      const { data: settlement, error } = await this.query
+        .insert({
+          status: CommissionSettlement.STATUSES.RUNNING,
+          run_by: runBy,
+          created_at: new Date().toISOString(),
+        })
+        .select(this.selectableFields.join(","))
+        .single();
+
+      if (error) throw error;
+
+      const failures = [];
+      let agentCount = 0;
+      let totalMinor = 0;
+
+      for (const [agentId, accrualIds] of await this.findUnsettled()) {
+        try {
+          const settledMinor = await this.settleAgent(settlement, agentId, accrualIds);
+          if (settledMinor > 0) {
+            agentCount += 1;
+            totalMinor += settledMinor;
+          }
+        } catch (agentError) {
+          failures.push({ agent_id: agentId, reason: agentError.message });
+        }
+      }
+
+      const { data, error: updateError } = await this.query
+        .update({
+          status: CommissionSettlement.STATUSES.COMPLETED,
+          agent_count: agentCount,
+          total_minor: totalMinor,
+          failures,
+          completed_at: new Date().toISOString(),
+        })
+        .eq("id", settlement.id)
+        .select(this.selectableFields.join(","))
+        .single();
+
+      if (updateError) throw updateError;
+      return data;
+    } catch (error) {
+      throw new Error(`Error settling commission: ${error.message}`);
+    }
+  }
+}
+
+module.exports = CommissionSettlement;
@@ -0,0 +1,432 @@
+const QueryBuilder = require("../utils/QueryBuilder");
+const Transaction = require("./Transaction");
+const User = require("./User");
+const WalletLimit = require("./WalletLimit");
+const ErrorHandler = require("../middlewares/errorHandler");
+const MoneyUtils = require("../utils/moneyUtils");
+
+class DisbursementBatch extends QueryBuilder {
+  static MAX_ROWS = 1000;
+
+  static STATUSES = {
+    DRAFT: "draft",
+    CANCELLED: "cancelled",
+    PROCESSING: "processing",
+    COMPLETED: "completed",
+  };
+
+  static ITEM_STATUSES = {
+    INVALID: "invalid",
+    PENDING: "pending",
+    PROCESSING: "processing",
+    PAID: "paid",
+    FAILED: "failed",
+    CANCELLED: "cancelled",
+  };
+
+  constructor() {
+    super("disbursement_batches");
+    this.selectableFields = [
+      "id",
+      "status",
+      "file_name",
+      "description",
+      "row_count",
+      "valid_count",
+      "invalid_count",
+      "total_minor",
+      "paid_count",
+      "paid_minor",
+      "failed_count",
+      "created_by",
+      "approved_by",
+      "approved_at",
+      "completed_at",
+      "created_at",
+      "updated_at",
+    ];
+    this.itemFields = [
+      "id",
+      "row_number",
+      "recipient",
+      "recipient_id",
+      "amount_minor",
+      "reference",
+      "status",
+      "errors",
+      "transaction_id",
+      "processed_at",
+    ];
+  }
+
+  /**
+   * Amount in a row as minor units, or null if it is not a valid cedi amount
+   * @param {string} amount - Amount as written in the file
+   * @returns {number|null} Minor units
+   */
+  static parseAmount(amount) {
+    const value = String(amount).replace(/,/g, "");
+    if (!/^\d+(\.\d{1,2})?$/.test(value)) return null;
+    const amountMinor = MoneyUtils.toMinorUnits(value);
+    return amountMinor > 0 ? amountMinor : null;
+  }
+
+  /**
+   * Find batch by ID
+   * @param {string} id - Batch ID
+   * @returns {Promise<Object>} Batch data
+   */
+  async findById(id) {
+    try {
+      const { data, error } = await this.query
+        .select(this.selectableFields.join(","))
+        .eq("id", id)
+        .is("deleted_at", null)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error finding disbursement batch: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the rows of a batch
+   * @param {string} batchId - Batch ID
+   * @param {Object} options - status to filter by
+   * @returns {Promise<Array>} Items in file order
+   */
+  async getItems(batchId, { status } = {}) {
+    try {
+      let query = this.supabase
+        .from("disbursement_items")
+        .select(this.itemFields.join(","))
+        .eq("batch_id", batchId);
+      if (status) query = query.eq("status", status);
+
+      const { data, error } = await query.order("row_number", { ascending: true });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error fetching disbursement items: ${error.message}`);
+    }
+  }
+
+  /**
+   * References from the file that are already pending or paid in another batch
+   * @param {Array<string>} references - References to check
+   * @returns {Promise<Set<string>>} References in use
+   */
+  async findUsedReferences(references) {
+    if (references.length === 0) return new Set();
+
+    const { data, error } = await this.supabase
+      .from("disbursement_items")
+      .select("reference")
+      .in("reference", references)
+      .in("status", [
+        DisbursementBatch.ITEM_STATUSES.PENDING,
+        DisbursementBatch.ITEM_STATUSES.PROCESSING,
+        DisbursementBatch.ITEM_STATUSES.PAID,
+      ]);
+
+    if (error) throw new Error(`Error checking references: ${error.message}`);
+    return new Set(data.map((item) => item.reference));
+  }
+
+  /**
+   * Validate every row of a file: the recipient exists and can be paid, the
+   * amount is valid and each reference is used once. Rows paying the same
+   * recipient are checked against their wallet limits together.
+   * @param {Array} rows - Parsed rows (row_number, recipient, amount, reference)
+   * @returns {Promise<Array>} Items with recipient_id, amount_minor, status and errors
+   */
+  async validateRows(rows) {
+    const userModel = new User();
+    const limitModel = new WalletLimit();
+    const usedReferences = await this.findUsedReferences([
+      ...new Set(rows.map((row) => row.reference).filter(Boolean)),
+    ]);
+
+    const seenReferences = new Set();
+    const recipients = new Map();
+    const items = [];
+
+    for (const row of rows) {
+      const errors = [];
+      let recipient = null;
+
+      if (!row.recipient) {
+        errors.push("Recipient is required");
+      } else {
+        if (!recipients.has(row.recipient)) {
+          recipients.set(row.recipient, await userModel.findByIdentifier(row.recipient));
+        }
+        recipient = recipients.get(row.recipient);
+        if (!User.canReceive(recipient)) {
+          errors.push("Recipient not found");
+          recipient = null;
+        }
+      }
+
+      const amountMinor = DisbursementBatch.parseAmount(row.amount);
+      if (amountMinor === null) errors.push("Amount must be a positive cedi amount with at most 2 decimals");
+
+      if (!row.reference) {
+        errors.push("Reference is required");
+      } else if (row.reference.length > 100) {
+        errors.push("Reference cannot exceed 100 characters");
+      } else if (seenReferences.has(row.reference)) {
+        errors.push("Reference appears more than once in the file");
+      } else if (usedReferences.has(row.reference)) {
+        errors.push("Reference has already been used in another batch");
+      }
+      if (row.reference) seenReferences.add(row.reference);
+
+      items.push({
+        row_number: row.row_number,
+        recipient: row.recipient,
+        recipient_id: recipient ? recipient.id : null,
+        amount_minor: amountMinor,
+        reference: row.reference,
+        errors,
+      });
+    }
+
+    // Total per recipient, so several small rows cannot add up past a limit
+    const totals = items
+      .filter((item) => item.errors.length === 0)
+      .reduce(
+        (sums, item) => sums.set(item.recipient_id, (sums.get(item.recipient_id) || 0) + item.amount_minor),
+        new Map()
+      );
+
+    for (const [recipientId, creditMinor] of totals) {
+      try {
+        await limitModel.assertWithin(recipientId, { creditMinor });
+      } catch (error) {
+        if (!error.isOperational) throw error;
+        items
+          .filter((item) => item.recipient_id === recipientId && item.errors.length === 0)
+          .forEach((item) => item.errors.push(error.message));
+      }
+    }
+
+    return items.map((item) => ({
+      ...item,
+      status:
+        item.errors.length === 0 ? DisbursementBatch.ITEM_STATUSES.PENDING : DisbursementBatch.ITEM_STATUSES.INVALID,
+    }));
+  }
+
+  /**
+   * Validate a file and store it as a draft batch for review. Nothing is paid
+   * until the batch is approved.
+   * @param {Array} rows - Parsed rows
+   * @param {Object} options - fileName, description, createdBy (admin ID)
+   * @returns {Promise<Object>} Draft batch with its items
+   */
+  async createDraft(rows, { fileName, description, createdBy }) {
+    if (rows.length === 0) {
+      throw new ErrorHandler.AppError("The file has no rows", 400);
+    }
+    if (rows.length > DisbursementBatch.MAX_ROWS) {
+      throw new ErrorHandler.AppError(`A batch cannot have more than ${DisbursementBatch.MAX_ROWS} rows`, 400);
+    }
+
+    const items = await this.validateRows(rows);
+    const valid = items.filter((item) => item.status === DisbursementBatch.ITEM_STATUSES.PENDING);
+
+    try {
+      const { data: batch, error } = await this.query
+        .insert({
+          status: DisbursementBatch.STATUSES.DRAFT,
+          file_name: fileName,
+          description,
+          row_count: items.length,
+          valid_count: valid.length,
+          invalid_count: items.length - valid.length,
+          total_minor: valid.reduce((sum, item) => sum + item.amount_minor, 0),
+          created_by: createdBy,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        })
+        .select(this.selectableFields.join(","))
+        .single();
+
+      if (error) throw error;
+
+      const { data: storedItems, error: itemsError } = await this.supabase
+        .from("disbursement_items")
+        .insert(items.map((item) => ({ ...item, batch_id: batch.id })))
+        .select(this.itemFields.join(","));
+
+      if (itemsError) {
+        await this.query.update({ deleted_at: new Date().toISOString() }).eq("id", batch.id);
+        if (itemsError.code === "23505") {
+          throw new ErrorHandler.AppError("A reference in this file was just used by another batch", 409);
+        }
+        throw itemsError;
+      }
+
+      return { ...batch, items: storedItems.sort((a, b) => a.row_number - b.row_number) };
+    } catch (error) {
+      if (error.isOperational) throw error;
+      throw new Error(`Error creating disbursement batch: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move a batch between statuses, guarding against concurrent reviews
+   * @param {Object} batch - Batch data
+   * @param {string} fromStatus - Status the batch must be in
+   * @param {Object} updates - Fields to set, including the new status
+   * @returns {Promise<Object>} Updated batch
+   */
+  async transition(batch, fromStatus, updates) {
+    if (batch.status !== fromStatus) {
+      throw new ErrorHandler.AppError(`Batch is ${batch.status} and cannot be ${updates.status}`, 409);
+    }
+
+    try {
+      const { data, error } = await this.query
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq("id", batch.id)
+        .eq("status", fromStatus)
+        .select(this.selectableFields.join(","))
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!data) {
+        throw new ErrorHandler.AppError("Batch was updated by someone else", 409);
+      }
+      return data;
+    } catch (error) {
+      if (error.isOperational) throw error;
+      throw new Error(`Error updating disbursement batch: ${error.message}`);
+    }
+  }
+
+  /**
+   * Approve a draft batch for payment
+   * @param {Object} batch - Batch data
+   * @param {string} adminId - Approving admin ID
+   * @returns {Promise<Object>} Batch, now processing
+   */
+  async approve(batch, adminId) {
+    if (batch.valid_count === 0) {
+      throw new ErrorHandler.AppError("Batch has no valid rows to pay", 400);
+    }
+
+    return this.transition(batch, DisbursementBatch.STATUSES.DRAFT, {
+      status: DisbursementBatch.STATUSES.PROCESSING,
+      approved_by: adminId,
+      approved_at: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Cancel a draft batch, freeing its references for another upload
+   * @param {Object} batch - Batch data
+   * @returns {Promise<Object>} Cancelled batch
+   */
+  async cancel(batch) {
+    const cancelled = await this.transition(batch, DisbursementBatch.STATUSES.DRAFT, {
+      status: DisbursementBatch.STATUSES.CANCELLED,
+    });
+
+    const { error } = await this.supabase
+      .from("disbursement_items")
+      .update({ status: DisbursementBatch.ITEM_STATUSES.CANCELLED, updated_at: new Date().toISOString() })
+      .eq("batch_id", batch.id)
+      .eq("status", DisbursementBatch.ITEM_STATUSES.PENDING);
+    if (error) throw new Error(`Error cancelling disbursement items: ${error.message}`);
+
+    return cancelled;
+  }
+
+  /**
+   * Pay one row. The row is claimed first so a second run cannot pay it again;
+   * a row left in processing by a crash needs checking by hand.
+   * @param {Object} batch - Batch data
+   * @param {Object} item - Pending item
+   * @returns {Promise<Object|null>} Updated item, or null if another run claimed it
+   */
+  async payItem(batch, item) {
+    const { data: claimed, error } = await this.supabase
+      .from("disbursement_items")
+      .update({ status: DisbursementBatch.ITEM_STATUSES.PROCESSING, updated_at: new Date().toISOString() })
+      .eq("id", item.id)
+      .eq("status", DisbursementBatch.ITEM_STATUSES.PENDING)
+      .select("id")
+      .maybeSingle();
+
+    if (error) throw new Error(`Error claiming disbursement item: ${error.message}`);
+    if (!claimed) return null;
+
+    let outcome;
+    try {
+      const transaction = await new Transaction().disburse(item.recipient_id, Number(item.amount_minor), {
+        description: batch.description || "Disbursement",
+        metadata: { batch_id: batch.id, item_id: item.id, reference: item.reference },
+      });
+      outcome = { status: DisbursementBatch.ITEM_STATUSES.PAID, transaction_id: transaction.id };
+    } catch (payError) {
+      outcome = { status: DisbursementBatch.ITEM_STATUSES.FAILED, errors: [payError.message] };
+    }
+
+    const { data, error: updateError } = await this.supabase
+      .from("disbursement_items")
+      .update({ ...outcome, processed_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+      .eq("id", item.id)
+      .select(this.itemFields.join(","))
+      .single();
+
+    if (updateError) throw new Error(`Error updating disbursement item: ${updateError.message}`);
+    return data;
+  }
+
+  /**
+   * Pay every pending row of an approved batch, then record the totals.
+   * Running it again for the same batch only picks up rows not yet paid.
+   * @param {string} batchId - Batch ID
+   * @returns {Promise<Object>} Completed batch
+   */
+  async process(batchId) {
+    const batch = await this.findById(batchId);
+    if (!batch || batch.status !== DisbursementBatch.STATUSES.PROCESSING) {
+      throw new Error(`Disbursement batch ${batchId} is not approved for processing`);
+    }
+
+    for (const item of await this.getItems(batchId, { status: DisbursementBatch.ITEM_STATUSES.PENDING })) {
+      await this.payItem(batch, item);
+    }
+
+    const items = await this.getItems(batchId);
+    const paid = items.filter((item) => item.status === DisbursementBatch.ITEM_STATUSES.PAID);
+
+    try {
+      const { data, error } = await this.query
+        .update({
+          status: DisbursementBatch.STATUSES.COMPLETED,
+          paid_count: paid.length,
+          paid_minor: paid.reduce((sum, item) => sum + Number(item.amount_minor), 0),
+          failed_count: items.filter((item) => item.status === DisbursementBatch.ITEM_STATUSES.FAILED).length,
+          completed_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", batchId)
+        .select(this.selectableFields.join(","))
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error completing disbursement batch: ${error.message}`);
+    }
+  }
+}
+
+module.exports = DisbursementBatch;
@@ -0,0 +1,248 @@
+const QueryBuilder = require("../utils/QueryBuilder");
+const ErrorHandler = require("../middlewares/errorHandler");
+const MoneyUtils = require("../utils/moneyUtils");
+
+class FeeSchedule extends QueryBuilder {
+  static OPERATIONS = {
+    DOCUMENT_VERIFICATION: "document_verification",
+    TRANSFER: "transfer",
+    WITHDRAWAL: "withdrawal",
+    MERCHANT_PAYMENT: "merchant_payment",
+    BILL_PAYMENT: "bill_payment",
+    SAVINGS_EARLY_WITHDRAWAL: "savings_early_withdrawal",
+  };
+
+  // Caps (min_minor/max_minor) can be combined with any type
+  static TYPES = ["flat", "percentage", "tiered"];
+
+  static KYC_LEVELS = ["unverified", "email_verified", "id_verified"];
+
+  constructor() {
+    super("fee_schedules");
+    this.selectableFields = [
+      "id",
+      "operation",
+      "kyc_level",
+      "role",
+      "version",
+      "type",
+      "flat_minor",
+      "rate_bps",
+      "tiers",
+      "min_minor",
+      "max_minor",
+      "active",
+      "created_by",
+      "created_at",
+      "updated_at",
+    ];
+  }
+
+  /**
+   * KYC level of a user, used to pick fee schedules and limits
+   * @param {Object} user - User data
+   * @returns {string} 'unverified', 'email_verified' or 'id_verified'
+   */
+  static kycLevel(user) {
+    if (String(user.identification_status).toLowerCase() === "approved") {
+      return "id_verified";
+    }
+    return user.verified ? "email_verified" : "unverified";
+  }
+
+  /**
+   * Percentage of an amount in basis points, rounded to the nearest minor unit
+   * @param {number} amountMinor - Amount in minor units
+   * @param {number} rateBps - Rate in basis points (100 = 1%)
+   * @returns {number} Amount in minor units
+   */
+  static percentageOf(amountMinor, rateBps) {
+    return Math.round((amountMinor * rateBps) / 10000);
+  }
+
+  /**
+   * Compute the fee a schedule charges on an amount
+   * @param {Object} schedule - Fee schedule
+   * @param {number} amountMinor - Amount in minor units
+   * @returns {number} Fee in minor units
+   */
+  static calculate(schedule, amountMinor) {
+    let fee = 0;
+
+    if (schedule.type === "flat") {
+      fee = Number(schedule.flat_minor);
+    } else if (schedule.type === "percentage") {
+      fee = Number(schedule.flat_minor) + this.percentageOf(amountMinor, schedule.rate_bps);
+    } else if (schedule.type === "tiered") {
+      // Tiers are { up_to_minor, flat_minor, rate_bps }; the last tier may leave up_to_minor empty
+      const tier = [...schedule.tiers]
+        .sort((a, b) => (a.up_to_minor ?? Infinity) - (b.up_to_minor ?? Infinity))
+        .find((t) => t.up_to_minor === null || t.up_to_minor === undefined || amountMinor <= t.up_to_minor);
+
+      if (tier) {
+        fee = Number(tier.flat_minor || 0) + this.percentageOf(amountMinor, tier.rate_bps || 0);
+      }
+    }
+
+    if (schedule.min_minor !== null && schedule.min_minor !== undefined) {
+      fee = Math.max(fee, Number(schedule.min_minor));
+    }
+    if (schedule.max_minor !== null && schedule.max_minor !== undefined) {
+      fee = Math.min(fee, Number(schedule.max_minor));
+    }
+
+    return Math.max(0, fee);
+  }
+
+  /**
+   * Reject a request whose client-side quote no longer matches the fee
+   * @param {Object} fee - Freshly computed fee
+   * @param {number|string} quotedFee - Fee the client was shown, in cedis (optional)
+   */
+  static assertQuoteMatches(fee, quotedFee) {
+    if (quotedFee === undefined || quotedFee === null || quotedFee === "") return;
+
+    if (MoneyUtils.toMinorUnits(quotedFee) !== fee.amountMinor) {
+      throw new ErrorHandler.AppError(
+        `The fee has changed to ${MoneyUtils.format(fee.amountMinor)}. Please confirm the new amount`,
+        409
+      );
+    }
+  }
+
+  /**
+   * Find the most specific active schedule for an operation
+   * @param {string} operation - Operation name
+   * @param {Object} scope - kycLevel and role of the payer
+   * @returns {Promise<Object|null>} Fee schedule
+   */
+  async findApplicable(operation, { kycLevel, role }) {
+    try {
+      const { data, error } = await this.query
+        .select(this.selectableFields.join(","))
+        .eq("operation", operation)
+        .eq("active", true)
+        .is("deleted_at", null);
+
+      if (error) throw error;
+
+      const matches = data.filter(
+        (schedule) =>
+          (!schedule.kyc_level || schedule.kyc_level === kycLevel) &&
+          (!schedule.role || schedule.role === role)
+      );
+
+      // A schedule naming both the KYC level and role beats one naming either, which beats the default
+      const specificity = (schedule) => (schedule.kyc_level ? 2 : 0) + (schedule.role ? 1 : 0);
+      matches.sort((a, b) => specificity(b) - specificity(a) || b.version - a.version);
+
+      return matches[0] || null;
+    } catch (error) {
+      throw new Error(`Error finding fee schedule: ${error.message}`);
+    }
+  }
+
+  /**
+   * Quote the fee a user pays for an operation
+   * @param {string} operation - Operation name
+   * @param {number} amountMinor - Amount in minor units
+   * @param {Object} user - Paying user
+   * @returns {Promise<Object>} { amountMinor, scheduleId, version }
+   */
+  async quote(operation, amountMinor, user) {
+    const schedule = await this.findApplicable(operation, {
+      kycLevel: FeeSchedule.kycLevel(user),
+      role: user.role,
+    });
+
+    if (!schedule) {
+      return { amountMinor: 0, scheduleId: null, version: null };
+    }
+
+    return {
+      amountMinor: FeeSchedule.calculate(schedule, amountMinor),
+      scheduleId: schedule.id,
+      version: schedule.version,
+    };
+  }
+
+  /**
+   * Publish a schedule as the next version of its scope, retiring the previous one
+   * @param {Object} scheduleData - Schedule definition
+   * @param {string} adminId - Admin creating the schedule
+   * @returns {Promise<Object>} Created schedule
+   */
+  async createVersion(scheduleData, adminId) {
+    try {
+      const { operation, kyc_level = null, role = null, min_minor = null, max_minor = null } = scheduleData;
+
+      if (min_minor !== null && max_minor !== null && Number(min_minor) > Number(max_minor)) {
+        throw new ErrorHandler.AppError("Minimum fee cannot be more than the maximum fee", 400);
+      }
+
+      let scopeQuery = this.query.select("id, version").eq("operation", operation);
+      scopeQuery = kyc_level ? scopeQuery.eq("kyc_level", kyc_level) : scopeQuery.is("kyc_level", null);
+      scopeQuery = role ? scopeQuery.eq("role", role) : scopeQuery.is("role", null);
+
+      const { data: previous, error: fetchError } = await scopeQuery;
+      if (fetchError) throw fetchError;
+
+      const version = previous.reduce((max, schedule) => Math.max(max, schedule.version), 0) + 1;
+
+      const { data, error } = await this.query
+        .insert({
+          ...scheduleData,
+          kyc_level,
+          role,
+          version,
+          active: true,
+          created_by: adminId,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        })
+        .select(this.selectableFields.join(","))
+        .single();
+
+      // Two admins publishing the same scope at once pick the same version number
+      if (error && error.code === "23505") {
+        throw new ErrorHandler.AppError("Another version of this fee schedule was just published. Please try again", 409);
+      }
+      if (error) throw error;
+
+      if (previous.length > 0) {
+        const { error: retireError } = await this.query
+          .update({ active: false, updated_at: new Date().toISOString() })
+          .in("id", previous.map((schedule) => schedule.id));
+
+        if (retireError) throw retireError;
+      }
+
+      return data;
+    } catch (error) {
+      if (error.isOperational) throw error;
+      throw new Error(`Error creating fee schedule: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deactivate a schedule
+   * @param {string} id - Schedule ID
+   * @returns {Promise<Object>} Updated schedule
+   */
+  async deactivate(id) {
+    try {
+      const { data, error } = await this.query
+        .update({ active: false, updated_at: new Date().toISOString() })
+        .eq("id", id)
+        .select(this.selectableFields.join(","))
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error deactivating fee schedule: ${error.message}`);
+    }
+  }
+}
+
+module.exports = FeeSchedule;
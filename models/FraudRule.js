@@ -0,0 +1,86 @@
+const QueryBuilder = require("../utils/QueryBuilder");
+const ErrorHandler = require("../middlewares/errorHandler");
+
+class FraudRule extends QueryBuilder {
+  constructor() {
+    super("fraud_rules");
+    this.selectableFields = ["code", "name", "description", "enabled", "score", "params", "updated_by", "updated_at"];
+  }
+
+  /**
+   * Get every rule
+   * @returns {Promise<Array>} Rules
+   */
+  async getAll() {
+    try {
+      const { data, error } = await this.query
+        .select(this.selectableFields.join(","))
+        .order("code", { ascending: true });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error fetching fraud rules: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the rules screening uses
+   * @returns {Promise<Array>} Enabled rules
+   */
+  async getEnabled() {
+    try {
+      const { data, error } = await this.query.select(this.selectableFields.join(",")).eq("enabled", true);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error fetching fraud rules: ${error.message}`);
+    }
+  }
+
+  /**
+   * Turn a rule on or off, or change its score or thresholds. Only thresholds
+   * the rule already has can be set.
+   * @param {string} code - Rule code
+   * @param {Object} updates - enabled, score, params
+   * @param {string} adminId - Admin making the change
+   * @returns {Promise<Object>} Updated rule
+   */
+  async update(code, { enabled, score, params }, adminId) {
+    const { data: rule, error: findError } = await this.query
+      .select(this.selectableFields.join(","))
+      .eq("code", code)
+      .maybeSingle();
+
+    if (findError) throw new Error(`Error finding fraud rule: ${findError.message}`);
+    if (!rule) {
+      throw new ErrorHandler.AppError("Fraud rule not found", 404);
+    }
+
+    const unknown = Object.keys(params || {}).filter((key) => !(key in rule.params));
+    if (unknown.length) {
+      throw new ErrorHandler.AppError(`Unknown thresholds for ${code}: ${unknown.join(", ")}`, 400);
+    }
+    if (Object.values(params || {}).some((value) => !Number.isInteger(value) || value < 0)) {
+      throw new ErrorHandler.AppError("Thresholds must be whole numbers of zero or more", 400);
+    }
+
+    const { data, error } = await this.query
+      .update({
+        ...(enabled !== undefined && { enabled }),
+        ...(score !== undefined && { score }),
+        params: { ...rule.params, ...params },
+        updated_by: adminId,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("code", code)
+      .select(this.selectableFields.join(","))
+      .single();
+
+    if (error) throw new Error(`Error updating fraud rule: ${error.message}`);
+    return data;
+  }
+}
+
+module.exports = FraudRule;
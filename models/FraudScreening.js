@@ -0,0 +1,414 @@
+const QueryBuilder = require("../utils/QueryBuilder");
+const Transaction = require("./Transaction");
+const WalletHold = require("./WalletHold");
+const FraudRule = require("./FraudRule");
+const User = require("./User");
+const ErrorHandler = require("../middlewares/errorHandler");
+const FraudEngine = require("../utils/fraudEngine");
+const SecurityUtils = require("../utils/securityUtils");
+
+class FraudScreening extends QueryBuilder {
+  static OPERATIONS = {
+    TRANSFER: "transfer",
+    PAYMENT_REQUEST: "payment_request",
+    MERCHANT_PAYMENT: "merchant_payment",
+    BILL_PAYMENT: "bill_payment",
+    WITHDRAWAL: "withdrawal",
+  };
+
+  // Channels with no device or IP to go on, such as USSD and scheduled runs
+  static NO_DEVICE = { fingerprint: null, ip: null };
+
+  static REVIEW_STATUSES = {
+    PENDING: "pending",
+    APPROVED: "approved",
+    DECLINED: "declined",
+  };
+
+  // Debits that move money out to someone else and count towards velocity
+  static SCREENED_TYPES = [
+    Transaction.TYPES.TRANSFER,
+    Transaction.TYPES.MERCHANT_PAYMENT,
+    Transaction.TYPES.BILL_PAYMENT,
+    Transaction.TYPES.ESCROW_PAYMENT,
+  ];
+
+  constructor() {
+    super("fraud_screenings");
+    this.selectableFields = [
+      "id",
+      "user_id",
+      "operation",
+      "amount_minor",
+      "counterparty_id",
+      "score",
+      "outcome",
+      "triggered_rules",
+      "device_fingerprint",
+      "ip_address",
+      "location",
+      "challenge_passed_at",
+      "transaction_id",
+      "review_status",
+      "hold_id",
+      "payload",
+      "reviewed_by",
+      "reviewed_at",
+      "review_note",
+      "created_at",
+      "updated_at",
+    ];
+  }
+
+  /**
+   * Find screening by ID
+   * @param {string} id - Screening ID
+   * @returns {Promise<Object>} Screening with its user and counterparty
+   */
+  async findById(id) {
+    try {
+      const { data, error } = await this.query
+        .select(
+          [
+            ...this.selectableFields,
+            "user:users!user_id(name, email, agent_code)",
+            "counterparty:users!counterparty_id(name, agent_code)",
+          ].join(",")
+        )
+        .eq("id", id)
+        .is("deleted_at", null)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error finding fraud screening: ${error.message}`);
+    }
+  }
+
+  /**
+   * The device and IP behind an app request
+   * @param {Object} req - Express request
+   * @returns {Object} fingerprint, ip
+   */
+  static fromRequest(req) {
+    return { fingerprint: SecurityUtils.generateDeviceFingerprint(req), ip: req.ip };
+  }
+
+  /**
+   * Gather what the rules look at
+   * @param {string} userId - Payer
+   * @param {Object} payment - amountMinor, counterpartyId
+   * @param {Object} request - fingerprint, ip (null when the channel has none)
+   * @param {number} lookbackMinutes - History needed by the velocity rules
+   * @returns {Promise<Object>} Signals for FraudEngine.evaluate()
+   */
+  async collectSignals(userId, payment, request, lookbackMinutes) {
+    const now = new Date();
+
+    const [debits, device, sessions, counterparty] = await Promise.all([
+      this.supabase
+        .from("transactions")
+        .select("amount_minor, created_at")
+        .eq("user_id", userId)
+        .eq("status", Transaction.STATUSES.COMPLETED)
+        .in("type", FraudScreening.SCREENED_TYPES)
+        .gte("created_at", new Date(now.getTime() - lookbackMinutes * 60 * 1000).toISOString())
+        .limit(500),
+      request.fingerprint
+        ? this.supabase
+            .from("user_devices")
+            .select("created_at")
+            .eq("user_id", userId)
+            .eq("device_fingerprint", request.fingerprint)
+            .maybeSingle()
+        : Promise.resolve({ data: undefined }),
+      this.supabase
+        .from("user_sessions")
+        .select("ll")
+        .eq("user_id", userId)
+        .not("ll", "is", null)
+        .order("created_at", { ascending: false })
+        .limit(20),
+      payment.counterpartyId
+        ? this.supabase
+            .from("transactions")
+            .select("id")
+            .eq("user_id", userId)
+            .eq("counterparty_id", payment.counterpartyId)
+            .eq("status", Transaction.STATUSES.COMPLETED)
+            .limit(1)
+        : Promise.resolve({ data: [] }),
+    ]);
+
+    const failed = [debits, device, sessions, counterparty].find((result) => result.error);
+    if (failed) throw new Error(`Error collecting fraud signals: ${failed.error.message}`);
+
+    return {
+      now,
+      recentDebits: debits.data,
+      // undefined when there is no device to judge, null for a device never seen
+      deviceFirstSeenAt: device.data === undefined ? undefined : device.data ? device.data.created_at : null,
+      location: request.ip ? SecurityUtils.getLocationInfo(request.ip) : null,
+      previousLocations: sessions.data,
+      knownCounterparty: counterparty.data.length > 0,
+    };
+  }
+
+  /**
+   * Score a payment before it runs and record the result. A challenge nobody
+   * can answer, because the user has no wallet PIN or the payment runs
+   * unattended, is held for review instead.
+   * @param {Object} user - Payer
+   * @param {Object} payment - operation, amountMinor, counterpartyId
+   * @param {Object} request - fingerprint, ip
+   * @param {Object} options - unattended
+   * @returns {Promise<Object>} Recorded screening
+   */
+  async screen(user, { operation, amountMinor, counterpartyId = null }, request, { unattended = false } = {}) {
+    const rules = await new FraudRule().getEnabled();
+    const payment = { amountMinor, counterpartyId };
+    const signals = await this.collectSignals(user.id, payment, request, FraudEngine.lookbackMinutes(rules));
+
+    const result = FraudEngine.evaluate(rules, payment, signals);
+    if (result.outcome === FraudEngine.OUTCOMES.CHALLENGE && (!user.wallet_pin_hash || unattended)) {
+      result.outcome = FraudEngine.OUTCOMES.HOLD_FOR_REVIEW;
+    }
+
+    try {
+      const { data, error } = await this.query
+        .insert({
+          user_id: user.id,
+          operation,
+          amount_minor: amountMinor,
+          counterparty_id: counterpartyId,
+          score: result.score,
+          outcome: result.outcome,
+          triggered_rules: result.triggered,
+          device_fingerprint: request.fingerprint,
+          ip_address: request.ip,
+          location: signals.location,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        })
+        .select(this.selectableFields.join(","))
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error recording fraud screening: ${error.message}`);
+    }
+  }
+
+  /**
+   * Screen a payment and act on the outcome. Every path that moves money out
+   * of a wallet goes through here before it posts anything. A challenge needs
+   * the wallet PIN, unless the channel has just checked it. A payment held for
+   * review is queued when the caller passes what approval needs to send it
+   * (transfers only), and refused otherwise.
+   * @param {Object} user - Payer
+   * @param {Object} payment - operation, amountMinor, counterpartyId
+   * @param {Object} request - fingerprint, ip (see fromRequest and NO_DEVICE)
+   * @param {Object} options - pin, pinVerified, unattended, review (fee, description, metadata)
+   * @returns {Promise<Object>} screening, and review when the payment was queued instead
+   */
+  async guard(user, payment, request, { pin = null, pinVerified = false, unattended = false, review = null } = {}) {
+    const screening = await this.screen(user, payment, request, { unattended });
+
+    if (screening.outcome === FraudEngine.OUTCOMES.HOLD_FOR_REVIEW) {
+      if (!review) {
+        throw new ErrorHandler.AppError("This payment could not be completed. Please contact support", 403);
+      }
+      return { screening, review: await this.holdForReview(screening, review) };
+    }
+    if (screening.outcome === FraudEngine.OUTCOMES.CHALLENGE) {
+      await this.passChallenge(screening, user, pin, { pinVerified });
+    }
+
+    return { screening, review: null };
+  }
+
+  /**
+   * Let a challenged payment through once the payer confirms their wallet PIN
+   * @param {Object} screening - Challenged screening
+   * @param {Object} user - Payer
+   * @param {string} pin - Wallet PIN sent with the payment
+   * @param {Object} options - pinVerified (the channel already checked the PIN)
+   * @returns {Promise<void>}
+   */
+  async passChallenge(screening, user, pin, { pinVerified = false } = {}) {
+    if (!pinVerified) {
+      if (!pin) {
+        throw new ErrorHandler.AppError("Please confirm this payment with your wallet PIN", 428);
+      }
+      await new User().verifyWalletPin(user, pin);
+    }
+
+    const { error } = await this.query
+      .update({ challenge_passed_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+      .eq("id", screening.id);
+    if (error) console.error("Error recording passed fraud challenge:", error);
+  }
+
+  /**
+   * Note the transaction a screened payment produced
+   * @param {Object} screening - Screening
+   * @param {string} transactionId - Transaction ID
+   * @returns {Promise<void>}
+   */
+  async linkTransaction(screening, transactionId) {
+    const { error } = await this.query
+      .update({ transaction_id: transactionId, updated_at: new Date().toISOString() })
+      .eq("id", screening.id);
+    if (error) console.error("Error linking fraud screening:", error);
+  }
+
+  /**
+   * Reserve a held payment's amount and fee and put it in the review queue
+   * @param {Object} screening - Screening held for review
+   * @param {Object} payload - fee (quote), description, metadata of the payment to make on approval
+   * @returns {Promise<Object>} Screening pending review
+   */
+  async holdForReview(screening, payload) {
+    const hold = await new WalletHold().place(
+      screening.user_id,
+      Number(screening.amount_minor) + payload.fee.amountMinor,
+      {
+        purpose: WalletHold.PURPOSES.FRAUD_REVIEW,
+        description: "Payment held for review",
+        metadata: { fraud_screening_id: screening.id },
+        expiresAt: WalletHold.defaultExpiry(),
+      }
+    );
+
+    try {
+      const { data, error } = await this.query
+        .update({
+          review_status: FraudScreening.REVIEW_STATUSES.PENDING,
+          hold_id: hold.id,
+          payload,
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", screening.id)
+        .select(this.selectableFields.join(","))
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      await new WalletHold()
+        .release(hold, { reason: "Could not queue payment for review" })
+        .catch((releaseError) => console.error("Error releasing fraud review hold:", releaseError));
+      throw new Error(`Error queueing fraud review: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move a review on from pending
+   * @param {Object} screening - Screening pending review
+   * @param {Object} updates - Fields to set, including the new review status
+   * @returns {Promise<Object>} Updated screening
+   */
+  async transition(screening, from, updates) {
+    try {
+      const { data, error } = await this.query
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq("id", screening.id)
+        .eq("review_status", from)
+        .select(this.selectableFields.join(","))
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!data) {
+        throw new ErrorHandler.AppError("Review was updated by someone else", 409);
+      }
+      return data;
+    } catch (error) {
+      if (error.isOperational) throw error;
+      throw new Error(`Error updating fraud review: ${error.message}`);
+    }
+  }
+
+  /**
+   * Approve a held payment: capture the hold to the recipient. The review is
+   * marked approved first so the payment is made once, and put back to
+   * pending if the capture fails.
+   * @param {Object} screening - Screening pending review
+   * @param {string} adminId - Reviewing admin
+   * @param {string} note - Review note
+   * @returns {Promise<Object>} Approved screening with its transaction
+   */
+  async approve(screening, adminId, note) {
+    if (screening.review_status !== FraudScreening.REVIEW_STATUSES.PENDING) {
+      throw new ErrorHandler.AppError(`Review is already ${screening.review_status}`, 409);
+    }
+
+    const holdModel = new WalletHold();
+    const hold = await holdModel.findById(screening.hold_id);
+    if (!hold || !WalletHold.isLive(hold)) {
+      throw new ErrorHandler.AppError("The held funds have been released; decline this review instead", 409);
+    }
+
+    const approved = await this.transition(screening, FraudScreening.REVIEW_STATUSES.PENDING, {
+      review_status: FraudScreening.REVIEW_STATUSES.APPROVED,
+      reviewed_by: adminId,
+      reviewed_at: new Date().toISOString(),
+      review_note: note || null,
+    });
+
+    try {
+      const { payload } = screening;
+      const captured = await holdModel.capture(hold, Number(screening.amount_minor), {
+        fee: payload.fee,
+        capturedBy: adminId,
+        type: Transaction.TYPES.TRANSFER,
+        payeeId: screening.counterparty_id,
+        description: payload.description,
+        metadata: { ...payload.metadata, fraud_screening_id: screening.id },
+      });
+
+      await this.linkTransaction(screening, captured.transaction.id);
+      return { ...approved, transaction_id: captured.transaction.id, transaction: captured.transaction };
+    } catch (error) {
+      await this.transition(approved, FraudScreening.REVIEW_STATUSES.APPROVED, {
+        review_status: FraudScreening.REVIEW_STATUSES.PENDING,
+        reviewed_by: null,
+        reviewed_at: null,
+        review_note: null,
+      }).catch((updateError) => console.error("Error reopening fraud review:", updateError));
+      throw error;
+    }
+  }
+
+  /**
+   * Decline a held payment and free the funds
+   * @param {Object} screening - Screening pending review
+   * @param {string} adminId - Reviewing admin
+   * @param {string} note - Reason
+   * @returns {Promise<Object>} Declined screening
+   */
+  async decline(screening, adminId, note) {
+    if (screening.review_status !== FraudScreening.REVIEW_STATUSES.PENDING) {
+      throw new ErrorHandler.AppError(`Review is already ${screening.review_status}`, 409);
+    }
+
+    const declined = await this.transition(screening, FraudScreening.REVIEW_STATUSES.PENDING, {
+      review_status: FraudScreening.REVIEW_STATUSES.DECLINED,
+      reviewed_by: adminId,
+      reviewed_at: new Date().toISOString(),
+      review_note: note,
+    });
+
+    // An expired hold has already freed the funds
+    const holdModel = new WalletHold();
+    const hold = await holdModel.findById(screening.hold_id);
+    if (hold && WalletHold.isLive(hold)) {
+      await holdModel.release(hold, { releasedBy: adminId, reason: note });
+    }
+
+    return declined;
+  }
+}
+
+module.exports = FraudScreening;
@@ -0,0 +1,167 @@
+const QueryBuilder = require("../utils/QueryBuilder");
+
+class IdempotencyKey extends QueryBuilder {
+  static STATUSES = {
+    PROCESSING: "processing",
+    COMPLETED: "completed",
+  };
+
+  // A key still processing after this long belongs to a request that died, e.g. in a crash or restart
+  static PROCESSING_MINUTES = 10;
+
+  constructor() {
+    super("idempotency_keys");
+  }
+
+  /**
+   * Find a stored key
+   * @param {string} userId - User ID
+   * @param {string} scope - Operation the key belongs to
+   * @param {string} key - Client supplied key
+   * @returns {Promise<Object>} Stored key data
+   */
+  async find(userId, scope, key) {
+    try {
+      const { data, error } = await this.query
+        .select("*")
+        .eq("user_id", userId)
+        .eq("scope", scope)
+        .eq("key", key)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error finding idempotency key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reserve a key for a new request
+   * @param {string} userId - User ID
+   * @param {string} scope - Operation the key belongs to
+   * @param {string} key - Client supplied key
+   * @param {string} requestHash - Request fingerprint
+   * @returns {Promise<Object|null>} Reserved key, or null if it already exists
+   */
+  async reserve(userId, scope, key, requestHash) {
+    try {
+      const { data, error } = await this.query
+        .insert({
+          user_id: userId,
+          scope,
+          key,
+          request_hash: requestHash,
+          status: IdempotencyKey.STATUSES.PROCESSING,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        })
+        .select()
+        .single();
+
+      if (error && error.code === "23505") return null;
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error reserving idempotency key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Whether a key is still processing long after its request should have finished
+   * @param {Object} storedKey - Stored key data
+   * @returns {boolean}
+   */
+  static isAbandoned(storedKey) {
+    const cutoff = Date.now() - IdempotencyKey.PROCESSING_MINUTES * 60 * 1000;
+    return storedKey.status === IdempotencyKey.STATUSES.PROCESSING && new Date(storedKey.updated_at).getTime() < cutoff;
+  }
+
+  /**
+   * Whether a request made under a key moved or reserved any money: a
+   * transaction that did not fail, or a wallet hold
+   * @param {string} id - Key record ID
+   * @returns {Promise<boolean>}
+   */
+  async hasPosted(id) {
+    try {
+      const [transactions, holds] = await Promise.all([
+        this.supabase
+          .from("transactions")
+          .select("id")
+          .eq("metadata->>idempotency_key_id", id)
+          .neq("status", "failed")
+          .limit(1),
+        this.supabase.from("wallet_holds").select("id").eq("metadata->>idempotency_key_id", id).limit(1),
+      ]);
+
+      if (transactions.error) throw transactions.error;
+      if (holds.error) throw holds.error;
+      return transactions.data.length > 0 || holds.data.length > 0;
+    } catch (error) {
+      throw new Error(`Error checking idempotency key payments: ${error.message}`);
+    }
+  }
+
+  /**
+   * Take over an abandoned key for a new attempt. Only one caller wins.
+   * @param {Object} storedKey - Abandoned key data
+   * @returns {Promise<Object|null>} Reserved key, or null if another request took it first
+   */
+  async reclaim(storedKey) {
+    try {
+      const { data, error } = await this.query
+        .update({ updated_at: new Date().toISOString() })
+        .eq("id", storedKey.id)
+        .eq("status", IdempotencyKey.STATUSES.PROCESSING)
+        .eq("updated_at", storedKey.updated_at)
+        .select()
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error reclaiming idempotency key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store the response of a completed request
+   * @param {string} id - Key record ID
+   * @param {number} statusCode - Response status code
+   * @param {Object} body - Response body
+   * @returns {Promise<void>}
+   */
+  async complete(id, statusCode, body) {
+    try {
+      const { error } = await this.query
+        .update({
+          status: IdempotencyKey.STATUSES.COMPLETED,
+          response_status: statusCode,
+          response_body: body,
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", id);
+
+      if (error) throw error;
+    } catch (error) {
+      throw new Error(`Error completing idempotency key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Release a key so the request can be retried
+   * @param {string} id - Key record ID
+   * @returns {Promise<void>}
+   */
+  async release(id) {
+    try {
+      const { error } = await this.query.delete().eq("id", id);
+      if (error) throw error;
+    } catch (error) {
+      throw new Error(`Error releasing idempotency key: ${error.message}`);
+    }
+  }
+}
+
+module.exports = IdempotencyKey;
@@ -0,0 +1,517 @@
+const QueryBuilder = require("../utils/QueryBuilder");
+const Transaction = require("./Transaction");
+const ErrorHandler = require("../middlewares/errorHandler");
+const MoneyUtils = require("../utils/moneyUtils");
+const EmvQr = require("../utils/emvQr");
+const crypto = require("crypto");
+
+class Merchant extends QueryBuilder {
+  // Business category and the ISO 18245 merchant category code carried in QR field 52
+  static CATEGORIES = {
+    grocery: "5411",
+    restaurant: "5812",
+    pharmacy: "5912",
+    transport: "4121",
+    telecom: "4814",
+    clothing: "5651",
+    electronics: "5732",
+    services: "7299",
+    education: "8299",
+    other: "5999",
+  };
+
+  static SETTLEMENT_METHODS = ["wallet", "mobile_money", "bank"];
+
+  static SETTLEMENT_FREQUENCIES = ["instant", "daily", "weekly"];
+
+  static STATUSES = {
+    ACTIVE: "active",
+    SUSPENDED: "suspended",
+  };
+
+  static QR_TYPES = {
+    STATIC: "static",
+    DYNAMIC: "dynamic",
+  };
+
+  static QR_STATUSES = {
+    OPEN: "open",
+    PAID: "paid",
+  };
+
+  // How long a dynamic code can be paid after it is generated
+  static DYNAMIC_QR_HOURS = 24;
+
+  // Fields the owner can change after registration
+  static EDITABLE_FIELDS = [
+    "business_name",
+    "category",
+    "city",
+    "settlement_method",
+    "settlement_destination",
+    "settlement_frequency",
+  ];
+
+  constructor() {
+    super("merchants");
+    this.selectableFields = [
+      "id",
+      "user_id",
+      "merchant_code",
+      "business_name",
+      "category",
+      "city",
+      "settlement_method",
+      "settlement_destination",
+      "settlement_frequency",
+      "status",
+      "created_at",
+      "updated_at",
+    ];
+  }
+
+  /**
+   * Generate a merchant code, e.g. "M204815530"
+   * @returns {string} Code
+   */
+  static generateCode() {
+    return `M${crypto.randomInt(100000000, 1000000000)}`;
+  }
+
+  /**
+   * Find a merchant by its owner
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Object>} Merchant data
+   */
+  async findByUserId(userId) {
+    try {
+      const { data, error } = await this.query
+        .select(this.selectableFields.join(","))
+        .eq("user_id", userId)
+        .is("deleted_at", null)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error finding merchant: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find a merchant by the code printed in its QR payloads
+   * @param {string} merchantCode - Merchant code
+   * @returns {Promise<Object>} Merchant data
+   */
+  async findByCode(merchantCode) {
+    try {
+      const { data, error } = await this.query
+        .select(this.selectableFields.join(","))
+        .eq("merchant_code", merchantCode)
+        .is("deleted_at", null)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error finding merchant: ${error.message}`);
+    }
+  }
+
+  /**
+   * Register a merchant profile for a user
+   * @param {string} userId - Owner user ID
+   * @param {Object} merchantData - Profile fields (see EDITABLE_FIELDS)
+   * @returns {Promise<Object>} Created merchant
+   */
+  async create(userId, merchantData) {
+    if (await this.findByUserId(userId)) {
+      throw new ErrorHandler.AppError("You already have a merchant profile", 409);
+    }
+
+    try {
+      const { data, error } = await this.query
+        .insert({
+          ...merchantData,
+          user_id: userId,
+          merchant_code: Merchant.generateCode(),
+          status: Merchant.STATUSES.ACTIVE,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        })
+        .select(this.selectableFields.join(","))
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error creating merchant: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update a merchant profile
+   * @param {string} id - Merchant ID
+   * @param {Object} updates - Profile fields (see EDITABLE_FIELDS)
+   * @returns {Promise<Object>} Updated merchant
+   */
+  async update(id, updates) {
+    try {
+      const { data, error } = await this.query
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq("id", id)
+        .is("deleted_at", null)
+        .select(this.selectableFields.join(","))
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error updating merchant: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build a QR payload for a merchant. Without an amount the code is static
+   * and the payer enters the amount; with one it is dynamic and single-use,
+   * identified by its reference.
+   * @param {Object} merchant - Merchant data
+   * @param {Object} options - amountMinor, reference (generated if missing)
+   * @returns {Object} type, payload, amountMinor, reference
+   */
+  static buildQr(merchant, { amountMinor, reference } = {}) {
+    const isDynamic = Boolean(amountMinor);
+    const qrReference = isDynamic ? reference || crypto.randomBytes(6).toString("hex").toUpperCase() : reference;
+
+    return {
+      type: isDynamic ? Merchant.QR_TYPES.DYNAMIC : Merchant.QR_TYPES.STATIC,
+      payload: EmvQr.build({
+        merchantCode: merchant.merchant_code,
+        merchantName: merchant.business_name,
+        merchantCity: merchant.city,
+        categoryCode: Merchant.CATEGORIES[merchant.category],
+        amount: isDynamic ? MoneyUtils.fromMinorUnits(amountMinor) : undefined,
+        reference: qrReference,
+      }),
+      amountMinor: isDynamic ? amountMinor : null,
+      reference: qrReference || null,
+    };
+  }
+
+  /**
+   * Generate a QR code for a merchant. A dynamic code is stored as issued, so
+   * only its reference, at its amount, can be paid.
+   * @param {Object} merchant - Merchant data
+   * @param {Object} options - amountMinor, reference (see buildQr)
+   * @returns {Promise<Object>} type, payload, amountMinor, reference, expiresAt (dynamic codes)
+   */
+  async issueQr(merchant, options = {}) {
+    const qr = Merchant.buildQr(merchant, options);
+    if (qr.type !== Merchant.QR_TYPES.DYNAMIC) return { ...qr, expiresAt: null };
+
+    const expiresAt = new Date(Date.now() + Merchant.DYNAMIC_QR_HOURS * 60 * 60 * 1000).toISOString();
+    const { error } = await this.supabase.from("merchant_qr_codes").insert({
+      merchant_id: merchant.id,
+      reference: qr.reference,
+      amount_minor: qr.amountMinor,
+      status: Merchant.QR_STATUSES.OPEN,
+      expires_at: expiresAt,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    });
+
+    if (error && error.code === "23505") {
+      throw new ErrorHandler.AppError("This reference has already been used for another QR code", 409);
+    }
+    if (error) throw new Error(`Error storing QR code: ${error.message}`);
+    return { ...qr, expiresAt };
+  }
+
+  /**
+   * Find an issued dynamic code by its reference
+   * @param {string} merchantId - Merchant ID
+   * @param {string} reference - Code reference
+   * @returns {Promise<Object|null>} Stored code
+   */
+  async findQrCode(merchantId, reference) {
+    const { data, error } = await this.supabase
+      .from("merchant_qr_codes")
+      .select("*")
+      .eq("merchant_id", merchantId)
+      .eq("reference", reference)
+      .maybeSingle();
+
+    if (error) throw new Error(`Error finding QR code: ${error.message}`);
+    return data;
+  }
+
+  /**
+   * Find the stored dynamic code behind a scanned payload and check it can
+   * still be paid for the amount it carries
+   * @param {Object} merchant - Merchant data
+   * @param {Object} qr - Parsed payload with amountMinor
+   * @returns {Promise<Object>} Stored code
+   */
+  async findIssuedQr(merchant, qr) {
+    if (!qr.reference || !qr.amountMinor) {
+      throw new ErrorHandler.AppError("QR code has no payment reference", 400);
+    }
+
+    const data = await this.findQrCode(merchant.id, qr.reference);
+    if (!data || Number(data.amount_minor) !== qr.amountMinor) {
+      throw new ErrorHandler.AppError("This QR code was not issued by the merchant", 400);
+    }
+    if (data.status === Merchant.QR_STATUSES.PAID) {
+      throw new ErrorHandler.AppError("This QR code has already been paid", 409);
+    }
+    if (new Date(data.expires_at) <= new Date()) {
+      throw new ErrorHandler.AppError("This QR code has expired", 409);
+    }
+    return data;
+  }
+
+  /**
+   * Read a scanned payload and find the merchant it points to. A dynamic code
+   * must match one the merchant issued.
+   * @param {string} payload - Scanned QR payload
+   * @returns {Promise<Object>} merchant, qr (parsed payload with amountMinor, and issuedId for dynamic codes)
+   */
+  async resolveQr(payload) {
+    let qr;
+    try {
+      qr = EmvQr.parse(payload);
+    } catch (error) {
+      throw new ErrorHandler.AppError(error.message, 400);
+    }
+
+    const merchant = await this.findByCode(qr.merchantCode);
+    if (!merchant) {
+      throw new ErrorHandler.AppError("Merchant not found", 404);
+    }
+    if (merchant.status !== Merchant.STATUSES.ACTIVE) {
+      throw new ErrorHandler.AppError("This merchant cannot accept payments", 409);
+    }
+
+    const parsed = { ...qr, amountMinor: qr.amount === null ? null : MoneyUtils.toMinorUnits(qr.amount) };
+    if (!qr.dynamic) {
+      // A dynamic code re-encoded as static would let the payer choose the amount for an invoice reference
+      if (qr.reference && (await this.findQrCode(merchant.id, qr.reference))) {
+        throw new ErrorHandler.AppError("This QR code was not issued by the merchant", 400);
+      }
+      // The payer enters the amount of a static code; one printed in the payload is not binding
+      return { merchant, qr: { ...parsed, amountMinor: null, issuedId: null } };
+    }
+
+    const issued = await this.findIssuedQr(merchant, parsed);
+    return { merchant, qr: { ...parsed, amountMinor: Number(issued.amount_minor), issuedId: issued.id } };
+  }
+
+  /**
+   * Mark an issued dynamic code paid before moving money, so it cannot be paid twice
+   * @param {string} issuedId - Stored code ID
+   * @returns {Promise<void>}
+   */
+  async claimIssuedQr(issuedId) {
+    const { data, error } = await this.supabase
+      .from("merchant_qr_codes")
+      .update({
+        status: Merchant.QR_STATUSES.PAID,
+        paid_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", issuedId)
+      .eq("status", Merchant.QR_STATUSES.OPEN)
+      .gt("expires_at", new Date().toISOString())
+      .select("id")
+      .maybeSingle();
+
+    if (error) throw new Error(`Error claiming QR code: ${error.message}`);
+    if (!data) {
+      throw new ErrorHandler.AppError("This QR code has already been paid or has expired", 409);
+    }
+  }
+
+  /**
+   * Put an issued code back to open when its payment fails
+   * @param {string} issuedId - Stored code ID
+   * @returns {Promise<void>}
+   */
+  async reopenIssuedQr(issuedId) {
+    const { error } = await this.supabase
+      .from("merchant_qr_codes")
+      .update({
+        status: Merchant.QR_STATUSES.OPEN,
+        paid_at: null,
+        merchant_payment_id: null,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", issuedId)
+      .eq("status", Merchant.QR_STATUSES.PAID);
+
+    if (error) console.error("Error reopening QR code:", error);
+  }
+
+  /**
+   * Claim a payment row before moving money; the unique index on dynamic
+   * references turns a second payment of the same code into a conflict
+   * @param {Object} paymentData - merchant_payments row
+   * @returns {Promise<Object>} Claimed row
+   */
+  async claimPayment(paymentData) {
+    const { data, error } = await this.supabase
+      .from("merchant_payments")
+      .insert({ ...paymentData, created_at: new Date().toISOString() })
+      .select("*")
+      .single();
+
+    if (error && error.code === "23505") {
+      throw new ErrorHandler.AppError("This QR code has already been paid", 409);
+    }
+    if (error) throw new Error(`Error recording merchant payment: ${error.message}`);
+    return data;
+  }
+
+  /**
+   * Pay a merchant from a scanned payload with a transfer to the owner's wallet
+   * @param {Object} merchant - Merchant data
+   * @param {Object} qr - Parsed payload from resolveQr
+   * @param {Object} payer - Paying user
+   * @param {Object} options - amountMinor (static codes only), fee
+   * @returns {Promise<Object>} Payment row and the transfer
+   */
+  async pay(merchant, qr, payer, { amountMinor, fee }) {
+    if (merchant.user_id === payer.id) {
+      throw new ErrorHandler.AppError("You cannot pay your own merchant account", 400);
+    }
+
+    const payMinor = qr.amountMinor || amountMinor;
+    if (!payMinor) {
+      throw new ErrorHandler.AppError("Amount is required for this QR code", 400);
+    }
+    if (qr.dynamic && !qr.issuedId) {
+      throw new ErrorHandler.AppError("This QR code was not issued by the merchant", 400);
+    }
+    if (qr.amountMinor && amountMinor && amountMinor !== qr.amountMinor) {
+      throw new ErrorHandler.AppError(`This QR code is for ${MoneyUtils.format(qr.amountMinor)}`, 400);
+    }
+
+    if (qr.dynamic) await this.claimIssuedQr(qr.issuedId);
+
+    let payment;
+    try {
+      payment = await this.claimPayment({
+        merchant_id: merchant.id,
+        payer_id: payer.id,
+        amount_minor: payMinor,
+        fee_minor: fee ? fee.amountMinor : 0,
+        qr_type: qr.dynamic ? Merchant.QR_TYPES.DYNAMIC : Merchant.QR_TYPES.STATIC,
+        reference: qr.reference,
+      });
+    } catch (error) {
+      if (qr.dynamic) await this.reopenIssuedQr(qr.issuedId);
+      throw error;
+    }
+
+    let transaction;
+    try {
+      transaction = await new Transaction().transfer(payer.id, merchant.user_id, payMinor, {
+        fee,
+        type: Transaction.TYPES.MERCHANT_PAYMENT,
+        description: `Payment to ${merchant.business_name}${qr.reference ? ` (${qr.reference})` : ""}`,
+        metadata: {
+          merchant_id: merchant.id,
+          merchant_code: merchant.merchant_code,
+          merchant_payment_id: payment.id,
+          qr_reference: qr.reference,
+        },
+      });
+    } catch (error) {
+      await this.releasePayment(payment.id);
+      if (qr.dynamic) await this.reopenIssuedQr(qr.issuedId);
+      throw error;
+    }
+
+    const { error } = await this.supabase
+      .from("merchant_payments")
+      .update({ transaction_id: transaction.id })
+      .eq("id", payment.id);
+    if (error) console.error("Error linking merchant payment:", error);
+
+    if (qr.dynamic) {
+      const { error: linkError } = await this.supabase
+        .from("merchant_qr_codes")
+        .update({ merchant_payment_id: payment.id, updated_at: new Date().toISOString() })
+        .eq("id", qr.issuedId);
+      if (linkError) console.error("Error linking QR code payment:", linkError);
+    }
+
+    return {
+      payment: { ...payment, transaction_id: transaction.id },
+      transaction,
+    };
+  }
+
+  /**
+   * Drop a claimed payment whose transfer failed, freeing its reference
+   * @param {string} paymentId - Payment ID
+   * @returns {Promise<void>}
+   */
+  async releasePayment(paymentId) {
+    const { error } = await this.supabase
+      .from("merchant_payments")
+      .delete()
+      .eq("id", paymentId)
+      .is("transaction_id", null);
+
+    if (error) console.error("Error releasing merchant payment:", error);
+  }
+
+  /**
+   * Completed sales over a period, per day and in total
+   * @param {string} merchantId - Merchant ID
+   * @param {Object} period - startDate, endDate (ISO strings)
+   * @returns {Promise<Object>} totals and days
+   */
+  async getSalesSummary(merchantId, { startDate, endDate }) {
+    try {
+      const { data, error } = await this.supabase.rpc("merchant_sales_summary", {
+        p_merchant_id: merchantId,
+        p_start: startDate,
+        p_end: endDate,
+      });
+
+      if (error) throw error;
+
+      const days = data.map((day) => ({
+        ...day,
+        payment_count: Number(day.payment_count),
+        amount_minor: Number(day.amount_minor),
+        static_count: Number(day.static_count),
+        dynamic_count: Number(day.dynamic_count),
+        unique_payers: Number(day.unique_payers),
+      }));
+
+      const totals = days.reduce(
+        (sum, day) => ({
+          payment_count: sum.payment_count + day.payment_count,
+          amount_minor: sum.amount_minor + day.amount_minor,
+          static_count: sum.static_count + day.static_count,
+          dynamic_count: sum.dynamic_count + day.dynamic_count,
+        }),
+        { payment_count: 0, amount_minor: 0, static_count: 0, dynamic_count: 0 }
+      );
+
+      return {
+        totals: {
+          ...totals,
+          average_minor: totals.payment_count ? Math.round(totals.amount_minor / totals.payment_count) : 0,
+        },
+        days,
+      };
+    } catch (error) {
+      throw new Error(`Error fetching merchant sales: ${error.message}`);
+    }
+  }
+}
+
+module.exports = Merchant;
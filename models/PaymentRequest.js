@@ -0,0 +1,359 @@
+const QueryBuilder = require("../utils/QueryBuilder");
+const Transaction = require("./Transaction");
+const ErrorHandler = require("../middlewares/errorHandler");
+const MoneyUtils = require("../utils/moneyUtils");
+const crypto = require("crypto");
+
+class PaymentRequest extends QueryBuilder {
+  static KINDS = {
+    DIRECT: "direct",
+    LINK: "link",
+  };
+
+  static STATUSES = {
+    PENDING: "pending",
+    PAID: "paid",
+    DECLINED: "declined",
+    CANCELLED: "cancelled",
+    EXPIRED: "expired",
+  };
+
+  // No 0/O or 1/I, so codes read back over the phone
+  static CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+  constructor() {
+    super("payment_requests");
+    this.selectableFields = [
+      "id",
+      "code",
+      "kind",
+      "requester_id",
+      "payer_id",
+      "amount_minor",
+      "description",
+      "reusable",
+      "status",
+      "expires_at",
+      "paid_count",
+      "paid_minor",
+      "last_paid_at",
+      "decline_reason",
+      "closed_at",
+      "created_at",
+      "updated_at",
+    ];
+  }
+
+  /**
+   * Generate a short shareable code, e.g. "PR-7KQ2M9XD"
+   * @returns {string} Code
+   */
+  static generateCode() {
+    const characters = Array.from(crypto.randomBytes(8), (byte) =>
+      PaymentRequest.CODE_ALPHABET.charAt(byte % PaymentRequest.CODE_ALPHABET.length)
+    );
+    return `PR-${characters.join("")}`;
+  }
+
+  /**
+   * Whether a request can still be paid; requests past their expiry stop
+   * being payable before the sweep marks them expired
+   * @param {Object} request - Payment request
+   * @returns {boolean} True if pending and unexpired
+   */
+  static isOpen(request) {
+    return (
+      request.status === PaymentRequest.STATUSES.PENDING &&
+      (!request.expires_at || new Date(request.expires_at) > new Date())
+    );
+  }
+
+  /**
+   * Status as the users should see it
+   * @param {Object} request - Payment request
+   * @returns {string} Status
+   */
+  static effectiveStatus(request) {
+    return request.status === PaymentRequest.STATUSES.PENDING && !PaymentRequest.isOpen(request)
+      ? PaymentRequest.STATUSES.EXPIRED
+      : request.status;
+  }
+
+  /**
+   * Find request by ID
+   * @param {string} id - Request ID
+   * @returns {Promise<Object>} Request data
+   */
+  async findById(id) {
+    try {
+      const { data, error } = await this.query
+        .select(this.selectableFields.join(","))
+        .eq("id", id)
+        .is("deleted_at", null)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error finding payment request: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find request by its shareable code
+   * @param {string} code - Request code
+   * @returns {Promise<Object>} Request data with the requester's name and agent code
+   */
+  async findByCode(code) {
+    try {
+      const { data, error } = await this.query
+        .select([...this.selectableFields, "requester:users!requester_id(name, agent_code)"].join(","))
+        .eq("code", code.trim().toUpperCase())
+        .is("deleted_at", null)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error finding payment request: ${error.message}`);
+    }
+  }
+
+  /**
+   * Payments made against a request
+   * @param {string} requestId - Request ID
+   * @returns {Promise<Array>} Payments, newest first
+   */
+  async getPayments(requestId) {
+    try {
+      const { data, error } = await this.supabase
+        .from("payment_request_payments")
+        .select("id, payer_id, transaction_id, amount_minor, created_at, payer:users!payer_id(name, agent_code)")
+        .eq("request_id", requestId)
+        .order("created_at", { ascending: false });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error fetching payment request payments: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store a new request
+   * @param {Object} requestData - Request data
+   * @returns {Promise<Object>} Created request
+   */
+  async create(requestData) {
+    try {
+      const { data, error } = await this.query
+        .insert({
+          ...requestData,
+          code: PaymentRequest.generateCode(),
+          status: PaymentRequest.STATUSES.PENDING,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        })
+        .select(this.selectableFields.join(","))
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error creating payment request: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ask another user for an amount
+   * @param {string} requesterId - Requesting user ID
+   * @param {string} payerId - User asked to pay
+   * @param {number} amountMinor - Amount in minor units
+   * @param {Object} options - description, expiresAt
+   * @returns {Promise<Object>} Created request
+   */
+  async createDirect(requesterId, payerId, amountMinor, { description, expiresAt = null }) {
+    if (requesterId === payerId) {
+      throw new ErrorHandler.AppError("You cannot request money from yourself", 400);
+    }
+
+    return this.create({
+      kind: PaymentRequest.KINDS.DIRECT,
+      requester_id: requesterId,
+      payer_id: payerId,
+      amount_minor: amountMinor,
+      description,
+      expires_at: expiresAt,
+    });
+  }
+
+  /**
+   * Create a pay link anyone with the code can pay
+   * @param {string} requesterId - Requesting user ID
+   * @param {Object} options - amountMinor (empty lets the payer choose), description, reusable, expiresAt
+   * @returns {Promise<Object>} Created request
+   */
+  async createLink(requesterId, { amountMinor = null, description, reusable = false, expiresAt = null }) {
+    return this.create({
+      kind: PaymentRequest.KINDS.LINK,
+      requester_id: requesterId,
+      amount_minor: amountMinor,
+      description,
+      reusable,
+      expires_at: expiresAt,
+    });
+  }
+
+  /**
+   * Close an open request, guarding against a concurrent payment, decline or cancel
+   * @param {Object} request - Request data
+   * @param {Object} updates - Fields to set, including the new status
+   * @returns {Promise<Object>} Updated request
+   */
+  async close(request, updates) {
+    if (!PaymentRequest.isOpen(request)) {
+      throw new ErrorHandler.AppError(
+        `Payment request is ${PaymentRequest.effectiveStatus(request)} and cannot be ${updates.status}`,
+        409
+      );
+    }
+
+    try {
+      let query = this.query
+        .update({ ...updates, closed_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+        .eq("id", request.id)
+        .eq("status", PaymentRequest.STATUSES.PENDING);
+      if (request.expires_at) query = query.gt("expires_at", new Date().toISOString());
+
+      const { data, error } = await query.select(this.selectableFields.join(",")).maybeSingle();
+
+      if (error) throw error;
+      if (!data) {
+        throw new ErrorHandler.AppError("Payment request was updated by someone else", 409);
+      }
+      return data;
+    } catch (error) {
+      if (error.isOperational) throw error;
+      throw new Error(`Error updating payment request: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pay a request with a normal transfer from the payer to the requester.
+   * A one-time request is closed before the transfer so it cannot be paid twice,
+   * and reopened if the transfer fails. The payment is recorded against the
+   * request in the same database transaction as the transfer.
+   * @param {Object} request - Request data
+   * @param {Object} payer - Paying user
+   * @param {Object} options - amountMinor (open-amount links only), fee
+   * @returns {Promise<Object>} Updated request and the transfer
+   */
+  async pay(request, payer, { amountMinor, fee }) {
+    if (request.requester_id === payer.id) {
+      throw new ErrorHandler.AppError("You cannot pay your own payment request", 400);
+    }
+    if (request.kind === PaymentRequest.KINDS.DIRECT && request.payer_id !== payer.id) {
+      throw new ErrorHandler.AppError("Payment request not found", 404);
+    }
+    if (!PaymentRequest.isOpen(request)) {
+      throw new ErrorHandler.AppError(`Payment request is ${PaymentRequest.effectiveStatus(request)}`, 409);
+    }
+
+    const payMinor = request.amount_minor ? Number(request.amount_minor) : amountMinor;
+    if (!payMinor) {
+      throw new ErrorHandler.AppError("Amount is required for this payment link", 400);
+    }
+    if (request.amount_minor && amountMinor && amountMinor !== payMinor) {
+      throw new ErrorHandler.AppError(`This request is for ${MoneyUtils.format(payMinor)}`, 400);
+    }
+
+    const updated = request.reusable ? request : await this.close(request, { status: PaymentRequest.STATUSES.PAID });
+
+    let transaction;
+    try {
+      transaction = await new Transaction().transfer(payer.id, request.requester_id, payMinor, {
+        fee,
+        paymentRequest: { requestId: request.id, payerId: payer.id, amountMinor: payMinor },
+        description: request.description || `Payment request ${request.code}`,
+        metadata: { payment_request_id: request.id, payment_request_code: request.code },
+      });
+    } catch (error) {
+      if (!request.reusable) await this.reopen(request);
+      throw error;
+    }
+
+    // Re-read for the totals the payment was counted in, which other payers may also have moved
+    return {
+      request: (await this.findById(request.id)) || updated,
+      transaction,
+    };
+  }
+
+  /**
+   * Put a one-time request back to pending when its transfer fails
+   * @param {Object} request - Request data as read before the payment
+   * @returns {Promise<void>}
+   */
+  async reopen(request) {
+    const { error } = await this.query
+      .update({ status: PaymentRequest.STATUSES.PENDING, closed_at: null, updated_at: new Date().toISOString() })
+      .eq("id", request.id)
+      .eq("status", PaymentRequest.STATUSES.PAID);
+
+    if (error) console.error("Error reopening payment request:", error);
+  }
+
+  /**
+   * Decline a direct request
+   * @param {Object} request - Request data
+   * @param {string} payerId - User declining
+   * @param {string} reason - Optional reason shown to the requester
+   * @returns {Promise<Object>} Declined request
+   */
+  async decline(request, payerId, reason) {
+    if (request.kind !== PaymentRequest.KINDS.DIRECT || request.payer_id !== payerId) {
+      throw new ErrorHandler.AppError("Payment request not found", 404);
+    }
+
+    return this.close(request, { status: PaymentRequest.STATUSES.DECLINED, decline_reason: reason });
+  }
+
+  /**
+   * Cancel a request or link
+   * @param {Object} request - Request data
+   * @param {string} requesterId - User cancelling
+   * @returns {Promise<Object>} Cancelled request
+   */
+  async cancel(request, requesterId) {
+    if (request.requester_id !== requesterId) {
+      throw new ErrorHandler.AppError("Payment request not found", 404);
+    }
+
+    return this.close(request, { status: PaymentRequest.STATUSES.CANCELLED });
+  }
+
+  /**
+   * Mark every pending request past its expiry as expired
+   * @returns {Promise<number>} Number of requests expired
+   */
+  async expireDue() {
+    try {
+      const { data, error } = await this.query
+        .update({
+          status: PaymentRequest.STATUSES.EXPIRED,
+          closed_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        })
+        .eq("status", PaymentRequest.STATUSES.PENDING)
+        .lte("expires_at", new Date().toISOString())
+        .select("id");
+
+      if (error) throw error;
+      return data.length;
+    } catch (error) {
+      throw new Error(`Error expiring payment requests: ${error.message}`);
+    }
+  }
+}
+
+module.exports = PaymentRequest;
@@ -0,0 +1,76 @@
+const QueryBuilder = require("../utils/QueryBuilder");
+
+class PaymentWebhookEvent extends QueryBuilder {
+  constructor() {
+    super("payment_webhook_events");
+  }
+
+  /**
+   * Find a received event
+   * @param {string} provider - Provider slug
+   * @param {string} eventId - Provider event ID
+   * @returns {Promise<Object>} Stored event
+   */
+  async find(provider, eventId) {
+    try {
+      const { data, error } = await this.query
+        .select("*")
+        .eq("provider", provider)
+        .eq("event_id", eventId)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error finding webhook event: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a received webhook event
+   * @param {string} provider - Provider slug
+   * @param {Object} event - Normalized event
+   * @param {Object} payload - Raw webhook body
+   * @returns {Promise<Object|null>} Stored event, or null if it was already received
+   */
+  async record(provider, event, payload) {
+    try {
+      const { data, error } = await this.query
+        .insert({
+          provider,
+          event_id: event.eventId,
+          transaction_reference: event.reference,
+          status: event.status,
+          payload,
+          created_at: new Date().toISOString(),
+        })
+        .select()
+        .single();
+
+      if (error && error.code === "23505") return null;
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error recording webhook event: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mark an event as processed
+   * @param {string} id - Event ID
+   * @returns {Promise<void>}
+   */
+  async markProcessed(id) {
+    try {
+      const { error } = await this.query
+        .update({ processed_at: new Date().toISOString() })
+        .eq("id", id);
+
+      if (error) throw error;
+    } catch (error) {
+      throw new Error(`Error updating webhook event: ${error.message}`);
+    }
+  }
+}
+
+module.exports = PaymentWebhookEvent;
@@ -0,0 +1,137 @@
+const QueryBuilder = require("../utils/QueryBuilder");
+
+class ReconciliationReport extends QueryBuilder {
+  static TRIGGERS = ["manual", "cli", "scheduled"];
+
+  static STATUSES = {
+    RUNNING: "running",
+    COMPLETED: "completed",
+    FAILED: "failed",
+  };
+
+  constructor() {
+    super("reconciliation_reports");
+    // Discrepancies are only loaded for a single report
+    this.selectableFields = [
+      "id",
+      "trigger",
+      "run_by",
+      "status",
+      "accounts_checked",
+      "transactions_checked",
+      "discrepancy_count",
+      "error",
+      "started_at",
+      "completed_at",
+      "created_at",
+    ];
+  }
+
+  /**
+   * Find a report with its discrepancies
+   * @param {string} id - Report ID
+   * @returns {Promise<Object>} Report data
+   */
+  async findById(id) {
+    try {
+      const { data, error } = await this.query
+        .select([...this.selectableFields, "discrepancies"].join(","))
+        .eq("id", id)
+        .is("deleted_at", null)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error finding reconciliation report: ${error.message}`);
+    }
+  }
+
+  /**
+   * Recompute every ledger account and collect the discrepancies
+   * @returns {Promise<Array>} Discrepancies
+   */
+  async findDiscrepancies() {
+    const discrepancies = [];
+    const batchSize = 1000;
+
+    for (let offset = 0; ; offset += batchSize) {
+      const { data, error } = await this.supabase
+        .rpc("reconcile_ledger")
+        .range(offset, offset + batchSize - 1);
+
+      if (error) throw error;
+      discrepancies.push(...data);
+      if (data.length < batchSize) break;
+    }
+
+    return discrepancies;
+  }
+
+  /**
+   * Count rows in a table
+   * @param {string} table - Table name
+   * @returns {Promise<number>} Row count
+   */
+  async count(table) {
+    const { count, error } = await this.supabase.from(table).select("id", { count: "exact", head: true });
+
+    if (error) throw error;
+    return count || 0;
+  }
+
+  /**
+   * Run a reconciliation and store its report.
+   * A run that errors is kept as failed so it still shows up in the list.
+   * @param {Object} options - trigger ('manual', 'cli' or 'scheduled') and runBy (admin ID)
+   * @returns {Promise<Object>} Stored report
+   */
+  async run({ trigger, runBy = null }) {
+    const { data: report, error } = await this.query
+      .insert({
+        trigger,
+        run_by: runBy,
+        status: ReconciliationReport.STATUSES.RUNNING,
+        started_at: new Date().toISOString(),
+        created_at: new Date().toISOString(),
+      })
+      .select("id")
+      .single();
+
+    if (error) throw new Error(`Error starting reconciliation: ${error.message}`);
+
+    let outcome;
+    try {
+      const [discrepancies, accountsChecked, transactionsChecked] = await Promise.all([
+        this.findDiscrepancies(),
+        this.count("ledger_accounts"),
+        this.count("transactions"),
+      ]);
+
+      outcome = {
+        status: ReconciliationReport.STATUSES.COMPLETED,
+        accounts_checked: accountsChecked,
+        transactions_checked: transactionsChecked,
+        discrepancy_count: discrepancies.length,
+        discrepancies,
+      };
+    } catch (runError) {
+      outcome = { status: ReconciliationReport.STATUSES.FAILED, error: runError.message };
+    }
+
+    try {
+      const { data, error: updateError } = await this.query
+        .update({ ...outcome, completed_at: new Date().toISOString() })
+        .eq("id", report.id)
+        .select([...this.selectableFields, "discrepancies"].join(","))
+        .single();
+
+      if (updateError) throw updateError;
+      return data;
+    } catch (updateError) {
+      throw new Error(`Error saving reconciliation report: ${updateError.message}`);
+    }
+  }
+}
+
+module.exports = ReconciliationReport;
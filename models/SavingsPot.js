@@ -0,0 +1,409 @@
+const QueryBuilder = require("../utils/QueryBuilder");
+const Transaction = require("./Transaction");
+const FeeSchedule = require("./FeeSchedule");
+const ErrorHandler = require("../middlewares/errorHandler");
+const MoneyUtils = require("../utils/moneyUtils");
+
+class SavingsPot extends QueryBuilder {
+  static STATUSES = {
+    ACTIVE: "active",
+    CLOSED: "closed",
+  };
+
+  // What happens when money is taken out of a pot before locked_until
+  static EARLY_WITHDRAWAL = {
+    PENALIZED: "penalized",
+    BLOCKED: "blocked",
+  };
+
+  static FREQUENCIES = ["daily", "weekly", "monthly"];
+
+  static MAX_ACTIVE_POTS = 10;
+
+  constructor() {
+    super("savings_pots");
+    this.selectableFields = [
+      "id",
+      "user_id",
+      "name",
+      "target_minor",
+      "target_date",
+      "locked_until",
+      "early_withdrawal",
+      "auto_save_minor",
+      "auto_save_frequency",
+      "next_auto_save_at",
+      "last_auto_save_at",
+      "last_auto_save_error",
+      "status",
+      "closed_at",
+      "created_at",
+      "updated_at",
+    ];
+  }
+
+  /**
+   * When the next scheduled top-up after a given time is due
+   * @param {string} frequency - daily, weekly or monthly
+   * @param {Date} from - Time of the previous (or first) top-up
+   * @returns {string} ISO timestamp
+   */
+  static nextAutoSave(frequency, from = new Date()) {
+    const next = new Date(from);
+    if (frequency === "daily") next.setUTCDate(next.getUTCDate() + 1);
+    if (frequency === "weekly") next.setUTCDate(next.getUTCDate() + 7);
+    if (frequency === "monthly") {
+      // Clamp to the last day of a shorter month (Jan 31 -> Feb 28) instead of rolling over
+      const day = next.getUTCDate();
+      next.setUTCDate(1);
+      next.setUTCMonth(next.getUTCMonth() + 1);
+      next.setUTCDate(Math.min(day, new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate()));
+    }
+    return next.toISOString();
+  }
+
+  /**
+   * Whether money taken out now counts as an early withdrawal
+   * @param {Object} pot - Savings pot
+   * @returns {boolean} True while the pot is locked
+   */
+  static isLocked(pot) {
+    return Boolean(pot.locked_until) && new Date(pot.locked_until) > new Date();
+  }
+
+  /**
+   * Find one of a user's pots
+   * @param {string} id - Pot ID
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Object>} Pot data with balance_minor
+   */
+  async findForUser(id, userId) {
+    try {
+      const { data, error } = await this.query
+        .select(this.selectableFields.join(","))
+        .eq("id", id)
+        .eq("user_id", userId)
+        .is("deleted_at", null)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!data) return null;
+
+      const [pot] = await this.withBalances([data]);
+      return pot;
+    } catch (error) {
+      throw new Error(`Error finding savings pot: ${error.message}`);
+    }
+  }
+
+  /**
+   * A user's pots, active ones first
+   * @param {string} userId - Owner user ID
+   * @param {Object} options - status
+   * @returns {Promise<Array>} Pots with balance_minor
+   */
+  async getForUser(userId, { status } = {}) {
+    try {
+      let query = this.query.select(this.selectableFields.join(",")).eq("user_id", userId).is("deleted_at", null);
+      if (status) query = query.eq("status", status);
+
+      const { data, error } = await query.order("status").order("created_at", { ascending: true });
+
+      if (error) throw error;
+      return this.withBalances(data);
+    } catch (error) {
+      throw new Error(`Error fetching savings pots: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add each pot's ledger balance as balance_minor
+   * @param {Array} pots - Pots
+   * @returns {Promise<Array>} Pots with balance_minor
+   */
+  async withBalances(pots) {
+    if (!pots.length) return pots;
+
+    const { data, error } = await this.supabase
+      .from("ledger_accounts")
+      .select("code, balance_minor")
+      .in("code", pots.map((pot) => Transaction.potAccount(pot.id)));
+
+    if (error) throw new Error(`Error fetching savings pot balances: ${error.message}`);
+
+    const balances = new Map(data.map((account) => [account.code, Number(account.balance_minor)]));
+    return pots.map((pot) => ({ ...pot, balance_minor: balances.get(Transaction.potAccount(pot.id)) || 0 }));
+  }
+
+  /**
+   * Ledger movements in and out of a pot
+   * @param {Object} pot - Savings pot
+   * @param {Object} options - limit
+   * @returns {Promise<Array>} Entries, newest first
+   */
+  async getMovements(pot, { limit = 20 } = {}) {
+    try {
+      const account = await new Transaction().getAccount(Transaction.potAccount(pot.id));
+      if (!account) return [];
+
+      const { data, error } = await this.supabase
+        .from("ledger_entries")
+        .select(
+          "id, direction, amount_minor, balance_after_minor, created_at, " +
+            "transaction:transactions(id, reference, type, description, fee_minor)"
+        )
+        .eq("account_id", account.id)
+        .order("entry_number", { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error fetching savings pot movements: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a pot
+   * @param {string} userId - Owner user ID
+   * @param {Object} potData - name, target_minor, target_date, locked_until, early_withdrawal,
+   *   auto_save_minor, auto_save_frequency, next_auto_save_at
+   * @returns {Promise<Object>} Created pot
+   */
+  async create(userId, potData) {
+    const active = await this.getForUser(userId, { status: SavingsPot.STATUSES.ACTIVE });
+    if (active.length >= SavingsPot.MAX_ACTIVE_POTS) {
+      throw new ErrorHandler.AppError(`You can have at most ${SavingsPot.MAX_ACTIVE_POTS} savings pots`, 400);
+    }
+
+    try {
+      const { data, error } = await this.query
+        .insert({
+          ...potData,
+          user_id: userId,
+          status: SavingsPot.STATUSES.ACTIVE,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        })
+        .select(this.selectableFields.join(","))
+        .single();
+
+      if (error) throw error;
+      return { ...data, balance_minor: 0 };
+    } catch (error) {
+      throw new Error(`Error creating savings pot: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update an active pot. A lock can be extended but not shortened or removed.
+   * @param {Object} pot - Savings pot
+   * @param {Object} updates - Fields to set
+   * @returns {Promise<Object>} Updated pot
+   */
+  async update(pot, updates) {
+    if (pot.status !== SavingsPot.STATUSES.ACTIVE) {
+      throw new ErrorHandler.AppError("This savings pot is closed", 409);
+    }
+    if (
+      SavingsPot.isLocked(pot) &&
+      ((updates.locked_until !== undefined &&
+        (!updates.locked_until || new Date(updates.locked_until) < new Date(pot.locked_until))) ||
+        (updates.early_withdrawal && updates.early_withdrawal !== pot.early_withdrawal))
+    ) {
+      throw new ErrorHandler.AppError("A locked pot's lock can only be extended", 400);
+    }
+
+    try {
+      const { data, error } = await this.query
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq("id", pot.id)
+        .eq("status", SavingsPot.STATUSES.ACTIVE)
+        .select(this.selectableFields.join(","))
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!data) {
+        throw new ErrorHandler.AppError("Savings pot was updated by someone else", 409);
+      }
+      return { ...data, balance_minor: pot.balance_minor };
+    } catch (error) {
+      if (error.isOperational) throw error;
+      throw new Error(`Error updating savings pot: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move money from the wallet into a pot
+   * @param {Object} pot - Savings pot
+   * @param {number} amountMinor - Amount in minor units
+   * @param {Object} options - description, metadata
+   * @returns {Promise<Object>} Completed transaction
+   */
+  async deposit(pot, amountMinor, { description, metadata } = {}) {
+    if (pot.status !== SavingsPot.STATUSES.ACTIVE) {
+      throw new ErrorHandler.AppError("This savings pot is closed", 409);
+    }
+
+    return new Transaction().saveToPot(pot, amountMinor, {
+      description: description || `Savings: ${pot.name}`,
+      metadata: { ...metadata, pot_name: pot.name },
+    });
+  }
+
+  /**
+   * Penalty for taking an amount out of a pot now; zero once the lock has passed
+   * @param {Object} pot - Savings pot
+   * @param {number} amountMinor - Amount in minor units
+   * @param {Object} user - Owner, for the fee schedule scope
+   * @returns {Promise<Object>} Quoted penalty (amountMinor, scheduleId, version)
+   */
+  async quotePenalty(pot, amountMinor, user) {
+    if (!SavingsPot.isLocked(pot)) {
+      return { amountMinor: 0, scheduleId: null, version: null };
+    }
+    if (pot.early_withdrawal === SavingsPot.EARLY_WITHDRAWAL.BLOCKED) {
+      throw new ErrorHandler.AppError(
+        `This pot is locked until ${new Date(pot.locked_until).toISOString().slice(0, 10)}`,
+        403
+      );
+    }
+
+    return new FeeSchedule().quote(FeeSchedule.OPERATIONS.SAVINGS_EARLY_WITHDRAWAL, amountMinor, user);
+  }
+
+  /**
+   * Move money from a pot back to the wallet, less any early withdrawal penalty
+   * @param {Object} pot - Savings pot with balance_minor
+   * @param {number} amountMinor - Amount taken out of the pot in minor units
+   * @param {Object} penalty - Quoted penalty from quotePenalty()
+   * @returns {Promise<Object>} Completed transaction
+   */
+  async withdraw(pot, amountMinor, penalty) {
+    if (amountMinor > pot.balance_minor) {
+      throw new ErrorHandler.AppError(`This pot only has ${MoneyUtils.format(pot.balance_minor)}`, 400);
+    }
+    if (penalty.amountMinor >= amountMinor) {
+      throw new ErrorHandler.AppError(
+        `The early withdrawal penalty of ${MoneyUtils.format(penalty.amountMinor)} would take the whole amount`,
+        400
+      );
+    }
+
+    return new Transaction().withdrawFromPot(pot, amountMinor, {
+      penalty: penalty.amountMinor ? penalty : null,
+      description: `Savings withdrawal: ${pot.name}`,
+      metadata: {
+        pot_name: pot.name,
+        early: SavingsPot.isLocked(pot),
+      },
+    });
+  }
+
+  /**
+   * Close a pot, returning anything left in it to the wallet
+   * @param {Object} pot - Savings pot with balance_minor
+   * @param {Object} penalty - Quoted penalty for the remaining balance
+   * @returns {Promise<Object>} Closed pot and the withdrawal, if any
+   */
+  async close(pot, penalty) {
+    if (pot.status !== SavingsPot.STATUSES.ACTIVE) {
+      throw new ErrorHandler.AppError("This savings pot is already closed", 409);
+    }
+
+    const transaction = pot.balance_minor > 0 ? await this.withdraw(pot, pot.balance_minor, penalty) : null;
+
+    const { data, error } = await this.query
+      .update({
+        status: SavingsPot.STATUSES.CLOSED,
+        next_auto_save_at: null,
+        closed_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", pot.id)
+      .select(this.selectableFields.join(","))
+      .single();
+
+    if (error) throw new Error(`Error closing savings pot: ${error.message}`);
+    return { pot: { ...data, balance_minor: 0 }, transaction };
+  }
+
+  /**
+   * Run the scheduled top-ups that are due. Each pot's next run is moved on
+   * before its transfer, so a top-up that fails (e.g. low balance) is skipped
+   * until the next period rather than retried. Periods missed while the
+   * scheduler was down are skipped rather than saved in a burst. Pots that
+   * reached their target are not topped up.
+   * @param {Object} options - limit
+   * @returns {Promise<Object>} Counts of top-ups saved, skipped and failed
+   */
+  async runAutoSaves({ limit = 200 } = {}) {
+    const { data, error } = await this.query
+      .select(this.selectableFields.join(","))
+      .eq("status", SavingsPot.STATUSES.ACTIVE)
+      .not("auto_save_minor", "is", null)
+      .lte("next_auto_save_at", new Date().toISOString())
+      .order("next_auto_save_at", { ascending: true })
+      .limit(limit);
+
+    if (error) throw new Error(`Error fetching due savings top-ups: ${error.message}`);
+
+    const summary = { saved: 0, skipped: 0, failed: 0 };
+    const pots = await this.withBalances(data);
+
+    for (const pot of pots) {
+      // The first run on the pot's schedule that is still ahead of now
+      const now = new Date();
+      let nextAt = SavingsPot.nextAutoSave(pot.auto_save_frequency, new Date(pot.next_auto_save_at));
+      while (new Date(nextAt) <= now) {
+        nextAt = SavingsPot.nextAutoSave(pot.auto_save_frequency, new Date(nextAt));
+      }
+
+      const { data: claimed, error: claimError } = await this.query
+        .update({
+          next_auto_save_at: nextAt,
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", pot.id)
+        .eq("next_auto_save_at", pot.next_auto_save_at)
+        .select("id")
+        .maybeSingle();
+
+      if (claimError || !claimed) continue;
+
+      const remainingMinor = pot.target_minor ? Number(pot.target_minor) - pot.balance_minor : null;
+      if (remainingMinor !== null && remainingMinor <= 0) {
+        summary.skipped += 1;
+        continue;
+      }
+
+      const amountMinor = remainingMinor === null
+        ? Number(pot.auto_save_minor)
+        : Math.min(Number(pot.auto_save_minor), remainingMinor);
+
+      let lastError = null;
+      try {
+        await this.deposit(pot, amountMinor, {
+          description: `Scheduled savings: ${pot.name}`,
+          metadata: { scheduled: true },
+        });
+        summary.saved += 1;
+      } catch (depositError) {
+        lastError = depositError.message;
+        summary.failed += 1;
+      }
+
+      const { error: updateError } = await this.query
+        .update({
+          ...(lastError ? {} : { last_auto_save_at: new Date().toISOString() }),
+          last_auto_save_error: lastError,
+        })
+        .eq("id", pot.id);
+      if (updateError) console.error("Error recording savings top-up:", updateError);
+    }
+
+    return summary;
+  }
+}
+
+module.exports = SavingsPot;
@@ -0,0 +1,669 @@
+const QueryBuilder = require("../utils/QueryBuilder");
+const Transaction = require("./Transaction");
+const FeeSchedule = require("./FeeSchedule");
+const User = require("./User");
+const FraudScreening = require("./FraudScreening");
+const ErrorHandler = require("../middlewares/errorHandler");
+const CronSchedule = require("../utils/cronSchedule");
+const EmailService = require("../utils/emailService");
+
+class ScheduledTransfer extends QueryBuilder {
+  static STATUSES = {
+    ACTIVE: "active",
+    PAUSED: "paused",
+    COMPLETED: "completed",
+    CANCELLED: "cancelled",
+  };
+
+  static SCHEDULE_TYPES = {
+    ONCE: "once",
+    INTERVAL: "interval",
+    CRON: "cron",
+  };
+
+  static INTERVAL_UNITS = ["day", "week", "month"];
+
+  static RUN_STATUSES = {
+    PROCESSING: "processing",
+    SUCCEEDED: "succeeded",
+    RETRYING: "retrying",
+    FAILED: "failed",
+    // Screening held the run for review; the review decision settles it (see settleHeldRun)
+    HELD: "held",
+  };
+
+  // How long a claimed instruction is left alone before another pass may pick it up
+  static CLAIM_MINUTES = 10;
+
+  // Fields the owner may change without setting up a new schedule
+  static EDITABLE_FIELDS = ["amount_minor", "note", "ends_at", "max_runs", "max_retries", "retry_delay_minutes"];
+
+  constructor() {
+    super("scheduled_transfers");
+    this.selectableFields = [
+      "id",
+      "user_id",
+      "recipient_id",
+      "amount_minor",
+      "note",
+      "schedule_type",
+      "interval_unit",
+      "interval_count",
+      "cron_expression",
+      "starts_at",
+      "ends_at",
+      "max_runs",
+      "run_count",
+      "max_retries",
+      "retry_delay_minutes",
+      "status",
+      "next_run_at",
+      "occurrence_at",
+      "attempt",
+      "last_run_at",
+      "last_run_status",
+      "last_failure_reason",
+      "cancelled_at",
+      "created_at",
+      "updated_at",
+    ];
+  }
+
+  /**
+   * Check a cron expression and that it runs at most hourly
+   * @param {string} expression - Cron expression
+   * @returns {Object} Parsed schedule
+   */
+  static parseCron(expression) {
+    let schedule;
+    try {
+      schedule = CronSchedule.parse(expression);
+    } catch (error) {
+      throw new ErrorHandler.AppError(error.message, 400);
+    }
+    if (schedule.minutes.size !== 1) {
+      throw new ErrorHandler.AppError("Scheduled transfers can run at most once an hour; use a single minute", 400);
+    }
+    return schedule;
+  }
+
+  /**
+   * The nth occurrence of an interval schedule, counted from its start.
+   * Months are clamped to the last day (Jan 31 -> Feb 28 -> Mar 31).
+   */
+  static intervalOccurrence(transfer, n) {
+    const start = new Date(transfer.starts_at);
+    const step = n * transfer.interval_count;
+
+    if (transfer.interval_unit === "month") {
+      const date = new Date(start);
+      date.setUTCDate(1);
+      date.setUTCMonth(date.getUTCMonth() + step);
+      const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+      date.setUTCDate(Math.min(start.getUTCDate(), lastDay));
+      return date;
+    }
+
+    const days = transfer.interval_unit === "week" ? step * 7 : step;
+    return new Date(start.getTime() + days * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * The first occurrence strictly after a time, ignoring ends_at and max_runs
+   * @param {Object} transfer - Schedule fields
+   * @param {Date} after - Time to search from
+   * @returns {Date|null} Next occurrence, or null if there is none
+   */
+  static occurrenceAfter(transfer, after) {
+    const start = new Date(transfer.starts_at);
+
+    if (transfer.schedule_type === ScheduledTransfer.SCHEDULE_TYPES.ONCE) {
+      return start > after ? start : null;
+    }
+
+    if (transfer.schedule_type === ScheduledTransfer.SCHEDULE_TYPES.CRON) {
+      // The first run is the first match at or after starts_at
+      const from = after < start ? new Date(start.getTime() - 60 * 1000) : after;
+      return CronSchedule.nextAfter(ScheduledTransfer.parseCron(transfer.cron_expression), from);
+    }
+
+    if (after < start) return start;
+
+    // Jump close to the answer, then step forward
+    const unitDays = { day: 1, week: 7, month: 28 }[transfer.interval_unit] * transfer.interval_count;
+    let n = Math.max(Math.floor((after - start) / (unitDays * 24 * 60 * 60 * 1000)) - 1, 0);
+    while (ScheduledTransfer.intervalOccurrence(transfer, n) <= after) n += 1;
+    return ScheduledTransfer.intervalOccurrence(transfer, n);
+  }
+
+  /**
+   * The next occurrence to pay, or null once the schedule is finished
+   * @param {Object} transfer - Schedule fields with run_count
+   * @param {Date} after - Time to search from
+   * @returns {Date|null} Next occurrence within ends_at and max_runs
+   */
+  static nextOccurrence(transfer, after) {
+    if (transfer.max_runs && transfer.run_count >= transfer.max_runs) return null;
+
+    const next = ScheduledTransfer.occurrenceAfter(transfer, after);
+    if (!next || (transfer.ends_at && next > new Date(transfer.ends_at))) return null;
+    return next;
+  }
+
+  /**
+   * Upcoming occurrences, for showing the user what they set up
+   * @param {Object} transfer - Schedule fields with run_count
+   * @param {number} count - How many to list
+   * @returns {Array<string>} ISO timestamps
+   */
+  static upcoming(transfer, count = 5) {
+    if (transfer.status && transfer.status !== ScheduledTransfer.STATUSES.ACTIVE) return [];
+
+    const occurrences = [];
+    let next = transfer.occurrence_at ? new Date(transfer.occurrence_at) : null;
+    let runCount = transfer.run_count || 0;
+
+    if (!next) {
+      next = ScheduledTransfer.nextOccurrence({ ...transfer, run_count: runCount }, new Date());
+    }
+    while (next && occurrences.length < count) {
+      occurrences.push(next.toISOString());
+      runCount += 1;
+      next = ScheduledTransfer.nextOccurrence({ ...transfer, run_count: runCount }, next);
+    }
+
+    return occurrences;
+  }
+
+  /**
+   * Find one of a user's scheduled transfers
+   * @param {string} id - Scheduled transfer ID
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Object>} Scheduled transfer with its recipient
+   */
+  async findForUser(id, userId) {
+    try {
+      const { data, error } = await this.query
+        .select([...this.selectableFields, "recipient:users!recipient_id(name, agent_code)"].join(","))
+        .eq("id", id)
+        .eq("user_id", userId)
+        .is("deleted_at", null)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error finding scheduled transfer: ${error.message}`);
+    }
+  }
+
+  /**
+   * Attempts made for a scheduled transfer
+   * @param {string} id - Scheduled transfer ID
+   * @param {Object} options - limit
+   * @returns {Promise<Array>} Runs, newest first
+   */
+  async getRuns(id, { limit = 20 } = {}) {
+    try {
+      const { data, error } = await this.supabase
+        .from("scheduled_transfer_runs")
+        .select("*, transaction:transactions(id, reference, status)")
+        .eq("scheduled_transfer_id", id)
+        .order("created_at", { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error fetching scheduled transfer runs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create an instruction and work out its first run
+   * @param {Object} transferData - user_id, recipient_id, amount_minor, schedule fields
+   * @returns {Promise<Object>} Created scheduled transfer
+   */
+  async create(transferData) {
+    if (transferData.schedule_type === ScheduledTransfer.SCHEDULE_TYPES.CRON) {
+      ScheduledTransfer.parseCron(transferData.cron_expression);
+    }
+
+    const first = ScheduledTransfer.nextOccurrence(
+      { ...transferData, run_count: 0 },
+      new Date(Math.max(Date.now(), new Date(transferData.starts_at).getTime() - 1))
+    );
+    if (!first) {
+      throw new ErrorHandler.AppError("This schedule has no runs between its start and end dates", 400);
+    }
+
+    try {
+      const { data, error } = await this.query
+        .insert({
+          ...transferData,
+          status: ScheduledTransfer.STATUSES.ACTIVE,
+          next_run_at: first.toISOString(),
+          occurrence_at: first.toISOString(),
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        })
+        .select(this.selectableFields.join(","))
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error creating scheduled transfer: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move an instruction on from the status and next run it was read with
+   * @param {Object} transfer - Scheduled transfer
+   * @param {Object} updates - Fields to set
+   * @returns {Promise<Object>} Updated scheduled transfer
+   */
+  async transition(transfer, updates) {
+    try {
+      let query = this.query
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq("id", transfer.id)
+        .eq("status", transfer.status);
+      query = transfer.next_run_at ? query.eq("next_run_at", transfer.next_run_at) : query.is("next_run_at", null);
+
+      const { data, error } = await query.select(this.selectableFields.join(",")).maybeSingle();
+
+      if (error) throw error;
+      if (!data) {
+        throw new ErrorHandler.AppError("Scheduled transfer was updated by someone else", 409);
+      }
+      return data;
+    } catch (error) {
+      if (error.isOperational) throw error;
+      throw new Error(`Error updating scheduled transfer: ${error.message}`);
+    }
+  }
+
+  /**
+   * Change the amount, note, end or retry policy of a live instruction
+   * @param {Object} transfer - Scheduled transfer
+   * @param {Object} updates - Editable fields
+   * @returns {Promise<Object>} Updated scheduled transfer
+   */
+  async update(transfer, updates) {
+    if (![ScheduledTransfer.STATUSES.ACTIVE, ScheduledTransfer.STATUSES.PAUSED].includes(transfer.status)) {
+      throw new ErrorHandler.AppError(`This scheduled transfer is ${transfer.status}`, 409);
+    }
+    if (updates.max_runs && updates.max_runs <= transfer.run_count) {
+      throw new ErrorHandler.AppError(`This schedule has already run ${transfer.run_count} times`, 400);
+    }
+    if (
+      updates.ends_at &&
+      transfer.occurrence_at &&
+      new Date(updates.ends_at) < new Date(transfer.occurrence_at)
+    ) {
+      throw new ErrorHandler.AppError("The end date is before the next run; cancel the transfer instead", 400);
+    }
+
+    return this.transition(transfer, updates);
+  }
+
+  /**
+   * Stop running an instruction until it is resumed
+   * @param {Object} transfer - Scheduled transfer
+   * @returns {Promise<Object>} Paused scheduled transfer
+   */
+  async pause(transfer) {
+    if (transfer.status !== ScheduledTransfer.STATUSES.ACTIVE) {
+      throw new ErrorHandler.AppError(`This scheduled transfer is ${transfer.status}`, 409);
+    }
+
+    return this.transition(transfer, { status: ScheduledTransfer.STATUSES.PAUSED, next_run_at: null });
+  }
+
+  /**
+   * Resume a paused instruction from its next occurrence after now; runs
+   * missed while paused are skipped
+   * @param {Object} transfer - Scheduled transfer
+   * @returns {Promise<Object>} Active or completed scheduled transfer
+   */
+  async resume(transfer) {
+    if (transfer.status !== ScheduledTransfer.STATUSES.PAUSED) {
+      throw new ErrorHandler.AppError(`This scheduled transfer is ${transfer.status}`, 409);
+    }
+
+    const next = ScheduledTransfer.nextOccurrence(transfer, new Date());
+    if (!next) {
+      return this.transition(transfer, { status: ScheduledTransfer.STATUSES.COMPLETED, occurrence_at: null });
+    }
+
+    return this.transition(transfer, {
+      status: ScheduledTransfer.STATUSES.ACTIVE,
+      next_run_at: next.toISOString(),
+      occurrence_at: next.toISOString(),
+      attempt: 0,
+    });
+  }
+
+  /**
+   * Cancel an instruction for good
+   * @param {Object} transfer - Scheduled transfer
+   * @returns {Promise<Object>} Cancelled scheduled transfer
+   */
+  async cancel(transfer) {
+    if (![ScheduledTransfer.STATUSES.ACTIVE, ScheduledTransfer.STATUSES.PAUSED].includes(transfer.status)) {
+      throw new ErrorHandler.AppError(`This scheduled transfer is already ${transfer.status}`, 409);
+    }
+
+    return this.transition(transfer, {
+      status: ScheduledTransfer.STATUSES.CANCELLED,
+      next_run_at: null,
+      occurrence_at: null,
+      cancelled_at: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Record an attempt before any money moves
+   * @returns {Promise<Object>} The run, or null if this attempt was already made
+   */
+  async claimRun(transfer) {
+    const { data, error } = await this.supabase
+      .from("scheduled_transfer_runs")
+      .insert({
+        scheduled_transfer_id: transfer.id,
+        user_id: transfer.user_id,
+        occurrence_at: transfer.occurrence_at,
+        attempt: transfer.attempt,
+        amount_minor: transfer.amount_minor,
+        status: ScheduledTransfer.RUN_STATUSES.PROCESSING,
+      })
+      .select("*")
+      .single();
+
+    if (error && error.code === "23505") return null;
+    if (error) throw new Error(`Error recording scheduled transfer run: ${error.message}`);
+    return data;
+  }
+
+  async updateRun(run, updates) {
+    const { data, error } = await this.supabase
+      .from("scheduled_transfer_runs")
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq("id", run.id)
+      .select("*")
+      .single();
+
+    if (error) throw new Error(`Error updating scheduled transfer run: ${error.message}`);
+    return data;
+  }
+
+  /**
+   * Work out what happened to an attempt a previous pass claimed but did not
+   * finish, from whether its transfer was posted
+   * @returns {Promise<Object>} The settled run
+   */
+  async recoverRun(transfer) {
+    const { data: run, error } = await this.supabase
+      .from("scheduled_transfer_runs")
+      .select("*")
+      .eq("scheduled_transfer_id", transfer.id)
+      .eq("occurrence_at", transfer.occurrence_at)
+      .eq("attempt", transfer.attempt)
+      .single();
+
+    if (error) throw new Error(`Error finding scheduled transfer run: ${error.message}`);
+    if (run.status !== ScheduledTransfer.RUN_STATUSES.PROCESSING) return run;
+
+    const { data: posted, error: postedError } = await this.supabase
+      .from("transactions")
+      .select("id, fee_minor")
+      .eq("metadata->>scheduled_transfer_run_id", run.id)
+      .eq("status", Transaction.STATUSES.COMPLETED)
+      .maybeSingle();
+
+    if (postedError) throw new Error(`Error checking scheduled transfer run: ${postedError.message}`);
+    if (posted) {
+      return this.updateRun(run, {
+        status: ScheduledTransfer.RUN_STATUSES.SUCCEEDED,
+        transaction_id: posted.id,
+        fee_minor: posted.fee_minor,
+      });
+    }
+
+    const { data: held, error: heldError } = await this.supabase
+      .from("fraud_screenings")
+      .select("id")
+      .eq("payload->metadata->>scheduled_transfer_run_id", run.id)
+      .not("review_status", "is", null)
+      .maybeSingle();
+
+    if (heldError) throw new Error(`Error checking scheduled transfer run: ${heldError.message}`);
+
+    return this.updateRun(
+      run,
+      held
+        ? { status: ScheduledTransfer.RUN_STATUSES.HELD, fraud_screening_id: held.id }
+        : { status: ScheduledTransfer.RUN_STATUSES.RETRYING, failure_reason: "The run was interrupted" }
+    );
+  }
+
+  /**
+   * Send the money for a claimed attempt
+   * @returns {Promise<Object>} The settled run
+   */
+  async execute(transfer, run, sender, recipient) {
+    try {
+      if (!User.isActive(sender)) {
+        throw new ErrorHandler.AppError("Your account is not active", 403);
+      }
+      if (!User.canReceive(recipient)) {
+        throw new ErrorHandler.AppError("The recipient can no longer receive transfers", 400);
+      }
+
+      const fee = await new FeeSchedule().quote(FeeSchedule.OPERATIONS.TRANSFER, Number(transfer.amount_minor), sender);
+      const description = transfer.note || `Scheduled transfer to ${recipient.name}`;
+      const metadata = {
+        note: transfer.note,
+        recipient_identifier: recipient.agent_code,
+        scheduled_transfer_id: transfer.id,
+        scheduled_transfer_run_id: run.id,
+      };
+
+      const screeningModel = new FraudScreening();
+      const { screening, review } = await screeningModel.guard(
+        sender,
+        {
+          operation: FraudScreening.OPERATIONS.TRANSFER,
+          amountMinor: Number(transfer.amount_minor),
+          counterpartyId: recipient.id,
+        },
+        FraudScreening.NO_DEVICE,
+        { unattended: true, review: { fee, description, metadata } }
+      );
+
+      if (review) {
+        return this.updateRun(run, {
+          status: ScheduledTransfer.RUN_STATUSES.HELD,
+          fraud_screening_id: review.id,
+          fee_minor: fee.amountMinor,
+        });
+      }
+
+      const transaction = await new Transaction().transfer(sender.id, recipient.id, Number(transfer.amount_minor), {
+        fee,
+        description,
+        metadata,
+      });
+      await screeningModel.linkTransaction(screening, transaction.id);
+
+      return this.updateRun(run, {
+        status: ScheduledTransfer.RUN_STATUSES.SUCCEEDED,
+        transaction_id: transaction.id,
+        fee_minor: fee.amountMinor,
+      });
+    } catch (error) {
+      if (!error.isOperational) {
+        console.error(`Scheduled transfer ${transfer.id} failed:`, error);
+      }
+      const retryable = error.message === Transaction.INSUFFICIENT_FUNDS && transfer.attempt < transfer.max_retries;
+
+      return this.updateRun(run, {
+        status: retryable ? ScheduledTransfer.RUN_STATUSES.RETRYING : ScheduledTransfer.RUN_STATUSES.FAILED,
+        failure_reason: error.isOperational ? error.message : "The transfer could not be completed",
+      });
+    }
+  }
+
+  /**
+   * Settle a run that screening held once its review is decided. Approving
+   * the review captures the held funds to the recipient, so the run succeeded
+   * with that transaction; declining frees them and the run failed. The
+   * sender is told either way.
+   * @param {Object} screening - Reviewed screening (review_status approved or declined)
+   * @returns {Promise<Object|null>} The settled run, or null if the screening was not for a scheduled run
+   */
+  async settleHeldRun(screening) {
+    const { data: run, error } = await this.supabase
+      .from("scheduled_transfer_runs")
+      .select("*")
+      .eq("fraud_screening_id", screening.id)
+      .eq("status", ScheduledTransfer.RUN_STATUSES.HELD)
+      .maybeSingle();
+
+    if (error) throw new Error(`Error finding held scheduled transfer run: ${error.message}`);
+    if (!run) return null;
+
+    const approved = screening.review_status === FraudScreening.REVIEW_STATUSES.APPROVED;
+    const settled = await this.updateRun(
+      run,
+      approved
+        ? { status: ScheduledTransfer.RUN_STATUSES.SUCCEEDED, transaction_id: screening.transaction_id }
+        : { status: ScheduledTransfer.RUN_STATUSES.FAILED, failure_reason: "it was declined after review" }
+    );
+
+    // The instruction has moved on; only its latest run is reflected on it
+    const { data: transfer, error: transferError } = await this.query
+      .update({
+        last_run_status: settled.status,
+        last_failure_reason: settled.failure_reason || null,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", run.scheduled_transfer_id)
+      .eq("last_run_status", ScheduledTransfer.RUN_STATUSES.HELD)
+      .select(this.selectableFields.join(","))
+      .maybeSingle();
+    if (transferError) console.error("Error updating scheduled transfer after review:", transferError);
+
+    try {
+      const userModel = new User();
+      const current = transfer || (await this.findForUser(run.scheduled_transfer_id, run.user_id));
+      const [sender, recipient] = await Promise.all([
+        userModel.findById(run.user_id),
+        userModel.findById(current.recipient_id),
+      ]);
+      await this.notify(current, settled, sender, recipient);
+    } catch (notifyError) {
+      console.error(`Could not notify the owner of scheduled transfer ${run.scheduled_transfer_id}:`, notifyError);
+    }
+
+    return settled;
+  }
+
+  /**
+   * Move the instruction on after an attempt: retry the same occurrence later,
+   * or count it and go to the next one. Occurrences missed while the
+   * scheduler was down are skipped rather than paid in a burst.
+   * @returns {Promise<Object>} Updated scheduled transfer
+   */
+  async advance(claimed, run) {
+    const now = new Date();
+    const base = {
+      last_run_at: now.toISOString(),
+      last_run_status: run.status,
+      last_failure_reason: run.failure_reason || null,
+    };
+
+    if (run.status === ScheduledTransfer.RUN_STATUSES.RETRYING) {
+      return this.transition(claimed, {
+        ...base,
+        attempt: claimed.attempt + 1,
+        next_run_at: new Date(now.getTime() + claimed.retry_delay_minutes * 60 * 1000).toISOString(),
+      });
+    }
+
+    const counted = { ...claimed, run_count: claimed.run_count + 1 };
+    const next = ScheduledTransfer.nextOccurrence(
+      counted,
+      new Date(Math.max(now.getTime(), new Date(claimed.occurrence_at).getTime()))
+    );
+
+    return this.transition(claimed, {
+      ...base,
+      run_count: counted.run_count,
+      attempt: 0,
+      ...(next
+        ? { next_run_at: next.toISOString(), occurrence_at: next.toISOString() }
+        : { status: ScheduledTransfer.STATUSES.COMPLETED, next_run_at: null, occurrence_at: null }),
+    });
+  }
+
+  /**
+   * Tell the sender how a run went
+   */
+  async notify(transfer, run, sender, recipient) {
+    const sent = await EmailService.sendScheduledTransferEmail(sender.email, sender.name, transfer, run, recipient);
+    if (!sent) console.error(`Could not notify the owner of scheduled transfer ${transfer.id}`);
+  }
+
+  /**
+   * Run the instructions that are due. Each is claimed by moving its next run
+   * a few minutes on, so a pass that dies part way leaves it to be picked up
+   * again; the run row stops the same attempt being paid twice.
+   * @param {Object} options - limit
+   * @returns {Promise<Object>} Counts of runs that succeeded, will be retried and failed
+   */
+  async runDue({ limit = 100 } = {}) {
+    const { data: due, error } = await this.query
+      .select(this.selectableFields.join(","))
+      .eq("status", ScheduledTransfer.STATUSES.ACTIVE)
+      .lte("next_run_at", new Date().toISOString())
+      .order("next_run_at", { ascending: true })
+      .limit(limit);
+
+    if (error) throw new Error(`Error fetching due scheduled transfers: ${error.message}`);
+
+    const summary = { succeeded: 0, retrying: 0, failed: 0, held: 0 };
+    const userModel = new User();
+
+    for (const transfer of due) {
+      try {
+        const claimed = await this.transition(transfer, {
+          next_run_at: new Date(Date.now() + ScheduledTransfer.CLAIM_MINUTES * 60 * 1000).toISOString(),
+        });
+
+        const [sender, recipient] = await Promise.all([
+          userModel.findById(transfer.user_id),
+          userModel.findById(transfer.recipient_id),
+        ]);
+
+        const claimedRun = await this.claimRun(claimed);
+        const run = claimedRun
+          ? await this.execute(claimed, claimedRun, sender, recipient)
+          : await this.recoverRun(claimed);
+
+        await this.advance(claimed, run);
+        summary[run.status] += 1;
+
+        await this.notify(claimed, run, sender, recipient);
+      } catch (runError) {
+        if (runError.statusCode === 409) continue;
+        console.error(`Error running scheduled transfer ${transfer.id}:`, runError.message);
+      }
+    }
+
+    return summary;
+  }
+}
+
+module.exports = ScheduledTransfer;
@@ -0,0 +1,186 @@
+const path = require("path");
+const QueryBuilder = require("../utils/QueryBuilder");
+const PaymentRequest = require("./PaymentRequest");
+const FileValidationMiddleware = require("../middlewares/fileValidationMiddleware");
+const config = require("../config/env");
+
+class SupportInboundEmail extends QueryBuilder {
+  static STATUSES = {
+    PROCESSING: "processing",
+    THREADED: "threaded",
+    CREATED: "created",
+    IGNORED: "ignored",
+  };
+
+  // A ticket reference, e.g. TKT-7KQ2M9
+  static REFERENCE_PATTERN = new RegExp(`\\bTKT-[${PaymentRequest.CODE_ALPHABET}]{6}\\b`, "i");
+
+  // The reply address on ticket emails, e.g. support+TKT-7KQ2M9@example.com
+  static ADDRESS_PATTERN = new RegExp(`^[^@+]+\\+(TKT-[${PaymentRequest.CODE_ALPHABET}]{6})@`, "i");
+
+  // Mail clients often send files as application/octet-stream; these get their type from the extension
+  static EXTENSION_TYPES = {
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".png": "image/png",
+    ".heic": "image/heic",
+    ".pdf": "application/pdf",
+  };
+
+  // Subjects and bodies are cut to what the app allows on a ticket
+  static MAX_SUBJECT_LENGTH = 150;
+  static MAX_BODY_LENGTH = 5000;
+
+  constructor() {
+    super("support_inbound_emails");
+  }
+
+  /**
+   * Find the ticket an email is about: the reference in the address it was
+   * sent to, or failing that in its subject
+   * @param {Object} email - Parsed email (see MimeParser.parse)
+   * @returns {string|null} Ticket reference
+   */
+  static findReference(email) {
+    const addresses = [...email.to, ...email.cc, ...email.deliveredTo, ...email.replyTo];
+    for (const { address } of addresses) {
+      const match = address.match(SupportInboundEmail.ADDRESS_PATTERN);
+      if (match) return match[1].toUpperCase();
+    }
+
+    const match = email.subject.match(SupportInboundEmail.REFERENCE_PATTERN);
+    return match ? match[0].toUpperCase() : null;
+  }
+
+  /**
+   * Forms a sender's address may have been stored in. Sign-up runs addresses
+   * through normalizeEmail, which drops +tags and the dots in Gmail addresses.
+   * @param {string} address - Lower-case address
+   * @returns {Array<string>} Candidate addresses
+   */
+  static addressVariants(address) {
+    const [local, domain] = address.split("@");
+    const untagged = local.split("+")[0];
+    const variants = [address, `${untagged}@${domain}`];
+
+    if (["gmail.com", "googlemail.com"].includes(domain)) {
+      variants.push(`${untagged.replace(/\./g, "")}@gmail.com`);
+    }
+    return [...new Set(variants)];
+  }
+
+  /**
+   * Whether mail came from one of our own addresses, so a notification that
+   * bounces back does not turn into a ticket
+   * @param {string} address - Sender address
+   * @returns {boolean}
+   */
+  static isOwnAddress(address) {
+    const own = [config.SMTP_USER, config.SUPPORT_EMAIL].filter(Boolean).map((value) => value.toLowerCase());
+    return SupportInboundEmail.addressVariants(address).some((variant) => own.includes(variant));
+  }
+
+  /**
+   * Check an email's attachments with the same rules as uploads. Files that
+   * fail, and any beyond the per-message limit, are left out with the reason.
+   * @param {Array<Object>} attachments - Parsed attachments
+   * @returns {Object} files (ready for SupportTicketMessage.create), skipped (name, reason)
+   */
+  static extractAttachments(attachments) {
+    const files = [];
+    const skipped = [];
+
+    attachments.forEach((attachment) => {
+      let mimetype = attachment.contentType === "image/jpg" ? "image/jpeg" : attachment.contentType;
+      if (mimetype === "application/octet-stream") {
+        mimetype = SupportInboundEmail.EXTENSION_TYPES[path.extname(attachment.filename).toLowerCase()] || mimetype;
+      }
+
+      const file = { name: attachment.filename, mimetype, size: attachment.size, data: attachment.content };
+      const problem = !attachment.size
+        ? "File is empty"
+        : files.length >= FileValidationMiddleware.MAX_ATTACHMENTS
+          ? `Only ${FileValidationMiddleware.MAX_ATTACHMENTS} attachments are kept per email`
+          : FileValidationMiddleware.checkFile(file);
+
+      if (problem) {
+        skipped.push({ name: attachment.filename, reason: problem });
+      } else {
+        files.push(FileValidationMiddleware.toAttachment(file));
+      }
+    });
+
+    return { files, skipped };
+  }
+
+  /**
+   * Find a received email
+   * @param {string} messageId - Message-ID header
+   * @returns {Promise<Object>} Stored email
+   */
+  async find(messageId) {
+    try {
+      const { data, error } = await this.query.select("*").eq("message_id", messageId).maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error finding inbound email: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a received email
+   * @param {string} messageId - Message-ID header
+   * @param {Object} email - Parsed email
+   * @param {number} sizeBytes - Size of the raw message
+   * @returns {Promise<Object|null>} Stored email, or null if it was already received
+   */
+  async record(messageId, email, sizeBytes) {
+    try {
+      const { data, error } = await this.query
+        .insert({
+          message_id: messageId,
+          from_address: email.from.address,
+          subject: email.subject,
+          size_bytes: sizeBytes,
+          status: SupportInboundEmail.STATUSES.PROCESSING,
+          received_at: new Date().toISOString(),
+        })
+        .select()
+        .single();
+
+      if (error && error.code === "23505") return null;
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error recording inbound email: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record what became of an email
+   * @param {string} id - Stored email ID
+   * @param {Object} outcome - status (see STATUSES), ticketId, messageId, skipped
+   * @returns {Promise<void>}
+   */
+  async markProcessed(id, { status, ticketId = null, messageId = null, skipped = [] }) {
+    try {
+      const { error } = await this.query
+        .update({
+          status,
+          ticket_id: ticketId,
+          support_message_id: messageId,
+          skipped_attachments: skipped,
+          processed_at: new Date().toISOString(),
+        })
+        .eq("id", id);
+
+      if (error) throw error;
+    } catch (error) {
+      throw new Error(`Error updating inbound email: ${error.message}`);
+    }
+  }
+}
+
+module.exports = SupportInboundEmail;
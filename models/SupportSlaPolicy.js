@@ -0,0 +1,100 @@
+const QueryBuilder = require("../utils/QueryBuilder");
+const ErrorHandler = require("../middlewares/errorHandler");
+
+class SupportSlaPolicy extends QueryBuilder {
+  constructor() {
+    super("support_sla_policies");
+    this.selectableFields = ["priority", "first_response_minutes", "resolution_minutes", "updated_by", "updated_at"];
+  }
+
+  /**
+   * Work out when a ticket must first be answered and resolved
+   * @param {Object} policy - Policy for the ticket's priority, or null
+   * @param {string|Date} openedAt - When the ticket was opened
+   * @returns {Object} first_response_due_at, resolution_due_at
+   */
+  static dueDates(policy, openedAt) {
+    if (!policy) {
+      return { first_response_due_at: null, resolution_due_at: null };
+    }
+
+    const opened = new Date(openedAt).getTime();
+    return {
+      first_response_due_at: new Date(opened + policy.first_response_minutes * 60 * 1000).toISOString(),
+      resolution_due_at: new Date(opened + policy.resolution_minutes * 60 * 1000).toISOString(),
+    };
+  }
+
+  /**
+   * Get every policy
+   * @returns {Promise<Array>} Policies
+   */
+  async getAll() {
+    try {
+      const { data, error } = await this.query
+        .select(this.selectableFields.join(","))
+        .order("first_response_minutes", { ascending: true });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error fetching SLA policies: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the policy for a priority
+   * @param {string} priority - Ticket priority
+   * @returns {Promise<Object|null>} Policy
+   */
+  async findByPriority(priority) {
+    try {
+      const { data, error } = await this.query
+        .select(this.selectableFields.join(","))
+        .eq("priority", priority)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error fetching SLA policy: ${error.message}`);
+    }
+  }
+
+  /**
+   * Change a priority's targets. Tickets already open keep the due dates they
+   * were given.
+   * @param {string} priority - Ticket priority
+   * @param {Object} targets - first_response_minutes, resolution_minutes
+   * @param {string} adminId - Admin making the change
+   * @returns {Promise<Object>} Updated policy
+   */
+  async update(priority, { first_response_minutes, resolution_minutes }, adminId) {
+    const policy = await this.findByPriority(priority);
+    if (!policy) {
+      throw new ErrorHandler.AppError("SLA policy not found", 404);
+    }
+
+    const firstResponse = first_response_minutes ?? policy.first_response_minutes;
+    const resolution = resolution_minutes ?? policy.resolution_minutes;
+    if (resolution < firstResponse) {
+      throw new ErrorHandler.AppError("The resolution target cannot be shorter than the first-response target", 400);
+    }
+
+    const { data, error } = await this.query
+      .update({
+        first_response_minutes: firstResponse,
+        resolution_minutes: resolution,
+        updated_by: adminId,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("priority", priority)
+      .select(this.selectableFields.join(","))
+      .single();
+
+    if (error) throw new Error(`Error updating SLA policy: ${error.message}`);
+    return data;
+  }
+}
+
+module.exports = SupportSlaPolicy;
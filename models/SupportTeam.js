@@ -0,0 +1,270 @@
+const QueryBuilder = require("../utils/QueryBuilder");
+const ErrorHandler = require("../middlewares/errorHandler");
+
+class SupportTeam extends QueryBuilder {
+  // Attempts to take the next member before giving up on an auto-assignment
+  static CLAIM_ATTEMPTS = 3;
+
+  constructor() {
+    super("support_teams");
+    this.selectableFields = ["id", "name", "categories", "supervisor_id", "created_at", "updated_at"];
+  }
+
+  /**
+   * Get every team with its members
+   * @returns {Promise<Array>} Teams
+   */
+  async getAll() {
+    try {
+      const { data, error } = await this.query
+        .select(
+          [
+            ...this.selectableFields,
+            "supervisor:users!supervisor_id(name, email)",
+            "members:support_team_members(admin_id, active, last_assigned_at, admin:users!admin_id(name, email))",
+          ].join(",")
+        )
+        .is("deleted_at", null)
+        .order("name", { ascending: true });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error fetching support teams: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find team by ID
+   * @param {string} id - Team ID
+   * @returns {Promise<Object>} Team with its supervisor
+   */
+  async findById(id) {
+    try {
+      const { data, error } = await this.query
+        .select([...this.selectableFields, "supervisor:users!supervisor_id(name, email)"].join(","))
+        .eq("id", id)
+        .is("deleted_at", null)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error finding support team: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the team tickets in a category are routed to
+   * @param {string} category - Ticket category
+   * @returns {Promise<Object|null>} Team
+   */
+  async findForCategory(category) {
+    try {
+      const { data, error } = await this.query
+        .select(this.selectableFields.join(","))
+        .contains("categories", [category])
+        .is("deleted_at", null)
+        .limit(1)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error finding support team: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check every ID belongs to an admin
+   * @param {Array<string>} ids - User IDs
+   * @returns {Promise<void>}
+   */
+  async assertAdmins(ids) {
+    const unique = [...new Set(ids.filter(Boolean))];
+    if (!unique.length) return;
+
+    const { data, error } = await this.supabase
+      .from("users")
+      .select("id")
+      .in("id", unique)
+      .eq("role", "admin")
+      .is("deleted_at", null);
+
+    if (error) throw new Error(`Error checking support staff: ${error.message}`);
+    if (data.length !== unique.length) {
+      throw new ErrorHandler.AppError("Support staff and supervisors must be admins", 400);
+    }
+  }
+
+  /**
+   * Check no other team already handles any of the categories
+   * @param {Array<string>} categories - Ticket categories
+   * @param {string} teamId - Team being saved, if it already exists
+   * @returns {Promise<void>}
+   */
+  async assertCategoriesFree(categories, teamId = null) {
+    if (!categories || !categories.length) return;
+
+    let query = this.query
+      .select("name, categories")
+      .overlaps("categories", categories)
+      .is("deleted_at", null);
+    if (teamId) query = query.neq("id", teamId);
+
+    const { data, error } = await query;
+    if (error) throw new Error(`Error checking team categories: ${error.message}`);
+    if (data.length) {
+      const taken = categories.filter((category) => data.some((team) => team.categories.includes(category)));
+      throw new ErrorHandler.AppError(`${taken.join(", ")} already handled by ${data[0].name}`, 409);
+    }
+  }
+
+  /**
+   * Create a team
+   * @param {Object} teamData - name, categories, supervisor_id, members (admin IDs)
+   * @returns {Promise<Object>} Created team
+   */
+  async create({ name, categories = [], supervisor_id = null, members = [] }) {
+    await Promise.all([this.assertAdmins([supervisor_id, ...members]), this.assertCategoriesFree(categories)]);
+
+    let team;
+    try {
+      const { data, error } = await this.query
+        .insert({
+          name,
+          categories,
+          supervisor_id,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        })
+        .select(this.selectableFields.join(","))
+        .single();
+
+      if (error) throw error;
+      team = data;
+    } catch (error) {
+      if (error.code === "23505") {
+        throw new ErrorHandler.AppError("A team with that name already exists", 409);
+      }
+      throw new Error(`Error creating support team: ${error.message}`);
+    }
+
+    await this.setMembers(team.id, members);
+    return team;
+  }
+
+  /**
+   * Update a team
+   * @param {Object} team - Team
+   * @param {Object} updates - name, categories, supervisor_id, members (admin IDs)
+   * @returns {Promise<Object>} Updated team
+   */
+  async update(team, { name, categories, supervisor_id, members }) {
+    await Promise.all([
+      this.assertAdmins([supervisor_id, ...(members || [])]),
+      this.assertCategoriesFree(categories, team.id),
+    ]);
+
+    try {
+      const { data, error } = await this.query
+        .update({
+          ...(name !== undefined && { name }),
+          ...(categories !== undefined && { categories }),
+          ...(supervisor_id !== undefined && { supervisor_id }),
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", team.id)
+        .select(this.selectableFields.join(","))
+        .single();
+
+      if (error) throw error;
+      if (members !== undefined) await this.setMembers(team.id, members);
+      return data;
+    } catch (error) {
+      if (error.code === "23505") {
+        throw new ErrorHandler.AppError("A team with that name already exists", 409);
+      }
+      if (error.isOperational) throw error;
+      throw new Error(`Error updating support team: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace a team's members. Members who stay keep their place in the
+   * rotation; members who are removed are kept inactive so their history stays.
+   * @param {string} teamId - Team ID
+   * @param {Array<string>} adminIds - Admin IDs
+   * @returns {Promise<void>}
+   */
+  async setMembers(teamId, adminIds) {
+    let removed = this.supabase.from("support_team_members").update({ active: false }).eq("team_id", teamId);
+    if (adminIds.length) removed = removed.not("admin_id", "in", `(${adminIds.join(",")})`);
+
+    const { error: removeError } = await removed;
+    if (removeError) throw new Error(`Error updating team members: ${removeError.message}`);
+
+    if (!adminIds.length) return;
+
+    const { error } = await this.supabase
+      .from("support_team_members")
+      .upsert(
+        adminIds.map((adminId) => ({ team_id: teamId, admin_id: adminId, active: true })),
+        { onConflict: "team_id,admin_id" }
+      );
+    if (error) throw new Error(`Error updating team members: ${error.message}`);
+  }
+
+  /**
+   * Take the team's next member in turn: the active member assigned longest
+   * ago. The claim only sticks if nobody else took that member first.
+   * @param {string} teamId - Team ID
+   * @returns {Promise<string|null>} Admin ID, or null if the team has no active members
+   */
+  async claimNextMember(teamId) {
+    for (let attempt = 0; attempt < SupportTeam.CLAIM_ATTEMPTS; attempt++) {
+      const { data: next, error } = await this.supabase
+        .from("support_team_members")
+        .select("admin_id, last_assigned_at")
+        .eq("team_id", teamId)
+        .eq("active", true)
+        .order("last_assigned_at", { ascending: true, nullsFirst: true })
+        .limit(1)
+        .maybeSingle();
+
+      if (error) throw new Error(`Error finding next team member: ${error.message}`);
+      if (!next) return null;
+
+      let claim = this.supabase
+        .from("support_team_members")
+        .update({ last_assigned_at: new Date().toISOString() })
+        .eq("team_id", teamId)
+        .eq("admin_id", next.admin_id);
+      claim = next.last_assigned_at ? claim.eq("last_assigned_at", next.last_assigned_at) : claim.is("last_assigned_at", null);
+
+      const { data: claimed, error: claimError } = await claim.select("admin_id").maybeSingle();
+      if (claimError) throw new Error(`Error assigning team member: ${claimError.message}`);
+      if (claimed) return claimed.admin_id;
+    }
+
+    return null;
+  }
+
+  /**
+   * Note an assignment made by hand so the member goes to the back of the rotation
+   * @param {string} teamId - Team ID
+   * @param {string} adminId - Admin ID
+   * @returns {Promise<void>}
+   */
+  async touchMember(teamId, adminId) {
+    const { error } = await this.supabase
+      .from("support_team_members")
+      .update({ last_assigned_at: new Date().toISOString() })
+      .eq("team_id", teamId)
+      .eq("admin_id", adminId);
+
+    if (error) console.error("Error updating team rotation:", error);
+  }
+}
+
+module.exports = SupportTeam;
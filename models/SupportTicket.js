@@ -0,0 +1,563 @@
+const crypto = require("crypto");
+const QueryBuilder = require("../utils/QueryBuilder");
+const PaymentRequest = require("./PaymentRequest");
+const SupportTeam = require("./SupportTeam");
+const SupportSlaPolicy = require("./SupportSlaPolicy");
+const SupportTicketEvent = require("./SupportTicketEvent");
+const ErrorHandler = require("../middlewares/errorHandler");
+const EmailService = require("../utils/emailService");
+const config = require("../config/env");
+
+class SupportTicket extends QueryBuilder {
+  static TYPES = {
+    GENERAL: "general",
+    DISPUTE: "dispute",
+  };
+
+  // Where a ticket came from: opened in the app, or by mail to the support address
+  static SOURCES = {
+    APP: "app",
+    EMAIL: "email",
+  };
+
+  static CATEGORIES = ["wallet", "verification", "account", "other"];
+
+  static PRIORITIES = ["low", "normal", "high", "urgent"];
+
+  static STATUSES = {
+    OPEN: "open",
+    PENDING: "pending",
+    RESOLVED: "resolved",
+    CLOSED: "closed",
+  };
+
+  // Where a ticket may go from each status
+  static TRANSITIONS = {
+    open: ["pending", "resolved", "closed"],
+    pending: ["open", "resolved", "closed"],
+    resolved: ["open", "closed"],
+    closed: [],
+  };
+
+  static SLA_TARGETS = {
+    FIRST_RESPONSE: "first_response",
+    RESOLUTION: "resolution",
+  };
+
+  // What a ticket's owner may do themselves: reopen or close a resolved ticket
+  static USER_TRANSITIONS = {
+    resolved: ["open", "closed"],
+  };
+
+  constructor() {
+    super("support_tickets");
+    this.selectableFields = [
+      "id",
+      "reference",
+      "type",
+      "source",
+      "user_id",
+      "requester_email",
+      "requester_name",
+      "needs_triage",
+      "subject",
+      "description",
+      "category",
+      "priority",
+      "status",
+      "status_changed_at",
+      "resolved_at",
+      "closed_at",
+      "team_id",
+      "assignee_id",
+      "assigned_at",
+      "first_response_due_at",
+      "resolution_due_at",
+      "first_responded_at",
+      "first_response_breached_at",
+      "resolution_breached_at",
+      "escalation_level",
+      "escalated_to",
+      "escalated_at",
+      "created_at",
+      "updated_at",
+    ];
+    this.searchableFields = ["reference", "subject"];
+  }
+
+  /**
+   * Random ticket reference, e.g. TKT-7KQ2M9
+   * @returns {string} Reference
+   */
+  static generateReference() {
+    const characters = Array.from(crypto.randomBytes(6), (byte) =>
+      PaymentRequest.CODE_ALPHABET.charAt(byte % PaymentRequest.CODE_ALPHABET.length)
+    );
+    return `TKT-${characters.join("")}`;
+  }
+
+  /**
+   * Check a status change is allowed
+   * @param {Object} ticket - Ticket
+   * @param {string} status - New status
+   * @param {boolean} byOwner - Whether the ticket's owner is making the change
+   */
+  static assertTransition(ticket, status, byOwner = false) {
+    const allowed = (byOwner ? SupportTicket.USER_TRANSITIONS : SupportTicket.TRANSITIONS)[ticket.status] || [];
+
+    if (byOwner && !allowed.length) {
+      throw new ErrorHandler.AppError("Only a resolved ticket can be reopened or closed", 400);
+    }
+    if (!allowed.includes(status)) {
+      throw new ErrorHandler.AppError(
+        allowed.length
+          ? `A ${ticket.status} ticket can only be moved to ${allowed.join(" or ")}`
+          : `This ticket is ${ticket.status} and cannot be changed`,
+        400
+      );
+    }
+  }
+
+  /**
+   * Find ticket by ID
+   * @param {string} id - Ticket ID
+   * @returns {Promise<Object>} Ticket with its owner
+   */
+  async findById(id) {
+    return this.findBy("id", id);
+  }
+
+  /**
+   * Find ticket by the reference users quote, e.g. TKT-7KQ2M9
+   * @param {string} reference - Ticket reference
+   * @returns {Promise<Object>} Ticket with its owner
+   */
+  async findByReference(reference) {
+    return this.findBy("reference", reference.toUpperCase());
+  }
+
+  /**
+   * Find one ticket with its owner, assignee and team
+   * @param {string} column - Unique column
+   * @param {string} value - Value to match
+   * @returns {Promise<Object>} Ticket
+   */
+  async findBy(column, value) {
+    try {
+      const { data, error } = await this.query
+        .select(
+          [
+            ...this.selectableFields,
+            "user:users!user_id(name, email, agent_code)",
+            "assignee:users!assignee_id(name, email)",
+            "team:support_teams!team_id(name)",
+          ].join(",")
+        )
+        .eq(column, value)
+        .is("deleted_at", null)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error finding support ticket: ${error.message}`);
+    }
+  }
+
+  /**
+   * Open a ticket: set its SLA due dates from its priority and hand it to the
+   * next member of the team that handles its category
+   * @param {string|null} userId - Owner user ID; null for mail from someone who is not a user
+   * @param {Object} ticketData - subject, description, category, priority, type (see TYPES),
+   *   source (see SOURCES), requester (name, email of the sender for emailed tickets), needsTriage
+   * @returns {Promise<Object>} Created ticket
+   */
+  async create(
+    userId,
+    {
+      subject,
+      description,
+      category,
+      priority = "normal",
+      type = SupportTicket.TYPES.GENERAL,
+      source = SupportTicket.SOURCES.APP,
+      requester = null,
+      needsTriage = false,
+    }
+  ) {
+    const teamModel = new SupportTeam();
+    const [policy, team] = await Promise.all([
+      new SupportSlaPolicy().findByPriority(priority),
+      teamModel.findForCategory(category),
+    ]);
+    const assigneeId = team ? await teamModel.claimNextMember(team.id) : null;
+    const now = new Date().toISOString();
+
+    let ticket;
+    try {
+      const { data, error } = await this.query
+        .insert({
+          reference: SupportTicket.generateReference(),
+          type,
+          source,
+          user_id: userId,
+          requester_email: requester ? requester.email : null,
+          requester_name: requester ? requester.name : null,
+          needs_triage: needsTriage,
+          subject,
+          description,
+          category,
+          priority,
+          status: SupportTicket.STATUSES.OPEN,
+          status_changed_at: now,
+          team_id: team ? team.id : null,
+          assignee_id: assigneeId,
+          assigned_at: assigneeId ? now : null,
+          ...SupportSlaPolicy.dueDates(policy, now),
+          created_at: now,
+          updated_at: now,
+        })
+        .select(this.selectableFields.join(","))
+        .single();
+
+      if (error) throw error;
+      ticket = data;
+    } catch (error) {
+      throw new Error(`Error creating support ticket: ${error.message}`);
+    }
+
+    const events = new SupportTicketEvent();
+    await events.record(ticket.id, SupportTicketEvent.TYPES.CREATED, userId, {
+      type,
+      category,
+      priority,
+      source,
+      ...(needsTriage && { needs_triage: true }),
+    });
+    if (team) {
+      await events.record(ticket.id, SupportTicketEvent.TYPES.ASSIGNED, null, {
+        team_id: team.id,
+        assignee_id: assigneeId,
+        auto: true,
+      });
+    }
+
+    return ticket;
+  }
+
+  /**
+   * Update a ticket from the status it was read in
+   * @param {Object} ticket - Ticket
+   * @param {Object} updates - Fields to set
+   * @returns {Promise<Object>} Updated ticket
+   */
+  async transition(ticket, updates) {
+    try {
+      const { data, error } = await this.query
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq("id", ticket.id)
+        .eq("status", ticket.status)
+        .select(this.selectableFields.join(","))
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!data) {
+        throw new ErrorHandler.AppError("Ticket was updated by someone else", 409);
+      }
+      return data;
+    } catch (error) {
+      if (error.isOperational) throw error;
+      throw new Error(`Error updating support ticket: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move a ticket to a new status
+   * @param {Object} ticket - Ticket
+   * @param {string} status - New status
+   * @param {Object} options - byOwner (the ticket's owner is making the change), actorId (who for the timeline)
+   * @returns {Promise<Object>} Updated ticket
+   */
+  async setStatus(ticket, status, { byOwner = false, actorId = null } = {}) {
+    SupportTicket.assertTransition(ticket, status, byOwner);
+
+    const now = new Date().toISOString();
+    const updated = await this.transition(ticket, {
+      status,
+      status_changed_at: now,
+      ...(status === SupportTicket.STATUSES.RESOLVED && { resolved_at: now }),
+      ...(status === SupportTicket.STATUSES.OPEN && { resolved_at: null }),
+      ...(status === SupportTicket.STATUSES.CLOSED && { closed_at: now }),
+    });
+
+    await new SupportTicketEvent().record(ticket.id, SupportTicketEvent.TYPES.STATUS_CHANGED, actorId, {
+      from: ticket.status,
+      to: status,
+    });
+    return updated;
+  }
+
+  /**
+   * A reply from the user puts a ticket waiting on them, or one support has
+   * resolved, back in the open queue
+   * @param {Object} ticket - Ticket
+   * @param {string} userId - Replying user
+   * @returns {Promise<Object>} Ticket, reopened if it was pending or resolved
+   */
+  async reopenForReply(ticket, userId) {
+    if (![SupportTicket.STATUSES.PENDING, SupportTicket.STATUSES.RESOLVED].includes(ticket.status)) {
+      return ticket;
+    }
+    return this.setStatus(ticket, SupportTicket.STATUSES.OPEN, { actorId: userId });
+  }
+
+  /**
+   * Give a ticket to a team and/or admin. A team without an admin goes to the
+   * team's next member in turn.
+   * @param {Object} ticket - Ticket
+   * @param {Object} assignment - teamId, assigneeId
+   * @param {string} adminId - Admin making the change
+   * @returns {Promise<Object>} Updated ticket
+   */
+  async assign(ticket, { teamId, assigneeId }, adminId) {
+    if (ticket.status === SupportTicket.STATUSES.CLOSED) {
+      throw new ErrorHandler.AppError("This ticket is closed and cannot be changed", 400);
+    }
+
+    const teamModel = new SupportTeam();
+    const team = teamId ? await teamModel.findById(teamId) : null;
+    if (teamId && !team) {
+      throw new ErrorHandler.AppError("Support team not found", 404);
+    }
+
+    let assignee = assigneeId;
+    if (assignee) {
+      await teamModel.assertAdmins([assignee]);
+      if (team) await teamModel.touchMember(team.id, assignee);
+    } else if (team) {
+      assignee = await teamModel.claimNextMember(team.id);
+    }
+
+    const updated = await this.transition(ticket, {
+      ...(team && { team_id: team.id }),
+      assignee_id: assignee || null,
+      assigned_at: assignee ? new Date().toISOString() : null,
+    });
+
+    await new SupportTicketEvent().record(ticket.id, SupportTicketEvent.TYPES.ASSIGNED, adminId, {
+      from: { team_id: ticket.team_id, assignee_id: ticket.assignee_id },
+      team_id: updated.team_id,
+      assignee_id: updated.assignee_id,
+    });
+    return updated;
+  }
+
+  /**
+   * Clear a ticket from the triage queue, optionally handing it to the user
+   * the sender turned out to be
+   * @param {Object} ticket - Ticket
+   * @param {string|null} userId - Owner to link
+   * @param {string} adminId - Admin making the change
+   * @returns {Promise<Object>} Updated ticket
+   */
+  async triage(ticket, userId, adminId) {
+    if (!ticket.needs_triage) {
+      throw new ErrorHandler.AppError("This ticket does not need triage", 400);
+    }
+
+    if (userId) {
+      const { data: owner, error } = await this.supabase
+        .from("users")
+        .select("id")
+        .eq("id", userId)
+        .is("deleted_at", null)
+        .maybeSingle();
+
+      if (error) throw new Error(`Error finding user: ${error.message}`);
+      if (!owner) throw new ErrorHandler.AppError("User not found", 404);
+    }
+
+    const updated = await this.transition(ticket, {
+      needs_triage: false,
+      ...(userId && { user_id: userId }),
+    });
+
+    await new SupportTicketEvent().record(ticket.id, SupportTicketEvent.TYPES.TRIAGED, adminId, {
+      user_id: updated.user_id,
+    });
+    return updated;
+  }
+
+  /**
+   * Stop the first-response clock on support's first reply
+   * @param {Object} ticket - Ticket
+   * @param {string} adminId - Replying admin
+   * @returns {Promise<void>}
+   */
+  async recordFirstResponse(ticket, adminId) {
+    if (ticket.first_responded_at) return;
+
+    const now = new Date().toISOString();
+    const { data, error } = await this.query
+      .update({ first_responded_at: now, updated_at: now })
+      .eq("id", ticket.id)
+      .is("first_responded_at", null)
+      .select("id")
+      .maybeSingle();
+
+    if (error) {
+      console.error(`Error recording first response on ticket ${ticket.reference}:`, error);
+      return;
+    }
+    if (data) {
+      await new SupportTicketEvent().record(ticket.id, SupportTicketEvent.TYPES.FIRST_RESPONSE, adminId, {
+        within_sla: !ticket.first_response_due_at || new Date(now) <= new Date(ticket.first_response_due_at),
+      });
+    }
+  }
+
+  /**
+   * Mark one SLA target as missed and escalate the ticket to its team's
+   * supervisor, or to the support inbox if the team has none. The breach is
+   * only recorded once however many checks see it.
+   * @param {Object} ticket - Ticket
+   * @param {string} target - Missed target (see SLA_TARGETS)
+   * @returns {Promise<boolean>} Whether this call recorded the breach
+   */
+  async breach(ticket, target) {
+    const column = `${target}_breached_at`;
+    const team = ticket.team_id ? await new SupportTeam().findById(ticket.team_id) : null;
+    const supervisor = team && team.supervisor_id ? { id: team.supervisor_id, ...team.supervisor } : null;
+    const now = new Date().toISOString();
+
+    const { data: escalated, error } = await this.query
+      .update({
+        [column]: now,
+        escalation_level: ticket.escalation_level + 1,
+        escalated_to: supervisor ? supervisor.id : null,
+        escalated_at: now,
+        updated_at: now,
+      })
+      .eq("id", ticket.id)
+      .is(column, null)
+      .select(this.selectableFields.join(","))
+      .maybeSingle();
+
+    if (error) throw new Error(`Error recording SLA breach: ${error.message}`);
+    if (!escalated) return false;
+
+    const events = new SupportTicketEvent();
+    await events.record(ticket.id, SupportTicketEvent.TYPES.SLA_BREACHED, null, {
+      target,
+      due_at: ticket[`${target}_due_at`],
+    });
+    await events.record(ticket.id, SupportTicketEvent.TYPES.ESCALATED, null, {
+      level: escalated.escalation_level,
+      escalated_to: escalated.escalated_to,
+      reason: `${target}_breached`,
+    });
+
+    const recipient = supervisor || (config.SUPPORT_EMAIL && { name: "Support", email: config.SUPPORT_EMAIL });
+    if (recipient) {
+      const sent = await EmailService.sendTicketEscalationEmail(recipient.email, recipient.name, escalated, target);
+      if (!sent) console.error(`Could not send escalation for ticket ${ticket.reference}`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Find tickets that have missed a target and escalate them. Tickets waiting
+   * for a first reply are checked against the first-response target; tickets
+   * still open or pending against the resolution target.
+   * @param {Object} options - limit (per target)
+   * @returns {Promise<Object>} Number of breaches recorded per target
+   */
+  async checkSla({ limit = 100 } = {}) {
+    const now = new Date().toISOString();
+
+    const [firstResponse, resolution] = await Promise.all([
+      this.query
+        .select(this.selectableFields.join(","))
+        .in("status", [SupportTicket.STATUSES.OPEN, SupportTicket.STATUSES.PENDING])
+        .is("first_responded_at", null)
+        .is("first_response_breached_at", null)
+        .lte("first_response_due_at", now)
+        .is("deleted_at", null)
+        .limit(limit),
+      this.query
+        .select(this.selectableFields.join(","))
+        .in("status", [SupportTicket.STATUSES.OPEN, SupportTicket.STATUSES.PENDING])
+        .is("resolution_breached_at", null)
+        .lte("resolution_due_at", now)
+        .is("deleted_at", null)
+        .limit(limit),
+    ]);
+
+    const failed = [firstResponse, resolution].find((result) => result.error);
+    if (failed) throw new Error(`Error fetching tickets past their SLA: ${failed.error.message}`);
+
+    const summary = { first_response: 0, resolution: 0 };
+    const due = [
+      ...firstResponse.data.map((ticket) => [ticket, SupportTicket.SLA_TARGETS.FIRST_RESPONSE]),
+      ...resolution.data.map((ticket) => [ticket, SupportTicket.SLA_TARGETS.RESOLUTION]),
+    ];
+
+    for (const [ticket, target] of due) {
+      try {
+        // Re-read so a ticket missing both targets in one pass escalates from its latest level
+        const current = await this.findById(ticket.id);
+        if (current && (await this.breach(current, target))) summary[target] += 1;
+      } catch (error) {
+        console.error(`Error checking SLA on ticket ${ticket.reference}:`, error);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * SLA compliance for tickets opened in a period. A target counts as met
+   * when it was reached in time and missed once breached; tickets still
+   * inside their targets are counted separately.
+   * @param {string} startDate - Start date
+   * @param {string} endDate - End date
+   * @returns {Promise<Object>} Counts and compliance rates per target
+   */
+  async getSlaStats(startDate, endDate) {
+    let query = this.query
+      .select("status, first_responded_at, first_response_due_at, first_response_breached_at, resolved_at, resolution_due_at, resolution_breached_at, escalation_level")
+      .is("deleted_at", null);
+    if (startDate) query = query.gte("created_at", startDate);
+    if (endDate) query = query.lte("created_at", endDate);
+
+    const { data, error } = await query;
+    if (error) throw new Error(`Error fetching SLA stats: ${error.message}`);
+
+    const tally = (reachedAt, dueAt, breachedAt) => (ticket) => {
+      if (ticket[breachedAt] || (ticket[reachedAt] && ticket[dueAt] && new Date(ticket[reachedAt]) > new Date(ticket[dueAt]))) {
+        return "missed";
+      }
+      if (ticket[reachedAt]) return "met";
+      return "in_progress";
+    };
+    const summarise = (outcome) => {
+      const counts = { met: 0, missed: 0, in_progress: 0 };
+      data.forEach((ticket) => {
+        counts[outcome(ticket)] += 1;
+      });
+      const decided = counts.met + counts.missed;
+      return { ...counts, compliance_percent: decided ? Math.round((counts.met / decided) * 1000) / 10 : null };
+    };
+
+    return {
+      total: data.length,
+      open: data.filter((ticket) => ![SupportTicket.STATUSES.RESOLVED, SupportTicket.STATUSES.CLOSED].includes(ticket.status)).length,
+      escalated: data.filter((ticket) => ticket.escalation_level > 0).length,
+      first_response: summarise(tally("first_responded_at", "first_response_due_at", "first_response_breached_at")),
+      resolution: summarise(tally("resolved_at", "resolution_due_at", "resolution_breached_at")),
+    };
+  }
+}
+
+module.exports = SupportTicket;
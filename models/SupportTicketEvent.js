@@ -0,0 +1,61 @@
+const QueryBuilder = require("../utils/QueryBuilder");
+
+class SupportTicketEvent extends QueryBuilder {
+  static TYPES = {
+    CREATED: "created",
+    STATUS_CHANGED: "status_changed",
+    ASSIGNED: "assigned",
+    FIRST_RESPONSE: "first_response",
+    SLA_BREACHED: "sla_breached",
+    ESCALATED: "escalated",
+    DISPUTE_RESOLVED: "dispute_resolved",
+    TRIAGED: "triaged",
+  };
+
+  constructor() {
+    super("support_ticket_events");
+    this.selectableFields = ["id", "ticket_id", "event_type", "actor_id", "details", "created_at"];
+  }
+
+  /**
+   * Add an entry to a ticket's timeline. A missing entry should not undo the
+   * change it describes, so failures are logged rather than thrown.
+   * @param {string} ticketId - Ticket ID
+   * @param {string} type - Event type (see TYPES)
+   * @param {string|null} actorId - User or admin who made the change; null for the background check
+   * @param {Object} details - What changed
+   * @returns {Promise<void>}
+   */
+  async record(ticketId, type, actorId = null, details = {}) {
+    const { error } = await this.query.insert({
+      ticket_id: ticketId,
+      event_type: type,
+      actor_id: actorId,
+      details,
+      created_at: new Date().toISOString(),
+    });
+
+    if (error) console.error(`Error recording ${type} on ticket ${ticketId}:`, error);
+  }
+
+  /**
+   * Get a ticket's timeline, oldest first
+   * @param {string} ticketId - Ticket ID
+   * @returns {Promise<Array>} Events with who made them
+   */
+  async getForTicket(ticketId) {
+    try {
+      const { data, error } = await this.query
+        .select([...this.selectableFields, "actor:users!actor_id(name, role)"].join(","))
+        .eq("ticket_id", ticketId)
+        .order("created_at", { ascending: true });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error fetching ticket timeline: ${error.message}`);
+    }
+  }
+}
+
+module.exports = SupportTicketEvent;
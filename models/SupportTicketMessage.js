@@ -0,0 +1,242 @@
+const QueryBuilder = require("../utils/QueryBuilder");
+const SupportTicket = require("./SupportTicket");
+const ErrorHandler = require("../middlewares/errorHandler");
+const EmailService = require("../utils/emailService");
+const config = require("../config/env");
+
+class SupportTicketMessage extends QueryBuilder {
+  static AUTHOR_ROLES = {
+    USER: "user",
+    STAFF: "staff",
+  };
+
+  static SOURCES = {
+    APP: "app",
+    EMAIL: "email",
+  };
+
+  static ATTACHMENT_BUCKET = "support-attachments";
+
+  // How long an attachment link handed out with a thread stays valid
+  static ATTACHMENT_URL_TTL_SECONDS = 15 * 60;
+
+  constructor() {
+    super("support_ticket_messages");
+    this.selectableFields = [
+      "id",
+      "ticket_id",
+      "author_id",
+      "author_email",
+      "author_role",
+      "source",
+      "body",
+      "internal",
+      "read_at",
+      "read_by",
+      "created_at",
+    ];
+    this.attachmentFields = ["id", "file_name", "content_type", "size_bytes", "storage_path", "created_at"];
+  }
+
+  /**
+   * Get a ticket's conversation, oldest first, with signed links to attachments
+   * @param {string} ticketId - Ticket ID
+   * @param {Object} options - includeInternal (staff view)
+   * @returns {Promise<Array>} Messages
+   */
+  async getThread(ticketId, { includeInternal = false } = {}) {
+    let messages;
+    try {
+      let query = this.query
+        .select(
+          [
+            ...this.selectableFields,
+            "author:users!author_id(name)",
+            `attachments:support_ticket_attachments(${this.attachmentFields.join(",")})`,
+          ].join(",")
+        )
+        .eq("ticket_id", ticketId)
+        .is("deleted_at", null)
+        .order("created_at", { ascending: true });
+
+      if (!includeInternal) {
+        query = query.eq("internal", false);
+      }
+
+      const { data, error } = await query;
+      if (error) throw error;
+      messages = data;
+    } catch (error) {
+      throw new Error(`Error fetching ticket messages: ${error.message}`);
+    }
+
+    const paths = messages.flatMap((message) => message.attachments.map((attachment) => attachment.storage_path));
+    if (!paths.length) return messages;
+
+    const { data: signed, error: signError } = await this.supabase.storage
+      .from(SupportTicketMessage.ATTACHMENT_BUCKET)
+      .createSignedUrls(paths, SupportTicketMessage.ATTACHMENT_URL_TTL_SECONDS);
+    if (signError) throw new Error(`Error signing attachment links: ${signError.message}`);
+
+    const urls = new Map(signed.map((link) => [link.path, link.signedUrl]));
+    return messages.map((message) => ({
+      ...message,
+      attachments: message.attachments.map(({ storage_path, ...attachment }) => ({
+        ...attachment,
+        url: urls.get(storage_path) || null,
+      })),
+    }));
+  }
+
+  /**
+   * Add a reply or internal note to a ticket. Attachments are uploaded after
+   * the message is stored; if any upload fails the message and the files
+   * already uploaded are removed.
+   * @param {Object} ticket - Ticket
+   * @param {Object} author - id, role (see AUTHOR_ROLES); email instead of id for a sender who is not a user
+   * @param {Object} messageData - body, internal, files (validated uploads), source (see SOURCES)
+   * @returns {Promise<Object>} Created message with its attachments
+   */
+  async create(ticket, author, { body, internal = false, files = [], source = SupportTicketMessage.SOURCES.APP }) {
+    if (ticket.status === SupportTicket.STATUSES.CLOSED) {
+      throw new ErrorHandler.AppError("This ticket is closed. Please open a new ticket", 400);
+    }
+    if (internal && author.role !== SupportTicketMessage.AUTHOR_ROLES.STAFF) {
+      throw new ErrorHandler.AppError("Only support staff can add internal notes", 403);
+    }
+
+    let message;
+    try {
+      const { data, error } = await this.query
+        .insert({
+          ticket_id: ticket.id,
+          author_id: author.id || null,
+          author_email: author.id ? null : author.email,
+          author_role: author.role,
+          body,
+          internal,
+          source,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        })
+        .select(this.selectableFields.join(","))
+        .single();
+
+      if (error) throw error;
+      message = data;
+    } catch (error) {
+      throw new Error(`Error adding ticket message: ${error.message}`);
+    }
+
+    if (!files.length) return { ...message, attachments: [] };
+
+    const storage = this.supabase.storage.from(SupportTicketMessage.ATTACHMENT_BUCKET);
+    const uploaded = [];
+    try {
+      for (const file of files) {
+        const storagePath = `tickets/${ticket.id}/${message.id}/${file.safeFileName}`;
+        const { error: uploadError } = await storage.upload(storagePath, file.buffer, {
+          contentType: file.mimetype,
+          upsert: false,
+        });
+        if (uploadError) throw new Error(`File upload failed: ${uploadError.message}`);
+
+        uploaded.push({
+          message_id: message.id,
+          ticket_id: ticket.id,
+          file_name: file.name,
+          content_type: file.mimetype,
+          size_bytes: file.size,
+          storage_path: storagePath,
+          created_at: new Date().toISOString(),
+        });
+      }
+
+      const { data: attachments, error } = await this.supabase
+        .from("support_ticket_attachments")
+        .insert(uploaded)
+        .select(this.attachmentFields.join(","));
+
+      if (error) throw error;
+      return { ...message, attachments };
+    } catch (error) {
+      if (uploaded.length) {
+        await storage
+          .remove(uploaded.map((attachment) => attachment.storage_path))
+          .catch((removeError) => console.error("Error removing ticket attachments:", removeError));
+      }
+      await this.query
+        .delete()
+        .eq("id", message.id)
+        .then(({ error: deleteError }) => {
+          if (deleteError) console.error("Error removing ticket message:", deleteError);
+        });
+      throw new Error(`Error attaching files: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mark the other side's replies on a ticket as read
+   * @param {string} ticketId - Ticket ID
+   * @param {Object} reader - id, role (see AUTHOR_ROLES)
+   * @returns {Promise<void>}
+   */
+  async markRead(ticketId, reader) {
+    const { error } = await this.query
+      .update({ read_at: new Date().toISOString(), read_by: reader.id, updated_at: new Date().toISOString() })
+      .eq("ticket_id", ticketId)
+      .neq("author_role", reader.role)
+      .eq("internal", false)
+      .is("read_at", null);
+
+    if (error) console.error("Error marking ticket messages read:", error);
+  }
+
+  /**
+   * Find the staff member who last replied on a ticket
+   * @param {string} ticketId - Ticket ID
+   * @returns {Promise<Object|null>} Staff user (name, email), or null if staff have not replied
+   */
+  async getLastStaffReplier(ticketId) {
+    try {
+      const { data, error } = await this.query
+        .select("author:users!author_id(name, email)")
+        .eq("ticket_id", ticketId)
+        .eq("author_role", SupportTicketMessage.AUTHOR_ROLES.STAFF)
+        .is("deleted_at", null)
+        .order("created_at", { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data ? data.author : null;
+    } catch (error) {
+      throw new Error(`Error finding ticket staff: ${error.message}`);
+    }
+  }
+
+  /**
+   * Email the other side about a new reply: the ticket's owner (or whoever
+   * emailed it in) for a staff reply, otherwise the staff member who last
+   * replied, or the support inbox if nobody has. Internal notes are never sent.
+   * @param {Object} ticket - Ticket with its owner
+   * @param {Object} message - New message with its attachments
+   * @returns {Promise<void>}
+   */
+  async notify(ticket, message) {
+    if (message.internal) return;
+
+    const fromSupport = message.author_role === SupportTicketMessage.AUTHOR_ROLES.STAFF;
+    const recipient = fromSupport
+      ? ticket.user || (ticket.requester_email && { name: ticket.requester_name || "there", email: ticket.requester_email })
+      : (await this.getLastStaffReplier(ticket.id)) ||
+        (config.SUPPORT_EMAIL && { name: "Support", email: config.SUPPORT_EMAIL });
+
+    if (!recipient) return;
+
+    const sent = await EmailService.sendTicketReplyEmail(recipient.email, recipient.name, ticket, message, fromSupport);
+    if (!sent) console.error(`Could not send reply notification for ticket ${ticket.reference}`);
+  }
+}
+
+module.exports = SupportTicketMessage;
@@ -0,0 +1,1249 @@
+const QueryBuilder = require("../utils/QueryBuilder");
+const ErrorHandler = require("../middlewares/errorHandler");
+const WalletLimit = require("./WalletLimit");
+const MoneyUtils = require("../utils/moneyUtils");
+const RequestContext = require("../utils/requestContext");
+const { v4: uuidv4 } = require("uuid");
+
+class Transaction extends QueryBuilder {
+  static TYPES = {
+    ADJUSTMENT: "wallet_adjustment",
+    VERIFICATION_FEE: "verification_fee",
+    REFUND: "refund",
+    TRANSFER: "transfer",
+    DEPOSIT: "deposit",
+    WITHDRAWAL_HOLD: "withdrawal_hold",
+    WITHDRAWAL: "withdrawal",
+    WITHDRAWAL_RELEASE: "withdrawal_release",
+    COMMISSION: "commission",
+    COMMISSION_SETTLEMENT: "commission_settlement",
+    ESCROW_PAYMENT: "escrow_payment",
+    DISBURSEMENT: "disbursement",
+    MERCHANT_PAYMENT: "merchant_payment",
+    BILL_PAYMENT: "bill_payment",
+    SAVINGS_DEPOSIT: "savings_deposit",
+    SAVINGS_WITHDRAWAL: "savings_withdrawal",
+  };
+
+  // Message of the error raised when a wallet cannot cover a debit
+  static INSUFFICIENT_FUNDS = "Insufficient wallet balance";
+
+  // Message of the error raised when the database refuses a posting over a limit
+  static LIMIT_EXCEEDED = "This payment would go over a wallet limit. Please check your limits and try again";
+
+  // Money returning to a wallet, or moving between a user's wallet and pots;
+  // not held against KYC limits (see wallet_limit_usage)
+  static LIMIT_EXEMPT_TYPES = ["refund", "withdrawal_release", "savings_deposit", "savings_withdrawal"];
+
+  // Withdrawals are returned through their own release flow
+  static NON_REFUNDABLE_TYPES = [
+    "refund",
+    "withdrawal_hold",
+    "withdrawal",
+    "withdrawal_release",
+    "commission",
+    "commission_settlement",
+    "savings_deposit",
+    "savings_withdrawal",
+  ];
+
+  static REFUND_REASONS = {
+    DUPLICATE: "duplicate",
+    SERVICE_FAILURE: "service_failure",
+    CUSTOMER_REQUEST: "customer_request",
+    FRAUD: "fraud",
+    ERROR_CORRECTION: "error_correction",
+  };
+
+  static STATUSES = {
+    PENDING: "pending",
+    COMPLETED: "completed",
+    FAILED: "failed",
+  };
+
+  // Allowed status changes; completed and failed are final
+  static TRANSITIONS = {
+    pending: ["completed", "failed"],
+    completed: [],
+    failed: [],
+  };
+
+  // System side of every user-facing posting
+  static ACCOUNTS = {
+    ADJUSTMENTS: "system:adjustments",
+    FEE_REVENUE: "system:revenue:fees",
+    PAYOUTS: "system:payouts",
+    COMMISSIONS: "system:commissions",
+    DISBURSEMENTS: "system:disbursements",
+    BILL_PAYMENTS: "system:bill_payments",
+  };
+
+  /**
+   * Clearing account holding funds collected by a mobile money provider
+   * @param {string} provider - Provider slug
+   * @returns {string} Account code
+   */
+  static clearingAccount(provider) {
+    return `system:clearing:${provider}`;
+  }
+
+  /**
+   * Throw unless a transaction may move from its current status to another
+   * @param {Object} transaction - Transaction data
+   * @param {string} status - Target status
+   */
+  static assertTransition(transaction, status) {
+    if (!(this.TRANSITIONS[transaction.status] || []).includes(status)) {
+      throw new ErrorHandler.AppError(
+        `Transaction ${transaction.reference} cannot move from ${transaction.status} to ${status}`,
+        409
+      );
+    }
+  }
+
+  constructor() {
+    super("transactions");
+    this.searchableFields = ["reference", "description"];
+    this.selectableFields = [
+      "id",
+      "reference",
+      "user_id",
+      "counterparty_id",
+      "type",
+      "status",
+      "amount_minor",
+      "currency",
+      "description",
+      "metadata",
+      "failure_reason",
+      "fee_minor",
+      "fee_schedule_id",
+      "fee_schedule_version",
+      "original_transaction_id",
+      "reason_code",
+      "refunded_minor",
+      "provider",
+      "provider_reference",
+      "completed_at",
+      "created_at",
+      "updated_at",
+    ];
+  }
+
+  /**
+   * Ledger account code for a user's main wallet
+   * @param {string} userId - User ID
+   * @returns {string} Account code
+   */
+  static walletAccount(userId) {
+    return `wallet:${userId}`;
+  }
+
+  /**
+   * Build a ledger entry against a user's main wallet
+   * @param {string} userId - User ID
+   * @param {string} direction - 'debit' or 'credit'
+   * @param {number} amountMinor - Amount in minor units
+   * @returns {Object} Entry definition
+   */
+  static walletEntry(userId, direction, amountMinor) {
+    return {
+      account: this.walletAccount(userId),
+      account_type: "wallet",
+      user_id: userId,
+      direction,
+      amount_minor: amountMinor,
+    };
+  }
+
+  /**
+   * Build a ledger entry against a user's hold account (funds awaiting payout)
+   * @param {string} userId - User ID
+   * @param {string} direction - 'debit' or 'credit'
+   * @param {number} amountMinor - Amount in minor units
+   * @returns {Object} Entry definition
+   */
+  static holdEntry(userId, direction, amountMinor) {
+    return {
+      account: `hold:${userId}`,
+      account_type: "hold",
+      user_id: userId,
+      direction,
+      amount_minor: amountMinor,
+    };
+  }
+
+  /**
+   * Build a ledger entry against an agent's accrued commission account
+   * @param {string} userId - Agent user ID
+   * @param {string} direction - 'debit' or 'credit'
+   * @param {number} amountMinor - Amount in minor units
+   * @returns {Object} Entry definition
+   */
+  static commissionEntry(userId, direction, amountMinor) {
+    return {
+      account: `commission:${userId}`,
+      account_type: "commission",
+      user_id: userId,
+      direction,
+      amount_minor: amountMinor,
+    };
+  }
+
+  /**
+   * Ledger account code for a savings pot
+   * @param {string} potId - Savings pot ID
+   * @returns {string} Account code
+   */
+  static potAccount(potId) {
+    return `pot:${potId}`;
+  }
+
+  /**
+   * Build a ledger entry against a savings pot
+   * @param {Object} pot - Savings pot (id, user_id)
+   * @param {string} direction - 'debit' or 'credit'
+   * @param {number} amountMinor - Amount in minor units
+   * @returns {Object} Entry definition
+   */
+  static potEntry(pot, direction, amountMinor) {
+    return {
+      account: this.potAccount(pot.id),
+      account_type: "pot",
+      user_id: pot.user_id,
+      direction,
+      amount_minor: amountMinor,
+    };
+  }
+
+  /**
+   * Build a ledger entry against a system account (may go negative)
+   * @param {string} account - System account code
+   * @param {string} direction - 'debit' or 'credit'
+   * @param {number} amountMinor - Amount in minor units
+   * @returns {Object} Entry definition
+   */
+  static systemEntry(account, direction, amountMinor) {
+    return {
+      account,
+      account_type: "system",
+      allow_negative: true,
+      direction,
+      amount_minor: amountMinor,
+    };
+  }
+
+  /**
+   * Transaction columns recording the fee charged and the schedule version used
+   * @param {Object} fee - Quoted fee (amountMinor, scheduleId, version)
+   * @returns {Object} Transaction fields
+   */
+  static feeFields(fee) {
+    if (!fee) return {};
+    return {
+      fee_minor: fee.amountMinor,
+      fee_schedule_id: fee.scheduleId,
+      fee_schedule_version: fee.version,
+    };
+  }
+
+  /**
+   * Ledger lines booking a fee from the payer's account to fee revenue
+   * @param {Object} payerEntry - Entry template for the account paying the fee
+   * @param {Object} fee - Quoted fee (amountMinor, scheduleId, version)
+   * @returns {Array} Entry definitions (empty when there is no fee)
+   */
+  static feeEntries(payerEntry, fee) {
+    if (!fee || !fee.amountMinor) return [];
+    return [
+      { ...payerEntry, direction: "debit", amount_minor: fee.amountMinor },
+      this.systemEntry(this.ACCOUNTS.FEE_REVENUE, "credit", fee.amountMinor),
+    ];
+  }
+
+  /**
+   * Total debits and credits a set of entries applies to each user's wallet
+   * @param {Array} entries - Entry definitions
+   * @returns {Map<string, Object>} userId => { debitMinor, creditMinor }
+   */
+  static walletMovements(entries) {
+    return entries
+      .filter((entry) => entry.account_type === "wallet")
+      .reduce((movements, entry) => {
+        const movement = movements.get(entry.user_id) || { debitMinor: 0, creditMinor: 0 };
+        movement[entry.direction === "debit" ? "debitMinor" : "creditMinor"] += entry.amount_minor;
+        return movements.set(entry.user_id, movement);
+      }, new Map());
+  }
+
+  /**
+   * Turn a posted entry (with its account) into the opposite entry definition
+   * @param {Object} entry - Posted ledger entry with account code, type and allow_negative
+   * @param {number} amountMinor - Amount to reverse, in minor units
+   * @returns {Object} Entry definition
+   */
+  static reverseEntry(entry, amountMinor = Number(entry.amount_minor)) {
+    return {
+      account: entry.account.code,
+      account_type: entry.account.type,
+      user_id: entry.user_id,
+      allow_negative: entry.account.allow_negative,
+      direction: entry.direction === "debit" ? "credit" : "debit",
+      amount_minor: amountMinor,
+    };
+  }
+
+  /**
+   * Check whether a user is either side of a transaction
+   * @param {Object} transaction - Transaction data
+   * @param {string} userId - User ID
+   * @returns {boolean} True if the user took part
+   */
+  static involves(transaction, userId) {
+    return transaction.user_id === userId || transaction.counterparty_id === userId;
+  }
+
+  /**
+   * Apply filters, narrowing to transactions a participant took part in
+   * @param {Object} query Supabase query
+   * @param {Object} options Query options (participantId plus QueryBuilder options)
+   * @returns {Object} Filtered query
+   */
+  applyFilters(query, options = {}) {
+    query = super.applyFilters(query, options);
+
+    if (options.participantId) {
+      query = query.or(
+        `user_id.eq.${options.participantId},counterparty_id.eq.${options.participantId}`
+      );
+    }
+
+    return query;
+  }
+
+  /**
+   * Generate a unique transaction reference
+   * @returns {string} Reference
+   */
+  generateReference() {
+    const randomNum = Math.floor(100000 + Math.random() * 900000);
+    return `TXN-${Date.now()}-${randomNum}`;
+  }
+
+  /**
+   * Find transaction by ID
+   * @param {string} id - Transaction ID
+   * @returns {Promise<Object>} Transaction data
+   */
+  async findById(id) {
+    try {
+      const { data, error } = await this.query
+        .select(this.selectableFields.join(","))
+        .eq("id", id)
+        .is("deleted_at", null)
+        .single();
+
+      if (error && error.code !== "PGRST116") throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error finding transaction: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find transaction by reference
+   * @param {string} reference - Transaction reference
+   * @returns {Promise<Object>} Transaction data
+   */
+  async findByReference(reference) {
+    try {
+      const { data, error } = await this.query
+        .select("*")
+        .eq("reference", reference)
+        .is("deleted_at", null)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error finding transaction by reference: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the ledger entries of a transaction
+   * @param {string} transactionId - Transaction ID
+   * @returns {Promise<Array>} Ledger entries
+   */
+  async getEntries(transactionId) {
+    try {
+      const { data, error } = await this.supabase
+        .from("ledger_entries")
+        .select("*")
+        .eq("transaction_id", transactionId)
+        .order("entry_number", { ascending: true });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error fetching ledger entries: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the refunds issued against transactions
+   * @param {Array<string>} transactionIds - Original transaction IDs
+   * @returns {Promise<Array>} Completed refunds, oldest first
+   */
+  async getRefunds(transactionIds) {
+    if (transactionIds.length === 0) return [];
+
+    try {
+      const { data, error } = await this.query
+        .select("id, reference, original_transaction_id, amount_minor, fee_minor, reason_code, created_at")
+        .in("original_transaction_id", transactionIds)
+        .eq("type", Transaction.TYPES.REFUND)
+        .eq("status", Transaction.STATUSES.COMPLETED)
+        .order("created_at", { ascending: true });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error fetching refunds: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find ledger account by code
+   * @param {string} code - Account code
+   * @returns {Promise<Object>} Account data
+   */
+  async getAccount(code) {
+    try {
+      const { data, error } = await this.supabase
+        .from("ledger_accounts")
+        .select("*")
+        .eq("code", code)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error fetching ledger account: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build a wallet statement for a period
+   * @param {string} userId - User ID
+   * @param {Object} period - startDate and endDate (ISO 8601, both optional)
+   * @returns {Promise<Object>} Opening/closing balances and wallet entries
+   */
+  async getStatement(userId, { startDate, endDate } = {}) {
+    try {
+      const statement = {
+        opening_balance_minor: 0,
+        closing_balance_minor: 0,
+        total_credits_minor: 0,
+        total_debits_minor: 0,
+        entries: [],
+      };
+
+      const account = await this.getAccount(Transaction.walletAccount(userId));
+      if (!account) return statement;
+
+      // Opening balance is the balance after the last entry before the period
+      if (startDate) {
+        const { data: previous, error } = await this.supabase
+          .from("ledger_entries")
+          .select("balance_after_minor")
+          .eq("account_id", account.id)
+          .lt("created_at", startDate)
+          .order("entry_number", { ascending: false })
+          .limit(1)
+          .maybeSingle();
+
+        if (error) throw error;
+        if (previous) statement.opening_balance_minor = Number(previous.balance_after_minor);
+      }
+
+      const batchSize = 1000;
+      for (let offset = 0; ; offset += batchSize) {
+        let query = this.supabase
+          .from("ledger_entries")
+          .select(
+            "id, entry_number, direction, amount_minor, balance_after_minor, created_at, " +
+              "transaction:transactions(id, reference, type, description)"
+          )
+          .eq("account_id", account.id);
+
+        if (startDate) query = query.gte("created_at", startDate);
+        if (endDate) query = query.lte("created_at", endDate);
+
+        const { data, error } = await query
+          .order("entry_number", { ascending: true })
+          .range(offset, offset + batchSize - 1);
+
+        if (error) throw error;
+        statement.entries.push(...data);
+        if (data.length < batchSize) break;
+      }
+
+      statement.entries.forEach((entry) => {
+        if (entry.direction === "credit") {
+          statement.total_credits_minor += Number(entry.amount_minor);
+        } else {
+          statement.total_debits_minor += Number(entry.amount_minor);
+        }
+      });
+
+      const lastEntry = statement.entries[statement.entries.length - 1];
+      statement.closing_balance_minor = lastEntry
+        ? Number(lastEntry.balance_after_minor)
+        : statement.opening_balance_minor;
+
+      return statement;
+    } catch (error) {
+      throw new Error(`Error building statement: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a pending transaction
+   * @param {Object} transactionData - Transaction data
+   * @returns {Promise<Object>} Created transaction
+   */
+  async create(transactionData) {
+    // Tagged so an interrupted request can tell whether it already moved money
+    const idempotencyKeyId = RequestContext.get("idempotencyKeyId");
+
+    try {
+      const { data, error } = await this.query
+        .insert({
+          id: uuidv4(),
+          reference: this.generateReference(),
+          currency: "GHS",
+          metadata: {},
+          ...transactionData,
+          ...(idempotencyKeyId && {
+            metadata: { ...transactionData.metadata, idempotency_key_id: idempotencyKeyId },
+          }),
+          status: Transaction.STATUSES.PENDING,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error creating transaction: ${error.message}`);
+    }
+  }
+
+  /**
+   * Turn a rejected posting into the error to throw
+   * @param {Object} error - Database error
+   * @param {string} action - What was being done, for unexpected errors
+   * @returns {Error} Error to throw
+   */
+  static postingError(error, action) {
+    if (error.message.includes("INSUFFICIENT_FUNDS")) {
+      return new ErrorHandler.AppError(Transaction.INSUFFICIENT_FUNDS, 400);
+    }
+    if (error.message.includes("LIMIT_EXCEEDED")) {
+      return new ErrorHandler.AppError(Transaction.LIMIT_EXCEEDED, 403);
+    }
+    return new Error(`Error ${action}: ${error.message}`);
+  }
+
+  /**
+   * Post balanced ledger entries to a pending transaction and complete it.
+   * Balances are locked and updated atomically by the database.
+   * @param {string} transactionId - Transaction ID
+   * @param {Array} entries - Entry definitions
+   * @param {Array<string>} limitUserIds - Wallets to check against their limits under the same locks
+   * @returns {Promise<Array>} Posted ledger entries
+   */
+  async post(transactionId, entries, limitUserIds = []) {
+    const { data, error } = await this.supabase.rpc("post_ledger_transaction", {
+      p_transaction_id: transactionId,
+      p_entries: entries,
+      p_limit_user_ids: limitUserIds,
+    });
+
+    if (error) throw Transaction.postingError(error, "posting ledger entries");
+    return data;
+  }
+
+  /**
+   * Post a hold's capture and mark the hold captured in one database
+   * transaction, so a rejected posting leaves the hold active
+   * @param {string} transactionId - Pending transaction ID
+   * @param {Array} entries - Entry definitions
+   * @param {Object} capture - holdId, capturedMinor (amount plus fee), closedBy
+   * @param {Array<string>} limitUserIds - Wallets to check against their limits (see post)
+   * @returns {Promise<Array>} Posted ledger entries
+   */
+  async postCapture(transactionId, entries, { holdId, capturedMinor, closedBy = null }, limitUserIds = []) {
+    const { data, error } = await this.supabase.rpc("capture_wallet_hold", {
+      p_hold_id: holdId,
+      p_transaction_id: transactionId,
+      p_entries: entries,
+      p_captured_minor: capturedMinor,
+      p_closed_by: closedBy,
+      p_limit_user_ids: limitUserIds,
+    });
+
+    if (error) {
+      if (error.message.includes("HOLD_NOT_ACTIVE")) {
+        throw new ErrorHandler.AppError("Hold was updated by someone else", 409);
+      }
+      throw Transaction.postingError(error, "capturing wallet hold");
+    }
+    return data;
+  }
+
+  /**
+   * Post a payment request's transfer and record the payment against the
+   * request in one database transaction, so a posted payment is always counted
+   * @param {string} transactionId - Pending transaction ID
+   * @param {Array} entries - Entry definitions
+   * @param {Object} payment - requestId, payerId, amountMinor
+   * @param {Array<string>} limitUserIds - Wallets to check against their limits (see post)
+   * @returns {Promise<Array>} Posted ledger entries
+   */
+  async postPaymentRequestPayment(transactionId, entries, { requestId, payerId, amountMinor }, limitUserIds = []) {
+    const { data, error } = await this.supabase.rpc("post_payment_request_payment", {
+      p_request_id: requestId,
+      p_payer_id: payerId,
+      p_transaction_id: transactionId,
+      p_entries: entries,
+      p_amount_minor: amountMinor,
+      p_limit_user_ids: limitUserIds,
+    });
+
+    if (error) throw Transaction.postingError(error, "posting payment request payment");
+    return data;
+  }
+
+  /**
+   * Mark a pending transaction as failed
+   * @param {string} id - Transaction ID
+   * @param {string} reason - Failure reason
+   * @returns {Promise<Object>} Updated transaction
+   */
+  async markFailed(id, reason) {
+    try {
+      const { data, error } = await this.query
+        .update({
+          status: Transaction.STATUSES.FAILED,
+          failure_reason: reason,
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", id)
+        .eq("status", Transaction.STATUSES.PENDING)
+        .select()
+        .single();
+
+      if (error && error.code !== "PGRST116") throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error failing transaction: ${error.message}`);
+    }
+  }
+
+  /**
+   * Wallets in a posting that are held to their holder's KYC limits
+   * @param {Object} transactionData - Transaction data (type, user_id)
+   * @param {Array} entries - Entry definitions
+   * @param {Object} options - authorized: the initiating user's side was already checked when a hold was placed
+   * @returns {Array<string>} User IDs
+   */
+  static limitedWallets(transactionData, entries, { authorized = false } = {}) {
+    if (Transaction.LIMIT_EXEMPT_TYPES.includes(transactionData.type)) return [];
+
+    return [...Transaction.walletMovements(entries).keys()].filter(
+      (userId) => !(authorized && userId === transactionData.user_id)
+    );
+  }
+
+  /**
+   * Check every limited wallet a posting touches, for a clear message before
+   * anything is created. The posting checks again under its locks.
+   * @param {Object} transactionData - Transaction data (type, user_id)
+   * @param {Array} entries - Entry definitions
+   * @param {Object} options - authorized (see limitedWallets)
+   * @returns {Promise<void>}
+   */
+  async enforceLimits(transactionData, entries, options = {}) {
+    const limited = Transaction.limitedWallets(transactionData, entries, options);
+    const movements = Transaction.walletMovements(entries);
+
+    const limitModel = new WalletLimit();
+    for (const userId of limited) {
+      await limitModel.assertWithin(userId, movements.get(userId), {
+        counterparty: userId !== transactionData.user_id,
+      });
+    }
+  }
+
+  /**
+   * Create a transaction and post its entries in one step.
+   * The transaction is kept as failed if posting is rejected.
+   * @param {Object} transactionData - Transaction data
+   * @param {Array} entries - Entry definitions
+   * @param {Object} options - authorized (see limitedWallets), capture (see postCapture),
+   *   paymentRequest (see postPaymentRequestPayment)
+   * @returns {Promise<Object>} Completed transaction with entries
+   */
+  async record(transactionData, entries, options = {}) {
+    await this.enforceLimits(transactionData, entries, options);
+    const limited = Transaction.limitedWallets(transactionData, entries, options);
+    const transaction = await this.create(transactionData);
+
+    try {
+      let posted;
+      if (options.capture) {
+        posted = await this.postCapture(transaction.id, entries, options.capture, limited);
+      } else if (options.paymentRequest) {
+        posted = await this.postPaymentRequestPayment(transaction.id, entries, options.paymentRequest, limited);
+      } else {
+        posted = await this.post(transaction.id, entries, limited);
+      }
+      return {
+        ...transaction,
+        status: Transaction.STATUSES.COMPLETED,
+        entries: posted,
+      };
+    } catch (error) {
+      await this.markFailed(transaction.id, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Credit a user's wallet
+   * @param {string} userId - User ID
+   * @param {number} amountMinor - Amount in minor units
+   * @param {Object} options - type, counterAccount, description, metadata
+   * @returns {Promise<Object>} Completed transaction
+   */
+  async credit(userId, amountMinor, options = {}) {
+    const {
+      type = Transaction.TYPES.ADJUSTMENT,
+      counterAccount = Transaction.ACCOUNTS.ADJUSTMENTS,
+      ...transactionData
+    } = options;
+
+    return this.record(
+      { ...transactionData, user_id: userId, type, amount_minor: amountMinor },
+      [
+        Transaction.systemEntry(counterAccount, "debit", amountMinor),
+        Transaction.walletEntry(userId, "credit", amountMinor),
+      ]
+    );
+  }
+
+  /**
+   * Debit a user's wallet; rejected if it would overdraw the wallet
+   * @param {string} userId - User ID
+   * @param {number} amountMinor - Amount in minor units
+   * @param {Object} options - type, counterAccount, description, metadata
+   * @returns {Promise<Object>} Completed transaction
+   */
+  async debit(userId, amountMinor, options = {}) {
+    const {
+      type = Transaction.TYPES.ADJUSTMENT,
+      counterAccount = Transaction.ACCOUNTS.ADJUSTMENTS,
+      ...transactionData
+    } = options;
+
+    return this.record(
+      { ...transactionData, user_id: userId, type, amount_minor: amountMinor },
+      [
+        Transaction.walletEntry(userId, "debit", amountMinor),
+        Transaction.systemEntry(counterAccount, "credit", amountMinor),
+      ]
+    );
+  }
+
+  /**
+   * Move money between two user wallets in one posting.
+   * A fee is debited from the sender on its own line to the fee revenue account.
+   * @param {string} senderId - Sender user ID
+   * @param {string} recipientId - Recipient user ID
+   * @param {number} amountMinor - Amount in minor units
+   * @param {Object} options - fee, type (defaults to transfer), paymentRequest (see postPaymentRequestPayment),
+   *   description, metadata
+   * @returns {Promise<Object>} Completed transaction
+   */
+  async transfer(
+    senderId,
+    recipientId,
+    amountMinor,
+    { fee, type = Transaction.TYPES.TRANSFER, paymentRequest, ...options } = {}
+  ) {
+    return this.record(
+      {
+        ...options,
+        ...Transaction.feeFields(fee),
+        user_id: senderId,
+        counterparty_id: recipientId,
+        type,
+        amount_minor: amountMinor,
+      },
+      [
+        Transaction.walletEntry(senderId, "debit", amountMinor),
+        Transaction.walletEntry(recipientId, "credit", amountMinor),
+        ...Transaction.feeEntries(Transaction.walletEntry(senderId, "debit", 0), fee),
+      ],
+      { paymentRequest }
+    );
+  }
+
+  /**
+   * Debit a bill payment from a wallet to the bill payments account, with any
+   * fee on its own line. A payment the provider rejects is reversed with refund().
+   * @param {string} userId - User ID
+   * @param {number} amountMinor - Amount in minor units
+   * @param {Object} options - fee, description, metadata
+   * @returns {Promise<Object>} Completed transaction
+   */
+  async payBill(userId, amountMinor, { fee, ...options } = {}) {
+    return this.record(
+      {
+        ...options,
+        ...Transaction.feeFields(fee),
+        user_id: userId,
+        type: Transaction.TYPES.BILL_PAYMENT,
+        amount_minor: amountMinor,
+      },
+      [
+        Transaction.walletEntry(userId, "debit", amountMinor),
+        Transaction.systemEntry(Transaction.ACCOUNTS.BILL_PAYMENTS, "credit", amountMinor),
+        ...Transaction.feeEntries(Transaction.walletEntry(userId, "debit", 0), fee),
+      ]
+    );
+  }
+
+  /**
+   * Move money from the owner's wallet into a savings pot
+   * @param {Object} pot - Savings pot
+   * @param {number} amountMinor - Amount in minor units
+   * @param {Object} options - description, metadata
+   * @returns {Promise<Object>} Completed transaction
+   */
+  async saveToPot(pot, amountMinor, { metadata, ...options } = {}) {
+    return this.record(
+      {
+        ...options,
+        user_id: pot.user_id,
+        type: Transaction.TYPES.SAVINGS_DEPOSIT,
+        amount_minor: amountMinor,
+        metadata: { ...metadata, pot_id: pot.id },
+      },
+      [Transaction.walletEntry(pot.user_id, "debit", amountMinor), Transaction.potEntry(pot, "credit", amountMinor)]
+    );
+  }
+
+  /**
+   * Move money from a savings pot back to the owner's wallet. An early
+   * withdrawal penalty is taken out of the amount, so the wallet receives
+   * the amount less the penalty.
+   * @param {Object} pot - Savings pot
+   * @param {number} amountMinor - Amount taken out of the pot in minor units
+   * @param {Object} options - penalty (quoted fee), description, metadata
+   * @returns {Promise<Object>} Completed transaction
+   */
+  async withdrawFromPot(pot, amountMinor, { penalty, metadata, ...options } = {}) {
+    const penaltyMinor = penalty ? penalty.amountMinor : 0;
+
+    return this.record(
+      {
+        ...options,
+        ...Transaction.feeFields(penalty),
+        user_id: pot.user_id,
+        type: Transaction.TYPES.SAVINGS_WITHDRAWAL,
+        amount_minor: amountMinor,
+        metadata: { ...metadata, pot_id: pot.id },
+      },
+      [
+        Transaction.potEntry(pot, "debit", amountMinor),
+        Transaction.walletEntry(pot.user_id, "credit", amountMinor - penaltyMinor),
+        ...(penaltyMinor
+          ? [Transaction.systemEntry(Transaction.ACCOUNTS.FEE_REVENUE, "credit", penaltyMinor)]
+          : []),
+      ]
+    );
+  }
+
+  /**
+   * Charge a standalone fee (e.g. document verification) from a wallet
+   * @param {string} userId - User ID
+   * @param {Object} fee - Quoted fee (amountMinor, scheduleId, version)
+   * @param {Object} options - type, description, metadata
+   * @returns {Promise<Object>} Completed transaction
+   */
+  async chargeFee(userId, fee, options = {}) {
+    return this.record(
+      {
+        ...options,
+        ...Transaction.feeFields(fee),
+        user_id: userId,
+        amount_minor: fee.amountMinor,
+      },
+      Transaction.feeEntries(Transaction.walletEntry(userId, "debit", 0), fee)
+    );
+  }
+
+  /**
+   * Start a mobile money deposit; nothing is credited until the provider confirms
+   * @param {string} userId - User ID
+   * @param {number} amountMinor - Amount in minor units
+   * @param {Object} options - provider, phone, description
+   * @returns {Promise<Object>} Pending transaction
+   */
+  async createDeposit(userId, amountMinor, { provider, phone, description }) {
+    await new WalletLimit().assertWithin(userId, { creditMinor: amountMinor });
+
+    return this.create({
+      user_id: userId,
+      type: Transaction.TYPES.DEPOSIT,
+      amount_minor: amountMinor,
+      provider,
+      description: description || `Mobile money deposit (${provider})`,
+      metadata: { phone },
+    });
+  }
+
+  /**
+   * Save the provider's reference on a pending deposit
+   * @param {string} id - Transaction ID
+   * @param {string} providerReference - Provider reference
+   * @returns {Promise<Object>} Updated transaction
+   */
+  async setProviderReference(id, providerReference) {
+    try {
+      const { data, error } = await this.query
+        .update({
+          provider_reference: providerReference,
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", id)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error updating provider reference: ${error.message}`);
+    }
+  }
+
+  /**
+   * Confirm a pending deposit and credit the wallet from the provider's clearing account.
+   * The provider must report collecting exactly the requested amount; anything else is
+   * rejected and the deposit stays pending for review. Limits were checked when the
+   * deposit was started; the money has been collected by now, so they are not checked again.
+   * @param {Object} transaction - Pending deposit
+   * @param {Object} event - amountMinor, providerReference
+   * @returns {Promise<Array>} Posted ledger entries
+   */
+  async confirmDeposit(transaction, { amountMinor, providerReference }) {
+    Transaction.assertTransition(transaction, Transaction.STATUSES.COMPLETED);
+
+    const requested = Number(transaction.amount_minor);
+    if (amountMinor !== requested) {
+      throw new ErrorHandler.AppError(
+        `Deposit ${transaction.reference} was requested for ${requested} but the provider reported ${amountMinor === null || amountMinor === undefined ? "no amount" : amountMinor}`,
+        422
+      );
+    }
+
+    if (providerReference) {
+      const { error } = await this.query
+        .update({
+          provider_reference: providerReference,
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", transaction.id)
+        .eq("status", Transaction.STATUSES.PENDING);
+
+      if (error) throw new Error(`Error updating deposit: ${error.message}`);
+    }
+
+    return this.post(transaction.id, [
+      Transaction.systemEntry(Transaction.clearingAccount(transaction.provider), "debit", requested),
+      Transaction.walletEntry(transaction.user_id, "credit", requested),
+    ]);
+  }
+
+  /**
+   * Fail a pending deposit
+   * @param {Object} transaction - Pending deposit
+   * @param {string} reason - Failure reason
+   * @returns {Promise<Object>} Updated transaction
+   */
+  async failDeposit(transaction, reason) {
+    Transaction.assertTransition(transaction, Transaction.STATUSES.FAILED);
+    return this.markFailed(transaction.id, reason || "Payment was not completed");
+  }
+
+  /**
+   * Book an approved withdrawal out of the hold account: the amount to payouts
+   * and the fee to fee revenue. Only withdrawals requested before wallet holds
+   * have funds in the hold account.
+   * @param {string} userId - User ID
+   * @param {number} amountMinor - Amount in minor units
+   * @param {Object} options - fee, description, metadata
+   * @returns {Promise<Object>} Completed transaction
+   */
+  async settleWithdrawal(userId, amountMinor, { fee, ...options } = {}) {
+    return this.record(
+      {
+        ...options,
+        ...Transaction.feeFields(fee),
+        user_id: userId,
+        type: Transaction.TYPES.WITHDRAWAL,
+        amount_minor: amountMinor,
+      },
+      [
+        Transaction.holdEntry(userId, "debit", amountMinor),
+        Transaction.systemEntry(Transaction.ACCOUNTS.PAYOUTS, "credit", amountMinor),
+        ...Transaction.feeEntries(Transaction.holdEntry(userId, "debit", 0), fee),
+      ]
+    );
+  }
+
+  /**
+   * Return withdrawal funds and fee to the wallet, from the hold account (rejected)
+   * or from the payout and fee revenue accounts (payout failed after approval)
+   * @param {string} userId - User ID
+   * @param {number} amountMinor - Amount in minor units
+   * @param {Object} options - fee, fromPayouts, description, metadata
+   * @returns {Promise<Object>} Completed transaction
+   */
+  async releaseWithdrawal(userId, amountMinor, { fee, fromPayouts = false, ...options } = {}) {
+    const feeMinor = fee?.amountMinor || 0;
+    const totalMinor = amountMinor + feeMinor;
+
+    const sources = fromPayouts
+      ? [
+          Transaction.systemEntry(Transaction.ACCOUNTS.PAYOUTS, "debit", amountMinor),
+          ...(feeMinor > 0
+            ? [Transaction.systemEntry(Transaction.ACCOUNTS.FEE_REVENUE, "debit", feeMinor)]
+            : []),
+        ]
+      : [Transaction.holdEntry(userId, "debit", totalMinor)];
+
+    return this.record(
+      {
+        ...options,
+        ...Transaction.feeFields(fee),
+        user_id: userId,
+        type: Transaction.TYPES.WITHDRAWAL_RELEASE,
+        amount_minor: totalMinor,
+      },
+      [...sources, Transaction.walletEntry(userId, "credit", totalMinor)]
+    );
+  }
+
+  /**
+   * Pay a bulk disbursement row into a user's wallet
+   * @param {string} userId - Recipient user ID
+   * @param {number} amountMinor - Amount in minor units
+   * @param {Object} options - description, metadata
+   * @returns {Promise<Object>} Completed transaction
+   */
+  async disburse(userId, amountMinor, options = {}) {
+    return this.credit(userId, amountMinor, {
+      ...options,
+      type: Transaction.TYPES.DISBURSEMENT,
+      counterAccount: Transaction.ACCOUNTS.DISBURSEMENTS,
+    });
+  }
+
+  /**
+   * Capture a wallet hold: post the amount to a payee's wallet or a system
+   * account, and any fee to fee revenue, closing the hold in the same database
+   * transaction. The payer's limits were checked when the hold was placed.
+   * @param {Object} hold - Active wallet hold
+   * @param {number} amountMinor - Amount captured, excluding the fee
+   * @param {Object} options - type, counterAccount or payeeId, fee, capturedBy, description, metadata
+   * @returns {Promise<Object>} Completed transaction
+   */
+  async captureHold(
+    hold,
+    amountMinor,
+    { type, counterAccount = Transaction.ACCOUNTS.ADJUSTMENTS, payeeId, fee, capturedBy = null, metadata, ...options } = {}
+  ) {
+    return this.record(
+      {
+        ...options,
+        ...Transaction.feeFields(fee),
+        user_id: hold.user_id,
+        ...(payeeId && { counterparty_id: payeeId }),
+        type,
+        amount_minor: amountMinor,
+        metadata: { ...metadata, hold_id: hold.id },
+      },
+      [
+        Transaction.walletEntry(hold.user_id, "debit", amountMinor),
+        payeeId
+          ? Transaction.walletEntry(payeeId, "credit", amountMinor)
+          : Transaction.systemEntry(counterAccount, "credit", amountMinor),
+        ...Transaction.feeEntries(Transaction.walletEntry(hold.user_id, "debit", 0), fee),
+      ],
+      {
+        authorized: true,
+        capture: { holdId: hold.id, capturedMinor: amountMinor + (fee?.amountMinor || 0), closedBy: capturedBy },
+      }
+    );
+  }
+
+  /**
+   * Accrue commission to an agent's commission account
+   * @param {string} agentId - Agent user ID
+   * @param {number} amountMinor - Commission in minor units
+   * @param {Object} options - counterparty_id (referred user), description, metadata
+   * @returns {Promise<Object>} Completed transaction
+   */
+  async accrueCommission(agentId, amountMinor, options = {}) {
+    return this.record(
+      { ...options, user_id: agentId, type: Transaction.TYPES.COMMISSION, amount_minor: amountMinor },
+      [
+        Transaction.systemEntry(Transaction.ACCOUNTS.COMMISSIONS, "debit", amountMinor),
+        Transaction.commissionEntry(agentId, "credit", amountMinor),
+      ]
+    );
+  }
+
+  /**
+   * Pay accrued commission out to the agent's main wallet
+   * @param {string} agentId - Agent user ID
+   * @param {number} amountMinor - Amount in minor units
+   * @param {Object} options - description, metadata
+   * @returns {Promise<Object>} Completed transaction
+   */
+  async settleCommission(agentId, amountMinor, options = {}) {
+    return this.record(
+      {
+        ...options,
+        user_id: agentId,
+        type: Transaction.TYPES.COMMISSION_SETTLEMENT,
+        amount_minor: amountMinor,
+      },
+      [
+        Transaction.commissionEntry(agentId, "debit", amountMinor),
+        Transaction.walletEntry(agentId, "credit", amountMinor),
+      ]
+    );
+  }
+
+  /**
+   * Move refunded_minor on a transaction from one value to another, failing if
+   * someone else changed it in the meantime
+   * @param {string} id - Transaction ID
+   * @param {number} fromMinor - Expected current value
+   * @param {number} toMinor - New value
+   * @returns {Promise<boolean>} True if the update applied
+   */
+  async swapRefunded(id, fromMinor, toMinor) {
+    const { data, error } = await this.query
+      .update({ refunded_minor: toMinor, updated_at: new Date().toISOString() })
+      .eq("id", id)
+      .eq("refunded_minor", fromMinor)
+      .select("id")
+      .maybeSingle();
+
+    if (error) throw new Error(`Error updating refunded amount: ${error.message}`);
+    return Boolean(data);
+  }
+
+  /**
+   * Refund all or part of a completed transaction.
+   * A refund of the whole amount reverses every entry, fee included; a partial
+   * refund returns part of the amount only. The refund is its own transaction
+   * pointing back at the original.
+   * @param {string} transactionId - Original transaction ID
+   * @param {number} amountMinor - Amount to refund in minor units (defaults to what is left)
+   * @param {Object} options - reasonCode, note, initiatedBy (admin ID, empty for the system), description
+   * @returns {Promise<Object>} Completed refund transaction
+   */
+  async refund(transactionId, amountMinor, { reasonCode, note, initiatedBy = null, description } = {}) {
+    const original = await this.findById(transactionId);
+    if (!original) {
+      throw new ErrorHandler.AppError("Transaction not found", 404);
+    }
+    if (Transaction.NON_REFUNDABLE_TYPES.includes(original.type)) {
+      throw new ErrorHandler.AppError(`${original.type} transactions cannot be refunded`, 400);
+    }
+    if (original.status !== Transaction.STATUSES.COMPLETED) {
+      throw new ErrorHandler.AppError(`Transaction ${original.reference} is ${original.status}`, 409);
+    }
+
+    const refundedMinor = Number(original.refunded_minor || 0);
+    const refundableMinor = Number(original.amount_minor) - refundedMinor;
+    const refundMinor = amountMinor || refundableMinor;
+
+    if (refundableMinor <= 0) {
+      throw new ErrorHandler.AppError(`Transaction ${original.reference} has already been fully refunded`, 409);
+    }
+    if (refundMinor > refundableMinor) {
+      throw new ErrorHandler.AppError(
+        `Refund cannot exceed the ${MoneyUtils.format(refundableMinor)} still refundable on ${original.reference}`,
+        400
+      );
+    }
+
+    const { data: entries, error } = await this.supabase
+      .from("ledger_entries")
+      .select("*, account:ledger_accounts(code, type, allow_negative)")
+      .eq("transaction_id", original.id)
+      .order("entry_number", { ascending: true });
+    if (error) throw new Error(`Error fetching ledger entries: ${error.message}`);
+
+    // The first debit and credit of the original amount are the principal; anything after is the fee
+    const isFull = refundedMinor === 0 && refundMinor === Number(original.amount_minor);
+    const principal = ["debit", "credit"].map((direction) =>
+      entries.find(
+        (entry) => entry.direction === direction && Number(entry.amount_minor) === Number(original.amount_minor)
+      )
+    );
+    if (!isFull && principal.includes(undefined)) {
+      throw new ErrorHandler.AppError(`Transaction ${original.reference} can only be refunded in full`, 400);
+    }
+
+    const reversal = isFull
+      ? entries.map((entry) => Transaction.reverseEntry(entry))
+      : principal.map((entry) => Transaction.reverseEntry(entry, refundMinor));
+
+    if (!(await this.swapRefunded(original.id, refundedMinor, refundedMinor + refundMinor))) {
+      throw new ErrorHandler.AppError("Transaction was refunded by someone else, please try again", 409);
+    }
+
+    try {
+      return await this.record(
+        {
+          user_id: original.user_id,
+          counterparty_id: original.counterparty_id,
+          type: Transaction.TYPES.REFUND,
+          amount_minor: refundMinor,
+          fee_minor: isFull ? Number(original.fee_minor || 0) : 0,
+          original_transaction_id: original.id,
+          reason_code: reasonCode,
+          description: description || `Refund of ${original.reference}`,
+          metadata: { note, initiated_by: initiatedBy || "system" },
+        },
+        reversal
+      );
+    } catch (error) {
+      await this.swapRefunded(original.id, refundedMinor + refundMinor, refundedMinor);
+      throw error;
+    }
+  }
+}
+
+module.exports = Transaction;
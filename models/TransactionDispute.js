@@ -0,0 +1,399 @@
+const QueryBuilder = require("../utils/QueryBuilder");
+const Transaction = require("./Transaction");
+const SupportTicket = require("./SupportTicket");
+const SupportTicketEvent = require("./SupportTicketEvent");
+const ErrorHandler = require("../middlewares/errorHandler");
+const MoneyUtils = require("../utils/moneyUtils");
+
+class TransactionDispute extends QueryBuilder {
+  static REASONS = ["wrong_recipient", "duplicate_charge", "wrong_amount", "not_received", "unauthorized", "other"];
+
+  // Refund reason code recorded on the ledger for each dispute reason
+  static REFUND_REASON_CODES = {
+    wrong_recipient: Transaction.REFUND_REASONS.ERROR_CORRECTION,
+    duplicate_charge: Transaction.REFUND_REASONS.DUPLICATE,
+    wrong_amount: Transaction.REFUND_REASONS.ERROR_CORRECTION,
+    not_received: Transaction.REFUND_REASONS.SERVICE_FAILURE,
+    unauthorized: Transaction.REFUND_REASONS.FRAUD,
+    other: Transaction.REFUND_REASONS.CUSTOMER_REQUEST,
+  };
+
+  static STATUSES = {
+    OPEN: "open",
+    RESOLVING: "resolving",
+    REFUNDED: "refunded",
+    PARTIALLY_REFUNDED: "partially_refunded",
+    REJECTED: "rejected",
+  };
+
+  static OUTCOMES = {
+    REFUND: "refund",
+    PARTIAL_REFUND: "partial_refund",
+    REJECT: "reject",
+  };
+
+  static MAX_TRANSACTIONS = 10;
+
+  constructor() {
+    super("transaction_disputes");
+    this.selectableFields = [
+      "id",
+      "ticket_id",
+      "user_id",
+      "reason",
+      "status",
+      "resolved_by",
+      "resolved_at",
+      "resolution_note",
+      "created_at",
+      "updated_at",
+    ];
+    this.itemFields = [
+      "transaction_id",
+      "disputed_minor",
+      "refund_minor",
+      "refund_transaction_id",
+      "transaction:transactions!transaction_id(reference, type, amount_minor, fee_minor, refunded_minor, counterparty_id, created_at)",
+    ];
+  }
+
+  /**
+   * Find dispute by ID
+   * @param {string} id - Dispute ID
+   * @returns {Promise<Object>} Dispute with its transactions and ticket
+   */
+  async findById(id) {
+    return this.findOne("id", id);
+  }
+
+  /**
+   * Find the dispute raised by a ticket
+   * @param {string} ticketId - Ticket ID
+   * @returns {Promise<Object>} Dispute with its transactions and ticket
+   */
+  async findByTicket(ticketId) {
+    return this.findOne("ticket_id", ticketId);
+  }
+
+  /**
+   * Find one dispute by a unique column
+   * @param {string} column - id or ticket_id
+   * @param {string} value - Value to match
+   * @returns {Promise<Object>} Dispute with its transactions and ticket
+   */
+  async findOne(column, value) {
+    try {
+      const { data, error } = await this.query
+        .select(
+          [
+            ...this.selectableFields,
+            `items:transaction_dispute_items(${this.itemFields.join(",")})`,
+            "ticket:support_tickets!ticket_id(reference, status)",
+            "resolver:users!resolved_by(name)",
+          ].join(",")
+        )
+        .eq(column, value)
+        .is("deleted_at", null)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error finding dispute: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the latest dispute on each of a set of transactions
+   * @param {Array<string>} transactionIds - Transaction IDs
+   * @param {string} userId - Only disputes this user raised; all disputes if empty
+   * @returns {Promise<Map>} Transaction ID to dispute summary
+   */
+  async findForTransactions(transactionIds, userId = null) {
+    const disputes = new Map();
+    if (!transactionIds.length) return disputes;
+
+    let query = this.supabase
+      .from("transaction_dispute_items")
+      .select(
+        "transaction_id, refund_minor, created_at, dispute:transaction_disputes!inner(id, user_id, reason, status, resolved_at, ticket:support_tickets!ticket_id(id, reference))"
+      )
+      .in("transaction_id", transactionIds)
+      .order("created_at", { ascending: true });
+    if (userId) query = query.eq("dispute.user_id", userId);
+
+    const { data, error } = await query;
+    if (error) throw new Error(`Error fetching disputes: ${error.message}`);
+
+    data.forEach((item) => {
+      disputes.set(item.transaction_id, {
+        id: item.dispute.id,
+        ticket_id: item.dispute.ticket.id,
+        ticket_reference: item.dispute.ticket.reference,
+        reason: item.dispute.reason,
+        status: item.dispute.status,
+        refund_minor: item.refund_minor,
+        resolved_at: item.dispute.resolved_at,
+      });
+    });
+    return disputes;
+  }
+
+  /**
+   * Check the transactions a user wants to dispute: each must be a completed
+   * payment they made that can still be refunded, and the amount disputed
+   * cannot be more than is left to refund
+   * @param {string} userId - Disputing user
+   * @param {Array<Object>} claims - transactionId, amountMinor (defaults to what is left)
+   * @returns {Promise<Array>} Dispute items
+   */
+  async checkClaims(userId, claims) {
+    const ids = claims.map((claim) => claim.transactionId);
+    if (new Set(ids).size !== ids.length) {
+      throw new ErrorHandler.AppError("Each transaction can only be listed once", 400);
+    }
+
+    const { data: transactions, error } = await this.supabase
+      .from("transactions")
+      .select("id, reference, user_id, type, status, amount_minor, refunded_minor")
+      .in("id", ids);
+    if (error) throw new Error(`Error fetching disputed transactions: ${error.message}`);
+
+    const { data: open, error: openError } = await this.supabase
+      .from("transaction_dispute_items")
+      .select("transaction_id")
+      .in("transaction_id", ids)
+      .eq("active", true);
+    if (openError) throw new Error(`Error checking open disputes: ${openError.message}`);
+
+    return claims.map(({ transactionId, amountMinor }) => {
+      const transaction = transactions.find((row) => row.id === transactionId);
+      if (!transaction || transaction.user_id !== userId) {
+        throw new ErrorHandler.AppError(`Transaction ${transactionId} not found`, 404);
+      }
+      if (open.some((row) => row.transaction_id === transactionId)) {
+        throw new ErrorHandler.AppError(`Transaction ${transaction.reference} is already in an open dispute`, 409);
+      }
+      if (
+        transaction.status !== Transaction.STATUSES.COMPLETED ||
+        Transaction.NON_REFUNDABLE_TYPES.includes(transaction.type)
+      ) {
+        throw new ErrorHandler.AppError(`Transaction ${transaction.reference} cannot be disputed`, 400);
+      }
+
+      const refundableMinor = Number(transaction.amount_minor) - Number(transaction.refunded_minor || 0);
+      if (refundableMinor <= 0) {
+        throw new ErrorHandler.AppError(`Transaction ${transaction.reference} has already been fully refunded`, 409);
+      }
+      if (amountMinor && amountMinor > refundableMinor) {
+        throw new ErrorHandler.AppError(
+          `You can dispute up to ${MoneyUtils.format(refundableMinor)} on ${transaction.reference}`,
+          400
+        );
+      }
+
+      return { transaction_id: transactionId, disputed_minor: amountMinor || refundableMinor };
+    });
+  }
+
+  /**
+   * Open a dispute: a dispute ticket naming the transactions and the reason.
+   * The ticket is removed again if the dispute cannot be recorded.
+   * @param {Object} user - Disputing user
+   * @param {Object} disputeData - reason, description, subject, priority, claims (see checkClaims)
+   * @returns {Promise<Object>} Dispute and its ticket
+   */
+  async open(user, { reason, description, subject, priority, claims }) {
+    const items = await this.checkClaims(user.id, claims);
+
+    const ticketModel = new SupportTicket();
+    const ticket = await ticketModel.create(user.id, {
+      type: SupportTicket.TYPES.DISPUTE,
+      category: "wallet",
+      subject: subject || `Dispute: ${reason.replace(/_/g, " ")}`,
+      description,
+      priority,
+    });
+
+    try {
+      const { data: dispute, error } = await this.query
+        .insert({
+          ticket_id: ticket.id,
+          user_id: user.id,
+          reason,
+          status: TransactionDispute.STATUSES.OPEN,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        })
+        .select(this.selectableFields.join(","))
+        .single();
+      if (error) throw error;
+
+      const { error: itemsError } = await this.supabase
+        .from("transaction_dispute_items")
+        .insert(items.map((item) => ({ ...item, dispute_id: dispute.id, created_at: new Date().toISOString() })));
+      if (itemsError) {
+        await this.query.delete().eq("id", dispute.id);
+        throw itemsError;
+      }
+
+      return { dispute: await this.findById(dispute.id), ticket };
+    } catch (error) {
+      await ticketModel.query
+        .update({ deleted_at: new Date().toISOString() })
+        .eq("id", ticket.id)
+        .then(({ error: deleteError }) => {
+          if (deleteError) console.error("Error removing dispute ticket:", deleteError);
+        });
+
+      if (error.code === "23505") {
+        throw new ErrorHandler.AppError("One of these transactions is already in an open dispute", 409);
+      }
+      throw new Error(`Error opening dispute: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move a dispute on from the status it was read in
+   * @param {Object} dispute - Dispute
+   * @param {string} from - Expected current status
+   * @param {Object} updates - Fields to set
+   * @returns {Promise<Object>} Updated dispute
+   */
+  async transition(dispute, from, updates) {
+    try {
+      const { data, error } = await this.query
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq("id", dispute.id)
+        .eq("status", from)
+        .select(this.selectableFields.join(","))
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!data) {
+        throw new ErrorHandler.AppError("Dispute was updated by someone else", 409);
+      }
+      return data;
+    } catch (error) {
+      if (error.isOperational) throw error;
+      throw new Error(`Error updating dispute: ${error.message}`);
+    }
+  }
+
+  /**
+   * Work out what each transaction gets back
+   * @param {Object} dispute - Dispute with its items
+   * @param {string} outcome - See OUTCOMES
+   * @param {Object} amounts - Transaction ID to amount in minor units (partial refunds)
+   * @returns {Array<Object>} Items to refund with refund_minor set
+   */
+  static refundPlan(dispute, outcome, amounts = {}) {
+    if (outcome === TransactionDispute.OUTCOMES.REJECT) return [];
+    if (outcome === TransactionDispute.OUTCOMES.REFUND) {
+      return dispute.items.map((item) => ({ ...item, refund_minor: Number(item.disputed_minor) }));
+    }
+
+    const unknown = Object.keys(amounts).filter((id) => !dispute.items.some((item) => item.transaction_id === id));
+    if (unknown.length) {
+      throw new ErrorHandler.AppError(`Transactions not in this dispute: ${unknown.join(", ")}`, 400);
+    }
+
+    const plan = dispute.items
+      .filter((item) => amounts[item.transaction_id])
+      .map((item) => {
+        if (amounts[item.transaction_id] > Number(item.disputed_minor)) {
+          throw new ErrorHandler.AppError(
+            `Refund cannot exceed the ${MoneyUtils.format(item.disputed_minor)} disputed on ${item.transaction.reference}`,
+            400
+          );
+        }
+        return { ...item, refund_minor: amounts[item.transaction_id] };
+      });
+
+    if (!plan.length) {
+      throw new ErrorHandler.AppError("Give the amount to refund on at least one transaction", 400);
+    }
+    return plan;
+  }
+
+  /**
+   * Resolve a dispute and carry out the outcome on the ledger. The dispute is
+   * held in resolving while refunds are made; each refund is saved on its item
+   * as it completes, so if one fails the dispute goes back to open and
+   * resolving it again only refunds what is left.
+   * @param {Object} dispute - Open dispute with its items
+   * @param {string} outcome - See OUTCOMES
+   * @param {Object} options - amounts (partial refunds, minor units by transaction ID), note
+   * @param {string} adminId - Approving admin
+   * @returns {Promise<Object>} Resolved dispute with its items
+   */
+  async resolve(dispute, outcome, { amounts, note }, adminId) {
+    if (dispute.status !== TransactionDispute.STATUSES.OPEN) {
+      throw new ErrorHandler.AppError(`Dispute is already ${dispute.status.replace(/_/g, " ")}`, 409);
+    }
+
+    const plan = TransactionDispute.refundPlan(dispute, outcome, amounts);
+    await this.transition(dispute, TransactionDispute.STATUSES.OPEN, { status: TransactionDispute.STATUSES.RESOLVING });
+
+    const transactionModel = new Transaction();
+    try {
+      for (const item of plan.filter((planned) => !planned.refund_transaction_id)) {
+        const refund = await transactionModel.refund(item.transaction_id, item.refund_minor, {
+          reasonCode: TransactionDispute.REFUND_REASON_CODES[dispute.reason],
+          note: note || `Dispute ${dispute.ticket.reference}`,
+          initiatedBy: adminId,
+          description: `Dispute refund of ${item.transaction.reference}`,
+        });
+
+        const { error } = await this.supabase
+          .from("transaction_dispute_items")
+          .update({ refund_minor: item.refund_minor, refund_transaction_id: refund.id })
+          .eq("dispute_id", dispute.id)
+          .eq("transaction_id", item.transaction_id);
+        if (error) console.error(`Error saving refund ${refund.id} on dispute ${dispute.id}:`, error);
+      }
+    } catch (error) {
+      await this.transition(dispute, TransactionDispute.STATUSES.RESOLVING, {
+        status: TransactionDispute.STATUSES.OPEN,
+      }).catch((updateError) => console.error("Error reopening dispute:", updateError));
+      throw error;
+    }
+
+    const statuses = {
+      [TransactionDispute.OUTCOMES.REFUND]: TransactionDispute.STATUSES.REFUNDED,
+      [TransactionDispute.OUTCOMES.PARTIAL_REFUND]: TransactionDispute.STATUSES.PARTIALLY_REFUNDED,
+      [TransactionDispute.OUTCOMES.REJECT]: TransactionDispute.STATUSES.REJECTED,
+    };
+    await this.transition(dispute, TransactionDispute.STATUSES.RESOLVING, {
+      status: statuses[outcome],
+      resolved_by: adminId,
+      resolved_at: new Date().toISOString(),
+      resolution_note: note || null,
+    });
+
+    const { error: closeError } = await this.supabase
+      .from("transaction_dispute_items")
+      .update({ active: false })
+      .eq("dispute_id", dispute.id);
+    if (closeError) console.error(`Error closing items on dispute ${dispute.id}:`, closeError);
+
+    await new SupportTicketEvent().record(dispute.ticket_id, SupportTicketEvent.TYPES.DISPUTE_RESOLVED, adminId, {
+      dispute_id: dispute.id,
+      outcome,
+      refunded_minor: plan.reduce((total, item) => total + item.refund_minor, 0),
+    });
+
+    // The outcome answers the ticket; the user can still reopen it
+    const ticketModel = new SupportTicket();
+    const ticket = await ticketModel.findById(dispute.ticket_id);
+    if (ticket && SupportTicket.TRANSITIONS[ticket.status].includes(SupportTicket.STATUSES.RESOLVED)) {
+      await ticketModel
+        .setStatus(ticket, SupportTicket.STATUSES.RESOLVED, { actorId: adminId })
+        .catch((error) => console.error(`Error resolving dispute ticket ${ticket.reference}:`, error));
+    }
+
+    return this.findById(dispute.id);
+  }
+}
+
+module.exports = TransactionDispute;
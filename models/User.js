@@ -2,8 +2,22 @@ const QueryBuilder = require("../utils/QueryBuilder");
 const bcrypt = require("bcryptjs");
 const { v4: uuidv4 } = require("uuid");
 const { createClient } = require("@supabase/supabase-js");
+const Transaction = require("./Transaction");
+const MoneyUtils = require("../utils/moneyUtils");
+const ErrorHandler = require("../middlewares/errorHandler");
 
 class User extends QueryBuilder {
+  // Account statuses an admin can set
+  static STATUSES = {
+    ACTIVE: "ACTIVE",
+    BLOCKED: "BLOCKED",
+    SUSPENDED: "SUSPENDED",
+  };
+
+  // Wrong wallet PINs allowed before the PIN is locked, and for how long
+  static WALLET_PIN_MAX_ATTEMPTS = 3;
+  static WALLET_PIN_LOCK_MINUTES = 30;
+
   constructor() {
     super("users");
     this.searchableFields = ["name", "email", "phone", "agent_code"];
@@ -14,6 +28,7 @@ class User extends QueryBuilder {
       "phone",
       "agent_code",
       "role",
+      "status",
       "verified",
       "wallet_balance",
       "identification_status",
@@ -26,6 +41,25 @@ class User extends QueryBuilder {
     ];
   }
 
+  /**
+   * Whether a user can move money at all: send, pay, or be asked to pay
+   * @param {Object|null} user - User data
+   * @returns {boolean}
+   */
+  static isActive(user) {
+    return Boolean(user) && user.status === User.STATUSES.ACTIVE;
+  }
+
+  /**
+   * Whether a user can be sent money. Only active accounts can; blocked and
+   * suspended ones are treated as not found.
+   * @param {Object|null} user - User data
+   * @returns {boolean}
+   */
+  static canReceive(user) {
+    return User.isActive(user);
+  }
+
   /**
    * Find user by email
    * @param {string} email - User email
@@ -46,6 +80,47 @@ class User extends QueryBuilder {
     }
   }
 
+  /**
+   * Find user by agent code
+   * @param {string} agentCode - Agent code, e.g. UB12345
+   * @returns {Promise<Object>} User data
+   */
+  async findByAgentCode(agentCode) {
+    try {
+      const { data, error } = await this.query
+        .select("*")
+        .eq("agent_code", agentCode.trim().toUpperCase())
+        .is("deleted_at", null)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error finding user by agent code: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the user holding any of several addresses
+   * @param {Array<string>} emails - Addresses to try
+   * @returns {Promise<Object>} User data
+   */
+  async findByAnyEmail(emails) {
+    try {
+      const { data, error } = await this.query
+        .select("*")
+        .in("email", emails)
+        .is("deleted_at", null)
+        .limit(1)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error finding user by email: ${error.message}`);
+    }
+  }
+
   /**
    * Find user by reset token
    * @param {string} token - Reset token
@@ -86,6 +161,50 @@ class User extends QueryBuilder {
     }
   }
 
+  /**
+   * Local (0XXXXXXXXX) and international (+233XXXXXXXXX) forms of a Ghana phone number
+   * @param {string} phone - Phone number as entered
+   * @returns {Array<string>} Phone number variants
+   */
+  static phoneVariants(phone) {
+    const digits = phone.replace(/[\s()-]/g, "");
+    const national = digits.replace(/^(\+?233|0)/, "");
+    return [...new Set([digits, `0${national}`, `+233${national}`, `233${national}`])];
+  }
+
+  /**
+   * Find user by agent code, phone number or email
+   * @param {string} identifier - Agent code, phone or email
+   * @returns {Promise<Object>} User data
+   */
+  async findByIdentifier(identifier) {
+    try {
+      const value = identifier.trim();
+      let column = "agent_code";
+      let values = [value.toUpperCase()];
+
+      if (value.includes("@")) {
+        column = "email";
+        values = [value.toLowerCase()];
+      } else if (/^\+?[\d\s()-]{9,20}$/.test(value)) {
+        column = "phone";
+        values = User.phoneVariants(value);
+      }
+
+      const { data, error } = await this.query
+        .select("*")
+        .in(column, values)
+        .is("deleted_at", null)
+        .limit(1)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error finding user by identifier: ${error.message}`);
+    }
+  }
+
   /**
    * Create a new user
    * @param {Object} userData - User data to create
@@ -108,6 +227,7 @@ class User extends QueryBuilder {
           ...userData,
           wallet_balance: 0,
           role: userData.role || "user",
+          status: User.STATUSES.ACTIVE,
           verified: false,
           created_at: new Date().toISOString(),
           updated_at: new Date().toISOString(),
@@ -122,6 +242,26 @@ class User extends QueryBuilder {
     }
   }
 
+  /**
+   * Find user by ID
+   * @param {string} id - User ID
+   * @param {boolean} includeSoftDeleted - Also return deleted users
+   * @returns {Promise<Object>} User data
+   */
+  async findById(id, includeSoftDeleted = false) {
+    try {
+      let query = this.query.select(this.selectableFields.join(",")).eq("id", id);
+      if (!includeSoftDeleted) query = query.is("deleted_at", null);
+
+      const { data, error } = await query.maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error finding user: ${error.message}`);
+    }
+  }
+
   /**
    * Update user data
    * @param {string} id - User ID
@@ -131,7 +271,15 @@ class User extends QueryBuilder {
 
   async update(id, updateData) {
     try {
-      const { password, role, wallet_balance, ...safeData } = updateData;
+      const {
+        password,
+        role,
+        wallet_balance,
+        wallet_pin_hash,
+        wallet_pin_failed_attempts,
+        wallet_pin_locked_until,
+        ...safeData
+      } = updateData;
 
       if (password) {
         safeData.password = await this.hashPassword(password);
@@ -184,45 +332,43 @@ class User extends QueryBuilder {
   }
 
   /**
-   * Update wallet balance
+   * Update wallet balance through the transaction ledger
    * @param {string} id - User ID
-   * @param {number} amount - Amount to add/subtract
+   * @param {number} amount - Amount to add/subtract in cedis
    * @param {string} type - Transaction type ('add' or 'subtract')
+   * @param {Object} options - Ledger options (description, metadata)
    * @returns {Promise<Object>} Updated user
    */
-  async updateWallet(id, amount, type = "add") {
+  async updateWallet(id, amount, type = "add", options = {}) {
     try {
       const { data: user } = await this.query
-        .select("wallet_balance")
+        .select("id")
         .eq("id", id)
         .is("deleted_at", null)
         .single();
 
       if (!user) throw new Error("User not found");
 
-      let newBalance;
+      const transactionModel = new Transaction();
+      const amountMinor = MoneyUtils.toMinorUnits(amount);
+
       if (type === "add") {
-        newBalance = parseFloat(user.wallet_balance) + parseFloat(amount);
+        await transactionModel.credit(id, amountMinor, options);
       } else if (type === "subtract") {
-        newBalance = parseFloat(user.wallet_balance) - parseFloat(amount);
-        if (newBalance < 0 && newBalance == null)
-          throw new Error("Insufficient wallet balance, + ");
+        await transactionModel.debit(id, amountMinor, options);
       } else {
         throw new Error("Invalid transaction type");
       }
 
       const { data, error } = await this.query
-        .update({
-          wallet_balance: newBalance,
-          updated_at: new Date().toISOString(),
-        })
+        .select(this.selectableFields.join(","))
         .eq("id", id)
-        .select()
         .single();
 
       if (error) throw error;
       return data;
     } catch (error) {
+      if (error.isOperational) throw error;
       throw new Error(`Error updating wallet: ${error.message}`);
     }
   }
@@ -288,6 +434,7 @@ class User extends QueryBuilder {
           document_number: documentData.number,
           document_url: publicUrl,
           document_expiry: documentData.expiryDate,
+          wallet_hold_id: documentData.walletHoldId,
           status: "pending",
           created_at: new Date().toISOString(),
           updated_at: new Date().toISOString(),
@@ -327,6 +474,67 @@ class User extends QueryBuilder {
     }
   }
 
+  /**
+   * Review a pending verification request and update the user's
+   * identification status to match
+   * @param {string} id - Verification request ID
+   * @param {Object} review - status, admin_comments, verified_by, verified_at
+   * @returns {Promise<Object>} Updated verification request
+   */
+  async updateDocumentVerification(id, review) {
+    const status = review.status.toLowerCase();
+
+    try {
+      const { data: request, error } = await this.supabase
+        .from("verification_requests")
+        .update({ ...review, status, updated_at: new Date().toISOString() })
+        .eq("id", id)
+        .in("status", ["pending", "pending_review"])
+        .select("*")
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!request) {
+        throw new ErrorHandler.AppError("Verification request not found or already reviewed", 409);
+      }
+
+      const { error: userError } = await this.query
+        .update({ identification_status: status, updated_at: new Date().toISOString() })
+        .eq("id", request.user_id);
+      if (userError) throw userError;
+
+      return request;
+    } catch (error) {
+      if (error.isOperational) throw error;
+      throw new Error(`Error updating verification request: ${error.message}`);
+    }
+  }
+
+  /**
+   * Put a reviewed verification request back to pending
+   * @param {Object} request - Verification request
+   * @returns {Promise<void>}
+   */
+  async reopenDocumentVerification(request) {
+    const [{ error }, { error: userError }] = await Promise.all([
+      this.supabase
+        .from("verification_requests")
+        .update({
+          status: "pending",
+          admin_comments: null,
+          verified_by: null,
+          verified_at: null,
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", request.id),
+      this.query
+        .update({ identification_status: "pending", updated_at: new Date().toISOString() })
+        .eq("id", request.user_id),
+    ]);
+
+    if (error || userError) console.error("Error reopening verification request:", error || userError);
+  }
+
   /**
    * Verify user's email
    * @param {string} id - User ID
@@ -437,6 +645,90 @@ class User extends QueryBuilder {
     return await bcrypt.compare(providedPassword, storedPassword);
   }
 
+  /**
+   * Find user by the phone number a USSD aggregator reports (MSISDN)
+   * @param {string} msisdn - Phone number in any local or international form
+   * @returns {Promise<Object>} User data
+   */
+  async findByPhone(msisdn) {
+    try {
+      const { data, error } = await this.query
+        .select("*")
+        .in("phone", User.phoneVariants(msisdn))
+        .is("deleted_at", null)
+        .limit(1)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error finding user by phone: ${error.message}`);
+    }
+  }
+
+  /**
+   * Set or replace a user's wallet PIN and clear any lock
+   * @param {string} id - User ID
+   * @param {string} pin - 4-digit PIN
+   * @returns {Promise<void>}
+   */
+  async setWalletPin(id, pin) {
+    const { error } = await this.query
+      .update({
+        wallet_pin_hash: await this.hashPassword(pin),
+        wallet_pin_failed_attempts: 0,
+        wallet_pin_locked_until: null,
+        wallet_pin_updated_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", id);
+
+    if (error) throw new Error(`Error setting wallet PIN: ${error.message}`);
+  }
+
+  /**
+   * Check a wallet PIN. Each check first claims one of WALLET_PIN_MAX_ATTEMPTS
+   * attempts in the database, so concurrent guesses cannot share a count; the
+   * attempt that reaches the limit locks the PIN, and a correct PIN resets it.
+   * @param {Object} user - User data including the wallet PIN hash
+   * @param {string} pin - PIN as entered
+   * @returns {Promise<void>} Resolves if the PIN is correct
+   */
+  async verifyWalletPin(user, pin) {
+    if (!user.wallet_pin_hash) {
+      throw new ErrorHandler.AppError("You have not set a wallet PIN", 403);
+    }
+
+    const { data, error } = await this.supabase
+      .rpc("claim_wallet_pin_attempt", {
+        p_user_id: user.id,
+        p_max_attempts: User.WALLET_PIN_MAX_ATTEMPTS,
+        p_lock_minutes: User.WALLET_PIN_LOCK_MINUTES,
+      })
+      .single();
+
+    if (error) throw new Error(`Error checking wallet PIN: ${error.message}`);
+    if (data.attempt === null) {
+      throw new ErrorHandler.AppError("Your wallet PIN is locked. Please try again later", 423);
+    }
+
+    if (await this.comparePassword(String(pin), user.wallet_pin_hash)) {
+      const { error: resetError } = await this.query
+        .update({ wallet_pin_failed_attempts: 0, wallet_pin_locked_until: null })
+        .eq("id", user.id);
+      if (resetError) console.error("Error resetting wallet PIN attempts:", resetError);
+      return;
+    }
+
+    const locked = data.attempt >= User.WALLET_PIN_MAX_ATTEMPTS;
+    throw new ErrorHandler.AppError(
+      locked
+        ? `Wrong PIN. Your wallet PIN is locked for ${User.WALLET_PIN_LOCK_MINUTES} minutes`
+        : `Wrong PIN. ${User.WALLET_PIN_MAX_ATTEMPTS - data.attempt} attempt(s) left`,
+      locked ? 423 : 401
+    );
+  }
+
   /**
    * Generate unique agent code
    * @returns {Promise<string>} Generated agent code
@@ -0,0 +1,121 @@
+const QueryBuilder = require("../utils/QueryBuilder");
+const config = require("../config/env");
+
+class UssdSession extends QueryBuilder {
+  constructor() {
+    super("ussd_sessions");
+  }
+
+  /**
+   * New expiry, counted from now
+   * @returns {string} ISO timestamp
+   */
+  static nextExpiry() {
+    return new Date(Date.now() + config.USSD_SESSION_TTL_SECONDS * 1000).toISOString();
+  }
+
+  /**
+   * Find a live session
+   * @param {string} sessionId - Aggregator session ID
+   * @returns {Promise<Object>} Session, or null if missing or expired
+   */
+  async find(sessionId) {
+    try {
+      const { data, error } = await this.query
+        .select("*")
+        .eq("session_id", sessionId)
+        .gt("expires_at", new Date().toISOString())
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error finding USSD session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Start a session, replacing an expired one with the same ID
+   * @param {Object} sessionData - session_id, msisdn, user_id, state, data
+   * @returns {Promise<Object>} Created session
+   */
+  async start(sessionData) {
+    try {
+      const { data, error } = await this.query
+        .upsert({
+          data: {},
+          ...sessionData,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+          expires_at: UssdSession.nextExpiry(),
+        })
+        .select("*")
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error starting USSD session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move a session to its next state, guarding against a repeated or
+   * concurrent request for the same step
+   * @param {Object} session - Session as read for this request
+   * @param {string} state - Next state
+   * @param {Object} data - Collected inputs
+   * @returns {Promise<boolean>} True if this request made the move
+   */
+  async advance(session, state, data = session.data) {
+    try {
+      const { data: updated, error } = await this.query
+        .update({
+          state,
+          data,
+          updated_at: new Date().toISOString(),
+          expires_at: UssdSession.nextExpiry(),
+        })
+        .eq("session_id", session.session_id)
+        .eq("state", session.state)
+        .eq("updated_at", session.updated_at)
+        .select("session_id")
+        .maybeSingle();
+
+      if (error) throw error;
+      return Boolean(updated);
+    } catch (error) {
+      throw new Error(`Error updating USSD session: ${error.message}`);
+    }
+  }
+
+  /**
+   * End a session
+   * @param {string} sessionId - Aggregator session ID
+   * @returns {Promise<void>}
+   */
+  async end(sessionId) {
+    const { error } = await this.query.delete().eq("session_id", sessionId);
+    if (error) console.error("Error ending USSD session:", error);
+  }
+
+  /**
+   * Remove sessions past their expiry
+   * @returns {Promise<number>} Number of sessions removed
+   */
+  async deleteExpired() {
+    try {
+      const { data, error } = await this.query
+        .delete()
+        .lte("expires_at", new Date().toISOString())
+        .select("session_id");
+
+      if (error) throw error;
+      return data.length;
+    } catch (error) {
+      throw new Error(`Error removing expired USSD sessions: ${error.message}`);
+    }
+  }
+}
+
+module.exports = UssdSession;
@@ -0,0 +1,275 @@
+const QueryBuilder = require("../utils/QueryBuilder");
+const Transaction = require("./Transaction");
+const WalletLimit = require("./WalletLimit");
+const ErrorHandler = require("../middlewares/errorHandler");
+const RequestContext = require("../utils/requestContext");
+const MoneyUtils = require("../utils/moneyUtils");
+const config = require("../config/env");
+
+class WalletHold extends QueryBuilder {
+  static PURPOSES = {
+    WITHDRAWAL: "withdrawal",
+    VERIFICATION_FEE: "verification_fee",
+    ESCROW: "escrow",
+    FRAUD_REVIEW: "fraud_review",
+  };
+
+  static STATUSES = {
+    ACTIVE: "active",
+    CAPTURED: "captured",
+    RELEASED: "released",
+    EXPIRED: "expired",
+  };
+
+  constructor() {
+    super("wallet_holds");
+    this.selectableFields = [
+      "id",
+      "user_id",
+      "amount_minor",
+      "captured_minor",
+      "purpose",
+      "status",
+      "description",
+      "metadata",
+      "expires_at",
+      "capture_transaction_id",
+      "placed_by",
+      "closed_by",
+      "closed_at",
+      "close_reason",
+      "created_at",
+      "updated_at",
+    ];
+  }
+
+  /**
+   * Default expiry for holds that should not outlive their authorization
+   * @returns {string} ISO 8601 timestamp
+   */
+  static defaultExpiry() {
+    return new Date(Date.now() + config.WALLET_HOLD_TTL_HOURS * 60 * 60 * 1000).toISOString();
+  }
+
+  /**
+   * Whether a hold is still reserving funds; holds past their expiry stop
+   * counting before the sweep marks them expired
+   * @param {Object} hold - Hold data
+   * @returns {boolean} True if active and unexpired
+   */
+  static isLive(hold) {
+    return (
+      hold.status === WalletHold.STATUSES.ACTIVE && (!hold.expires_at || new Date(hold.expires_at) > new Date())
+    );
+  }
+
+  /**
+   * Find hold by ID
+   * @param {string} id - Hold ID
+   * @returns {Promise<Object>} Hold data
+   */
+  async findById(id) {
+    try {
+      const { data, error } = await this.query
+        .select(this.selectableFields.join(","))
+        .eq("id", id)
+        .is("deleted_at", null)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error finding wallet hold: ${error.message}`);
+    }
+  }
+
+  /**
+   * Holds currently reserving funds on a user's wallet
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Active, unexpired holds, newest first
+   */
+  async getActive(userId) {
+    try {
+      const { data, error } = await this.query
+        .select(this.selectableFields.join(","))
+        .eq("user_id", userId)
+        .eq("status", WalletHold.STATUSES.ACTIVE)
+        .or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`)
+        .is("deleted_at", null)
+        .order("created_at", { ascending: false });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error fetching wallet holds: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ledger, held and available balance of a user's wallet, plus the total in their savings pots
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} ledger_minor, held_minor, available_minor and savings_minor
+   */
+  async getBalances(userId) {
+    try {
+      const [account, { data: heldMinor, error }, { data: savingsMinor, error: savingsError }] = await Promise.all([
+        new Transaction().getAccount(Transaction.walletAccount(userId)),
+        this.supabase.rpc("wallet_held_minor", { p_user_id: userId }),
+        this.supabase.rpc("user_savings_minor", { p_user_id: userId }),
+      ]);
+
+      if (error || savingsError) throw error || savingsError;
+
+      const ledgerMinor = account ? Number(account.balance_minor) : 0;
+      return {
+        ledger_minor: ledgerMinor,
+        held_minor: Number(heldMinor || 0),
+        available_minor: Math.max(0, ledgerMinor - Number(heldMinor || 0)),
+        savings_minor: Number(savingsMinor || 0),
+      };
+    } catch (error) {
+      throw new Error(`Error fetching wallet balances: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reserve funds on a wallet. Nothing is posted to the ledger; the available
+   * balance drops until the hold is captured, released or expires.
+   * @param {string} userId - User ID
+   * @param {number} amountMinor - Amount to hold in minor units, fee included
+   * @param {Object} options - purpose, description, metadata, expiresAt (null for no expiry), placedBy
+   * @returns {Promise<Object>} Placed hold
+   */
+  async place(userId, amountMinor, { purpose, description, metadata = {}, expiresAt = null, placedBy = null }) {
+    // Limits apply when funds are reserved, so a capture cannot be refused later
+    await new WalletLimit().assertWithin(userId, { debitMinor: amountMinor });
+
+    const { data, error } = await this.supabase
+      .rpc("place_wallet_hold", {
+        p_user_id: userId,
+        p_amount_minor: amountMinor,
+        p_purpose: purpose,
+        p_description: description,
+        p_metadata: RequestContext.get("idempotencyKeyId")
+          ? { ...metadata, idempotency_key_id: RequestContext.get("idempotencyKeyId") }
+          : metadata,
+        p_expires_at: expiresAt,
+        p_placed_by: placedBy,
+      })
+      .single();
+
+    if (error) {
+      if (error.message.includes("INSUFFICIENT_FUNDS")) {
+        throw new ErrorHandler.AppError("Insufficient available balance", 400);
+      }
+      if (error.message.includes("LIMIT_EXCEEDED")) {
+        throw new ErrorHandler.AppError(Transaction.LIMIT_EXCEEDED, 403);
+      }
+      throw new Error(`Error placing wallet hold: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Close an active hold, guarding against a concurrent capture or release
+   * @param {Object} hold - Hold data
+   * @param {Object} updates - Fields to set, including the new status
+   * @returns {Promise<Object>} Updated hold
+   */
+  async close(hold, updates) {
+    if (!WalletHold.isLive(hold)) {
+      const status = hold.status === WalletHold.STATUSES.ACTIVE ? WalletHold.STATUSES.EXPIRED : hold.status;
+      throw new ErrorHandler.AppError(`Hold is ${status} and cannot be ${updates.status}`, 409);
+    }
+
+    try {
+      let query = this.query
+        .update({ ...updates, closed_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+        .eq("id", hold.id)
+        .eq("status", WalletHold.STATUSES.ACTIVE);
+      if (hold.expires_at) query = query.gt("expires_at", new Date().toISOString());
+
+      const { data, error } = await query.select(this.selectableFields.join(",")).maybeSingle();
+
+      if (error) throw error;
+      if (!data) {
+        throw new ErrorHandler.AppError("Hold was updated by someone else", 409);
+      }
+      return data;
+    } catch (error) {
+      if (error.isOperational) throw error;
+      throw new Error(`Error updating wallet hold: ${error.message}`);
+    }
+  }
+
+  /**
+   * Capture all or part of a hold and post the debit. Whatever is not captured
+   * is released with it. The hold is closed in the same database transaction
+   * as the posting, so nothing can spend the funds in between.
+   * @param {Object} hold - Hold data
+   * @param {number} amountMinor - Amount to capture, excluding the fee (defaults to the whole hold)
+   * @param {Object} options - fee, capturedBy, plus the posting options of Transaction.captureHold
+   * @returns {Promise<Object>} Captured hold with its transaction
+   */
+  async capture(hold, amountMinor, { fee, capturedBy = null, ...posting } = {}) {
+    const feeMinor = fee?.amountMinor || 0;
+    const captureMinor = amountMinor || Number(hold.amount_minor) - feeMinor;
+
+    if (captureMinor <= 0 || captureMinor + feeMinor > Number(hold.amount_minor)) {
+      throw new ErrorHandler.AppError(
+        `Capture cannot exceed the ${MoneyUtils.format(hold.amount_minor)} held`,
+        400
+      );
+    }
+
+    if (!WalletHold.isLive(hold)) {
+      const status = hold.status === WalletHold.STATUSES.ACTIVE ? WalletHold.STATUSES.EXPIRED : hold.status;
+      throw new ErrorHandler.AppError(`Hold is ${status} and cannot be ${WalletHold.STATUSES.CAPTURED}`, 409);
+    }
+
+    const transaction = await new Transaction().captureHold(hold, captureMinor, { ...posting, fee, capturedBy });
+    const captured = await this.findById(hold.id);
+
+    return { ...captured, transaction };
+  }
+
+  /**
+   * Release a hold, freeing the funds
+   * @param {Object} hold - Hold data
+   * @param {Object} options - releasedBy (admin ID, empty for the system) and reason
+   * @returns {Promise<Object>} Released hold
+   */
+  async release(hold, { releasedBy = null, reason } = {}) {
+    return this.close(hold, {
+      status: WalletHold.STATUSES.RELEASED,
+      closed_by: releasedBy,
+      close_reason: reason,
+    });
+  }
+
+  /**
+   * Mark every active hold past its expiry as expired
+   * @returns {Promise<number>} Number of holds expired
+   */
+  async expireDue() {
+    try {
+      const { data, error } = await this.query
+        .update({
+          status: WalletHold.STATUSES.EXPIRED,
+          closed_at: new Date().toISOString(),
+          close_reason: "Expired",
+          updated_at: new Date().toISOString(),
+        })
+        .eq("status", WalletHold.STATUSES.ACTIVE)
+        .lte("expires_at", new Date().toISOString())
+        .select("id");
+
+      if (error) throw error;
+      return data.length;
+    } catch (error) {
+      throw new Error(`Error expiring wallet holds: ${error.message}`);
+    }
+  }
+}
+
+module.exports = WalletHold;
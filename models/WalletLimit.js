@@ -0,0 +1,242 @@
+const QueryBuilder = require("../utils/QueryBuilder");
+const FeeSchedule = require("./FeeSchedule");
+const ErrorHandler = require("../middlewares/errorHandler");
+const MoneyUtils = require("../utils/moneyUtils");
+
+class WalletLimit extends QueryBuilder {
+  // Caps checked for a movement, in the order they are reported
+  static CAPS = [
+    { field: "daily_debit_minor", direction: "debit", period: "daily" },
+    { field: "monthly_debit_minor", direction: "debit", period: "monthly" },
+    { field: "daily_credit_minor", direction: "credit", period: "daily" },
+    { field: "monthly_credit_minor", direction: "credit", period: "monthly" },
+  ];
+
+  // What a user at each level must do to move to the next one
+  static UPGRADE_HINTS = {
+    unverified: "Verify your email address to raise your limits.",
+    email_verified: "Get your Ghana Card or Voter ID verified to raise your limits.",
+    id_verified: "Contact support if you need a higher limit.",
+  };
+
+  constructor() {
+    super("wallet_limits");
+    this.selectableFields = [
+      "kyc_level",
+      "max_balance_minor",
+      "per_transaction_minor",
+      "daily_debit_minor",
+      "daily_credit_minor",
+      "monthly_debit_minor",
+      "monthly_credit_minor",
+      "updated_by",
+      "updated_at",
+    ];
+  }
+
+  /**
+   * Remaining allowance under a cap, or null when the cap is not set
+   * @param {number|null} capMinor - Cap in minor units
+   * @param {number} usedMinor - Amount already used
+   * @returns {number|null} Remaining minor units
+   */
+  static remaining(capMinor, usedMinor) {
+    if (capMinor === null || capMinor === undefined) return null;
+    return Math.max(0, Number(capMinor) - Number(usedMinor));
+  }
+
+  /**
+   * Get the limits of every KYC level
+   * @returns {Promise<Array>} Limits, lowest tier first
+   */
+  async getAll() {
+    try {
+      const { data, error } = await this.query.select(this.selectableFields.join(","));
+
+      if (error) throw error;
+      return FeeSchedule.KYC_LEVELS.map((level) => data.find((limit) => limit.kyc_level === level)).filter(
+        Boolean
+      );
+    } catch (error) {
+      throw new Error(`Error fetching wallet limits: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the limits of a KYC level
+   * @param {string} kycLevel - KYC level
+   * @returns {Promise<Object|null>} Limits
+   */
+  async findByLevel(kycLevel) {
+    try {
+      const { data, error } = await this.query
+        .select(this.selectableFields.join(","))
+        .eq("kyc_level", kycLevel)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error finding wallet limits: ${error.message}`);
+    }
+  }
+
+  /**
+   * Change the limits of a KYC level
+   * @param {string} kycLevel - KYC level
+   * @param {Object} limits - Caps to change, in minor units (null removes a cap)
+   * @param {string} adminId - Admin making the change
+   * @returns {Promise<Object>} Updated limits
+   */
+  async update(kycLevel, limits, adminId) {
+    try {
+      // A daily cap above its monthly cap, or a single payment above the daily cap, could never be used
+      const merged = { ...(await this.findByLevel(kycLevel)), ...limits };
+      const exceeds = (smaller, larger) =>
+        merged[smaller] !== null && merged[smaller] !== undefined &&
+        merged[larger] !== null && merged[larger] !== undefined &&
+        Number(merged[smaller]) > Number(merged[larger]);
+
+      if (exceeds("daily_debit_minor", "monthly_debit_minor") || exceeds("daily_credit_minor", "monthly_credit_minor")) {
+        throw new ErrorHandler.AppError("Daily limits cannot be higher than monthly limits", 400);
+      }
+      if (exceeds("per_transaction_minor", "daily_debit_minor")) {
+        throw new ErrorHandler.AppError("The per-transaction limit cannot be higher than the daily debit limit", 400);
+      }
+
+      const { data, error } = await this.query
+        .upsert({
+          ...limits,
+          kyc_level: kycLevel,
+          updated_by: adminId,
+          updated_at: new Date().toISOString(),
+        })
+        .select(this.selectableFields.join(","))
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      if (error.isOperational) throw error;
+      throw new Error(`Error updating wallet limits: ${error.message}`);
+    }
+  }
+
+  /**
+   * Current wallet balance and this day's and month's usage
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} balance_minor and daily/monthly debit/credit usage
+   */
+  async getUsage(userId) {
+    try {
+      const { data, error } = await this.supabase.rpc("wallet_limit_usage", { p_user_id: userId });
+
+      if (error) throw error;
+      const usage = (Array.isArray(data) ? data[0] : data) || {};
+      return Object.fromEntries(
+        ["balance_minor", ...WalletLimit.CAPS.map((cap) => cap.field)].map((field) => [
+          field,
+          Number(usage[field] || 0),
+        ])
+      );
+    } catch (error) {
+      throw new Error(`Error fetching wallet usage: ${error.message}`);
+    }
+  }
+
+  /**
+   * Look up the user fields that decide their KYC level
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} User data
+   */
+  async findHolder(userId) {
+    const { data, error } = await this.supabase
+      .from("users")
+      .select("id, role, verified, identification_status")
+      .eq("id", userId)
+      .maybeSingle();
+
+    if (error) throw new Error(`Error finding wallet holder: ${error.message}`);
+    if (!data) throw new ErrorHandler.AppError("User not found", 404);
+    return data;
+  }
+
+  /**
+   * A user's limits, what they have used and what remains
+   * @param {Object} user - User data (verified, identification_status)
+   * @returns {Promise<Object>} Allowances
+   */
+  async getAllowances(user) {
+    const kycLevel = FeeSchedule.kycLevel(user);
+    const [limits, usage] = await Promise.all([this.findByLevel(kycLevel), this.getUsage(user.id)]);
+    const caps = limits || {};
+
+    return {
+      kycLevel,
+      limits: caps,
+      usage,
+      remaining: {
+        balance_minor: WalletLimit.remaining(caps.max_balance_minor, usage.balance_minor),
+        per_transaction_minor: caps.per_transaction_minor ?? null,
+        ...Object.fromEntries(
+          WalletLimit.CAPS.map((cap) => [cap.field, WalletLimit.remaining(caps[cap.field], usage[cap.field])])
+        ),
+      },
+      upgradeHint: WalletLimit.UPGRADE_HINTS[kycLevel],
+    };
+  }
+
+  /**
+   * Throw unless a wallet movement fits within the holder's limits
+   * @param {string} userId - Wallet holder ID
+   * @param {Object} movement - debitMinor and creditMinor the posting applies to the wallet
+   * @param {Object} options - counterparty: true when the holder is not the one initiating
+   * @returns {Promise<void>}
+   */
+  async assertWithin(userId, { debitMinor = 0, creditMinor = 0 }, { counterparty = false } = {}) {
+    if (!debitMinor && !creditMinor) return;
+
+    const holder = await this.findHolder(userId);
+    const { kycLevel, limits, usage, remaining, upgradeHint } = await this.getAllowances(holder);
+
+    const reject = (reason) => {
+      // Don't disclose another user's tier or usage
+      if (counterparty) {
+        throw new ErrorHandler.AppError("The recipient's wallet cannot accept this amount right now", 403);
+      }
+      throw new ErrorHandler.AppError(`${reason} ${upgradeHint}`, 403);
+    };
+
+    const largest = Math.max(debitMinor, creditMinor);
+    if (limits.per_transaction_minor != null && largest > limits.per_transaction_minor) {
+      reject(
+        `This amount exceeds your per-transaction limit of ${MoneyUtils.format(limits.per_transaction_minor)}.`
+      );
+    }
+
+    WalletLimit.CAPS.forEach((cap) => {
+      const amountMinor = cap.direction === "debit" ? debitMinor : creditMinor;
+      if (!amountMinor || remaining[cap.field] === null || amountMinor <= remaining[cap.field]) return;
+
+      const verb = cap.direction === "debit" ? "sending" : "receiving";
+      const window = cap.period === "daily" ? "today" : "this month";
+      reject(
+        `This would exceed your ${cap.period} ${verb} limit of ${MoneyUtils.format(limits[cap.field])} ` +
+          `(${MoneyUtils.format(remaining[cap.field])} left ${window}).`
+      );
+    });
+
+    if (
+      creditMinor > debitMinor &&
+      limits.max_balance_minor != null &&
+      usage.balance_minor + creditMinor - debitMinor > limits.max_balance_minor
+    ) {
+      reject(
+        `This would take your wallet above the ${MoneyUtils.format(limits.max_balance_minor)} maximum balance ` +
+          `for ${kycLevel.replace("_", " ")} accounts.`
+      );
+    }
+  }
+}
+
+module.exports = WalletLimit;
@@ -0,0 +1,299 @@
+const QueryBuilder = require("../utils/QueryBuilder");
+const Transaction = require("./Transaction");
+const WalletHold = require("./WalletHold");
+const ErrorHandler = require("../middlewares/errorHandler");
+const { v4: uuidv4 } = require("uuid");
+
+class Withdrawal extends QueryBuilder {
+  static METHODS = ["mobile_money", "bank"];
+
+  static STATUSES = {
+    PENDING: "pending",
+    APPROVED: "approved",
+    REJECTED: "rejected",
+    PAID: "paid",
+    FAILED: "failed",
+  };
+
+  constructor() {
+    super("withdrawals");
+    this.selectableFields = [
+      "id",
+      "user_id",
+      "amount_minor",
+      "fee_minor",
+      "fee_schedule_id",
+      "fee_schedule_version",
+      "currency",
+      "method",
+      "destination",
+      "status",
+      "hold_transaction_id",
+      "wallet_hold_id",
+      "settlement_transaction_id",
+      "reviewed_by",
+      "reviewed_at",
+      "review_note",
+      "payout_reference",
+      "paid_at",
+      "created_at",
+      "updated_at",
+    ];
+  }
+
+  /**
+   * The fee charged on a withdrawal, in the shape the ledger expects
+   * @param {Object} withdrawal - Withdrawal data
+   * @returns {Object} Fee (amountMinor, scheduleId, version)
+   */
+  static feeOf(withdrawal) {
+    return {
+      amountMinor: Number(withdrawal.fee_minor || 0),
+      scheduleId: withdrawal.fee_schedule_id,
+      version: withdrawal.fee_schedule_version,
+    };
+  }
+
+  /**
+   * Find withdrawal by ID
+   * @param {string} id - Withdrawal ID
+   * @returns {Promise<Object>} Withdrawal data
+   */
+  async findById(id) {
+    try {
+      const { data, error } = await this.query
+        .select(this.selectableFields.join(","))
+        .eq("id", id)
+        .is("deleted_at", null)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw new Error(`Error finding withdrawal: ${error.message}`);
+    }
+  }
+
+  /**
+   * Request a withdrawal: the amount and fee are held on the wallet until the
+   * withdrawal is reviewed
+   * @param {string} userId - User ID
+   * @param {number} amountMinor - Amount in minor units
+   * @param {Object} payout - method, destination and quoted fee
+   * @returns {Promise<Object>} Created withdrawal
+   */
+  async request(userId, amountMinor, { method, destination, fee }) {
+    const id = uuidv4();
+    const holdModel = new WalletHold();
+
+    const hold = await holdModel.place(userId, amountMinor + (fee?.amountMinor || 0), {
+      purpose: WalletHold.PURPOSES.WITHDRAWAL,
+      description: "Withdrawal request",
+      metadata: { withdrawal_id: id, method },
+    });
+
+    try {
+      const { data, error } = await this.query
+        .insert({
+          id,
+          user_id: userId,
+          amount_minor: amountMinor,
+          fee_minor: fee?.amountMinor || 0,
+          fee_schedule_id: fee?.scheduleId,
+          fee_schedule_version: fee?.version,
+          method,
+          destination,
+          status: Withdrawal.STATUSES.PENDING,
+          wallet_hold_id: hold.id,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        })
+        .select(this.selectableFields.join(","))
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      // Free the funds if the request itself could not be stored
+      await holdModel.release(hold, { reason: "Withdrawal request could not be created" });
+      throw new Error(`Error creating withdrawal: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move a withdrawal between statuses, guarding against concurrent reviews
+   * @param {Object} withdrawal - Withdrawal data
+   * @param {Array<string>} fromStatuses - Statuses the withdrawal must be in
+   * @param {Object} updates - Fields to set, including the new status
+   * @returns {Promise<Object>} Updated withdrawal
+   */
+  async transition(withdrawal, fromStatuses, updates) {
+    if (!fromStatuses.includes(withdrawal.status)) {
+      throw new ErrorHandler.AppError(
+        `Withdrawal is ${withdrawal.status} and cannot be ${updates.status}`,
+        409
+      );
+    }
+
+    try {
+      const { data, error } = await this.query
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq("id", withdrawal.id)
+        .eq("status", withdrawal.status)
+        .select(this.selectableFields.join(","))
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!data) {
+        throw new ErrorHandler.AppError("Withdrawal was updated by someone else", 409);
+      }
+      return data;
+    } catch (error) {
+      if (error.isOperational) throw error;
+      throw new Error(`Error updating withdrawal: ${error.message}`);
+    }
+  }
+
+  /**
+   * Put a withdrawal back the way it was when its ledger posting fails
+   * @param {Object} withdrawal - Withdrawal data as read before the transition
+   * @returns {Promise<void>}
+   */
+  async restore(withdrawal) {
+    const { error } = await this.query
+      .update({
+        status: withdrawal.status,
+        reviewed_by: withdrawal.reviewed_by,
+        reviewed_at: withdrawal.reviewed_at,
+        review_note: withdrawal.review_note,
+        payout_reference: withdrawal.payout_reference,
+        paid_at: withdrawal.paid_at,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", withdrawal.id);
+
+    if (error) console.error("Error restoring withdrawal:", error);
+  }
+
+  /**
+   * Approve a pending withdrawal and capture its hold to the payout account
+   * @param {Object} withdrawal - Withdrawal data
+   * @param {string} adminId - Reviewing admin ID
+   * @param {string} note - Review note
+   * @returns {Promise<Object>} Updated withdrawal
+   */
+  async approve(withdrawal, adminId, note) {
+    const approved = await this.transition(withdrawal, [Withdrawal.STATUSES.PENDING], {
+      status: Withdrawal.STATUSES.APPROVED,
+      reviewed_by: adminId,
+      reviewed_at: new Date().toISOString(),
+      review_note: note,
+    });
+
+    const posting = {
+      fee: Withdrawal.feeOf(withdrawal),
+      description: "Withdrawal approved for payout",
+      metadata: { withdrawal_id: withdrawal.id, approved_by: adminId },
+    };
+
+    let settlement;
+    try {
+      if (withdrawal.wallet_hold_id) {
+        const holdModel = new WalletHold();
+        const hold = await holdModel.findById(withdrawal.wallet_hold_id);
+        ({ transaction: settlement } = await holdModel.capture(hold, Number(withdrawal.amount_minor), {
+          ...posting,
+          type: Transaction.TYPES.WITHDRAWAL,
+          counterAccount: Transaction.ACCOUNTS.PAYOUTS,
+          capturedBy: adminId,
+        }));
+      } else {
+        // Requested before wallet holds, with the funds moved to the hold account
+        settlement = await new Transaction().settleWithdrawal(
+          withdrawal.user_id,
+          Number(withdrawal.amount_minor),
+          posting
+        );
+      }
+    } catch (error) {
+      await this.restore(withdrawal);
+      throw error;
+    }
+
+    const { error } = await this.query
+      .update({ settlement_transaction_id: settlement.id })
+      .eq("id", withdrawal.id);
+    if (error) throw new Error(`Error updating withdrawal: ${error.message}`);
+
+    return { ...approved, settlement_transaction_id: settlement.id };
+  }
+
+  /**
+   * Reject a pending withdrawal and release its hold
+   * @param {Object} withdrawal - Withdrawal data
+   * @param {string} adminId - Reviewing admin ID
+   * @param {string} note - Rejection reason
+   * @returns {Promise<Object>} Updated withdrawal
+   */
+  async reject(withdrawal, adminId, note) {
+    const rejected = await this.transition(withdrawal, [Withdrawal.STATUSES.PENDING], {
+      status: Withdrawal.STATUSES.REJECTED,
+      reviewed_by: adminId,
+      reviewed_at: new Date().toISOString(),
+      review_note: note,
+    });
+
+    try {
+      if (withdrawal.wallet_hold_id) {
+        const holdModel = new WalletHold();
+        const hold = await holdModel.findById(withdrawal.wallet_hold_id);
+        await holdModel.release(hold, { releasedBy: adminId, reason: note || "Withdrawal rejected" });
+      } else {
+        await new Transaction().releaseWithdrawal(withdrawal.user_id, Number(withdrawal.amount_minor), {
+          fee: Withdrawal.feeOf(withdrawal),
+          description: "Withdrawal rejected",
+          metadata: { withdrawal_id: withdrawal.id, rejected_by: adminId },
+        });
+      }
+    } catch (error) {
+      await this.restore(withdrawal);
+      throw error;
+    }
+
+    return rejected;
+  }
+
+  /**
+   * Record the payout outcome of an approved withdrawal.
+   * A failed payout returns the funds to the wallet.
+   * @param {Object} withdrawal - Withdrawal data
+   * @param {Object} outcome - status ('paid' or 'failed'), payoutReference, note
+   * @returns {Promise<Object>} Updated withdrawal
+   */
+  async recordPayout(withdrawal, { status, payoutReference, note }) {
+    const updated = await this.transition(withdrawal, [Withdrawal.STATUSES.APPROVED], {
+      status,
+      payout_reference: payoutReference,
+      review_note: note || withdrawal.review_note,
+      ...(status === Withdrawal.STATUSES.PAID && { paid_at: new Date().toISOString() }),
+    });
+
+    if (status === Withdrawal.STATUSES.FAILED) {
+      try {
+        await new Transaction().releaseWithdrawal(withdrawal.user_id, Number(withdrawal.amount_minor), {
+          fee: Withdrawal.feeOf(withdrawal),
+          fromPayouts: true,
+          description: "Withdrawal payout failed",
+          metadata: { withdrawal_id: withdrawal.id, payout_reference: payoutReference },
+        });
+      } catch (error) {
+        await this.restore(withdrawal);
+        throw error;
+      }
+    }
+
+    return updated;
+  }
+}
+
+module.exports = Withdrawal;
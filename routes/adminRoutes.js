@@ -1,10 +1,20 @@
 // routes/adminRoutes.js
 const express = require('express');
 const router = express.Router();
-const { query } = require('express-validator');
+const { body, query, param } = require('express-validator');
 const AdminController = require('../controllers/adminController');
 const AuthMiddleware = require('../middlewares/authMiddleware');
+const FileValidationMiddleware = require('../middlewares/fileValidationMiddleware');
 const ValidationMiddleware = require('../middlewares/validationMiddleware');
+const IdempotencyMiddleware = require('../middlewares/idempotencyMiddleware');
+const FeeSchedule = require('../models/FeeSchedule');
+const Transaction = require('../models/Transaction');
+const CommissionRule = require('../models/CommissionRule');
+const WalletHold = require('../models/WalletHold');
+const DisbursementBatch = require('../models/DisbursementBatch');
+const FraudScreening = require('../models/FraudScreening');
+const SupportTicket = require('../models/SupportTicket');
+const TransactionDispute = require('../models/TransactionDispute');
 
 // Admin login (public route)
 router.post(
@@ -77,6 +87,381 @@ router.put(
   AdminController.verifyDocument
 );
 
+// Withdrawals
+router.get(
+  '/withdrawals',
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.paginationRules(),
+    query('status').optional().isIn(['pending', 'approved', 'rejected', 'paid', 'failed']),
+    query('userId').optional().isUUID(),
+    query('sortOrder').optional().isIn(['asc', 'desc'])
+  ]),
+  AdminController.getWithdrawals
+);
+
+router.put(
+  '/withdrawals/:id/review',
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.validateId(),
+    ...ValidationMiddleware.withdrawalReviewRules()
+  ]),
+  AdminController.reviewWithdrawal
+);
+
+router.put(
+  '/withdrawals/:id/payout',
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.validateId(),
+    ...ValidationMiddleware.withdrawalPayoutRules()
+  ]),
+  AdminController.recordWithdrawalPayout
+);
+
+// Refunds
+router.post(
+  '/transactions/:id/refunds',
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.validateId(),
+    ...ValidationMiddleware.refundRules(Object.values(Transaction.REFUND_REASONS))
+  ]),
+  IdempotencyMiddleware.handle('refund'),
+  AdminController.refundTransaction
+);
+
+// Wallet holds
+router.get(
+  '/holds',
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.paginationRules(),
+    query('status').optional().isIn(Object.values(WalletHold.STATUSES)),
+    query('purpose').optional().isIn(Object.values(WalletHold.PURPOSES)),
+    query('userId').optional().isUUID()
+  ]),
+  AdminController.getHolds
+);
+
+router.post(
+  '/holds',
+  ValidationMiddleware.validate(ValidationMiddleware.holdRules()),
+  IdempotencyMiddleware.handle('hold'),
+  AdminController.placeHold
+);
+
+router.post(
+  '/holds/:id/capture',
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.validateId(),
+    ...ValidationMiddleware.holdCaptureRules()
+  ]),
+  IdempotencyMiddleware.handle('hold-capture'),
+  AdminController.captureHold
+);
+
+router.post(
+  '/holds/:id/release',
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.validateId(),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+  ]),
+  AdminController.releaseHold
+);
+
+// Bulk disbursements
+router.get(
+  '/disbursements',
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.paginationRules(),
+    query('status').optional().isIn(Object.values(DisbursementBatch.STATUSES))
+  ]),
+  AdminController.getDisbursements
+);
+
+// Upload a CSV (recipient, amount, reference) as a multipart "file" or a text/csv body
+router.post(
+  '/disbursements',
+  express.text({ type: 'text/csv', limit: '2mb' }),
+  FileValidationMiddleware.uploads('file'),
+  FileValidationMiddleware.validateCsvFile,
+  AdminController.createDisbursement
+);
+
+router.get(
+  '/disbursements/:id',
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.validateId(),
+    query('status').optional().isIn(Object.values(DisbursementBatch.ITEM_STATUSES))
+  ]),
+  AdminController.getDisbursement
+);
+
+router.post(
+  '/disbursements/:id/approve',
+  ValidationMiddleware.validate(ValidationMiddleware.validateId()),
+  AdminController.approveDisbursement
+);
+
+router.post(
+  '/disbursements/:id/resume',
+  ValidationMiddleware.validate(ValidationMiddleware.validateId()),
+  AdminController.resumeDisbursement
+);
+
+router.post(
+  '/disbursements/:id/cancel',
+  ValidationMiddleware.validate(ValidationMiddleware.validateId()),
+  AdminController.cancelDisbursement
+);
+
+router.get(
+  '/disbursements/:id/results',
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.validateId(),
+    query('format').optional().isIn(['csv', 'json']).withMessage('Invalid results format')
+  ]),
+  AdminController.downloadDisbursementResults
+);
+
+// Fee schedules
+router.get(
+  '/fee-schedules',
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.paginationRules(),
+    query('operation').optional().isIn(Object.values(FeeSchedule.OPERATIONS)),
+    query('active').optional().isBoolean()
+  ]),
+  AdminController.getFeeSchedules
+);
+
+router.post(
+  '/fee-schedules',
+  ValidationMiddleware.validate(
+    ValidationMiddleware.feeScheduleRules(Object.values(FeeSchedule.OPERATIONS), FeeSchedule.KYC_LEVELS)
+  ),
+  AdminController.createFeeSchedule
+);
+
+router.put(
+  '/fee-schedules/:id/deactivate',
+  ValidationMiddleware.validate(ValidationMiddleware.validateId()),
+  AdminController.deactivateFeeSchedule
+);
+
+// Wallet limits
+router.get('/wallet-limits', AdminController.getWalletLimits);
+
+router.put(
+  '/wallet-limits/:level',
+  ValidationMiddleware.validate([
+    param('level').isIn(FeeSchedule.KYC_LEVELS).withMessage('Invalid KYC level'),
+    ...ValidationMiddleware.walletLimitRules()
+  ]),
+  AdminController.updateWalletLimits
+);
+
+// Agent commissions
+router.get('/commission-rules', AdminController.getCommissionRules);
+
+router.put(
+  '/commission-rules/:operation',
+  ValidationMiddleware.validate([
+    param('operation').isIn(Object.values(CommissionRule.OPERATIONS)).withMessage('Invalid operation'),
+    ...ValidationMiddleware.commissionRuleRules()
+  ]),
+  AdminController.updateCommissionRule
+);
+
+router.get(
+  '/commission-settlements',
+  ValidationMiddleware.validate(ValidationMiddleware.paginationRules()),
+  AdminController.getCommissionSettlements
+);
+
+router.post('/commission-settlements', AdminController.runCommissionSettlement);
+
+// Fraud screening
+router.get(
+  '/fraud-reviews',
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.paginationRules(),
+    query('status').optional().isIn(Object.values(FraudScreening.REVIEW_STATUSES)).withMessage('Invalid status'),
+    query('userId').optional().isUUID()
+  ]),
+  AdminController.getFraudReviews
+);
+
+router.get(
+  '/fraud-reviews/:id',
+  ValidationMiddleware.validate(ValidationMiddleware.validateId()),
+  AdminController.getFraudReview
+);
+
+router.put(
+  '/fraud-reviews/:id/review',
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.validateId(),
+    ...ValidationMiddleware.fraudReviewRules()
+  ]),
+  AdminController.reviewFraudScreening
+);
+
+router.get('/fraud-rules', AdminController.getFraudRules);
+
+router.put(
+  '/fraud-rules/:code',
+  ValidationMiddleware.validate([
+    param('code').matches(/^[a-z_]+$/).withMessage('Invalid rule code'),
+    ...ValidationMiddleware.fraudRuleRules()
+  ]),
+  AdminController.updateFraudRule
+);
+
+// Support tickets
+router.get(
+  '/support/tickets',
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.paginationRules(),
+    query('status').optional().isIn(Object.values(SupportTicket.STATUSES)).withMessage('Invalid status'),
+    query('type').optional().isIn(Object.values(SupportTicket.TYPES)).withMessage('Invalid type'),
+    query('category').optional().isIn(SupportTicket.CATEGORIES).withMessage('Invalid category'),
+    query('priority').optional().isIn(SupportTicket.PRIORITIES).withMessage('Invalid priority'),
+    query('userId').optional().isUUID(),
+    query('assigneeId').optional().isUUID(),
+    query('teamId').optional().isUUID(),
+    query('needsTriage').optional().isBoolean().withMessage('needsTriage must be true or false').toBoolean(),
+    query('startDate').optional().isISO8601().withMessage('Invalid start date format'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date format'),
+    query('sortBy')
+      .optional()
+      .isIn(['created_at', 'updated_at', 'status_changed_at', 'first_response_due_at', 'resolution_due_at'])
+      .withMessage('Invalid sort field'),
+    query('sortOrder').optional().isIn(['asc', 'desc']).withMessage('Sort order must be asc or desc')
+  ]),
+  AdminController.getSupportTickets
+);
+
+router.get(
+  '/support/tickets/:id',
+  ValidationMiddleware.validate(ValidationMiddleware.validateId()),
+  AdminController.getSupportTicket
+);
+
+// Reply or internal note, with optional "attachments" uploads
+router.post(
+  '/support/tickets/:id/messages',
+  FileValidationMiddleware.uploads('attachments', FileValidationMiddleware.MAX_ATTACHMENTS),
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.validateId(),
+    ...ValidationMiddleware.ticketMessageRules({ allowInternal: true })
+  ]),
+  FileValidationMiddleware.validateAttachments,
+  AdminController.addSupportTicketMessage
+);
+
+router.put(
+  '/support/tickets/:id/status',
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.validateId(),
+    ...ValidationMiddleware.ticketStatusRules(Object.values(SupportTicket.STATUSES))
+  ]),
+  AdminController.updateSupportTicketStatus
+);
+
+router.put(
+  '/support/tickets/:id/assignment',
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.validateId(),
+    ...ValidationMiddleware.ticketAssignmentRules()
+  ]),
+  AdminController.assignSupportTicket
+);
+
+// Emailed tickets from unknown senders; optionally link the sender's account
+router.put(
+  '/support/tickets/:id/triage',
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.validateId(),
+    body('user_id').optional({ nullable: true }).isUUID().withMessage('Invalid user ID')
+  ]),
+  AdminController.triageSupportTicket
+);
+
+// Transaction disputes
+router.get(
+  '/disputes',
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.paginationRules(),
+    query('status').optional().isIn(Object.values(TransactionDispute.STATUSES)).withMessage('Invalid status'),
+    query('reason').optional().isIn(TransactionDispute.REASONS).withMessage('Invalid reason'),
+    query('userId').optional().isUUID()
+  ]),
+  AdminController.getDisputes
+);
+
+router.put(
+  '/disputes/:id/resolve',
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.validateId(),
+    ...ValidationMiddleware.disputeResolutionRules(Object.values(TransactionDispute.OUTCOMES))
+  ]),
+  IdempotencyMiddleware.handle('dispute_resolution'),
+  AdminController.resolveDispute
+);
+
+router.get('/support/teams', AdminController.getSupportTeams);
+
+router.post(
+  '/support/teams',
+  ValidationMiddleware.validate(ValidationMiddleware.supportTeamRules(SupportTicket.CATEGORIES)),
+  AdminController.createSupportTeam
+);
+
+router.put(
+  '/support/teams/:id',
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.validateId(),
+    ...ValidationMiddleware.supportTeamRules(SupportTicket.CATEGORIES, true)
+  ]),
+  AdminController.updateSupportTeam
+);
+
+router.get('/support/sla-policies', AdminController.getSlaPolicies);
+
+router.put(
+  '/support/sla-policies/:priority',
+  ValidationMiddleware.validate([
+    param('priority').isIn(SupportTicket.PRIORITIES).withMessage('Invalid priority'),
+    ...ValidationMiddleware.slaPolicyRules()
+  ]),
+  AdminController.updateSlaPolicy
+);
+
+// Ledger reconciliation
+router.get(
+  '/reconciliation-reports',
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.paginationRules(),
+    query('status').optional().isIn(['running', 'completed', 'failed'])
+  ]),
+  AdminController.getReconciliationReports
+);
+
+router.post('/reconciliation-reports', AdminController.runReconciliation);
+
+router.get(
+  '/reconciliation-reports/:id',
+  ValidationMiddleware.validate(ValidationMiddleware.validateId()),
+  AdminController.getReconciliationReport
+);
+
+router.get(
+  '/reconciliation-reports/:id/download',
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.validateId(),
+    query('format').optional().isIn(['csv', 'json']).withMessage('Invalid report format')
+  ]),
+  AdminController.downloadReconciliationReport
+);
+
 // Data export
 router.get(
   '/export/users',
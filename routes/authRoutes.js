@@ -36,7 +36,12 @@ const registerRules = [
         throw new Error('Passwords do not match');
       }
       return true;
-    })
+    }),
+
+  body('referral_code')
+    .optional()
+    .trim()
+    .matches(/^UB-?\d{4,5}$/i).withMessage('Invalid referral code')
 ];
 
 // Registration
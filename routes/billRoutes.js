@@ -0,0 +1,69 @@
+// routes/billRoutes.js
+const express = require('express');
+const router = express.Router();
+const { param, query } = require('express-validator');
+const AuthMiddleware = require('../middlewares/authMiddleware');
+const ValidationMiddleware = require('../middlewares/validationMiddleware');
+const IdempotencyMiddleware = require('../middlewares/idempotencyMiddleware');
+const Biller = require('../models/Biller');
+const BillPayment = require('../models/BillPayment');
+
+const {
+  getBillers,
+  lookupCustomer,
+  payBill,
+  getPayments,
+  getPayment
+} = require('../controllers/billController');
+
+/**
+ * Protected Routes - Require Authentication
+ */
+router.use(AuthMiddleware.protect);
+
+// Biller catalog
+router.get(
+  '/billers',
+  ValidationMiddleware.validate([
+    query('category').optional().isIn(Biller.CATEGORIES).withMessage('Invalid category')
+  ]),
+  getBillers
+);
+
+// Validate a customer reference and look up the customer
+router.get(
+  '/billers/:slug/lookup',
+  ValidationMiddleware.validate([
+    param('slug').trim().matches(/^[a-z0-9-]+$/).withMessage('Invalid biller'),
+    query('reference').trim().notEmpty().withMessage('Customer reference is required'),
+    query('amount').optional().isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0')
+  ]),
+  lookupCustomer
+);
+
+// The caller's bill payments
+router.get(
+  '/payments',
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.paginationRules(),
+    query('status').optional().isIn(Object.values(BillPayment.STATUSES)).withMessage('Invalid status')
+  ]),
+  getPayments
+);
+
+router.get(
+  '/payments/:id',
+  ValidationMiddleware.validate(ValidationMiddleware.validateId()),
+  getPayment
+);
+
+// Pay airtime or a bill
+router.post(
+  '/payments',
+  AuthMiddleware.verifiedOnly,
+  ValidationMiddleware.validate(ValidationMiddleware.billPaymentRules()),
+  IdempotencyMiddleware.handle('bill_payment'),
+  payBill
+);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+// routes/commissionRoutes.js
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const AuthMiddleware = require('../middlewares/authMiddleware');
+const ValidationMiddleware = require('../middlewares/validationMiddleware');
+const CommissionRule = require('../models/CommissionRule');
+
+const { getCommissionReport } = require('../controllers/commissionController');
+
+/**
+ * Protected Routes - Require Authentication
+ */
+router.use(AuthMiddleware.protect);
+
+// Commission report for the calling agent
+router.get(
+  '/report',
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.paginationRules(),
+    query('operation').optional().isIn(Object.values(CommissionRule.OPERATIONS)).withMessage('Invalid operation'),
+    query('startDate').optional().isISO8601().withMessage('Invalid start date format'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date format')
+  ]),
+  getCommissionReport
+);
+
+module.exports = router;
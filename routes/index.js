@@ -4,11 +4,31 @@ const router = express.Router();
 const authRoutes = require('./authRoutes');
 const userRoutes = require('./userRoutes');
 const adminRoutes = require('./adminRoutes');
+const transactionRoutes = require('./transactionRoutes');
+const webhookRoutes = require('./webhookRoutes');
+const commissionRoutes = require('./commissionRoutes');
+const paymentRequestRoutes = require('./paymentRequestRoutes');
+const merchantRoutes = require('./merchantRoutes');
+const ussdRoutes = require('./ussdRoutes');
+const billRoutes = require('./billRoutes');
+const savingsRoutes = require('./savingsRoutes');
+const scheduledTransferRoutes = require('./scheduledTransferRoutes');
+const supportRoutes = require('./supportRoutes');
 
 // Mount routes
 router.use('/auth', authRoutes);
 router.use('/users', userRoutes);
 router.use('/admin', adminRoutes);
+router.use('/transactions', transactionRoutes);
+router.use('/webhooks', webhookRoutes);
+router.use('/commissions', commissionRoutes);
+router.use('/payment-requests', paymentRequestRoutes);
+router.use('/merchants', merchantRoutes);
+router.use('/ussd', ussdRoutes);
+router.use('/bills', billRoutes);
+router.use('/savings', savingsRoutes);
+router.use('/scheduled-transfers', scheduledTransferRoutes);
+router.use('/support', supportRoutes);
 
 // Health check route
 router.get('/health', (req, res) => {
@@ -0,0 +1,83 @@
+// routes/merchantRoutes.js
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const AuthMiddleware = require('../middlewares/authMiddleware');
+const ValidationMiddleware = require('../middlewares/validationMiddleware');
+const IdempotencyMiddleware = require('../middlewares/idempotencyMiddleware');
+const Merchant = require('../models/Merchant');
+const MobileMoney = require('../utils/mobileMoney');
+
+const {
+  createMerchant,
+  getMerchant,
+  updateMerchant,
+  generateQr,
+  getSalesSummary,
+  previewPayment,
+  payMerchant
+} = require('../controllers/merchantController');
+
+const profileOptions = {
+  categories: Object.keys(Merchant.CATEGORIES),
+  methods: Merchant.SETTLEMENT_METHODS,
+  frequencies: Merchant.SETTLEMENT_FREQUENCIES,
+  providers: MobileMoney.PROVIDERS.filter(provider => provider !== 'simulator')
+};
+
+/**
+ * Protected Routes - Require Authentication
+ */
+router.use(AuthMiddleware.protect);
+
+// Register the caller as a merchant
+router.post(
+  '/',
+  AuthMiddleware.verifiedOnly,
+  ValidationMiddleware.validate(ValidationMiddleware.merchantRules(profileOptions)),
+  createMerchant
+);
+
+// The caller's merchant profile
+router.get('/me', getMerchant);
+
+router.put(
+  '/me',
+  ValidationMiddleware.validate(ValidationMiddleware.merchantRules(profileOptions, true)),
+  updateMerchant
+);
+
+// Generate a static or dynamic QR payload
+router.post(
+  '/me/qr',
+  ValidationMiddleware.validate(ValidationMiddleware.merchantQrRules()),
+  generateQr
+);
+
+// Sales summary
+router.get(
+  '/me/sales',
+  ValidationMiddleware.validate([
+    query('startDate').optional().isISO8601().withMessage('Invalid start date format'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date format')
+  ]),
+  getSalesSummary
+);
+
+// Check a scanned payload before paying
+router.post(
+  '/payments/preview',
+  ValidationMiddleware.validate(ValidationMiddleware.merchantPaymentRules()),
+  previewPayment
+);
+
+// Pay a merchant from a scanned payload
+router.post(
+  '/payments',
+  AuthMiddleware.verifiedOnly,
+  ValidationMiddleware.validate(ValidationMiddleware.merchantPaymentRules()),
+  IdempotencyMiddleware.handle('merchant_payment'),
+  payMerchant
+);
+
+module.exports = router;
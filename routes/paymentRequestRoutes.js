@@ -0,0 +1,101 @@
+// routes/paymentRequestRoutes.js
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const AuthMiddleware = require('../middlewares/authMiddleware');
+const ValidationMiddleware = require('../middlewares/validationMiddleware');
+const IdempotencyMiddleware = require('../middlewares/idempotencyMiddleware');
+const PaymentRequest = require('../models/PaymentRequest');
+
+const {
+  createRequest,
+  createLink,
+  getRequests,
+  getIncomingRequests,
+  getRequest,
+  payRequest,
+  declineRequest,
+  cancelRequest
+} = require('../controllers/paymentRequestController');
+
+const codeRules = [
+  param('code').trim().matches(/^PR-[A-Z0-9]{8}$/i).withMessage('Invalid payment request reference')
+];
+
+/**
+ * Protected Routes - Require Authentication
+ */
+router.use(AuthMiddleware.protect);
+
+// Requests and links the caller has created
+router.get(
+  '/',
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.paginationRules(),
+    query('status').optional().isIn(Object.values(PaymentRequest.STATUSES)).withMessage('Invalid status'),
+    query('kind').optional().isIn(Object.values(PaymentRequest.KINDS)).withMessage('Invalid kind')
+  ]),
+  getRequests
+);
+
+// Ask another user for money
+router.post(
+  '/',
+  ValidationMiddleware.validate(ValidationMiddleware.paymentRequestRules()),
+  createRequest
+);
+
+// Create a pay link
+router.post(
+  '/links',
+  ValidationMiddleware.validate(ValidationMiddleware.paymentLinkRules()),
+  createLink
+);
+
+// Requests sent to the caller
+router.get(
+  '/incoming',
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.paginationRules(),
+    query('status').optional().isIn(Object.values(PaymentRequest.STATUSES)).withMessage('Invalid status')
+  ]),
+  getIncomingRequests
+);
+
+// View a request or link by its reference
+router.get(
+  '/:code',
+  ValidationMiddleware.validate(codeRules),
+  getRequest
+);
+
+// Pay a request or link
+router.post(
+  '/:code/pay',
+  AuthMiddleware.verifiedOnly,
+  ValidationMiddleware.validate([
+    ...codeRules,
+    ...ValidationMiddleware.paymentRequestPaymentRules()
+  ]),
+  IdempotencyMiddleware.handle('payment_request'),
+  payRequest
+);
+
+// Decline a request sent to the caller
+router.post(
+  '/:code/decline',
+  ValidationMiddleware.validate([
+    ...codeRules,
+    body('reason').optional().trim().isLength({ max: 140 }).withMessage('Reason cannot exceed 140 characters')
+  ]),
+  declineRequest
+);
+
+// Cancel one of the caller's requests or links
+router.post(
+  '/:code/cancel',
+  ValidationMiddleware.validate(codeRules),
+  cancelRequest
+);
+
+module.exports = router;
@@ -0,0 +1,101 @@
+// routes/savingsRoutes.js
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const AuthMiddleware = require('../middlewares/authMiddleware');
+const ValidationMiddleware = require('../middlewares/validationMiddleware');
+const IdempotencyMiddleware = require('../middlewares/idempotencyMiddleware');
+const SavingsPot = require('../models/SavingsPot');
+
+const {
+  getPots,
+  createPot,
+  getPot,
+  updatePot,
+  depositToPot,
+  quoteWithdrawal,
+  withdrawFromPot,
+  closePot
+} = require('../controllers/savingsController');
+
+const potOptions = {
+  frequencies: SavingsPot.FREQUENCIES,
+  earlyWithdrawal: Object.values(SavingsPot.EARLY_WITHDRAWAL)
+};
+
+/**
+ * Protected Routes - Require Authentication
+ */
+router.use(AuthMiddleware.protect);
+
+router.get(
+  '/pots',
+  ValidationMiddleware.validate([
+    query('status').optional().isIn(Object.values(SavingsPot.STATUSES)).withMessage('Invalid status')
+  ]),
+  getPots
+);
+
+router.post(
+  '/pots',
+  ValidationMiddleware.validate(ValidationMiddleware.savingsPotRules(potOptions)),
+  createPot
+);
+
+router.get(
+  '/pots/:id',
+  ValidationMiddleware.validate(ValidationMiddleware.validateId()),
+  getPot
+);
+
+router.put(
+  '/pots/:id',
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.validateId(),
+    ...ValidationMiddleware.savingsPotRules(potOptions, true)
+  ]),
+  updatePot
+);
+
+// Move money between the wallet and a pot
+router.post(
+  '/pots/:id/deposit',
+  AuthMiddleware.verifiedOnly,
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.validateId(),
+    ...ValidationMiddleware.savingsMovementRules()
+  ]),
+  IdempotencyMiddleware.handle('savings_deposit'),
+  depositToPot
+);
+
+router.get(
+  '/pots/:id/withdrawal-quote',
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.validateId(),
+    query('amount').optional().isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0')
+  ]),
+  quoteWithdrawal
+);
+
+router.post(
+  '/pots/:id/withdraw',
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.validateId(),
+    ...ValidationMiddleware.savingsMovementRules()
+  ]),
+  IdempotencyMiddleware.handle('savings_withdrawal'),
+  withdrawFromPot
+);
+
+router.post(
+  '/pots/:id/close',
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.validateId(),
+    body('quoted_penalty').optional().isFloat({ min: 0 }).withMessage('Quoted penalty must be a positive number')
+  ]),
+  IdempotencyMiddleware.handle('savings_close'),
+  closePot
+);
+
+module.exports = router;
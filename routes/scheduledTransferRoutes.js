@@ -0,0 +1,64 @@
+// routes/scheduledTransferRoutes.js
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const AuthMiddleware = require('../middlewares/authMiddleware');
+const ValidationMiddleware = require('../middlewares/validationMiddleware');
+const ScheduledTransfer = require('../models/ScheduledTransfer');
+
+const {
+  getScheduledTransfers,
+  createScheduledTransfer,
+  getScheduledTransfer,
+  updateScheduledTransfer,
+  pauseScheduledTransfer,
+  resumeScheduledTransfer,
+  cancelScheduledTransfer
+} = require('../controllers/scheduledTransferController');
+
+/**
+ * Protected Routes - Require Authentication
+ */
+router.use(AuthMiddleware.protect);
+
+router.get(
+  '/',
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.paginationRules(),
+    query('status').optional().isIn(Object.values(ScheduledTransfer.STATUSES)).withMessage('Invalid status')
+  ]),
+  getScheduledTransfers
+);
+
+router.post(
+  '/',
+  AuthMiddleware.verifiedOnly,
+  ValidationMiddleware.validate(ValidationMiddleware.scheduledTransferRules({
+    types: Object.values(ScheduledTransfer.SCHEDULE_TYPES),
+    units: ScheduledTransfer.INTERVAL_UNITS
+  })),
+  createScheduledTransfer
+);
+
+router.get(
+  '/:id',
+  ValidationMiddleware.validate(ValidationMiddleware.validateId()),
+  getScheduledTransfer
+);
+
+router.put(
+  '/:id',
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.validateId(),
+    body('amount').optional().isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0'),
+    body('note').optional({ nullable: true }).trim().isLength({ max: 140 }).withMessage('Note cannot exceed 140 characters'),
+    ...ValidationMiddleware.scheduledTransferPolicyRules()
+  ]),
+  updateScheduledTransfer
+);
+
+router.post('/:id/pause', ValidationMiddleware.validate(ValidationMiddleware.validateId()), pauseScheduledTransfer);
+router.post('/:id/resume', ValidationMiddleware.validate(ValidationMiddleware.validateId()), resumeScheduledTransfer);
+router.post('/:id/cancel', ValidationMiddleware.validate(ValidationMiddleware.validateId()), cancelScheduledTransfer);
+
+module.exports = router;
@@ -0,0 +1,86 @@
+// routes/supportRoutes.js
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const AuthMiddleware = require('../middlewares/authMiddleware');
+const ValidationMiddleware = require('../middlewares/validationMiddleware');
+const FileValidationMiddleware = require('../middlewares/fileValidationMiddleware');
+const SupportTicket = require('../models/SupportTicket');
+const TransactionDispute = require('../models/TransactionDispute');
+
+const {
+  createTicket,
+  openDispute,
+  getMyTickets,
+  getMyTicket,
+  addMyTicketMessage,
+  updateMyTicketStatus
+} = require('../controllers/supportController');
+
+/**
+ * Protected Routes - Require Authentication
+ */
+router.use(AuthMiddleware.protect);
+
+router.post(
+  '/tickets',
+  ValidationMiddleware.validate(ValidationMiddleware.supportTicketRules({
+    categories: SupportTicket.CATEGORIES,
+    priorities: SupportTicket.PRIORITIES
+  })),
+  createTicket
+);
+
+// Dispute transactions, with optional "attachments" uploads as evidence
+router.post(
+  '/disputes',
+  FileValidationMiddleware.uploads('attachments', FileValidationMiddleware.MAX_ATTACHMENTS),
+  ValidationMiddleware.validate(ValidationMiddleware.disputeRules({
+    reasons: TransactionDispute.REASONS,
+    priorities: SupportTicket.PRIORITIES,
+    maxTransactions: TransactionDispute.MAX_TRANSACTIONS
+  })),
+  FileValidationMiddleware.validateAttachments,
+  openDispute
+);
+
+router.get(
+  '/tickets',
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.paginationRules(),
+    query('status').optional().isIn(Object.values(SupportTicket.STATUSES)).withMessage('Invalid status'),
+    query('category').optional().isIn(SupportTicket.CATEGORIES).withMessage('Invalid category'),
+    query('type').optional().isIn(Object.values(SupportTicket.TYPES)).withMessage('Invalid type')
+  ]),
+  getMyTickets
+);
+
+router.get(
+  '/tickets/:id',
+  ValidationMiddleware.validate(ValidationMiddleware.validateId()),
+  getMyTicket
+);
+
+// Reply, with optional "attachments" uploads
+router.post(
+  '/tickets/:id/messages',
+  FileValidationMiddleware.uploads('attachments', FileValidationMiddleware.MAX_ATTACHMENTS),
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.validateId(),
+    ...ValidationMiddleware.ticketMessageRules()
+  ]),
+  FileValidationMiddleware.validateAttachments,
+  addMyTicketMessage
+);
+
+// Reopen or close a resolved ticket
+router.put(
+  '/tickets/:id/status',
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.validateId(),
+    ...ValidationMiddleware.ticketStatusRules([SupportTicket.STATUSES.OPEN, SupportTicket.STATUSES.CLOSED])
+  ]),
+  updateMyTicketStatus
+);
+
+module.exports = router;
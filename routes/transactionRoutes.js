@@ -0,0 +1,153 @@
+// routes/transactionRoutes.js
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const AuthMiddleware = require('../middlewares/authMiddleware');
+const ValidationMiddleware = require('../middlewares/validationMiddleware');
+const IdempotencyMiddleware = require('../middlewares/idempotencyMiddleware');
+const Transaction = require('../models/Transaction');
+const Withdrawal = require('../models/Withdrawal');
+const FeeSchedule = require('../models/FeeSchedule');
+const MobileMoney = require('../utils/mobileMoney');
+
+const {
+  getTransactions,
+  getTransaction,
+  downloadStatement,
+  lookupRecipient,
+  createTransfer,
+  createDeposit,
+  quoteFee,
+  getLimits,
+  getBalance
+} = require('../controllers/transactionController');
+
+const {
+  requestWithdrawal,
+  getWithdrawals,
+  getWithdrawal
+} = require('../controllers/withdrawalController');
+
+const dateRangeRules = [
+  query('startDate').optional().isISO8601().withMessage('Invalid start date format'),
+  query('endDate').optional().isISO8601().withMessage('Invalid end date format')
+    .custom((value, { req }) => {
+      if (req.query.startDate && new Date(value) < new Date(req.query.startDate)) {
+        throw new Error('End date must be after start date');
+      }
+      return true;
+    })
+];
+
+/**
+ * Protected Routes - Require Authentication
+ */
+router.use(AuthMiddleware.protect);
+
+// Get the caller's transactions (with pagination and filtering)
+router.get(
+  '/',
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.paginationRules(),
+    query('search').optional().trim(),
+    query('type').optional().isIn(Object.values(Transaction.TYPES)).withMessage('Invalid transaction type'),
+    query('status').optional().isIn(Object.values(Transaction.STATUSES)).withMessage('Invalid transaction status'),
+    query('minAmount').optional().isFloat({ min: 0 }).withMessage('Minimum amount must be a positive number'),
+    query('maxAmount').optional().isFloat({ min: 0 }).withMessage('Maximum amount must be a positive number'),
+    ...dateRangeRules,
+    query('sortBy').optional().isIn(['created_at', 'amount_minor']),
+    query('sortOrder').optional().isIn(['asc', 'desc'])
+  ]),
+  getTransactions
+);
+
+// Download wallet statement
+router.get(
+  '/statement',
+  ValidationMiddleware.validate([
+    query('format').optional().isIn(['csv', 'pdf']).withMessage('Invalid statement format'),
+    ...dateRangeRules
+  ]),
+  downloadStatement
+);
+
+// Quote the fee for an operation
+router.get(
+  '/fees/quote',
+  ValidationMiddleware.validate([
+    query('operation')
+      .notEmpty().withMessage('Operation is required')
+      .isIn(Object.values(FeeSchedule.OPERATIONS)).withMessage('Invalid operation'),
+    query('amount').optional().isFloat({ min: 0 }).withMessage('Amount must be a positive number')
+  ]),
+  quoteFee
+);
+
+// Get the caller's wallet limits and remaining allowances
+router.get('/limits', getLimits);
+
+// Get the caller's ledger, held and available balance
+router.get('/balance', getBalance);
+
+// Look up a transfer recipient before confirming
+router.get(
+  '/recipients/lookup',
+  ValidationMiddleware.validate([
+    query('recipient').trim().notEmpty().withMessage('Recipient agent code, phone or email is required')
+  ]),
+  lookupRecipient
+);
+
+// Transfer to another wallet
+router.post(
+  '/transfer',
+  AuthMiddleware.verifiedOnly,
+  ValidationMiddleware.validate(ValidationMiddleware.transferRules()),
+  IdempotencyMiddleware.handle('transfer'),
+  createTransfer
+);
+
+// Start a mobile money deposit
+router.post(
+  '/deposits',
+  ValidationMiddleware.validate(ValidationMiddleware.depositRules(MobileMoney.PROVIDERS)),
+  IdempotencyMiddleware.handle('deposit'),
+  createDeposit
+);
+
+// Request a withdrawal
+router.post(
+  '/withdrawals',
+  AuthMiddleware.verifiedOnly,
+  ValidationMiddleware.validate(
+    ValidationMiddleware.withdrawalRules(MobileMoney.PROVIDERS.filter(provider => provider !== 'simulator'))
+  ),
+  IdempotencyMiddleware.handle('withdrawal'),
+  requestWithdrawal
+);
+
+// Get the caller's withdrawals
+router.get(
+  '/withdrawals',
+  ValidationMiddleware.validate([
+    ...ValidationMiddleware.paginationRules(),
+    query('status').optional().isIn(Object.values(Withdrawal.STATUSES)).withMessage('Invalid withdrawal status')
+  ]),
+  getWithdrawals
+);
+
+// Get withdrawal status
+router.get(
+  '/withdrawals/:id',
+  ValidationMiddleware.validate(ValidationMiddleware.validateId()),
+  getWithdrawal
+);
+
+// Get single transaction
+router.get(
+  '/:id',
+  ValidationMiddleware.validate(ValidationMiddleware.validateId()),
+  getTransaction
+);
+
+module.exports = router;
@@ -5,6 +5,8 @@ const { body, query } = require("express-validator");
 const AuthMiddleware = require("../middlewares/authMiddleware");
 const ValidationMiddleware = require("../middlewares/validationMiddleware");
 const FileValidationMiddleware = require("../middlewares/fileValidationMiddleware");
+const IdempotencyMiddleware = require("../middlewares/idempotencyMiddleware");
+const RateLimitMiddleware = require("../middlewares/rateLimitingMiddleware");
 
 const {
   getUsers,
@@ -16,6 +18,7 @@ const {
   updateWallet,
   deleteUser,
   restoreUser,
+  setWalletPin,
 } = require("../controllers/userController");
 
 /**
@@ -48,6 +51,14 @@ router.get(
   getUsers
 );
 
+// Set or reset the caller's wallet PIN
+router.put(
+  "/users/me/wallet-pin",
+  RateLimitMiddleware.loginLimiter,
+  ValidationMiddleware.validate(ValidationMiddleware.walletPinRules()),
+  setWalletPin
+);
+
 // Get single user
 router.get(
   "/users/:id",
@@ -68,9 +79,11 @@ router.put(
 // Document upload and verification
 router.post(
   "/users/:id/uploadDocument",
+  FileValidationMiddleware.uploads("document"),
   ValidationMiddleware.validate(ValidationMiddleware.validateId()),
   FileValidationMiddleware.validateIdDocument,
   ValidationMiddleware.validate(ValidationMiddleware.documentUploadRules()),
+  IdempotencyMiddleware.handle("document_verification_fee"),
   uploadDocument
 );
 
@@ -81,13 +94,15 @@ router.get(
   getDocumentStatus
 );
 
-// Update wallet balance
+// Manual wallet adjustment (admin only; customer deposits go through mobile money)
 router.put(
   "/users/:id/wallet",
+  AuthMiddleware.restrictTo("admin"),
   ValidationMiddleware.validate([
     ...ValidationMiddleware.validateId(),
     ...ValidationMiddleware.walletDepositRules(),
   ]),
+  IdempotencyMiddleware.handle("wallet_update"),
   updateWallet
 );
 
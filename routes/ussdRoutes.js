@@ -0,0 +1,27 @@
+// routes/ussdRoutes.js
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const ValidationMiddleware = require('../middlewares/validationMiddleware');
+const { handleCallback } = require('../controllers/ussdController');
+
+/**
+ * Aggregator callback - feature phone users are identified by their MSISDN, not by token
+ */
+router.post(
+  '/callback',
+  // Most aggregators post form fields rather than JSON
+  express.urlencoded({ extended: false }),
+  ValidationMiddleware.validate([
+    body('sessionId').trim().notEmpty().withMessage('sessionId is required'),
+    body(['msisdn', 'phoneNumber']).optional().trim().matches(/^\+?\d{9,15}$/).withMessage('Invalid MSISDN'),
+    body('msisdn').custom((value, { req }) => {
+      if (!value && !req.body.phoneNumber) throw new Error('msisdn is required');
+      return true;
+    }),
+    body('text').optional({ nullable: true }).isString().isLength({ max: 500 })
+  ]),
+  handleCallback
+);
+
+module.exports = router;
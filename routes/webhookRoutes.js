@@ -0,0 +1,32 @@
+// routes/webhookRoutes.js
+const express = require('express');
+const router = express.Router();
+const { param } = require('express-validator');
+const ValidationMiddleware = require('../middlewares/validationMiddleware');
+const MobileMoney = require('../utils/mobileMoney');
+const { handleDepositWebhook } = require('../controllers/webhookController');
+const { handleInboundEmail } = require('../controllers/inboundEmailController');
+
+/**
+ * Provider callbacks - authenticated by HMAC signature, not by user token
+ */
+router.post(
+  '/momo/:provider',
+  ValidationMiddleware.validate([
+    param('provider').isIn(MobileMoney.PROVIDERS).withMessage('Unknown payment provider')
+  ]),
+  handleDepositWebhook
+);
+
+/**
+ * Inbound support email - authenticated by the relay token (INBOUND_EMAIL_TOKEN) in the x-inbound-token
+ * header. The body is one raw message, e.g.
+ * curl --data-binary @message.eml -H 'Content-Type: message/rfc822' -H "x-inbound-token: $INBOUND_EMAIL_TOKEN"
+ */
+router.post(
+  '/inbound-email',
+  express.raw({ type: ['message/rfc822', 'application/octet-stream', 'text/plain'], limit: '25mb' }),
+  handleInboundEmail
+);
+
+module.exports = router;
@@ -3,15 +3,30 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
+const config = require('./config/env');
 const { testConnection } = require('./config/database');
 const routes = require('./routes');
+const Scheduler = require('./utils/scheduler');
+const ReconcileLedger = require('./utils/reconcileLedger');
+const WalletHold = require('./models/WalletHold');
+const PaymentRequest = require('./models/PaymentRequest');
+const UssdSession = require('./models/UssdSession');
+const BillPayment = require('./models/BillPayment');
+const SavingsPot = require('./models/SavingsPot');
+const ScheduledTransfer = require('./models/ScheduledTransfer');
+const SupportTicket = require('./models/SupportTicket');
 
 const app = express();
 
 // Middleware
 app.use(helmet());
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString();
+  }
+}));
 app.use(morgan('dev'));
 
 // Health check route
@@ -38,6 +53,21 @@ const startServer = async () => {
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
     });
+
+    // Background jobs
+    if (config.SCHEDULED_JOBS) {
+      Scheduler.daily('ledger-reconciliation', config.RECONCILIATION_TIME, () => ReconcileLedger.run('scheduled'));
+      // Expired holds and payment requests already stop counting; this marks them so they leave the active lists
+      Scheduler.every('wallet-hold-expiry', config.EXPIRY_SWEEP_MINUTES, () => new WalletHold().expireDue());
+      Scheduler.every('payment-request-expiry', config.EXPIRY_SWEEP_MINUTES, () => new PaymentRequest().expireDue());
+      Scheduler.every('ussd-session-cleanup', config.EXPIRY_SWEEP_MINUTES, () => new UssdSession().deleteExpired());
+      // Bill payments the provider has not settled yet are confirmed or reversed from a status check
+      Scheduler.every('bill-payment-requery', config.BILL_REQUERY_MINUTES, () => new BillPayment().requeryPending());
+      Scheduler.every('savings-auto-save', config.SAVINGS_AUTO_SAVE_MINUTES, () => new SavingsPot().runAutoSaves());
+      Scheduler.every('scheduled-transfers', config.SCHEDULED_TRANSFER_MINUTES, () => new ScheduledTransfer().runDue());
+      // Tickets past their first-response or resolution target are marked and escalated
+      Scheduler.every('support-sla-check', config.SUPPORT_SLA_CHECK_MINUTES, () => new SupportTicket().checkSla());
+    }
   } catch (error) {
     console.error('Failed to start server:', error);
     process.exit(1);
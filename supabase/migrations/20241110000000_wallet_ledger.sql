@@ -0,0 +1,184 @@
+-- Double-entry wallet ledger
+--
+-- Every movement of money is a `transactions` row plus a balanced set of
+-- immutable `ledger_entries`. Account balances (and the cached
+-- users.wallet_balance) are only ever changed by post_ledger_transaction,
+-- which locks the affected accounts and applies all entries in one
+-- database transaction.
+--
+-- Amounts are integer minor units (pesewas). For every account
+-- balance = credits - debits; system accounts may go negative, user
+-- accounts may not.
+
+create table if not exists ledger_accounts (
+  id uuid primary key default gen_random_uuid(),
+  code text not null unique,
+  user_id uuid references users(id),
+  type text not null,
+  currency text not null default 'GHS',
+  balance_minor bigint not null default 0,
+  allow_negative boolean not null default false,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists ledger_accounts_user_id_idx on ledger_accounts (user_id);
+
+create table if not exists transactions (
+  id uuid primary key,
+  reference text not null unique,
+  user_id uuid references users(id),
+  type text not null,
+  status text not null default 'pending',
+  amount_minor bigint not null check (amount_minor > 0),
+  currency text not null default 'GHS',
+  description text,
+  metadata jsonb not null default '{}'::jsonb,
+  failure_reason text,
+  completed_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  deleted_at timestamptz
+);
+
+create index if not exists transactions_user_id_created_at_idx on transactions (user_id, created_at desc);
+
+create table if not exists ledger_entries (
+  id uuid primary key default gen_random_uuid(),
+  transaction_id uuid not null references transactions(id),
+  account_id uuid not null references ledger_accounts(id),
+  user_id uuid references users(id),
+  direction text not null check (direction in ('debit', 'credit')),
+  amount_minor bigint not null check (amount_minor > 0),
+  balance_after_minor bigint not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists ledger_entries_transaction_id_idx on ledger_entries (transaction_id);
+create index if not exists ledger_entries_account_id_idx on ledger_entries (account_id, created_at);
+
+-- Entries are append-only: corrections are new transactions, never edits.
+create or replace function ledger_entries_immutable()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'LEDGER_ENTRIES_IMMUTABLE';
+end;
+$$;
+
+drop trigger if exists ledger_entries_immutable on ledger_entries;
+create trigger ledger_entries_immutable
+  before update or delete on ledger_entries
+  for each row execute function ledger_entries_immutable();
+
+-- Apply a balanced set of entries to a pending transaction and complete it.
+-- p_entries: [{ account, account_type, user_id, allow_negative, direction, amount_minor }]
+create or replace function post_ledger_transaction(p_transaction_id uuid, p_entries jsonb)
+returns setof ledger_entries
+language plpgsql
+as $$
+declare
+  v_status text;
+  v_entry jsonb;
+  v_account ledger_accounts%rowtype;
+  v_amount bigint;
+  v_debits bigint := 0;
+  v_credits bigint := 0;
+begin
+  select status into v_status from transactions where id = p_transaction_id for update;
+
+  if v_status is null then
+    raise exception 'TRANSACTION_NOT_FOUND';
+  end if;
+  if v_status <> 'pending' then
+    raise exception 'TRANSACTION_NOT_PENDING';
+  end if;
+
+  insert into ledger_accounts (code, user_id, type, allow_negative)
+  select distinct on (e->>'account')
+    e->>'account',
+    nullif(e->>'user_id', '')::uuid,
+    e->>'account_type',
+    coalesce((e->>'allow_negative')::boolean, false)
+  from jsonb_array_elements(p_entries) e
+  on conflict (code) do nothing;
+
+  -- Lock in a stable order so concurrent postings cannot deadlock
+  perform 1
+  from ledger_accounts
+  where code in (select e->>'account' from jsonb_array_elements(p_entries) e)
+  order by code
+  for update;
+
+  for v_entry in select * from jsonb_array_elements(p_entries) loop
+    v_amount := (v_entry->>'amount_minor')::bigint;
+    if v_amount is null or v_amount <= 0 then
+      raise exception 'INVALID_ENTRY_AMOUNT';
+    end if;
+
+    select * into v_account from ledger_accounts where code = v_entry->>'account';
+
+    if v_entry->>'direction' = 'credit' then
+      v_credits := v_credits + v_amount;
+      v_account.balance_minor := v_account.balance_minor + v_amount;
+    elsif v_entry->>'direction' = 'debit' then
+      v_debits := v_debits + v_amount;
+      v_account.balance_minor := v_account.balance_minor - v_amount;
+    else
+      raise exception 'INVALID_ENTRY_DIRECTION';
+    end if;
+
+    if v_account.balance_minor < 0 and not v_account.allow_negative then
+      raise exception 'INSUFFICIENT_FUNDS';
+    end if;
+
+    update ledger_accounts
+    set balance_minor = v_account.balance_minor, updated_at = now()
+    where id = v_account.id;
+
+    if v_account.type = 'wallet' then
+      update users
+      set wallet_balance = v_account.balance_minor / 100.0, updated_at = now()
+      where id = v_account.user_id;
+    end if;
+
+    insert into ledger_entries (transaction_id, account_id, user_id, direction, amount_minor, balance_after_minor)
+    values (p_transaction_id, v_account.id, v_account.user_id, v_entry->>'direction', v_amount, v_account.balance_minor);
+  end loop;
+
+  if v_debits <> v_credits then
+    raise exception 'UNBALANCED_TRANSACTION';
+  end if;
+
+  update transactions
+  set status = 'completed', completed_at = now(), updated_at = now()
+  where id = p_transaction_id;
+
+  return query select * from ledger_entries where transaction_id = p_transaction_id;
+end;
+$$;
+
+-- Back existing wallet balances with opening entries
+do $$
+declare
+  v_user record;
+  v_transaction_id uuid;
+  v_amount bigint;
+begin
+  for v_user in select id, wallet_balance from users where coalesce(wallet_balance, 0) > 0 loop
+    v_transaction_id := gen_random_uuid();
+    v_amount := round(v_user.wallet_balance * 100);
+
+    insert into transactions (id, reference, user_id, type, amount_minor, description)
+    values (v_transaction_id, 'OPEN-' || v_user.id, v_user.id, 'opening_balance', v_amount, 'Opening balance');
+
+    perform post_ledger_transaction(v_transaction_id, jsonb_build_array(
+      jsonb_build_object('account', 'system:opening_balances', 'account_type', 'system',
+        'allow_negative', true, 'direction', 'debit', 'amount_minor', v_amount),
+      jsonb_build_object('account', 'wallet:' || v_user.id, 'account_type', 'wallet',
+        'user_id', v_user.id, 'direction', 'credit', 'amount_minor', v_amount)
+    ));
+  end loop;
+end;
+$$;
@@ -0,0 +1,7 @@
+-- Entries posted in the same database transaction share created_at, so
+-- statements order by a strictly increasing entry number instead.
+alter table ledger_entries
+  add column if not exists entry_number bigint generated always as identity;
+
+create index if not exists ledger_entries_account_entry_number_idx
+  on ledger_entries (account_id, entry_number);
@@ -0,0 +1,7 @@
+-- The other user involved in a transaction (e.g. the recipient of a transfer),
+-- so both sides see it in their history.
+alter table transactions
+  add column if not exists counterparty_id uuid references users(id);
+
+create index if not exists transactions_counterparty_id_created_at_idx
+  on transactions (counterparty_id, created_at desc);
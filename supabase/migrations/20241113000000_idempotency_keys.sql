@@ -0,0 +1,15 @@
+-- Stored results of money-moving requests, keyed by the client's
+-- Idempotency-Key header (or transaction_reference) per user and operation.
+create table if not exists idempotency_keys (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id),
+  scope text not null,
+  key text not null,
+  request_hash text not null,
+  status text not null default 'processing' check (status in ('processing', 'completed')),
+  response_status integer,
+  response_body jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (user_id, scope, key)
+);
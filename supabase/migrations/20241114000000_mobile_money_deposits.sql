@@ -0,0 +1,20 @@
+-- Mobile money deposits: which provider a transaction went through and the
+-- provider's own reference, plus a log of every webhook received.
+alter table transactions
+  add column if not exists provider text,
+  add column if not exists provider_reference text;
+
+create index if not exists transactions_provider_reference_idx
+  on transactions (provider, provider_reference);
+
+create table if not exists payment_webhook_events (
+  id uuid primary key default gen_random_uuid(),
+  provider text not null,
+  event_id text not null,
+  transaction_reference text,
+  status text,
+  payload jsonb not null,
+  processed_at timestamptz,
+  created_at timestamptz not null default now(),
+  unique (provider, event_id)
+);
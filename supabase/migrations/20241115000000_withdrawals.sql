@@ -0,0 +1,25 @@
+-- Withdrawal requests. Requested funds sit in the user's hold account until
+-- an admin approves (booked to system:payouts) or rejects (returned to wallet).
+create table if not exists withdrawals (
+  id uuid primary key,
+  user_id uuid not null references users(id),
+  amount_minor bigint not null check (amount_minor > 0),
+  currency text not null default 'GHS',
+  method text not null check (method in ('mobile_money', 'bank')),
+  destination jsonb not null,
+  status text not null default 'pending'
+    check (status in ('pending', 'approved', 'rejected', 'paid', 'failed')),
+  hold_transaction_id uuid references transactions(id),
+  settlement_transaction_id uuid references transactions(id),
+  reviewed_by uuid references users(id),
+  reviewed_at timestamptz,
+  review_note text,
+  payout_reference text,
+  paid_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  deleted_at timestamptz
+);
+
+create index if not exists withdrawals_user_id_created_at_idx on withdrawals (user_id, created_at desc);
+create index if not exists withdrawals_status_idx on withdrawals (status, created_at);
@@ -0,0 +1,39 @@
+-- Admin-managed fee schedules. A schedule applies to one operation and can be
+-- narrowed to a KYC level and/or role; editing a schedule creates a new
+-- version, and every charged transaction records the version it used.
+create table if not exists fee_schedules (
+  id uuid primary key default gen_random_uuid(),
+  operation text not null,
+  kyc_level text,
+  role text,
+  version integer not null,
+  type text not null check (type in ('flat', 'percentage', 'tiered')),
+  flat_minor bigint not null default 0,
+  rate_bps integer not null default 0,
+  tiers jsonb not null default '[]'::jsonb,
+  min_minor bigint,
+  max_minor bigint,
+  active boolean not null default true,
+  created_by uuid references users(id),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  deleted_at timestamptz
+);
+
+create unique index if not exists fee_schedules_scope_version_idx
+  on fee_schedules (operation, coalesce(kyc_level, ''), coalesce(role, ''), version);
+
+alter table transactions
+  add column if not exists fee_minor bigint not null default 0,
+  add column if not exists fee_schedule_id uuid references fee_schedules(id),
+  add column if not exists fee_schedule_version integer;
+
+alter table withdrawals
+  add column if not exists fee_minor bigint not null default 0,
+  add column if not exists fee_schedule_id uuid references fee_schedules(id),
+  add column if not exists fee_schedule_version integer;
+
+-- The fee previously hard-coded in userController.uploadDocument
+insert into fee_schedules (operation, version, type, flat_minor)
+select 'document_verification', 1, 'flat', 3000
+where not exists (select 1 from fee_schedules where operation = 'document_verification');
@@ -0,0 +1,76 @@
+-- KYC-tiered wallet limits
+--
+-- One row per KYC level (see FeeSchedule.kycLevel). A null cap means no
+-- limit. Caps apply to wallet debits and credits; money coming back to a
+-- wallet (refunds, released withdrawals) is not counted as incoming and
+-- restores the outgoing allowance it used.
+
+create table if not exists wallet_limits (
+  kyc_level text primary key check (kyc_level in ('unverified', 'email_verified', 'id_verified')),
+  max_balance_minor bigint,
+  per_transaction_minor bigint,
+  daily_debit_minor bigint,
+  daily_credit_minor bigint,
+  monthly_debit_minor bigint,
+  monthly_credit_minor bigint,
+  updated_by uuid references users(id),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+insert into wallet_limits (
+  kyc_level, max_balance_minor, per_transaction_minor,
+  daily_debit_minor, daily_credit_minor, monthly_debit_minor, monthly_credit_minor
+)
+values
+  ('unverified', 100000, 30000, 30000, 30000, 300000, 300000),
+  ('email_verified', 1000000, 200000, 300000, 300000, 2000000, 2000000),
+  ('id_verified', 5000000, 1000000, 1000000, 1000000, 10000000, 10000000)
+on conflict (kyc_level) do nothing;
+
+-- Wallet balance and debit/credit usage for the current day and month
+-- (Africa/Accra), used to check a posting against the user's limits.
+create or replace function wallet_limit_usage(p_user_id uuid)
+returns table (
+  balance_minor bigint,
+  daily_debit_minor bigint,
+  daily_credit_minor bigint,
+  monthly_debit_minor bigint,
+  monthly_credit_minor bigint
+)
+language sql
+stable
+as $$
+  with account as (
+    select id, balance_minor from ledger_accounts where code = 'wallet:' || p_user_id
+  ),
+  bounds as (
+    select
+      date_trunc('day', now() at time zone 'Africa/Accra') at time zone 'Africa/Accra' as day_start,
+      date_trunc('month', now() at time zone 'Africa/Accra') at time zone 'Africa/Accra' as month_start
+  ),
+  movements as (
+    select
+      e.created_at,
+      case
+        when e.direction = 'debit' then e.amount_minor
+        when t.type in ('refund', 'withdrawal_release') then -e.amount_minor
+        else 0
+      end as debit_minor,
+      case
+        when e.direction = 'credit' and t.type not in ('refund', 'withdrawal_release') then e.amount_minor
+        else 0
+      end as credit_minor
+    from ledger_entries e
+    join transactions t on t.id = e.transaction_id
+    where e.account_id = (select id from account)
+      and e.created_at >= (select month_start from bounds)
+  )
+  select
+    coalesce((select balance_minor from account), 0)::bigint,
+    greatest(coalesce(sum(debit_minor) filter (where created_at >= (select day_start from bounds)), 0), 0)::bigint,
+    coalesce(sum(credit_minor) filter (where created_at >= (select day_start from bounds)), 0)::bigint,
+    greatest(coalesce(sum(debit_minor), 0), 0)::bigint,
+    coalesce(sum(credit_minor), 0)::bigint
+  from movements;
+$$;
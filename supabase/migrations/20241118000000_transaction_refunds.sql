@@ -0,0 +1,72 @@
+-- Refunds and reversals
+--
+-- A refund is its own `refund` transaction pointing at the transaction it
+-- reverses through original_transaction_id, with a reason code. The original
+-- keeps a running refunded_minor so the total refunded can never exceed what
+-- was charged.
+
+alter table transactions
+  add column if not exists original_transaction_id uuid references transactions(id),
+  add column if not exists reason_code text,
+  add column if not exists refunded_minor bigint not null default 0;
+
+alter table transactions
+  drop constraint if exists transactions_refunded_minor_check;
+alter table transactions
+  add constraint transactions_refunded_minor_check
+  check (refunded_minor >= 0 and refunded_minor <= amount_minor);
+
+create index if not exists transactions_original_transaction_id_idx
+  on transactions (original_transaction_id)
+  where original_transaction_id is not null;
+
+-- A refund also takes money out of the wallet that received the original
+-- (e.g. a reversed transfer); that should free its incoming allowance rather
+-- than count as spending.
+create or replace function wallet_limit_usage(p_user_id uuid)
+returns table (
+  balance_minor bigint,
+  daily_debit_minor bigint,
+  daily_credit_minor bigint,
+  monthly_debit_minor bigint,
+  monthly_credit_minor bigint
+)
+language sql
+stable
+as $$
+  with account as (
+    select id, balance_minor from ledger_accounts where code = 'wallet:' || p_user_id
+  ),
+  bounds as (
+    select
+      date_trunc('day', now() at time zone 'Africa/Accra') at time zone 'Africa/Accra' as day_start,
+      date_trunc('month', now() at time zone 'Africa/Accra') at time zone 'Africa/Accra' as month_start
+  ),
+  movements as (
+    select
+      e.created_at,
+      case
+        when t.type in ('refund', 'withdrawal_release') then
+          case when e.direction = 'credit' then -e.amount_minor else 0 end
+        when e.direction = 'debit' then e.amount_minor
+        else 0
+      end as debit_minor,
+      case
+        when t.type in ('refund', 'withdrawal_release') then
+          case when e.direction = 'debit' then -e.amount_minor else 0 end
+        when e.direction = 'credit' then e.amount_minor
+        else 0
+      end as credit_minor
+    from ledger_entries e
+    join transactions t on t.id = e.transaction_id
+    where e.account_id = (select id from account)
+      and e.created_at >= (select month_start from bounds)
+  )
+  select
+    coalesce((select balance_minor from account), 0)::bigint,
+    greatest(coalesce(sum(debit_minor) filter (where created_at >= (select day_start from bounds)), 0), 0)::bigint,
+    greatest(coalesce(sum(credit_minor) filter (where created_at >= (select day_start from bounds)), 0), 0)::bigint,
+    greatest(coalesce(sum(debit_minor), 0), 0)::bigint,
+    greatest(coalesce(sum(credit_minor), 0), 0)::bigint
+  from movements;
+$$;
@@ -0,0 +1,67 @@
+-- Agent commissions
+--
+-- Users can register with an agent's agent_code (users.referred_by). The
+-- referring agent earns commission on that user's registration, cash-ins and
+-- verification fees according to commission_rules. Commission accrues to the
+-- agent's commission:<user id> ledger account and is moved into their wallet
+-- by a settlement run.
+
+alter table users
+  add column if not exists referred_by uuid references users(id);
+
+create index if not exists users_referred_by_idx on users (referred_by) where referred_by is not null;
+
+-- One rule per operation; amounts are computed like fee schedules
+create table if not exists commission_rules (
+  operation text primary key check (operation in ('registration', 'cash_in', 'verification_fee')),
+  type text not null check (type in ('flat', 'percentage', 'tiered')),
+  flat_minor bigint not null default 0,
+  rate_bps integer not null default 0,
+  tiers jsonb not null default '[]'::jsonb,
+  min_minor bigint,
+  max_minor bigint,
+  active boolean not null default true,
+  updated_by uuid references users(id),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists commission_settlements (
+  id uuid primary key default gen_random_uuid(),
+  status text not null default 'running' check (status in ('running', 'completed')),
+  run_by uuid references users(id),
+  agent_count integer not null default 0,
+  total_minor bigint not null default 0,
+  failures jsonb not null default '[]'::jsonb,
+  created_at timestamptz not null default now(),
+  completed_at timestamptz,
+  deleted_at timestamptz
+);
+
+-- One accrual per operation and source (the referred user for registrations,
+-- otherwise the transaction that earned it)
+create table if not exists agent_commissions (
+  id uuid primary key default gen_random_uuid(),
+  agent_id uuid not null references users(id),
+  referred_user_id uuid not null references users(id),
+  operation text not null,
+  source_id uuid not null,
+  base_minor bigint not null default 0,
+  amount_minor bigint not null check (amount_minor > 0),
+  transaction_id uuid references transactions(id),
+  settlement_id uuid references commission_settlements(id),
+  settlement_transaction_id uuid references transactions(id),
+  created_at timestamptz not null default now(),
+  deleted_at timestamptz
+);
+
+create unique index if not exists agent_commissions_source_idx on agent_commissions (operation, source_id);
+create index if not exists agent_commissions_agent_id_created_at_idx on agent_commissions (agent_id, created_at desc);
+create index if not exists agent_commissions_unsettled_idx on agent_commissions (agent_id) where settlement_id is null;
+
+insert into commission_rules (operation, type, flat_minor, rate_bps, max_minor)
+values
+  ('registration', 'flat', 200, 0, null),
+  ('cash_in', 'percentage', 0, 50, 1000),
+  ('verification_fee', 'percentage', 0, 1000, null)
+on conflict (operation) do nothing;
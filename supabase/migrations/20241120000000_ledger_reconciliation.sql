@@ -0,0 +1,122 @@
+-- Ledger reconciliation
+--
+-- reconcile_ledger() recomputes every account from its ledger entries and
+-- returns one row per discrepancy. Runs are stored in reconciliation_reports.
+
+create table if not exists reconciliation_reports (
+  id uuid primary key default gen_random_uuid(),
+  trigger text not null check (trigger in ('manual', 'cli', 'scheduled')),
+  run_by uuid references users(id),
+  status text not null default 'running' check (status in ('running', 'completed', 'failed')),
+  accounts_checked integer not null default 0,
+  transactions_checked integer not null default 0,
+  discrepancy_count integer not null default 0,
+  discrepancies jsonb not null default '[]'::jsonb,
+  error text,
+  started_at timestamptz not null default now(),
+  completed_at timestamptz,
+  created_at timestamptz not null default now(),
+  deleted_at timestamptz
+);
+
+create index if not exists reconciliation_reports_created_at_idx on reconciliation_reports (created_at desc);
+
+create or replace function reconcile_ledger()
+returns table (
+  kind text,
+  account_code text,
+  user_id uuid,
+  transaction_id uuid,
+  expected_minor bigint,
+  actual_minor bigint,
+  detail text
+)
+language sql
+stable
+as $$
+  with entry_totals as (
+    select
+      account_id,
+      sum(case when direction = 'credit' then amount_minor else -amount_minor end) as balance_minor
+    from ledger_entries
+    group by account_id
+  ),
+  last_entries as (
+    select distinct on (account_id) account_id, balance_after_minor
+    from ledger_entries
+    order by account_id, entry_number desc
+  ),
+  transaction_totals as (
+    select
+      transaction_id,
+      sum(case when direction = 'debit' then amount_minor else 0 end) as debits_minor,
+      sum(case when direction = 'credit' then amount_minor else 0 end) as credits_minor
+    from ledger_entries
+    group by transaction_id
+  )
+  -- Stored balance differs from the sum of the account's entries
+  select 'account_balance_mismatch', a.code, a.user_id, null::uuid,
+    coalesce(t.balance_minor, 0)::bigint, a.balance_minor,
+    'Stored balance does not match the sum of ledger entries'
+  from ledger_accounts a
+  left join entry_totals t on t.account_id = a.id
+  where a.balance_minor <> coalesce(t.balance_minor, 0)
+
+  union all
+  -- Running balance on the latest entry differs from the stored balance
+  select 'running_balance_mismatch', a.code, a.user_id, null::uuid,
+    a.balance_minor, l.balance_after_minor,
+    'Latest entry balance does not match the stored balance'
+  from ledger_accounts a
+  join last_entries l on l.account_id = a.id
+  where l.balance_after_minor <> a.balance_minor
+
+  union all
+  -- Cached users.wallet_balance differs from the recomputed wallet
+  select 'wallet_balance_mismatch', 'wallet:' || u.id, u.id, null::uuid,
+    coalesce(t.balance_minor, 0)::bigint, round(coalesce(u.wallet_balance, 0) * 100)::bigint,
+    case when a.id is null
+      then 'User has a wallet balance but no ledger account'
+      else 'users.wallet_balance does not match the ledger'
+    end
+  from users u
+  left join ledger_accounts a on a.code = 'wallet:' || u.id
+  left join entry_totals t on t.account_id = a.id
+  where round(coalesce(u.wallet_balance, 0) * 100) <> coalesce(t.balance_minor, 0)
+
+  union all
+  -- Accounts below zero that are not allowed to go negative
+  select 'negative_balance', a.code, a.user_id, null::uuid,
+    0::bigint, a.balance_minor,
+    'Account balance is below zero'
+  from ledger_accounts a
+  where not a.allow_negative and a.balance_minor < 0
+
+  union all
+  -- Entries posted to a transaction that is missing or not completed
+  select 'orphaned_entry', a.code, e.user_id, e.transaction_id,
+    null::bigint, e.amount_minor,
+    coalesce('Entry belongs to a ' || tx.status || ' transaction', 'Entry has no transaction')
+  from ledger_entries e
+  join ledger_accounts a on a.id = e.account_id
+  left join transactions tx on tx.id = e.transaction_id
+  where tx.id is null or tx.status <> 'completed'
+
+  union all
+  -- Completed transactions whose entries do not balance
+  select 'unbalanced_transaction', null, tx.user_id, tx.id,
+    t.debits_minor::bigint, t.credits_minor::bigint,
+    'Debits do not equal credits'
+  from transactions tx
+  join transaction_totals t on t.transaction_id = tx.id
+  where t.debits_minor <> t.credits_minor
+
+  union all
+  -- Completed transactions with nothing posted
+  select 'transaction_without_entries', null, tx.user_id, tx.id,
+    tx.amount_minor, 0::bigint,
+    'Completed transaction has no ledger entries'
+  from transactions tx
+  left join transaction_totals t on t.transaction_id = tx.id
+  where tx.status = 'completed' and t.transaction_id is null;
+$$;
@@ -0,0 +1,179 @@
+-- Wallet holds (authorize and capture)
+--
+-- A hold earmarks part of a wallet without posting anything to the ledger:
+-- the ledger balance is unchanged, but the available balance (ledger balance
+-- minus active holds) drops. Capturing a hold posts the actual debit; releasing
+-- or expiring it frees the funds again.
+
+create table if not exists wallet_holds (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id),
+  amount_minor bigint not null check (amount_minor > 0),
+  captured_minor bigint not null default 0 check (captured_minor >= 0 and captured_minor <= amount_minor),
+  purpose text not null check (purpose in ('withdrawal', 'verification_fee', 'escrow')),
+  status text not null default 'active' check (status in ('active', 'captured', 'released', 'expired')),
+  description text,
+  metadata jsonb not null default '{}'::jsonb,
+  -- Null means the hold stays until it is captured or released
+  expires_at timestamptz,
+  capture_transaction_id uuid references transactions(id),
+  placed_by uuid references users(id),
+  closed_by uuid references users(id),
+  closed_at timestamptz,
+  close_reason text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  deleted_at timestamptz
+);
+
+create index if not exists wallet_holds_user_id_status_idx on wallet_holds (user_id, status);
+create index if not exists wallet_holds_expires_at_idx on wallet_holds (expires_at) where status = 'active';
+
+alter table withdrawals
+  add column if not exists wallet_hold_id uuid references wallet_holds(id);
+
+alter table verification_requests
+  add column if not exists wallet_hold_id uuid references wallet_holds(id);
+
+-- Funds currently held on a user's wallet. Holds past expires_at no longer
+-- count, even before the expiry sweep marks them expired.
+create or replace function wallet_held_minor(p_user_id uuid)
+returns bigint
+language sql
+stable
+as $$
+  select coalesce(sum(amount_minor), 0)::bigint
+  from wallet_holds
+  where user_id = p_user_id
+    and status = 'active'
+    and (expires_at is null or expires_at > now())
+    and deleted_at is null;
+$$;
+
+-- Place a hold if the wallet's available balance covers it. The wallet account
+-- row is locked so two holds (or a hold and a debit) cannot both spend the same
+-- funds.
+create or replace function place_wallet_hold(
+  p_user_id uuid,
+  p_amount_minor bigint,
+  p_purpose text,
+  p_description text default null,
+  p_metadata jsonb default '{}'::jsonb,
+  p_expires_at timestamptz default null,
+  p_placed_by uuid default null
+)
+returns setof wallet_holds
+language plpgsql
+as $$
+declare
+  v_balance bigint;
+begin
+  select balance_minor into v_balance
+  from ledger_accounts
+  where code = 'wallet:' || p_user_id
+  for update;
+
+  if coalesce(v_balance, 0) - wallet_held_minor(p_user_id) < p_amount_minor then
+    raise exception 'INSUFFICIENT_FUNDS';
+  end if;
+
+  return query
+  insert into wallet_holds (user_id, amount_minor, purpose, description, metadata, expires_at, placed_by)
+  values (p_user_id, p_amount_minor, p_purpose, p_description, coalesce(p_metadata, '{}'::jsonb), p_expires_at, p_placed_by)
+  returning *;
+end;
+$$;
+
+-- Same as the original posting function, except a wallet debit may not dip
+-- into funds that are on hold. A hold being captured is marked captured before
+-- its debit is posted, so it does not block itself.
+create or replace function post_ledger_transaction(p_transaction_id uuid, p_entries jsonb)
+returns setof ledger_entries
+language plpgsql
+as $$
+declare
+  v_status text;
+  v_entry jsonb;
+  v_account ledger_accounts%rowtype;
+  v_amount bigint;
+  v_debits bigint := 0;
+  v_credits bigint := 0;
+begin
+  select status into v_status from transactions where id = p_transaction_id for update;
+
+  if v_status is null then
+    raise exception 'TRANSACTION_NOT_FOUND';
+  end if;
+  if v_status <> 'pending' then
+    raise exception 'TRANSACTION_NOT_PENDING';
+  end if;
+
+  insert into ledger_accounts (code, user_id, type, allow_negative)
+  select distinct on (e->>'account')
+    e->>'account',
+    nullif(e->>'user_id', '')::uuid,
+    e->>'account_type',
+    coalesce((e->>'allow_negative')::boolean, false)
+  from jsonb_array_elements(p_entries) e
+  on conflict (code) do nothing;
+
+  -- Lock in a stable order so concurrent postings cannot deadlock
+  perform 1
+  from ledger_accounts
+  where code in (select e->>'account' from jsonb_array_elements(p_entries) e)
+  order by code
+  for update;
+
+  for v_entry in select * from jsonb_array_elements(p_entries) loop
+    v_amount := (v_entry->>'amount_minor')::bigint;
+    if v_amount is null or v_amount <= 0 then
+      raise exception 'INVALID_ENTRY_AMOUNT';
+    end if;
+
+    select * into v_account from ledger_accounts where code = v_entry->>'account';
+
+    if v_entry->>'direction' = 'credit' then
+      v_credits := v_credits + v_amount;
+      v_account.balance_minor := v_account.balance_minor + v_amount;
+    elsif v_entry->>'direction' = 'debit' then
+      v_debits := v_debits + v_amount;
+      v_account.balance_minor := v_account.balance_minor - v_amount;
+    else
+      raise exception 'INVALID_ENTRY_DIRECTION';
+    end if;
+
+    if v_account.balance_minor < 0 and not v_account.allow_negative then
+      raise exception 'INSUFFICIENT_FUNDS';
+    end if;
+
+    if v_entry->>'direction' = 'debit'
+      and v_account.type = 'wallet'
+      and v_account.balance_minor < wallet_held_minor(v_account.user_id) then
+      raise exception 'INSUFFICIENT_FUNDS';
+    end if;
+
+    update ledger_accounts
+    set balance_minor = v_account.balance_minor, updated_at = now()
+    where id = v_account.id;
+
+    if v_account.type = 'wallet' then
+      update users
+      set wallet_balance = v_account.balance_minor / 100.0, updated_at = now()
+      where id = v_account.user_id;
+    end if;
+
+    insert into ledger_entries (transaction_id, account_id, user_id, direction, amount_minor, balance_after_minor)
+    values (p_transaction_id, v_account.id, v_account.user_id, v_entry->>'direction', v_amount, v_account.balance_minor);
+  end loop;
+
+  if v_debits <> v_credits then
+    raise exception 'UNBALANCED_TRANSACTION';
+  end if;
+
+  update transactions
+  set status = 'completed', completed_at = now(), updated_at = now()
+  where id = p_transaction_id;
+
+  return query select * from ledger_entries where transaction_id = p_transaction_id;
+end;
+$$;
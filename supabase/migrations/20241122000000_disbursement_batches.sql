@@ -0,0 +1,52 @@
+-- Bulk disbursements
+--
+-- An uploaded CSV becomes a draft batch with one item per row. Rows that fail
+-- validation are kept as invalid so the preview can show their errors. Once a
+-- batch is approved its pending items are paid one by one.
+
+create table if not exists disbursement_batches (
+  id uuid primary key default gen_random_uuid(),
+  status text not null default 'draft' check (status in ('draft', 'cancelled', 'processing', 'completed')),
+  file_name text,
+  description text,
+  row_count integer not null default 0,
+  valid_count integer not null default 0,
+  invalid_count integer not null default 0,
+  total_minor bigint not null default 0,
+  paid_count integer not null default 0,
+  paid_minor bigint not null default 0,
+  failed_count integer not null default 0,
+  created_by uuid references users(id),
+  approved_by uuid references users(id),
+  approved_at timestamptz,
+  completed_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  deleted_at timestamptz
+);
+
+create index if not exists disbursement_batches_created_at_idx on disbursement_batches (created_at desc);
+
+create table if not exists disbursement_items (
+  id uuid primary key default gen_random_uuid(),
+  batch_id uuid not null references disbursement_batches(id),
+  row_number integer not null,
+  recipient text,
+  recipient_id uuid references users(id),
+  amount_minor bigint,
+  reference text,
+  status text not null check (status in ('invalid', 'pending', 'processing', 'paid', 'failed', 'cancelled')),
+  errors jsonb not null default '[]'::jsonb,
+  transaction_id uuid references transactions(id),
+  processed_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (batch_id, row_number)
+);
+
+create index if not exists disbursement_items_batch_id_status_idx on disbursement_items (batch_id, status);
+
+-- A reference is paid at most once across all batches
+create unique index if not exists disbursement_items_reference_idx
+  on disbursement_items (reference)
+  where status in ('pending', 'processing', 'paid');
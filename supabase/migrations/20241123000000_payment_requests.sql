@@ -0,0 +1,68 @@
+-- Payment requests and pay links
+--
+-- A direct request asks one user (payer_id) for money. A link has no payer and
+-- can be paid by anyone holding its code, once or, if reusable, many times.
+-- Every payment is a normal transfer and is listed in payment_request_payments.
+
+create table if not exists payment_requests (
+  id uuid primary key default gen_random_uuid(),
+  code text not null unique,
+  kind text not null check (kind in ('direct', 'link')),
+  requester_id uuid not null references users(id),
+  payer_id uuid references users(id),
+  -- Null lets the payer choose the amount (links only)
+  amount_minor bigint check (amount_minor > 0),
+  description text,
+  reusable boolean not null default false,
+  status text not null default 'pending' check (status in ('pending', 'paid', 'declined', 'cancelled', 'expired')),
+  expires_at timestamptz,
+  paid_count integer not null default 0,
+  paid_minor bigint not null default 0,
+  last_paid_at timestamptz,
+  decline_reason text,
+  closed_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  deleted_at timestamptz,
+  check (kind = 'link' or (payer_id is not null and amount_minor is not null and not reusable))
+);
+
+create index if not exists payment_requests_requester_id_created_at_idx
+  on payment_requests (requester_id, created_at desc);
+create index if not exists payment_requests_payer_id_status_idx on payment_requests (payer_id, status);
+
+create table if not exists payment_request_payments (
+  id uuid primary key default gen_random_uuid(),
+  request_id uuid not null references payment_requests(id),
+  payer_id uuid not null references users(id),
+  transaction_id uuid not null references transactions(id),
+  amount_minor bigint not null check (amount_minor > 0),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists payment_request_payments_request_id_idx on payment_request_payments (request_id, created_at desc);
+
+-- Record a completed payment and update the request's totals in one step
+create or replace function record_payment_request_payment(
+  p_request_id uuid,
+  p_payer_id uuid,
+  p_transaction_id uuid,
+  p_amount_minor bigint
+)
+returns setof payment_request_payments
+language plpgsql
+as $$
+begin
+  update payment_requests
+  set paid_count = paid_count + 1,
+      paid_minor = paid_minor + p_amount_minor,
+      last_paid_at = now(),
+      updated_at = now()
+  where id = p_request_id;
+
+  return query
+  insert into payment_request_payments (request_id, payer_id, transaction_id, amount_minor)
+  values (p_request_id, p_payer_id, p_transaction_id, p_amount_minor)
+  returning *;
+end;
+$$;
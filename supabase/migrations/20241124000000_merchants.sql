@@ -0,0 +1,76 @@
+-- Merchant profiles and QR payments
+--
+-- A user can hold one merchant profile. Customers pay it by scanning a QR
+-- payload; each payment is a transfer into the merchant owner's wallet and is
+-- listed in merchant_payments for sales reporting. The payment row is written
+-- before the transfer (transaction_id still empty) so a dynamic code cannot be
+-- paid twice, and removed again if the transfer fails.
+
+create table if not exists merchants (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null unique references users(id),
+  merchant_code text not null unique,
+  business_name text not null,
+  category text not null,
+  city text,
+  settlement_method text not null default 'wallet' check (settlement_method in ('wallet', 'mobile_money', 'bank')),
+  settlement_destination jsonb not null default '{}'::jsonb,
+  settlement_frequency text not null default 'daily' check (settlement_frequency in ('instant', 'daily', 'weekly')),
+  status text not null default 'active' check (status in ('active', 'suspended')),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  deleted_at timestamptz
+);
+
+create table if not exists merchant_payments (
+  id uuid primary key default gen_random_uuid(),
+  merchant_id uuid not null references merchants(id),
+  payer_id uuid not null references users(id),
+  transaction_id uuid references transactions(id),
+  amount_minor bigint not null check (amount_minor > 0),
+  fee_minor bigint not null default 0,
+  qr_type text not null check (qr_type in ('static', 'dynamic')),
+  reference text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists merchant_payments_merchant_id_created_at_idx
+  on merchant_payments (merchant_id, created_at desc);
+
+-- A dynamic code (amount + reference) can only be paid once
+create unique index if not exists merchant_payments_dynamic_reference_idx
+  on merchant_payments (merchant_id, reference)
+  where qr_type = 'dynamic';
+
+-- Completed sales per day over a period
+create or replace function merchant_sales_summary(
+  p_merchant_id uuid,
+  p_start timestamptz,
+  p_end timestamptz
+)
+returns table (
+  day date,
+  payment_count bigint,
+  amount_minor bigint,
+  static_count bigint,
+  dynamic_count bigint,
+  unique_payers bigint
+)
+language sql
+stable
+as $$
+  select
+    (created_at at time zone 'UTC')::date as day,
+    count(*) as payment_count,
+    coalesce(sum(amount_minor), 0)::bigint as amount_minor,
+    count(*) filter (where qr_type = 'static') as static_count,
+    count(*) filter (where qr_type = 'dynamic') as dynamic_count,
+    count(distinct payer_id) as unique_payers
+  from merchant_payments
+  where merchant_id = p_merchant_id
+    and transaction_id is not null
+    and created_at >= p_start
+    and created_at < p_end
+  group by 1
+  order by 1;
+$$;
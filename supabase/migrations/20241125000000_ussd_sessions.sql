@@ -0,0 +1,26 @@
+-- USSD channel: wallet PIN and menu sessions
+--
+-- Feature-phone users authenticate money movements with a 4-digit wallet PIN,
+-- separate from their account password. Repeated wrong PINs lock the PIN for
+-- a while.
+
+alter table users add column if not exists wallet_pin_hash text;
+alter table users add column if not exists wallet_pin_failed_attempts integer not null default 0;
+alter table users add column if not exists wallet_pin_locked_until timestamptz;
+alter table users add column if not exists wallet_pin_updated_at timestamptz;
+
+-- One row per aggregator session; the menu state machine keeps its position
+-- and collected inputs in state/data. Rows past expires_at are ignored and
+-- removed by the expiry sweep.
+create table if not exists ussd_sessions (
+  session_id text primary key,
+  msisdn text not null,
+  user_id uuid references users(id),
+  state text not null,
+  data jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  expires_at timestamptz not null
+);
+
+create index if not exists ussd_sessions_expires_at_idx on ussd_sessions (expires_at);
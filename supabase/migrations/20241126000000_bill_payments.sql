@@ -0,0 +1,61 @@
+-- Airtime and bill payments
+--
+-- billers is the catalog users pick from; reference_pattern is the rule a
+-- customer reference (phone, meter or account number) must match. A payment is
+-- debited from the wallet to system:bill_payments before the provider is
+-- called, then either confirmed or reversed with a refund.
+
+create table if not exists billers (
+  id uuid primary key default gen_random_uuid(),
+  slug text not null unique,
+  name text not null,
+  category text not null check (category in ('airtime', 'electricity', 'water', 'tv')),
+  -- The biller's code at the provider
+  provider_code text not null,
+  reference_label text not null,
+  reference_pattern text not null,
+  reference_hint text,
+  supports_lookup boolean not null default false,
+  min_minor bigint not null default 100 check (min_minor > 0),
+  max_minor bigint not null check (max_minor >= min_minor),
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+insert into billers (slug, name, category, provider_code, reference_label, reference_pattern, reference_hint, supports_lookup, min_minor, max_minor)
+values
+  ('mtn-airtime', 'MTN Airtime', 'airtime', 'MTN_AIRTIME', 'Phone number', '^0(24|25|53|54|55|59)\d{7}$', 'e.g. 0241234567', false, 100, 50000),
+  ('telecel-airtime', 'Telecel Airtime', 'airtime', 'TELECEL_AIRTIME', 'Phone number', '^0(20|50)\d{7}$', 'e.g. 0201234567', false, 100, 50000),
+  ('airteltigo-airtime', 'AirtelTigo Airtime', 'airtime', 'AT_AIRTIME', 'Phone number', '^0(26|27|56|57)\d{7}$', 'e.g. 0271234567', false, 100, 50000),
+  ('ecg-prepaid', 'ECG Prepaid', 'electricity', 'ECG_PREPAID', 'Meter number', '^\d{11,13}$', '11 to 13 digits', true, 500, 500000),
+  ('gwcl', 'Ghana Water', 'water', 'GWCL', 'Account number', '^\d{10}$', '10 digits', true, 500, 500000),
+  ('dstv', 'DStv', 'tv', 'DSTV', 'Smartcard number', '^\d{10}$', '10 digits', true, 1000, 200000)
+on conflict (slug) do nothing;
+
+create table if not exists bill_payments (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id),
+  biller_id uuid not null references billers(id),
+  customer_reference text not null,
+  customer_name text,
+  amount_minor bigint not null check (amount_minor > 0),
+  fee_minor bigint not null default 0,
+  -- pending: not yet debited; processing: debited, waiting on the provider
+  status text not null default 'pending' check (status in ('pending', 'processing', 'completed', 'reversed', 'failed')),
+  transaction_id uuid references transactions(id),
+  reversal_transaction_id uuid references transactions(id),
+  provider_reference text,
+  -- Prepaid token or receipt number returned by the provider
+  token text,
+  failure_reason text,
+  check_count integer not null default 0,
+  last_checked_at timestamptz,
+  completed_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  deleted_at timestamptz
+);
+
+create index if not exists bill_payments_user_id_created_at_idx on bill_payments (user_id, created_at desc);
+create index if not exists bill_payments_processing_idx on bill_payments (updated_at) where status = 'processing';
@@ -0,0 +1,98 @@
+-- Savings pots
+--
+-- A pot is a named sub-wallet with its own ledger account (pot:<pot id>,
+-- type 'pot'). Money moves between the main wallet and a pot as
+-- savings_deposit / savings_withdrawal transactions, so pot movements show in
+-- the user's transaction history. A pot can be locked until a date; taking
+-- money out before then is either blocked or charged the
+-- savings_early_withdrawal fee schedule.
+
+create table if not exists savings_pots (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id),
+  name text not null,
+  target_minor bigint check (target_minor > 0),
+  target_date date,
+  locked_until timestamptz,
+  early_withdrawal text not null default 'penalized' check (early_withdrawal in ('penalized', 'blocked')),
+  -- Scheduled top-up from the main wallet
+  auto_save_minor bigint check (auto_save_minor > 0),
+  auto_save_frequency text check (auto_save_frequency in ('daily', 'weekly', 'monthly')),
+  next_auto_save_at timestamptz,
+  last_auto_save_at timestamptz,
+  last_auto_save_error text,
+  status text not null default 'active' check (status in ('active', 'closed')),
+  closed_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  deleted_at timestamptz,
+  check ((auto_save_minor is null) = (auto_save_frequency is null))
+);
+
+create index if not exists savings_pots_user_id_idx on savings_pots (user_id) where status = 'active';
+create index if not exists savings_pots_next_auto_save_at_idx
+  on savings_pots (next_auto_save_at)
+  where status = 'active' and auto_save_minor is not null;
+
+-- Total held in a user's pots
+create or replace function user_savings_minor(p_user_id uuid)
+returns bigint
+language sql
+stable
+as $$
+  select coalesce(sum(balance_minor), 0)::bigint
+  from ledger_accounts
+  where user_id = p_user_id and type = 'pot';
+$$;
+
+-- Moving money between a user's own wallet and pots is neither spending nor
+-- income, so it does not use up any limit allowance.
+create or replace function wallet_limit_usage(p_user_id uuid)
+returns table (
+  balance_minor bigint,
+  daily_debit_minor bigint,
+  daily_credit_minor bigint,
+  monthly_debit_minor bigint,
+  monthly_credit_minor bigint
+)
+language sql
+stable
+as $$
+  with account as (
+    select id, balance_minor from ledger_accounts where code = 'wallet:' || p_user_id
+  ),
+  bounds as (
+    select
+      date_trunc('day', now() at time zone 'Africa/Accra') at time zone 'Africa/Accra' as day_start,
+      date_trunc('month', now() at time zone 'Africa/Accra') at time zone 'Africa/Accra' as month_start
+  ),
+  movements as (
+    select
+      e.created_at,
+      case
+        when t.type in ('savings_deposit', 'savings_withdrawal') then 0
+        when t.type in ('refund', 'withdrawal_release') then
+          case when e.direction = 'credit' then -e.amount_minor else 0 end
+        when e.direction = 'debit' then e.amount_minor
+        else 0
+      end as debit_minor,
+      case
+        when t.type in ('savings_deposit', 'savings_withdrawal') then 0
+        when t.type in ('refund', 'withdrawal_release') then
+          case when e.direction = 'debit' then -e.amount_minor else 0 end
+        when e.direction = 'credit' then e.amount_minor
+        else 0
+      end as credit_minor
+    from ledger_entries e
+    join transactions t on t.id = e.transaction_id
+    where e.account_id = (select id from account)
+      and e.created_at >= (select month_start from bounds)
+  )
+  select
+    coalesce((select balance_minor from account), 0)::bigint,
+    greatest(coalesce(sum(debit_minor) filter (where created_at >= (select day_start from bounds)), 0), 0)::bigint,
+    greatest(coalesce(sum(credit_minor) filter (where created_at >= (select day_start from bounds)), 0), 0)::bigint,
+    greatest(coalesce(sum(debit_minor), 0), 0)::bigint,
+    greatest(coalesce(sum(credit_minor), 0), 0)::bigint
+  from movements;
+$$;
@@ -0,0 +1,66 @@
+-- Scheduled and recurring transfers
+--
+-- A scheduled transfer is a standing instruction to send an amount to another
+-- user once (at starts_at), on an interval counted from starts_at, or on a
+-- cron expression (UTC). next_run_at is when the scheduler should next try it;
+-- occurrence_at is the scheduled time it is currently trying to pay, which
+-- stays the same while a payment that failed for lack of funds is retried.
+--
+-- Every attempt is written to scheduled_transfer_runs before any money moves;
+-- the unique key on (scheduled_transfer_id, occurrence_at, attempt) stops a
+-- second scheduler pass from paying the same attempt twice.
+
+create table if not exists scheduled_transfers (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id),
+  recipient_id uuid not null references users(id),
+  amount_minor bigint not null check (amount_minor > 0),
+  note text,
+  schedule_type text not null check (schedule_type in ('once', 'interval', 'cron')),
+  interval_unit text check (interval_unit in ('day', 'week', 'month')),
+  interval_count integer check (interval_count between 1 and 365),
+  cron_expression text,
+  starts_at timestamptz not null,
+  ends_at timestamptz,
+  max_runs integer check (max_runs > 0),
+  run_count integer not null default 0,
+  -- Retry policy for insufficient funds: how often and how far apart
+  max_retries integer not null default 3 check (max_retries between 0 and 10),
+  retry_delay_minutes integer not null default 60 check (retry_delay_minutes between 5 and 1440),
+  status text not null default 'active' check (status in ('active', 'paused', 'completed', 'cancelled')),
+  next_run_at timestamptz,
+  occurrence_at timestamptz,
+  attempt integer not null default 0,
+  last_run_at timestamptz,
+  last_run_status text,
+  last_failure_reason text,
+  cancelled_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  deleted_at timestamptz,
+  check (user_id <> recipient_id),
+  check ((schedule_type = 'interval') = (interval_unit is not null and interval_count is not null)),
+  check ((schedule_type = 'cron') = (cron_expression is not null))
+);
+
+create index if not exists scheduled_transfers_user_id_idx on scheduled_transfers (user_id, created_at desc);
+create index if not exists scheduled_transfers_due_idx on scheduled_transfers (next_run_at) where status = 'active';
+
+create table if not exists scheduled_transfer_runs (
+  id uuid primary key default gen_random_uuid(),
+  scheduled_transfer_id uuid not null references scheduled_transfers(id),
+  user_id uuid not null references users(id),
+  occurrence_at timestamptz not null,
+  attempt integer not null default 0,
+  -- processing: claimed, transfer not yet confirmed; retrying: failed for lack of funds, will be tried again
+  status text not null default 'processing' check (status in ('processing', 'succeeded', 'retrying', 'failed')),
+  amount_minor bigint not null,
+  fee_minor bigint not null default 0,
+  transaction_id uuid references transactions(id),
+  failure_reason text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (scheduled_transfer_id, occurrence_at, attempt)
+);
+
+create index if not exists scheduled_transfer_runs_transfer_idx on scheduled_transfer_runs (scheduled_transfer_id, created_at desc);
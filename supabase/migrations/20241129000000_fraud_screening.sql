@@ -0,0 +1,71 @@
+-- Fraud screening for money movement
+--
+-- Every transfer is scored before it runs. fraud_rules holds the rules and the
+-- score each adds when it fires; params are the rule's thresholds (amounts in
+-- minor units). The total decides the outcome: allow, a step-up challenge
+-- (the wallet PIN) or hold for review.
+--
+-- fraud_screenings records each score. A transfer held for review keeps its
+-- amount and fee in a fraud_review wallet hold and its details in payload;
+-- approving captures the hold to the recipient, declining releases it.
+
+create table if not exists fraud_rules (
+  code text primary key,
+  name text not null,
+  description text,
+  enabled boolean not null default true,
+  score integer not null check (score between 0 and 100),
+  params jsonb not null default '{}'::jsonb,
+  updated_by uuid references users(id),
+  updated_at timestamptz not null default now()
+);
+
+insert into fraud_rules (code, name, description, score, params)
+values
+  ('velocity_count', 'Transfer count', 'More transfers than allowed within the window', 40,
+    '{"window_minutes": 60, "max_count": 5}'),
+  ('velocity_amount', 'Transfer volume', 'More money sent than allowed within the window', 50,
+    '{"window_minutes": 1440, "max_amount_minor": 500000}'),
+  ('new_device_large_amount', 'New device, large amount', 'A large amount from a device first seen recently', 40,
+    '{"device_age_hours": 24, "min_amount_minor": 100000}'),
+  ('location_jump', 'Location jump', 'Request from far away from every recent session', 40,
+    '{"lookback_sessions": 10}'),
+  ('new_recipient', 'First transfer to recipient', 'The sender has never paid this recipient', 20,
+    '{"min_amount_minor": 0}'),
+  ('round_amount_burst', 'Round amount burst', 'Several round-number transfers within the window', 30,
+    '{"round_unit_minor": 10000, "window_minutes": 60, "min_count": 3}')
+on conflict (code) do nothing;
+
+create table if not exists fraud_screenings (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id),
+  operation text not null,
+  amount_minor bigint not null,
+  counterparty_id uuid references users(id),
+  score integer not null,
+  outcome text not null check (outcome in ('allow', 'challenge', 'hold_for_review')),
+  -- [{ code, score, detail }] for each rule that fired
+  triggered_rules jsonb not null default '[]'::jsonb,
+  device_fingerprint text,
+  ip_address text,
+  location jsonb,
+  challenge_passed_at timestamptz,
+  transaction_id uuid references transactions(id),
+  -- Review queue
+  review_status text check (review_status in ('pending', 'approved', 'declined')),
+  hold_id uuid references wallet_holds(id),
+  payload jsonb,
+  reviewed_by uuid references users(id),
+  reviewed_at timestamptz,
+  review_note text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  deleted_at timestamptz
+);
+
+create index if not exists fraud_screenings_user_id_idx on fraud_screenings (user_id, created_at desc);
+create index if not exists fraud_screenings_review_idx on fraud_screenings (created_at) where review_status = 'pending';
+
+alter table wallet_holds drop constraint if exists wallet_holds_purpose_check;
+alter table wallet_holds add constraint wallet_holds_purpose_check
+  check (purpose in ('withdrawal', 'verification_fee', 'escrow', 'fraud_review'));
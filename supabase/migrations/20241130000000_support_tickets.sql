@@ -0,0 +1,25 @@
+-- Support tickets
+--
+-- A ticket moves open -> pending (waiting on the user) -> resolved -> closed.
+-- A resolved ticket can be reopened until it is closed; closed is final.
+
+create table if not exists support_tickets (
+  id uuid primary key default gen_random_uuid(),
+  -- Short reference users quote to support, e.g. TKT-7KQ2M9
+  reference text not null unique,
+  user_id uuid not null references users(id),
+  subject text not null,
+  description text not null,
+  category text not null check (category in ('wallet', 'verification', 'account', 'other')),
+  priority text not null default 'normal' check (priority in ('low', 'normal', 'high', 'urgent')),
+  status text not null default 'open' check (status in ('open', 'pending', 'resolved', 'closed')),
+  status_changed_at timestamptz not null default now(),
+  resolved_at timestamptz,
+  closed_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  deleted_at timestamptz
+);
+
+create index if not exists support_tickets_user_id_idx on support_tickets (user_id, created_at desc);
+create index if not exists support_tickets_queue_idx on support_tickets (status, priority, created_at);
@@ -0,0 +1,43 @@
+-- Support ticket conversations
+--
+-- Every reply on a ticket is a message from the ticket's owner ('user') or
+-- from support ('staff'). Staff can also leave internal notes, which are never
+-- shown to the user. read_at records when the other side first saw a reply.
+
+create table if not exists support_ticket_messages (
+  id uuid primary key default gen_random_uuid(),
+  ticket_id uuid not null references support_tickets(id),
+  author_id uuid not null references users(id),
+  author_role text not null check (author_role in ('user', 'staff')),
+  body text not null,
+  internal boolean not null default false,
+  read_at timestamptz,
+  read_by uuid references users(id),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  deleted_at timestamptz,
+  constraint support_ticket_messages_internal_staff check (not internal or author_role = 'staff')
+);
+
+create index if not exists support_ticket_messages_ticket_id_idx on support_ticket_messages (ticket_id, created_at);
+create index if not exists support_ticket_messages_unread_idx on support_ticket_messages (ticket_id, author_role)
+  where read_at is null and not internal;
+
+-- Files attached to a message; the objects live in the private
+-- support-attachments bucket and are handed out as signed URLs
+create table if not exists support_ticket_attachments (
+  id uuid primary key default gen_random_uuid(),
+  message_id uuid not null references support_ticket_messages(id) on delete cascade,
+  ticket_id uuid not null references support_tickets(id),
+  file_name text not null,
+  content_type text not null,
+  size_bytes integer not null check (size_bytes > 0),
+  storage_path text not null unique,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists support_ticket_attachments_message_id_idx on support_ticket_attachments (message_id);
+
+insert into storage.buckets (id, name, public)
+values ('support-attachments', 'support-attachments', false)
+on conflict (id) do nothing;
@@ -0,0 +1,81 @@
+-- Support ticket ownership, SLAs and timeline
+--
+-- Tickets are routed to a team by category and handed to the team's members
+-- in turn (the member assigned longest ago goes next). Each priority has a
+-- first-response and a resolution target; a background check marks tickets
+-- that miss one and escalates them to the team's supervisor. Every change to a
+-- ticket is written to support_ticket_events.
+
+create table if not exists support_teams (
+  id uuid primary key default gen_random_uuid(),
+  name text not null unique,
+  -- Ticket categories routed to this team; a category belongs to one team
+  categories text[] not null default '{}',
+  supervisor_id uuid references users(id),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  deleted_at timestamptz
+);
+
+create table if not exists support_team_members (
+  team_id uuid not null references support_teams(id) on delete cascade,
+  admin_id uuid not null references users(id),
+  active boolean not null default true,
+  -- Round robin: the active member assigned longest ago is next
+  last_assigned_at timestamptz,
+  created_at timestamptz not null default now(),
+  primary key (team_id, admin_id)
+);
+
+create index if not exists support_team_members_rotation_idx
+  on support_team_members (team_id, last_assigned_at nulls first)
+  where active;
+
+create table if not exists support_sla_policies (
+  priority text primary key check (priority in ('low', 'normal', 'high', 'urgent')),
+  first_response_minutes integer not null check (first_response_minutes > 0),
+  resolution_minutes integer not null check (resolution_minutes > 0),
+  updated_by uuid references users(id),
+  updated_at timestamptz not null default now(),
+  constraint support_sla_policies_order check (resolution_minutes >= first_response_minutes)
+);
+
+insert into support_sla_policies (priority, first_response_minutes, resolution_minutes) values
+  ('urgent', 30, 240),
+  ('high', 120, 1440),
+  ('normal', 480, 4320),
+  ('low', 1440, 10080)
+on conflict (priority) do nothing;
+
+alter table support_tickets
+  add column if not exists team_id uuid references support_teams(id),
+  add column if not exists assignee_id uuid references users(id),
+  add column if not exists assigned_at timestamptz,
+  add column if not exists first_response_due_at timestamptz,
+  add column if not exists resolution_due_at timestamptz,
+  add column if not exists first_responded_at timestamptz,
+  add column if not exists first_response_breached_at timestamptz,
+  add column if not exists resolution_breached_at timestamptz,
+  add column if not exists escalation_level integer not null default 0,
+  add column if not exists escalated_to uuid references users(id),
+  add column if not exists escalated_at timestamptz;
+
+create index if not exists support_tickets_assignee_idx on support_tickets (assignee_id, status);
+create index if not exists support_tickets_first_response_due_idx on support_tickets (first_response_due_at)
+  where first_responded_at is null and first_response_breached_at is null;
+create index if not exists support_tickets_resolution_due_idx on support_tickets (resolution_due_at)
+  where resolution_breached_at is null and status in ('open', 'pending');
+
+-- actor_id is null for changes made by the background check
+create table if not exists support_ticket_events (
+  id uuid primary key default gen_random_uuid(),
+  ticket_id uuid not null references support_tickets(id),
+  event_type text not null check (event_type in (
+    'created', 'status_changed', 'assigned', 'first_response', 'sla_breached', 'escalated'
+  )),
+  actor_id uuid references users(id),
+  details jsonb not null default '{}',
+  created_at timestamptz not null default now()
+);
+
+create index if not exists support_ticket_events_ticket_id_idx on support_ticket_events (ticket_id, created_at);
@@ -0,0 +1,58 @@
+-- Transaction disputes
+--
+-- A dispute is a support ticket of type 'dispute' that names one or more of
+-- the user's transactions and a structured reason. Evidence is uploaded as
+-- attachments on the ticket's conversation. Resolving a dispute refunds the
+-- transactions in full or in part, or rejects it; each refund is recorded
+-- against its transaction so an interrupted resolution can be retried
+-- without refunding anything twice.
+
+alter table support_tickets
+  add column if not exists type text not null default 'general' check (type in ('general', 'dispute'));
+
+create index if not exists support_tickets_type_idx on support_tickets (type, status) where type <> 'general';
+
+create table if not exists transaction_disputes (
+  id uuid primary key default gen_random_uuid(),
+  ticket_id uuid not null unique references support_tickets(id),
+  user_id uuid not null references users(id),
+  reason text not null check (reason in (
+    'wrong_recipient', 'duplicate_charge', 'wrong_amount', 'not_received', 'unauthorized', 'other'
+  )),
+  status text not null default 'open' check (status in ('open', 'resolving', 'refunded', 'partially_refunded', 'rejected')),
+  resolved_by uuid references users(id),
+  resolved_at timestamptz,
+  resolution_note text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  deleted_at timestamptz
+);
+
+create index if not exists transaction_disputes_user_id_idx on transaction_disputes (user_id, created_at desc);
+create index if not exists transaction_disputes_status_idx on transaction_disputes (status, created_at);
+
+create table if not exists transaction_dispute_items (
+  dispute_id uuid not null references transaction_disputes(id),
+  transaction_id uuid not null references transactions(id),
+  -- What the user says they lost on this transaction
+  disputed_minor bigint not null check (disputed_minor > 0),
+  -- Set by the resolution; a refund_transaction_id means this item is settled
+  refund_minor bigint check (refund_minor > 0),
+  refund_transaction_id uuid references transactions(id),
+  -- Cleared when the dispute is closed so the transaction can be disputed again
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  primary key (dispute_id, transaction_id)
+);
+
+-- A transaction can only be in one open dispute at a time
+create unique index if not exists transaction_dispute_items_active_idx
+  on transaction_dispute_items (transaction_id)
+  where active;
+
+alter table support_ticket_events
+  drop constraint if exists support_ticket_events_event_type_check;
+alter table support_ticket_events
+  add constraint support_ticket_events_event_type_check check (event_type in (
+    'created', 'status_changed', 'assigned', 'first_response', 'sla_breached', 'escalated', 'dispute_resolved'
+  ));
@@ -0,0 +1,51 @@
+-- Inbound email
+--
+-- Mail sent to the support address arrives from the mail relay as raw MIME.
+-- A message naming a ticket (TKT-XXXXXX in the subject, or the
+-- support+TKT-XXXXXX@ reply address) is added to that ticket's conversation;
+-- anything else opens a new ticket. Mail from an address that does not belong
+-- to a user still opens a ticket, with no owner and flagged for triage, and
+-- the sender's address is kept so support can reply by email.
+
+alter table support_tickets
+  alter column user_id drop not null,
+  add column if not exists source text not null default 'app' check (source in ('app', 'email')),
+  add column if not exists requester_email text,
+  add column if not exists requester_name text,
+  add column if not exists needs_triage boolean not null default false,
+  add constraint support_tickets_requester check (user_id is not null or requester_email is not null);
+
+create index if not exists support_tickets_triage_idx on support_tickets (created_at) where needs_triage;
+
+alter table support_ticket_messages
+  alter column author_id drop not null,
+  add column if not exists source text not null default 'app' check (source in ('app', 'email')),
+  -- Set instead of author_id for mail from someone who is not a user
+  add column if not exists author_email text,
+  add constraint support_ticket_messages_author check (author_id is not null or author_email is not null);
+
+-- One row per message received. The relay may deliver the same message more
+-- than once; the unique message_id makes the second delivery a no-op.
+create table if not exists support_inbound_emails (
+  id uuid primary key default gen_random_uuid(),
+  message_id text not null unique,
+  from_address text not null,
+  subject text,
+  size_bytes integer not null,
+  status text not null default 'processing' check (status in ('processing', 'threaded', 'created', 'ignored')),
+  ticket_id uuid references support_tickets(id),
+  support_message_id uuid references support_ticket_messages(id),
+  -- Attachments that were not added to the ticket, with the reason
+  skipped_attachments jsonb not null default '[]',
+  received_at timestamptz not null default now(),
+  processed_at timestamptz
+);
+
+create index if not exists support_inbound_emails_ticket_id_idx on support_inbound_emails (ticket_id);
+
+alter table support_ticket_events
+  drop constraint if exists support_ticket_events_event_type_check;
+alter table support_ticket_events
+  add constraint support_ticket_events_event_type_check check (event_type in (
+    'created', 'status_changed', 'assigned', 'first_response', 'sla_breached', 'escalated', 'dispute_resolved', 'triaged'
+  ));
@@ -0,0 +1,43 @@
+-- Wallet PIN attempts
+--
+-- A PIN check claims an attempt before the PIN is compared, under a lock on
+-- the user's row, so parallel guesses each use up an attempt and cannot all
+-- slip in under one read of the counter. The attempt that reaches the limit
+-- locks the PIN; a correct PIN clears the count (and that lock) afterwards.
+
+create or replace function claim_wallet_pin_attempt(p_user_id uuid, p_max_attempts integer, p_lock_minutes integer)
+returns table (attempt integer, locked_until timestamptz)
+language plpgsql
+as $$
+declare
+  v_attempts integer;
+  v_locked_until timestamptz;
+begin
+  select wallet_pin_failed_attempts, wallet_pin_locked_until
+  into v_attempts, v_locked_until
+  from users
+  where id = p_user_id
+  for update;
+
+  if not found then
+    raise exception 'USER_NOT_FOUND';
+  end if;
+
+  -- Still locked: no attempt is claimed
+  if v_locked_until is not null and v_locked_until > now() then
+    return query select null::integer, v_locked_until;
+    return;
+  end if;
+
+  -- A lock that has run out starts a fresh count
+  v_attempts := case when v_locked_until is null then v_attempts else 0 end + 1;
+  v_locked_until := case when v_attempts >= p_max_attempts then now() + make_interval(mins => p_lock_minutes) end;
+
+  update users
+  set wallet_pin_failed_attempts = v_attempts,
+      wallet_pin_locked_until = v_locked_until
+  where id = p_user_id;
+
+  return query select v_attempts, v_locked_until;
+end;
+$$;
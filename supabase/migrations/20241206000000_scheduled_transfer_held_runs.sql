@@ -0,0 +1,13 @@
+-- Scheduled transfer runs held for review
+--
+-- Scheduled runs are fraud-screened like any other transfer. Nobody is there
+-- to answer a step-up challenge, so a risky run is held for review instead:
+-- its amount and fee go into a fraud_review wallet hold and approving the
+-- review sends it. The run is recorded as held and the instruction moves on
+-- to its next occurrence.
+
+alter table scheduled_transfer_runs drop constraint if exists scheduled_transfer_runs_status_check;
+alter table scheduled_transfer_runs add constraint scheduled_transfer_runs_status_check
+  check (status in ('processing', 'succeeded', 'retrying', 'failed', 'held'));
+
+alter table scheduled_transfer_runs add column if not exists fraud_screening_id uuid references fraud_screenings(id);
@@ -0,0 +1,41 @@
+-- Capture a wallet hold in one database transaction
+--
+-- The hold is marked captured and its debit posted together. Funds the hold
+-- frees are never visible to another debit before the capture is posted, and
+-- if the posting is rejected the hold is still active as if nothing happened.
+
+create or replace function capture_wallet_hold(
+  p_hold_id uuid,
+  p_transaction_id uuid,
+  p_entries jsonb,
+  p_captured_minor bigint,
+  p_closed_by uuid default null
+)
+returns setof ledger_entries
+language plpgsql
+as $$
+declare
+  v_hold wallet_holds%rowtype;
+begin
+  select * into v_hold from wallet_holds where id = p_hold_id for update;
+
+  if v_hold.id is null
+    or v_hold.status <> 'active'
+    or (v_hold.expires_at is not null and v_hold.expires_at <= now())
+    or v_hold.deleted_at is not null then
+    raise exception 'HOLD_NOT_ACTIVE';
+  end if;
+
+  -- Marked captured first so the hold does not block its own debit
+  update wallet_holds
+  set status = 'captured',
+      captured_minor = p_captured_minor,
+      capture_transaction_id = p_transaction_id,
+      closed_by = p_closed_by,
+      closed_at = now(),
+      updated_at = now()
+  where id = p_hold_id;
+
+  return query select * from post_ledger_transaction(p_transaction_id, p_entries);
+end;
+$$;
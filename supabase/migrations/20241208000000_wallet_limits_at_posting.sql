@@ -0,0 +1,295 @@
+-- Wallet limits enforced at posting time
+--
+-- Limits used to be checked only before a posting, so concurrent payments
+-- could each pass the check and together go over a daily or monthly cap.
+-- post_ledger_transaction now checks the wallets it is given, after taking the
+-- account locks, and raises LIMIT_EXCEEDED. The caller decides which wallets
+-- are limited (see Transaction.limitedWallets); the check before posting stays
+-- for its clearer messages.
+--
+-- Live holds count as spent: placing one checks the limits under the same
+-- lock, and until it is captured or released it uses up outgoing allowance,
+-- so several holds cannot add up past a cap.
+
+-- Same as before, plus live holds in the outgoing usage
+create or replace function wallet_limit_usage(p_user_id uuid)
+returns table (
+  balance_minor bigint,
+  daily_debit_minor bigint,
+  daily_credit_minor bigint,
+  monthly_debit_minor bigint,
+  monthly_credit_minor bigint
+)
+language sql
+stable
+as $$
+  with account as (
+    select id, balance_minor from ledger_accounts where code = 'wallet:' || p_user_id
+  ),
+  bounds as (
+    select
+      date_trunc('day', now() at time zone 'Africa/Accra') at time zone 'Africa/Accra' as day_start,
+      date_trunc('month', now() at time zone 'Africa/Accra') at time zone 'Africa/Accra' as month_start
+  ),
+  movements as (
+    select
+      e.created_at,
+      case
+        when t.type in ('savings_deposit', 'savings_withdrawal') then 0
+        when t.type in ('refund', 'withdrawal_release') then
+          case when e.direction = 'credit' then -e.amount_minor else 0 end
+        when e.direction = 'debit' then e.amount_minor
+        else 0
+      end as debit_minor,
+      case
+        when t.type in ('savings_deposit', 'savings_withdrawal') then 0
+        when t.type in ('refund', 'withdrawal_release') then
+          case when e.direction = 'debit' then -e.amount_minor else 0 end
+        when e.direction = 'credit' then e.amount_minor
+        else 0
+      end as credit_minor
+    from ledger_entries e
+    join transactions t on t.id = e.transaction_id
+    where e.account_id = (select id from account)
+      and e.created_at >= (select month_start from bounds)
+  )
+  select
+    coalesce((select balance_minor from account), 0)::bigint,
+    (greatest(coalesce(sum(debit_minor) filter (where created_at >= (select day_start from bounds)), 0), 0)
+      + wallet_held_minor(p_user_id))::bigint,
+    greatest(coalesce(sum(credit_minor) filter (where created_at >= (select day_start from bounds)), 0), 0)::bigint,
+    (greatest(coalesce(sum(debit_minor), 0), 0) + wallet_held_minor(p_user_id))::bigint,
+    greatest(coalesce(sum(credit_minor), 0), 0)::bigint
+  from movements;
+$$;
+
+-- Raise LIMIT_EXCEEDED unless a movement fits the holder's KYC limits (see
+-- FeeSchedule.kycLevel and WalletLimit.assertWithin). Call it with the
+-- wallet account locked.
+create or replace function assert_wallet_within_limits(p_user_id uuid, p_debit_minor bigint, p_credit_minor bigint)
+returns void
+language plpgsql
+as $$
+declare
+  v_limits wallet_limits%rowtype;
+  v_usage record;
+begin
+  if p_debit_minor = 0 and p_credit_minor = 0 then
+    return;
+  end if;
+
+  select l.* into v_limits
+  from users u
+  join wallet_limits l on l.kyc_level = case
+    when lower(u.identification_status::text) = 'approved' then 'id_verified'
+    when u.verified then 'email_verified'
+    else 'unverified'
+  end
+  where u.id = p_user_id;
+
+  if not found then
+    return;
+  end if;
+
+  select * into v_usage from wallet_limit_usage(p_user_id);
+
+  if greatest(p_debit_minor, p_credit_minor) > v_limits.per_transaction_minor
+    or (p_debit_minor > 0 and v_usage.daily_debit_minor + p_debit_minor > v_limits.daily_debit_minor)
+    or (p_debit_minor > 0 and v_usage.monthly_debit_minor + p_debit_minor > v_limits.monthly_debit_minor)
+    or (p_credit_minor > 0 and v_usage.daily_credit_minor + p_credit_minor > v_limits.daily_credit_minor)
+    or (p_credit_minor > 0 and v_usage.monthly_credit_minor + p_credit_minor > v_limits.monthly_credit_minor)
+    or (p_credit_minor > p_debit_minor
+      and v_usage.balance_minor + p_credit_minor - p_debit_minor > v_limits.max_balance_minor) then
+    raise exception 'LIMIT_EXCEEDED';
+  end if;
+end;
+$$;
+
+-- Same as before, plus the limit check for the wallet being held
+create or replace function place_wallet_hold(
+  p_user_id uuid,
+  p_amount_minor bigint,
+  p_purpose text,
+  p_description text default null,
+  p_metadata jsonb default '{}'::jsonb,
+  p_expires_at timestamptz default null,
+  p_placed_by uuid default null
+)
+returns setof wallet_holds
+language plpgsql
+as $$
+declare
+  v_balance bigint;
+begin
+  select balance_minor into v_balance
+  from ledger_accounts
+  where code = 'wallet:' || p_user_id
+  for update;
+
+  if coalesce(v_balance, 0) - wallet_held_minor(p_user_id) < p_amount_minor then
+    raise exception 'INSUFFICIENT_FUNDS';
+  end if;
+
+  perform assert_wallet_within_limits(p_user_id, p_amount_minor, 0);
+
+  return query
+  insert into wallet_holds (user_id, amount_minor, purpose, description, metadata, expires_at, placed_by)
+  values (p_user_id, p_amount_minor, p_purpose, p_description, coalesce(p_metadata, '{}'::jsonb), p_expires_at, p_placed_by)
+  returning *;
+end;
+$$;
+
+-- Same as before, plus the limit check for the wallets in p_limit_user_ids.
+-- The old two-argument version is dropped so calls are not ambiguous.
+drop function if exists post_ledger_transaction(uuid, jsonb);
+
+create or replace function post_ledger_transaction(
+  p_transaction_id uuid,
+  p_entries jsonb,
+  p_limit_user_ids uuid[] default '{}'
+)
+returns setof ledger_entries
+language plpgsql
+as $$
+declare
+  v_status text;
+  v_entry jsonb;
+  v_account ledger_accounts%rowtype;
+  v_movement record;
+  v_amount bigint;
+  v_debits bigint := 0;
+  v_credits bigint := 0;
+begin
+  select status into v_status from transactions where id = p_transaction_id for update;
+
+  if v_status is null then
+    raise exception 'TRANSACTION_NOT_FOUND';
+  end if;
+  if v_status <> 'pending' then
+    raise exception 'TRANSACTION_NOT_PENDING';
+  end if;
+
+  insert into ledger_accounts (code, user_id, type, allow_negative)
+  select distinct on (e->>'account')
+    e->>'account',
+    nullif(e->>'user_id', '')::uuid,
+    e->>'account_type',
+    coalesce((e->>'allow_negative')::boolean, false)
+  from jsonb_array_elements(p_entries) e
+  on conflict (code) do nothing;
+
+  -- Lock in a stable order so concurrent postings cannot deadlock
+  perform 1
+  from ledger_accounts
+  where code in (select e->>'account' from jsonb_array_elements(p_entries) e)
+  order by code
+  for update;
+
+  -- Limits are checked under the same locks, so concurrent postings cannot
+  -- each pass the check and together go over a cap
+  for v_movement in
+    select
+      (e->>'user_id')::uuid as user_id,
+      coalesce(sum((e->>'amount_minor')::bigint) filter (where e->>'direction' = 'debit'), 0) as debit_minor,
+      coalesce(sum((e->>'amount_minor')::bigint) filter (where e->>'direction' = 'credit'), 0) as credit_minor
+    from jsonb_array_elements(p_entries) e
+    where e->>'account_type' = 'wallet'
+      and (e->>'user_id')::uuid = any(p_limit_user_ids)
+    group by 1
+  loop
+    perform assert_wallet_within_limits(v_movement.user_id, v_movement.debit_minor, v_movement.credit_minor);
+  end loop;
+
+  for v_entry in select * from jsonb_array_elements(p_entries) loop
+    v_amount := (v_entry->>'amount_minor')::bigint;
+    if v_amount is null or v_amount <= 0 then
+      raise exception 'INVALID_ENTRY_AMOUNT';
+    end if;
+
+    select * into v_account from ledger_accounts where code = v_entry->>'account';
+
+    if v_entry->>'direction' = 'credit' then
+      v_credits := v_credits + v_amount;
+      v_account.balance_minor := v_account.balance_minor + v_amount;
+    elsif v_entry->>'direction' = 'debit' then
+      v_debits := v_debits + v_amount;
+      v_account.balance_minor := v_account.balance_minor - v_amount;
+    else
+      raise exception 'INVALID_ENTRY_DIRECTION';
+    end if;
+
+    if v_account.balance_minor < 0 and not v_account.allow_negative then
+      raise exception 'INSUFFICIENT_FUNDS';
+    end if;
+
+    if v_entry->>'direction' = 'debit'
+      and v_account.type = 'wallet'
+      and v_account.balance_minor < wallet_held_minor(v_account.user_id) then
+      raise exception 'INSUFFICIENT_FUNDS';
+    end if;
+
+    update ledger_accounts
+    set balance_minor = v_account.balance_minor, updated_at = now()
+    where id = v_account.id;
+
+    if v_account.type = 'wallet' then
+      update users
+      set wallet_balance = v_account.balance_minor / 100.0, updated_at = now()
+      where id = v_account.user_id;
+    end if;
+
+    insert into ledger_entries (transaction_id, account_id, user_id, direction, amount_minor, balance_after_minor)
+    values (p_transaction_id, v_account.id, v_account.user_id, v_entry->>'direction', v_amount, v_account.balance_minor);
+  end loop;
+
+  if v_debits <> v_credits then
+    raise exception 'UNBALANCED_TRANSACTION';
+  end if;
+
+  update transactions
+  set status = 'completed', completed_at = now(), updated_at = now()
+  where id = p_transaction_id;
+
+  return query select * from ledger_entries where transaction_id = p_transaction_id;
+end;
+$$;
+
+-- Same as before, passing the limited wallets on to the posting
+drop function if exists capture_wallet_hold(uuid, uuid, jsonb, bigint, uuid);
+
+create or replace function capture_wallet_hold(
+  p_hold_id uuid,
+  p_transaction_id uuid,
+  p_entries jsonb,
+  p_captured_minor bigint,
+  p_closed_by uuid default null,
+  p_limit_user_ids uuid[] default '{}'
+)
+returns setof ledger_entries
+language plpgsql
+as $$
+declare
+  v_hold wallet_holds%rowtype;
+begin
+  select * into v_hold from wallet_holds where id = p_hold_id for update;
+
+  if v_hold.id is null
+    or v_hold.status <> 'active'
+    or (v_hold.expires_at is not null and v_hold.expires_at <= now())
+    or v_hold.deleted_at is not null then
+    raise exception 'HOLD_NOT_ACTIVE';
+  end if;
+
+  -- Marked captured first so the hold does not block its own debit
+  update wallet_holds
+  set status = 'captured',
+      captured_minor = p_captured_minor,
+      capture_transaction_id = p_transaction_id,
+      closed_by = p_closed_by,
+      closed_at = now(),
+      updated_at = now()
+  where id = p_hold_id;
+
+  return query select * from post_ledger_transaction(p_transaction_id, p_entries, p_limit_user_ids);
+end;
+$$;
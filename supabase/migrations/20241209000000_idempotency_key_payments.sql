@@ -0,0 +1,11 @@
+-- Transactions and wallet holds record the idempotency key of the request
+-- that made them (metadata.idempotency_key_id), so a request that failed or
+-- died partway can tell whether it already moved money before its key is
+-- released or taken over.
+create index if not exists transactions_idempotency_key_idx
+  on transactions ((metadata->>'idempotency_key_id'))
+  where metadata ? 'idempotency_key_id';
+
+create index if not exists wallet_holds_idempotency_key_idx
+  on wallet_holds ((metadata->>'idempotency_key_id'))
+  where metadata ? 'idempotency_key_id';
@@ -0,0 +1,20 @@
+-- Post a payment request's transfer and record the payment against the
+-- request in one database transaction, so a posted payment is always in
+-- payment_request_payments and counted in paid_count / paid_minor.
+create or replace function post_payment_request_payment(
+  p_request_id uuid,
+  p_payer_id uuid,
+  p_transaction_id uuid,
+  p_entries jsonb,
+  p_amount_minor bigint,
+  p_limit_user_ids uuid[] default '{}'
+)
+returns setof ledger_entries
+language plpgsql
+as $$
+begin
+  return query select * from post_ledger_transaction(p_transaction_id, p_entries, p_limit_user_ids);
+
+  perform record_payment_request_payment(p_request_id, p_payer_id, p_transaction_id, p_amount_minor);
+end;
+$$;
@@ -0,0 +1,8 @@
+-- Only ACTIVE accounts can send or receive money, so every user needs a
+-- status. Accounts created before the column was filled in are active.
+alter table users add column if not exists status text;
+
+update users set status = 'ACTIVE' where status is null;
+
+alter table users alter column status set default 'ACTIVE';
+alter table users alter column status set not null;
@@ -0,0 +1,21 @@
+-- Dynamic merchant QR codes as issued
+--
+-- The EMVCo CRC is a checksum, not a signature: anyone can re-encode a
+-- payload with a different amount, or make one up. Each dynamic code is
+-- stored when the merchant generates it, and a scanned dynamic code is only
+-- paid if its reference was issued, is still open and carries the amount it
+-- was issued for. Static codes (payer enters the amount) are not stored.
+
+create table if not exists merchant_qr_codes (
+  id uuid primary key default gen_random_uuid(),
+  merchant_id uuid not null references merchants(id),
+  reference text not null,
+  amount_minor bigint not null check (amount_minor > 0),
+  status text not null default 'open' check (status in ('open', 'paid')),
+  expires_at timestamptz not null,
+  merchant_payment_id uuid references merchant_payments(id),
+  paid_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (merchant_id, reference)
+);
@@ -0,0 +1,5 @@
+-- A fraud review decision settles the scheduled run it held, found by its
+-- screening.
+create index if not exists scheduled_transfer_runs_fraud_screening_idx
+  on scheduled_transfer_runs (fraud_screening_id)
+  where status = 'held';
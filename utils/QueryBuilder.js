@@ -6,9 +6,7 @@ class QueryBuilder {
       throw new Error('Table name is required');
     }
     
-    // Initialize Supabase query for the table
     this.table = table;
-    this.query = supabase.from(table);
     this.supabase = supabase; // Store supabase instance for other operations
 
     // Default pagination values
@@ -16,6 +14,43 @@ class QueryBuilder {
     this.maxLimit = 100;
   }
 
+  /**
+   * Fresh Supabase query for the table. A builder keeps its filters, so
+   * each query needs its own.
+   */
+  get query() {
+    return this.supabase.from(this.table);
+  }
+
+  /**
+   * Apply equality filters and ranges to a query
+   * @param {Object} query Supabase query
+   * @param {Object} options Query options (filters, ranges: { column: { gte, lte } })
+   * @returns {Object} Filtered query
+   */
+  applyFilters(query, options = {}) {
+    if (options.filters) {
+      Object.entries(options.filters).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) {
+          query = query.eq(key, value);
+        }
+      });
+    }
+
+    if (options.ranges) {
+      Object.entries(options.ranges).forEach(([key, { gte, lte }]) => {
+        if (gte !== undefined && gte !== null) {
+          query = query.gte(key, gte);
+        }
+        if (lte !== undefined && lte !== null) {
+          query = query.lte(key, lte);
+        }
+      });
+    }
+
+    return query;
+  }
+
   /**
    * Build query with filters and pagination
    * @param {Object} options Query options
@@ -35,13 +70,7 @@ class QueryBuilder {
     }
 
     // Apply filters
-    if (options.filters) {
-      Object.entries(options.filters).forEach(([key, value]) => {
-        if (value !== undefined && value !== null) {
-          query = query.eq(key, value);
-        }
-      });
-    }
+    query = this.applyFilters(query, options);
 
     // Apply soft delete filter by default
     query = query.is('deleted_at', null);
@@ -78,17 +107,12 @@ class QueryBuilder {
       const query = this.buildQuery(options);
       
       // Get total count for pagination
-      const countQuery = this.query
-        .select('id', { count: 'exact' })
-        .is('deleted_at', null);
-
-      if (options.filters) {
-        Object.entries(options.filters).forEach(([key, value]) => {
-          if (value !== undefined && value !== null) {
-            countQuery.eq(key, value);
-          }
-        });
-      }
+      const countQuery = this.applyFilters(
+        this.query
+          .select('id', { count: 'exact' })
+          .is('deleted_at', null),
+        options
+      );
 
       // Execute both queries in parallel
       const [{ data, error }, { count, error: countError }] = await Promise.all([
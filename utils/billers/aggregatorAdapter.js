@@ -0,0 +1,101 @@
+// utils/billers/aggregatorAdapter.js
+const config = require('../../config/env');
+const MoneyUtils = require('../moneyUtils');
+const { AppError } = require('../../middlewares/errorHandler');
+const BaseBillerAdapter = require('./baseBillerAdapter');
+
+const STATUS_MAP = {
+  SUCCESS: 'successful',
+  SUCCESSFUL: 'successful',
+  FAILED: 'failed',
+  DECLINED: 'failed',
+  PENDING: 'pending',
+  PROCESSING: 'pending'
+};
+
+/**
+ * Bill payment aggregator reached over a JSON API, one account for every biller
+ */
+class AggregatorAdapter extends BaseBillerAdapter {
+  constructor() {
+    super({ name: 'Bill payment aggregator' });
+    this.apiUrl = config.BILLER_API_URL;
+    this.apiKey = config.BILLER_API_KEY;
+  }
+
+  async request(method, path, body) {
+    if (!this.apiUrl || !this.apiKey) {
+      throw new AppError(`${this.name} is not configured`, 503);
+    }
+
+    const response = await fetch(`${this.apiUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${this.apiKey}`
+      },
+      ...(body && { body: JSON.stringify(body) })
+    });
+    const data = await response.json().catch(() => ({}));
+
+    return { status: response.status, ok: response.ok, data };
+  }
+
+  normalize(data) {
+    return {
+      status: STATUS_MAP[String(data.status).toUpperCase()] || BaseBillerAdapter.STATUSES.PENDING,
+      providerReference: data.transaction_id || null,
+      token: data.token || data.receipt_number || null,
+      message: data.message || null
+    };
+  }
+
+  async lookup({ biller, customerReference }) {
+    const { ok, status, data } = await this.request(
+      'GET',
+      `/billers/${encodeURIComponent(biller.provider_code)}/customers/${encodeURIComponent(customerReference)}`
+    );
+
+    if (status === 404) {
+      throw new AppError(`${biller.reference_label} not found`, 404);
+    }
+    if (!ok) {
+      throw new AppError(`${this.name} lookup failed (${status})`, 502);
+    }
+
+    return { customerName: data.customer_name || null, details: data.details || {} };
+  }
+
+  async pay({ biller, reference, customerReference, amountMinor }) {
+    const { ok, status, data } = await this.request('POST', '/payments', {
+      biller: biller.provider_code,
+      reference,
+      customer_reference: customerReference,
+      amount: MoneyUtils.fromMinorUnits(amountMinor).toFixed(2),
+      currency: 'GHS'
+    });
+
+    // A 4xx is a definite rejection; anything else may still go through
+    if (status >= 400 && status < 500) {
+      return { ...this.normalize(data), status: BaseBillerAdapter.STATUSES.FAILED };
+    }
+    if (!ok) {
+      return { ...this.normalize(data), status: BaseBillerAdapter.STATUSES.PENDING };
+    }
+    return this.normalize(data);
+  }
+
+  async checkStatus({ reference }) {
+    const { ok, status, data } = await this.request('GET', `/payments/${encodeURIComponent(reference)}`);
+
+    if (status === 404) {
+      return { status: BaseBillerAdapter.STATUSES.FAILED, message: 'Payment not found at provider' };
+    }
+    if (!ok) {
+      return { status: BaseBillerAdapter.STATUSES.PENDING };
+    }
+    return this.normalize(data);
+  }
+}
+
+module.exports = AggregatorAdapter;
@@ -0,0 +1,46 @@
+// utils/billers/baseBillerAdapter.js
+const { AppError } = require('../../middlewares/errorHandler');
+
+/**
+ * Bill payment provider adapter.
+ * Subclasses implement lookup(), pay() and checkStatus(). Payment results are
+ * normalized to { status: 'successful'|'failed'|'pending', providerReference, token, message }.
+ */
+class BaseBillerAdapter {
+  static STATUSES = {
+    SUCCESSFUL: 'successful',
+    FAILED: 'failed',
+    PENDING: 'pending'
+  };
+
+  constructor({ name }) {
+    this.name = name;
+  }
+
+  /**
+   * Find the customer behind a reference (meter, account or smartcard number)
+   * @returns {Promise<Object>} { customerName, details }
+   */
+  async lookup() {
+    throw new AppError(`${this.name} does not support customer lookup`, 400);
+  }
+
+  /**
+   * Pay a bill. An outcome the provider has not decided yet is pending and is
+   * settled later through checkStatus().
+   * @returns {Promise<Object>} Normalized result
+   */
+  async pay() {
+    throw new Error(`${this.name} adapter must implement pay`);
+  }
+
+  /**
+   * Ask the provider for the outcome of an earlier payment
+   * @returns {Promise<Object>} Normalized result
+   */
+  async checkStatus() {
+    throw new Error(`${this.name} adapter must implement checkStatus`);
+  }
+}
+
+module.exports = BaseBillerAdapter;
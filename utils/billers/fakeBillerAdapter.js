@@ -0,0 +1,56 @@
+// utils/billers/fakeBillerAdapter.js
+const { v4: uuidv4 } = require('uuid');
+const { AppError } = require('../../middlewares/errorHandler');
+const BaseBillerAdapter = require('./baseBillerAdapter');
+
+/**
+ * Offline stand-in for the aggregator. The customer reference picks the outcome:
+ *   ending in 000 - lookup finds no customer
+ *   ending in 13  - payment is declined
+ *   ending in 99  - payment stays pending until the first status check
+ *   anything else - payment succeeds
+ */
+class FakeBillerAdapter extends BaseBillerAdapter {
+  constructor() {
+    super({ name: 'Fake biller' });
+  }
+
+  async lookup({ biller, customerReference }) {
+    if (customerReference.endsWith('000')) {
+      throw new AppError(`${biller.reference_label} not found`, 404);
+    }
+
+    return {
+      customerName: `Test Customer ${customerReference.slice(-4)}`,
+      details: { biller: biller.slug }
+    };
+  }
+
+  result(biller, status) {
+    return {
+      status,
+      providerReference: `FAKE-${uuidv4()}`,
+      // Prepaid electricity vends a 20-digit token
+      token: status === BaseBillerAdapter.STATUSES.SUCCESSFUL && biller.category === 'electricity'
+        ? Array.from({ length: 20 }, () => Math.floor(Math.random() * 10)).join('')
+        : null,
+      message: status === BaseBillerAdapter.STATUSES.FAILED ? 'Declined by fake biller' : null
+    };
+  }
+
+  async pay({ biller, customerReference }) {
+    if (customerReference.endsWith('13')) {
+      return this.result(biller, BaseBillerAdapter.STATUSES.FAILED);
+    }
+    if (customerReference.endsWith('99')) {
+      return this.result(biller, BaseBillerAdapter.STATUSES.PENDING);
+    }
+    return this.result(biller, BaseBillerAdapter.STATUSES.SUCCESSFUL);
+  }
+
+  async checkStatus({ biller }) {
+    return this.result(biller, BaseBillerAdapter.STATUSES.SUCCESSFUL);
+  }
+}
+
+module.exports = FakeBillerAdapter;
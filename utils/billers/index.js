@@ -0,0 +1,28 @@
+// utils/billers/index.js
+const config = require('../../config/env');
+const AggregatorAdapter = require('./aggregatorAdapter');
+const FakeBillerAdapter = require('./fakeBillerAdapter');
+
+const ADAPTERS = {
+  aggregator: AggregatorAdapter
+};
+
+// The fake provider is never available in production
+if (config.NODE_ENV !== 'production') {
+  ADAPTERS.fake = FakeBillerAdapter;
+}
+
+class Billers {
+  /**
+   * Adapter for the configured bill payment provider
+   */
+  static getAdapter() {
+    const Adapter = ADAPTERS[config.BILLER_PROVIDER];
+    if (!Adapter) {
+      throw new Error(`Unknown bill payment provider: ${config.BILLER_PROVIDER}`);
+    }
+    return new Adapter();
+  }
+}
+
+module.exports = Billers;
@@ -0,0 +1,118 @@
+// utils/cronSchedule.js
+// Reads five-field cron expressions (minute hour day-of-month month day-of-week)
+// and finds the next time one matches, in UTC (Ghana time). Fields take *,
+// single values, ranges (1-5), lists (1,15) and steps (*/2, 1-10/3); day of
+// week runs 0-6 from Sunday, with 7 also meaning Sunday. As in standard cron,
+// when both day fields are restricted a day matching either one matches.
+class CronSchedule {
+  static FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+  ];
+
+  // How far ahead to look before deciding an expression never matches (e.g. 30 February)
+  static SEARCH_DAYS = 366 * 5;
+
+  /**
+   * Parse one field into the set of values it allows
+   */
+  static parseField(text, { name, min, max }) {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+      const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+      if (!match) {
+        throw new Error(`Invalid ${name} field "${text}"`);
+      }
+
+      const [, range, start, end, step] = match;
+      const from = range === '*' ? min : Number(start);
+      const to = range === '*' ? max : end !== undefined ? Number(end) : step ? max : from;
+      const every = step ? Number(step) : 1;
+
+      if (from < min || to > max || from > to || every < 1) {
+        throw new Error(`Invalid ${name} field "${text}"`);
+      }
+      for (let value = from; value <= to; value += every) {
+        values.add(value);
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Parse an expression
+   * @param {string} expression - Five-field cron expression
+   * @returns {Object} Allowed values per field
+   */
+  static parse(expression) {
+    const parts = String(expression).trim().split(/\s+/);
+    if (parts.length !== 5) {
+      throw new Error('A cron expression needs five fields: minute hour day-of-month month day-of-week');
+    }
+
+    const [minutes, hours, days, months, weekdays] = parts.map((part, index) => this.parseField(part, this.FIELDS[index]));
+    if (weekdays.delete(7)) weekdays.add(0);
+
+    return {
+      minutes,
+      hours,
+      days,
+      months,
+      weekdays,
+      anyDay: parts[2] === '*',
+      anyWeekday: parts[4] === '*'
+    };
+  }
+
+  static matchesDay(schedule, date) {
+    if (!schedule.months.has(date.getUTCMonth() + 1)) return false;
+
+    const dayMatches = schedule.days.has(date.getUTCDate());
+    const weekdayMatches = schedule.weekdays.has(date.getUTCDay());
+
+    if (schedule.anyDay) return weekdayMatches;
+    if (schedule.anyWeekday) return dayMatches;
+    return dayMatches || weekdayMatches;
+  }
+
+  /**
+   * The first matching minute strictly after a time
+   * @param {string|Object} expression - Cron expression or parse() result
+   * @param {Date} after - Time to search from
+   * @returns {Date|null} Next match, or null if there is none within SEARCH_DAYS
+   */
+  static nextAfter(expression, after = new Date()) {
+    const schedule = typeof expression === 'string' ? this.parse(expression) : expression;
+    const hours = [...schedule.hours].sort((a, b) => a - b);
+    const minutes = [...schedule.minutes].sort((a, b) => a - b);
+
+    // Start from the next whole minute
+    const start = new Date(after);
+    start.setUTCSeconds(0, 0);
+    start.setUTCMinutes(start.getUTCMinutes() + 1);
+
+    const day = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate()));
+
+    for (let i = 0; i < this.SEARCH_DAYS; i++) {
+      if (this.matchesDay(schedule, day)) {
+        for (const hour of hours) {
+          for (const minute of minutes) {
+            const candidate = new Date(day);
+            candidate.setUTCHours(hour, minute);
+            if (candidate >= start) return candidate;
+          }
+        }
+      }
+      day.setUTCDate(day.getUTCDate() + 1);
+    }
+
+    return null;
+  }
+}
+
+module.exports = CronSchedule;
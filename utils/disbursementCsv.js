@@ -0,0 +1,111 @@
+// utils/disbursementCsv.js
+const StatementGenerator = require('./statementGenerator');
+
+class DisbursementCsv {
+  static REQUIRED_COLUMNS = ['recipient', 'amount', 'reference'];
+
+  static RESULT_HEADERS = [
+    'Row', 'Recipient', 'Recipient ID', 'Amount', 'Reference', 'Status', 'Errors', 'Transaction ID', 'Processed at'
+  ];
+
+  /**
+   * Split CSV text into rows of fields (RFC 4180 quoting)
+   */
+  static parseRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    // Skip blank lines
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+  }
+
+  /**
+   * Parse a disbursement file into { row_number, recipient, amount, reference } records.
+   * Row numbers count the header as row 1, matching what a spreadsheet shows.
+   */
+  static parse(text) {
+    const [header, ...rows] = this.parseRows(text.replace(/^\uFEFF/, ''));
+    if (!header) {
+      throw new Error('The file is empty');
+    }
+
+    const columns = header.map(column => column.trim().toLowerCase());
+    const missing = this.REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+    if (missing.length > 0) {
+      throw new Error(`Missing column${missing.length === 1 ? '' : 's'}: ${missing.join(', ')}`);
+    }
+
+    return rows.map((fields, index) => ({
+      row_number: index + 2,
+      ...Object.fromEntries(
+        this.REQUIRED_COLUMNS.map(column => [column, (fields[columns.indexOf(column)] || '').trim()])
+      )
+    }));
+  }
+
+  /**
+   * Render a batch's per-row results as CSV
+   */
+  static toCsv(batch, items) {
+    const lines = [
+      ['Batch', batch.id],
+      ['File', batch.file_name],
+      ['Status', batch.status],
+      ['Paid', `${batch.paid_count} of ${batch.valid_count} (${StatementGenerator.formatAmount(batch.paid_minor)})`],
+      ['Failed', batch.failed_count],
+      ['Invalid', batch.invalid_count],
+      [],
+      this.RESULT_HEADERS,
+      ...items.map(item => [
+        item.row_number,
+        item.recipient,
+        item.recipient_id,
+        item.amount_minor === null ? '' : StatementGenerator.formatAmount(item.amount_minor),
+        item.reference,
+        item.status,
+        (item.errors || []).join('; '),
+        item.transaction_id,
+        item.processed_at
+      ])
+    ];
+
+    return lines.map(line => line.map(value => StatementGenerator.escapeCsv(value)).join(',')).join('\n');
+  }
+}
+
+module.exports = DisbursementCsv;
@@ -1,6 +1,7 @@
 // utils/emailService.js
 const nodemailer = require('nodemailer');
 const config = require('../config/env');
+const MoneyUtils = require('./moneyUtils');
 
 class EmailService {
   static transporter = null;
@@ -103,6 +104,251 @@ class EmailService {
       return false;
     }
   }
+
+  /**
+   * Send a notification email using the standard layout
+   */
+  static async sendNotificationEmail(email, name, subject, heading, bodyHtml, options = {}) {
+    try {
+      await this.createTransporter();
+
+      const mailOptions = {
+        from: {
+          name: 'Ultimate Blog',
+          address: config.SMTP_USER
+        },
+        to: email,
+        ...(options.replyTo && { replyTo: options.replyTo }),
+        subject: `${subject} - Ultimate Blog`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+            <div style="background-color: #ffffff; padding: 20px; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+              <h2 style="color: #444; margin-bottom: 20px;">${heading}</h2>
+
+              <p style="color: #666; font-size: 16px;">Hi ${name},</p>
+
+              ${bodyHtml}
+            </div>
+
+            <div style="text-align: center; margin-top: 20px; color: #999; font-size: 12px;">
+              <p>© ${new Date().getFullYear()} Ultimate Blog. All rights reserved.</p>
+            </div>
+          </div>
+        `
+      };
+
+      const info = await this.transporter.sendMail(mailOptions);
+      console.log(`${subject} email sent:`, info.messageId);
+      return true;
+
+    } catch (error) {
+      console.error(`Failed to send ${subject} email:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Escape text written by another user before putting it in an email
+   */
+  static escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Tell a user someone has asked them for money
+   */
+  static async sendPaymentRequestEmail(email, name, request, requester) {
+    const amount = MoneyUtils.fromMinorUnits(request.amount_minor).toFixed(2);
+
+    return this.sendNotificationEmail(
+      email,
+      name,
+      'Payment Request',
+      'You have a payment request',
+      `
+        <p style="color: #666; font-size: 16px;">${this.escapeHtml(requester.name)} (${requester.agent_code}) has asked you to pay GHS ${amount}.</p>
+        ${request.description ? `<p style="color: #666; font-size: 14px;">For: ${this.escapeHtml(request.description)}</p>` : ''}
+        <p style="color: #666; font-size: 14px;">Open the app to pay or decline it.</p>
+        <p style="color: #999; font-size: 12px;">Reference: ${request.code}</p>
+      `
+    );
+  }
+
+  /**
+   * Tell a user how a run of one of their scheduled transfers went
+   */
+  static async sendScheduledTransferEmail(email, name, transfer, run, recipient) {
+    const amount = MoneyUtils.fromMinorUnits(run.amount_minor).toFixed(2);
+    const to = recipient ? `${this.escapeHtml(recipient.name)} (${recipient.agent_code})` : 'the recipient';
+    const retryAt = new Date(Date.now() + transfer.retry_delay_minutes * 60 * 1000);
+    const messages = {
+      succeeded: `Your scheduled transfer of GHS ${amount} to ${to} was sent.`,
+      retrying: `Your scheduled transfer of GHS ${amount} to ${to} could not be sent: ${this.escapeHtml(run.failure_reason)}. We will try again at ${retryAt.toUTCString()}.`,
+      failed: `Your scheduled transfer of GHS ${amount} to ${to} could not be sent: ${this.escapeHtml(run.failure_reason)}.`,
+      held: `Your scheduled transfer of GHS ${amount} to ${to} is being reviewed. The funds are on hold until it is approved.`
+    };
+    const headings = {
+      succeeded: 'Scheduled transfer sent',
+      retrying: 'Scheduled transfer delayed',
+      failed: 'Scheduled transfer failed',
+      held: 'Scheduled transfer under review'
+    };
+
+    return this.sendNotificationEmail(
+      email,
+      name,
+      'Scheduled Transfer',
+      headings[run.status],
+      `
+        <p style="color: #666; font-size: 16px;">${messages[run.status]}</p>
+        ${run.fee_minor > 0 ? `<p style="color: #666; font-size: 14px;">Fee: GHS ${MoneyUtils.fromMinorUnits(run.fee_minor).toFixed(2)}</p>` : ''}
+        ${transfer.note ? `<p style="color: #666; font-size: 14px;">Note: ${this.escapeHtml(transfer.note)}</p>` : ''}
+        <p style="color: #999; font-size: 12px;">Reference: ${transfer.id}</p>
+      `
+    );
+  }
+
+  /**
+   * Tell a user the outcome of a payment that was held for review
+   */
+  static async sendPaymentReviewEmail(email, name, screening) {
+    const amount = MoneyUtils.fromMinorUnits(screening.amount_minor).toFixed(2);
+    const to = screening.counterparty ? ` to ${this.escapeHtml(screening.counterparty.name)}` : '';
+    const approved = screening.review_status === 'approved';
+
+    return this.sendNotificationEmail(
+      email,
+      name,
+      'Payment Review',
+      approved ? 'Payment approved' : 'Payment declined',
+      `
+        <p style="color: #666; font-size: 16px;">${approved
+          ? `Your payment of GHS ${amount}${to} has been approved and sent.`
+          : `Your payment of GHS ${amount}${to} was declined after review. The funds have been released back to your wallet.`}</p>
+        ${!approved && screening.review_note ? `<p style="color: #666; font-size: 14px;">Reason: ${this.escapeHtml(screening.review_note)}</p>` : ''}
+        <p style="color: #999; font-size: 12px;">Reference: ${screening.id}</p>
+      `
+    );
+  }
+
+  /**
+   * Address that threads a reply onto a ticket, e.g. support+TKT-7KQ2M9@example.com,
+   * or null when no support address is configured
+   */
+  static ticketReplyAddress(ticket) {
+    const [mailbox, domain] = (config.SUPPORT_EMAIL || '').split('@');
+    return mailbox && domain ? `${mailbox}+${ticket.reference}@${domain}` : null;
+  }
+
+  /**
+   * Tell the other side of a support ticket there is a new reply
+   */
+  static async sendTicketReplyEmail(email, name, ticket, message, fromSupport) {
+    const attachments = message.attachments.length
+      ? `<p style="color: #666; font-size: 14px;">${message.attachments.length} attachment(s) added.</p>`
+      : '';
+    // A customer's reply to this email is threaded onto the ticket; someone who wrote in by email
+    // may not have the app. Staff always reply from the support queue.
+    const replyTo = fromSupport ? this.ticketReplyAddress(ticket) : null;
+    const elsewhere = fromSupport ? (ticket.user_id ? 'in the app' : null) : 'from the support queue';
+    const howToReply = replyTo
+      ? `Reply to this email${elsewhere ? ` or ${elsewhere}` : ''}.`
+      : elsewhere ? `Reply ${elsewhere}.` : 'Quote the reference below when you contact us.';
+
+    return this.sendNotificationEmail(
+      email,
+      name,
+      `Ticket ${ticket.reference}`,
+      fromSupport ? 'Support has replied to your ticket' : 'New reply from the customer',
+      `
+        <p style="color: #666; font-size: 16px;">${this.escapeHtml(ticket.subject)}</p>
+        <div style="background-color: #f8f9fa; padding: 15px; margin: 20px 0; border-radius: 4px; color: #333; font-size: 14px; white-space: pre-wrap;">${this.escapeHtml(message.body)}</div>
+        ${attachments}
+        <p style="color: #666; font-size: 14px;">${howToReply}</p>
+        <p style="color: #999; font-size: 12px;">Reference: ${ticket.reference}</p>
+      `,
+      { replyTo }
+    );
+  }
+
+  /**
+   * Tell a supervisor a ticket has missed its SLA
+   */
+  static async sendTicketEscalationEmail(email, name, ticket, target) {
+    const missed = target === 'first_response' ? 'first-response' : 'resolution';
+    const dueAt = new Date(ticket[`${target}_due_at`]).toUTCString();
+
+    return this.sendNotificationEmail(
+      email,
+      name,
+      `Escalated: Ticket ${ticket.reference}`,
+      'A ticket has missed its SLA',
+      `
+        <p style="color: #666; font-size: 16px;">${this.escapeHtml(ticket.subject)}</p>
+        <p style="color: #666; font-size: 14px;">This ${ticket.priority} priority ticket missed its ${missed} target, which was due ${dueAt}, and has been escalated to you (level ${ticket.escalation_level}).</p>
+        <p style="color: #666; font-size: 14px;">${ticket.assignee_id ? 'It is assigned, but has not been dealt with in time.' : 'Nobody is assigned to it yet.'}</p>
+        <p style="color: #999; font-size: 12px;">Reference: ${ticket.reference}</p>
+      `
+    );
+  }
+
+  /**
+   * Tell a user how their transaction dispute was resolved
+   */
+  static async sendDisputeOutcomeEmail(email, name, dispute) {
+    const refundedMinor = dispute.items.reduce((total, item) => total + Number(item.refund_minor || 0), 0);
+    const amount = MoneyUtils.fromMinorUnits(refundedMinor).toFixed(2);
+    const messages = {
+      refunded: `Your dispute has been upheld and GHS ${amount} has been refunded to your wallet.`,
+      partially_refunded: `Your dispute has been partly upheld and GHS ${amount} has been refunded to your wallet.`,
+      rejected: 'After reviewing your dispute we were unable to refund these transactions.'
+    };
+
+    return this.sendNotificationEmail(
+      email,
+      name,
+      `Dispute ${dispute.ticket.reference}`,
+      'Your dispute has been resolved',
+      `
+        <p style="color: #666; font-size: 16px;">${messages[dispute.status]}</p>
+        <p style="color: #666; font-size: 14px;">Transactions: ${dispute.items.map(item => item.transaction.reference).join(', ')}</p>
+        ${dispute.resolution_note ? `<p style="color: #666; font-size: 14px;">Note: ${this.escapeHtml(dispute.resolution_note)}</p>` : ''}
+        <p style="color: #666; font-size: 14px;">If you disagree, reply on the ticket in the app.</p>
+        <p style="color: #999; font-size: 12px;">Reference: ${dispute.ticket.reference}</p>
+      `
+    );
+  }
+
+  /**
+   * Send withdrawal status update email
+   */
+  static async sendWithdrawalStatusEmail(email, name, withdrawal) {
+    const amount = MoneyUtils.fromMinorUnits(withdrawal.amount_minor).toFixed(2);
+    const messages = {
+      pending: `We have received your request to withdraw GHS ${amount}. The funds are on hold until our team reviews it.`,
+      approved: `Your withdrawal of GHS ${amount} has been approved and is being paid out.`,
+      rejected: `Your withdrawal of GHS ${amount} was not approved. The funds have been returned to your wallet.`,
+      paid: `Your withdrawal of GHS ${amount} has been paid out.`,
+      failed: `We could not pay out your withdrawal of GHS ${amount}. The funds have been returned to your wallet.`
+    };
+
+    return this.sendNotificationEmail(
+      email,
+      name,
+      'Withdrawal Update',
+      `Withdrawal ${withdrawal.status}`,
+      `
+        <p style="color: #666; font-size: 16px;">${messages[withdrawal.status]}</p>
+        ${withdrawal.review_note ? `<p style="color: #666; font-size: 14px;">Note: ${withdrawal.review_note}</p>` : ''}
+        <p style="color: #999; font-size: 12px;">Reference: ${withdrawal.id}</p>
+      `
+    );
+  }
 }
 
 module.exports = EmailService;
\ No newline at end of file
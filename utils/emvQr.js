@@ -0,0 +1,160 @@
+// utils/emvQr.js
+// Builds and reads EMVCo merchant-presented QR payloads. A payload is a run of
+// ID (2 digits) + length (2 digits) + value fields, ending with a CRC-16 over
+// everything before the checksum itself.
+class EmvQr {
+  // Merchant account template and the identifier of our scheme inside it
+  static MERCHANT_ACCOUNT_ID = '26';
+  static GUID = 'COM.UB.WALLET';
+
+  static CURRENCY_GHS = '936';
+  static COUNTRY_CODE = 'GH';
+
+  static POINT_OF_INITIATION = {
+    static: '11',
+    dynamic: '12'
+  };
+
+  /**
+   * CRC-16/CCITT-FALSE (poly 0x1021, init 0xFFFF) as 4 uppercase hex digits
+   */
+  static crc16(text) {
+    let crc = 0xffff;
+    for (const byte of Buffer.from(text, 'utf8')) {
+      crc ^= byte << 8;
+      for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+      }
+    }
+    return crc.toString(16).toUpperCase().padStart(4, '0');
+  }
+
+  /**
+   * Encode one field. Lengths count UTF-8 bytes, as scanners read them.
+   */
+  static field(id, value) {
+    const text = String(value);
+    const length = Buffer.byteLength(text, 'utf8');
+    if (length > 99) {
+      throw new Error(`QR field ${id} is too long`);
+    }
+    return `${id}${String(length).padStart(2, '0')}${text}`;
+  }
+
+  /**
+   * Reduce a name to the printable ASCII that merchant name and city fields
+   * allow: accents are dropped (e.g. "Café Ñandú" becomes "Cafe Nandu") and
+   * other characters removed
+   */
+  static toAscii(text, maxLength) {
+    return String(text)
+      .normalize('NFKD')
+      .replace(/[^\x20-\x7E]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, maxLength);
+  }
+
+  /**
+   * Split a run of fields into { id: value }
+   */
+  static decodeFields(text) {
+    const bytes = Buffer.from(text, 'utf8');
+    const fields = {};
+    let position = 0;
+
+    while (position < bytes.length) {
+      const id = bytes.toString('latin1', position, position + 2);
+      const length = bytes.toString('latin1', position + 2, position + 4);
+      if (!/^\d{2}$/.test(id) || !/^\d{2}$/.test(length)) {
+        throw new Error('Malformed QR payload');
+      }
+
+      const end = position + 4 + Number(length);
+      if (end > bytes.length) {
+        throw new Error('Malformed QR payload');
+      }
+
+      fields[id] = bytes.toString('utf8', position + 4, end);
+      position = end;
+    }
+
+    return fields;
+  }
+
+  /**
+   * Build a payload. Static codes carry only the merchant; dynamic codes add
+   * the amount (in cedis, e.g. "12.50") and a reference.
+   */
+  static build({ merchantCode, merchantName, merchantCity, categoryCode, amount, reference }) {
+    const isDynamic = amount !== undefined && amount !== null;
+
+    const body = [
+      this.field('00', '01'),
+      this.field('01', isDynamic ? this.POINT_OF_INITIATION.dynamic : this.POINT_OF_INITIATION.static),
+      this.field(this.MERCHANT_ACCOUNT_ID, this.field('00', this.GUID) + this.field('01', merchantCode)),
+      this.field('52', categoryCode),
+      this.field('53', this.CURRENCY_GHS),
+      ...(isDynamic ? [this.field('54', Number(amount).toFixed(2))] : []),
+      this.field('58', this.COUNTRY_CODE),
+      this.field('59', this.toAscii(merchantName, 25) || 'Merchant'),
+      this.field('60', this.toAscii(merchantCity || 'Accra', 15) || 'Accra'),
+      ...(reference ? [this.field('62', this.field('05', reference))] : [])
+    ].join('');
+
+    // The checksum covers its own ID and length
+    const unsigned = `${body}6304`;
+    return `${unsigned}${this.crc16(unsigned)}`;
+  }
+
+  /**
+   * Amount field in cedis; at most 2 decimals
+   */
+  static parseAmount(value) {
+    if (!/^\d+(\.\d{1,2})?$/.test(value) || Number(value) <= 0) {
+      throw new Error('QR code amount is invalid');
+    }
+    return Number(value);
+  }
+
+  /**
+   * Read and check a scanned payload
+   * @returns {Object} merchantCode, merchantName, merchantCity, categoryCode, dynamic, amount, reference
+   */
+  static parse(payload) {
+    const text = String(payload).trim();
+    if (text.length < 8 || text.slice(-8, -4) !== '6304') {
+      throw new Error('QR code has no checksum');
+    }
+    if (this.crc16(text.slice(0, -4)) !== text.slice(-4).toUpperCase()) {
+      throw new Error('QR code checksum does not match');
+    }
+
+    const fields = this.decodeFields(text.slice(0, -8));
+    if (fields['00'] !== '01') {
+      throw new Error('Unsupported QR payload format');
+    }
+
+    const account = fields[this.MERCHANT_ACCOUNT_ID] ? this.decodeFields(fields[this.MERCHANT_ACCOUNT_ID]) : {};
+    if (account['00'] !== this.GUID || !account['01']) {
+      throw new Error('QR code is not for a wallet merchant');
+    }
+    if (fields['53'] !== this.CURRENCY_GHS) {
+      throw new Error('QR code is not in Ghana cedis');
+    }
+
+    const additional = fields['62'] ? this.decodeFields(fields['62']) : {};
+
+    return {
+      merchantCode: account['01'],
+      merchantName: fields['59'],
+      merchantCity: fields['60'],
+      categoryCode: fields['52'],
+      dynamic: fields['01'] === this.POINT_OF_INITIATION.dynamic,
+      amount: fields['54'] === undefined ? null : this.parseAmount(fields['54']),
+      reference: additional['05'] || null
+    };
+  }
+}
+
+module.exports = EmvQr;
@@ -0,0 +1,119 @@
+// utils/fraudEngine.js
+// Scores a payment against the fraud rules. Evaluation is pure: the caller
+// gathers the signals (recent debits, device, locations, past recipients) and
+// each enabled rule that fires adds its score. The total picks the outcome.
+const SecurityUtils = require('./securityUtils');
+const MoneyUtils = require('./moneyUtils');
+const config = require('../config/env');
+
+class FraudEngine {
+  static OUTCOMES = {
+    ALLOW: 'allow',
+    CHALLENGE: 'challenge',
+    HOLD_FOR_REVIEW: 'hold_for_review'
+  };
+
+  /**
+   * Debits made within the last few minutes
+   */
+  static withinWindow(debits, minutes, now) {
+    const since = now.getTime() - minutes * 60 * 1000;
+    return debits.filter(debit => new Date(debit.created_at).getTime() >= since);
+  }
+
+  // Each check returns a description of why the rule fired, or null
+  static CHECKS = {
+    velocity_count({ window_minutes, max_count }, payment, signals) {
+      const count = this.withinWindow(signals.recentDebits, window_minutes, signals.now).length + 1;
+      return count > max_count
+        ? `${count} transfers in ${window_minutes} minutes (limit ${max_count})`
+        : null;
+    },
+
+    velocity_amount({ window_minutes, max_amount_minor }, payment, signals) {
+      const totalMinor = this.withinWindow(signals.recentDebits, window_minutes, signals.now)
+        .reduce((total, debit) => total + Number(debit.amount_minor), payment.amountMinor);
+      return totalMinor > max_amount_minor
+        ? `${MoneyUtils.format(totalMinor)} in ${window_minutes} minutes (limit ${MoneyUtils.format(max_amount_minor)})`
+        : null;
+    },
+
+    new_device_large_amount({ device_age_hours, min_amount_minor }, payment, signals) {
+      // Channels without a device (USSD, scheduled runs) leave deviceFirstSeenAt undefined
+      if (payment.amountMinor < min_amount_minor || signals.deviceFirstSeenAt === undefined) return null;
+
+      const firstSeen = signals.deviceFirstSeenAt ? new Date(signals.deviceFirstSeenAt) : null;
+      const ageHours = firstSeen ? (signals.now - firstSeen) / (60 * 60 * 1000) : 0;
+      return ageHours < device_age_hours
+        ? `${MoneyUtils.format(payment.amountMinor)} from a device ${firstSeen ? `first seen ${Math.floor(ageHours)} hours ago` : 'never seen before'}`
+        : null;
+    },
+
+    location_jump({ lookback_sessions }, payment, signals) {
+      const previous = signals.previousLocations.slice(0, lookback_sessions);
+      if (!signals.location || !signals.location.ll || !previous.length) return null;
+
+      return SecurityUtils.isSuspiciousLocation(signals.location, previous)
+        ? `Request from ${[signals.location.city, signals.location.country].filter(Boolean).join(', ')}, far from recent sessions`
+        : null;
+    },
+
+    new_recipient({ min_amount_minor }, payment, signals) {
+      return payment.counterpartyId && !signals.knownCounterparty && payment.amountMinor >= min_amount_minor
+        ? 'First transfer to this recipient'
+        : null;
+    },
+
+    round_amount_burst({ round_unit_minor, window_minutes, min_count }, payment, signals) {
+      const isRound = (amountMinor) => Number(amountMinor) % round_unit_minor === 0;
+      if (!isRound(payment.amountMinor)) return null;
+
+      const count = this.withinWindow(signals.recentDebits, window_minutes, signals.now)
+        .filter(debit => isRound(debit.amount_minor)).length + 1;
+      return count >= min_count
+        ? `${count} round-amount transfers in ${window_minutes} minutes`
+        : null;
+    }
+  };
+
+  /**
+   * Longest window any rule looks back over, so the caller fetches enough history
+   * @param {Array} rules - Enabled rules
+   * @returns {number} Minutes
+   */
+  static lookbackMinutes(rules) {
+    return Math.max(0, ...rules.map(rule => Number(rule.params.window_minutes) || 0));
+  }
+
+  /**
+   * Outcome for a total score
+   * @param {number} score - Total score
+   * @returns {string} Outcome
+   */
+  static outcomeFor(score) {
+    if (score >= config.FRAUD_REVIEW_SCORE) return this.OUTCOMES.HOLD_FOR_REVIEW;
+    if (score >= config.FRAUD_CHALLENGE_SCORE) return this.OUTCOMES.CHALLENGE;
+    return this.OUTCOMES.ALLOW;
+  }
+
+  /**
+   * Score a payment
+   * @param {Array} rules - Enabled rules (code, score, params)
+   * @param {Object} payment - amountMinor, counterpartyId
+   * @param {Object} signals - now, recentDebits, deviceFirstSeenAt, location, previousLocations, knownCounterparty
+   * @returns {Object} score, outcome and the rules that fired
+   */
+  static evaluate(rules, payment, signals) {
+    const triggered = rules.reduce((fired, rule) => {
+      const check = this.CHECKS[rule.code];
+      const detail = check ? check.call(this, rule.params, payment, signals) : null;
+      return detail ? [...fired, { code: rule.code, score: rule.score, detail }] : fired;
+    }, []);
+
+    const score = Math.min(100, triggered.reduce((total, rule) => total + rule.score, 0));
+
+    return { score, outcome: this.outcomeFor(score), triggered };
+  }
+}
+
+module.exports = FraudEngine;
@@ -0,0 +1,306 @@
+// utils/mimeParser.js
+// Reads a raw RFC 5322 message as relayed by a mail server: headers (folded
+// lines and RFC 2047 encoded words), nested multipart bodies, base64 and
+// quoted-printable parts, and the charsets TextDecoder knows. Returns the
+// plain-text and HTML bodies and every attachment as a Buffer.
+class MimeParser {
+  // Give up on messages nested deeper than this rather than recurse forever
+  static MAX_DEPTH = 10;
+
+  /**
+   * Parse a raw message
+   * @param {Buffer|string} raw - The message exactly as received
+   * @returns {Object} from, to, cc, replyTo, deliveredTo, subject, messageId, inReplyTo, references, date,
+   *   autoSubmitted, text, html, attachments
+   */
+  static parse(raw) {
+    // latin1 maps every byte to one character, so part bodies can be turned back into the exact bytes
+    const source = Buffer.isBuffer(raw) ? raw.toString('latin1') : Buffer.from(String(raw), 'utf8').toString('latin1');
+    const { headers, body } = MimeParser.splitEntity(source);
+
+    if (!headers.has('from')) {
+      throw new Error('Not an email: there is no From header');
+    }
+
+    const message = { text: null, html: null, attachments: [] };
+    MimeParser.walk(headers, body, message, 0);
+
+    const header = (name) => (headers.has(name) ? MimeParser.decodeWords(headers.get(name)[0]) : null);
+    const messageIds = (name) => (header(name) || '').match(/<[^<>\s]+>/g) || [];
+
+    return {
+      from: MimeParser.parseAddresses(header('from'))[0] || null,
+      to: MimeParser.parseAddresses(header('to')),
+      cc: MimeParser.parseAddresses(header('cc')),
+      replyTo: MimeParser.parseAddresses(header('reply-to')),
+      deliveredTo: (headers.get('delivered-to') || []).flatMap(value => MimeParser.parseAddresses(value)),
+      subject: header('subject') || '',
+      messageId: messageIds('message-id')[0] || null,
+      inReplyTo: messageIds('in-reply-to')[0] || null,
+      references: messageIds('references'),
+      date: header('date') ? new Date(header('date')) : null,
+      // Out-of-office replies, bounces and list mail, which must not be answered automatically
+      autoSubmitted: Boolean(
+        (header('auto-submitted') && header('auto-submitted').toLowerCase() !== 'no') ||
+        /^(bulk|junk|list|auto_reply)$/i.test(header('precedence') || '') ||
+        headers.has('x-autoreply') ||
+        headers.has('x-autorespond')
+      ),
+      text: message.text !== null ? message.text : message.html !== null ? MimeParser.htmlToText(message.html) : '',
+      html: message.html,
+      attachments: message.attachments
+    };
+  }
+
+  /**
+   * Split an entity into its headers (lower-case name to every value, unfolded) and body
+   */
+  static splitEntity(source) {
+    const match = source.match(/\r?\n\r?\n/);
+    const head = match ? source.slice(0, match.index) : source;
+    const body = match ? source.slice(match.index + match[0].length) : '';
+
+    const headers = new Map();
+    head.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+      const colon = line.indexOf(':');
+      if (colon <= 0) return;
+
+      const name = line.slice(0, colon).trim().toLowerCase();
+      const values = headers.get(name) || [];
+      values.push(line.slice(colon + 1).trim());
+      headers.set(name, values);
+    });
+
+    return { headers, body };
+  }
+
+  /**
+   * Split a structured header such as Content-Type into its value and parameters.
+   * RFC 2231 parameters (filename*=utf-8''...) and continuations are joined and decoded.
+   */
+  static parseHeaderValue(text) {
+    const [value, ...rest] = (text || '').split(';');
+    const params = {};
+    const extended = {};
+
+    rest.forEach(part => {
+      const eq = part.indexOf('=');
+      if (eq < 0) return;
+
+      const key = part.slice(0, eq).trim().toLowerCase();
+      let param = part.slice(eq + 1).trim();
+      if (param.startsWith('"') && param.endsWith('"')) param = param.slice(1, -1).replace(/\\(.)/g, '$1');
+
+      const continuation = key.match(/^([^*]+)\*(\d+)?(\*)?$/);
+      if (continuation) {
+        const [, base, index = '0', encoded] = continuation;
+        extended[base] = extended[base] || [];
+        extended[base][Number(index)] = { text: param, encoded: Boolean(encoded) || (!continuation[2] && key.endsWith('*')) };
+      } else {
+        params[key] = MimeParser.decodeWords(param);
+      }
+    });
+
+    Object.entries(extended).forEach(([key, pieces]) => {
+      let charset = 'utf-8';
+      params[key] = pieces.filter(Boolean).map((piece, index) => {
+        if (!piece.encoded) return piece.text;
+
+        let text = piece.text;
+        if (index === 0) {
+          const [declared, , encodedText] = text.split("'");
+          if (encodedText !== undefined) {
+            charset = declared || charset;
+            text = encodedText;
+          }
+        }
+        return MimeParser.decodeCharset(Buffer.from(text.replace(/%([0-9a-f]{2})/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1'), charset);
+      }).join('');
+    });
+
+    // Double-quoted header values can be split across ';' inside the quotes; good enough for real mail
+    return { value: value.trim().toLowerCase(), params };
+  }
+
+  /**
+   * Walk an entity, collecting the first plain-text and HTML bodies and every attachment
+   */
+  static walk(headers, body, message, depth) {
+    if (depth > MimeParser.MAX_DEPTH) return;
+
+    const type = MimeParser.parseHeaderValue(headers.has('content-type') ? headers.get('content-type')[0] : 'text/plain');
+    const disposition = MimeParser.parseHeaderValue(headers.has('content-disposition') ? headers.get('content-disposition')[0] : '');
+    const encoding = (headers.has('content-transfer-encoding') ? headers.get('content-transfer-encoding')[0] : '7bit').trim().toLowerCase();
+
+    if (type.value.startsWith('multipart/') && type.params.boundary) {
+      MimeParser.splitMultipart(body, type.params.boundary).forEach(part => {
+        const entity = MimeParser.splitEntity(part);
+        MimeParser.walk(entity.headers, entity.body, message, depth + 1);
+      });
+      return;
+    }
+
+    const content = MimeParser.decodeTransfer(body, encoding);
+    const filename = disposition.params.filename || type.params.name || null;
+    const isText = type.value === 'text/plain' || type.value === 'text/html';
+
+    if (isText && disposition.value !== 'attachment' && !filename) {
+      const text = MimeParser.decodeCharset(content, type.params.charset).replace(/\r\n/g, '\n');
+      const key = type.value === 'text/plain' ? 'text' : 'html';
+      if (message[key] === null) message[key] = text;
+      return;
+    }
+
+    message.attachments.push({
+      filename: filename || `attachment-${message.attachments.length + 1}${type.value === 'message/rfc822' ? '.eml' : ''}`,
+      contentType: type.value,
+      contentId: headers.has('content-id') ? headers.get('content-id')[0].replace(/[<>]/g, '') : null,
+      inline: disposition.value === 'inline',
+      size: content.length,
+      content
+    });
+  }
+
+  /**
+   * Split a multipart body on its boundary, dropping the preamble and epilogue
+   */
+  static splitMultipart(body, boundary) {
+    const delimiter = `--${boundary}`;
+    const parts = [];
+    let current = null;
+
+    body.split(/\r?\n/).forEach(line => {
+      if (line.startsWith(delimiter)) {
+        if (current !== null) parts.push(current.join('\r\n'));
+        current = line.trimEnd() === `${delimiter}--` ? null : [];
+        return;
+      }
+      if (current !== null) current.push(line);
+    });
+
+    // A message cut short before its closing boundary still yields its last part
+    if (current !== null && current.length) parts.push(current.join('\r\n'));
+    return parts;
+  }
+
+  /**
+   * Undo a Content-Transfer-Encoding
+   * @returns {Buffer} Decoded bytes
+   */
+  static decodeTransfer(body, encoding) {
+    if (encoding === 'base64') {
+      return Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+    }
+    if (encoding === 'quoted-printable') {
+      return Buffer.from(
+        body
+          .replace(/=\r?\n/g, '')
+          .replace(/=([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))),
+        'latin1'
+      );
+    }
+    return Buffer.from(body, 'latin1');
+  }
+
+  /**
+   * Turn bytes into text, falling back to UTF-8 for charsets we do not know
+   */
+  static decodeCharset(buffer, charset = 'utf-8') {
+    try {
+      return new TextDecoder((charset || 'utf-8').trim().toLowerCase()).decode(buffer);
+    } catch (error) {
+      return new TextDecoder('utf-8').decode(buffer);
+    }
+  }
+
+  /**
+   * Decode RFC 2047 encoded words, e.g. =?UTF-8?B?...?= or =?ISO-8859-1?Q?...?=
+   */
+  static decodeWords(text) {
+    if (!text) return text;
+
+    return text
+      // Whitespace between two encoded words is not part of the text
+      .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?[^?]+\?[BbQq]\?[^?]*\?=)/g, '$1')
+      .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (match, charset, encoding, encoded) => {
+        const bytes = encoding.toUpperCase() === 'B'
+          ? Buffer.from(encoded, 'base64')
+          : Buffer.from(
+            encoded.replace(/_/g, ' ').replace(/=([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))),
+            'latin1'
+          );
+        return MimeParser.decodeCharset(bytes, charset.split('*')[0]);
+      });
+  }
+
+  /**
+   * Read an address list such as: "Ama Mensah" <ama@example.com>, kofi@example.com
+   * @returns {Array<Object>} name, address (lower-case)
+   */
+  static parseAddresses(text) {
+    if (!text) return [];
+
+    const entries = [];
+    let current = '';
+    let quoted = false;
+    let angle = false;
+
+    for (const char of text) {
+      if (char === '"') quoted = !quoted;
+      if (!quoted && char === '<') angle = true;
+      if (!quoted && char === '>') angle = false;
+      if (char === ',' && !quoted && !angle) {
+        entries.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    entries.push(current);
+
+    return entries
+      .map(entry => {
+        const bracketed = entry.match(/^(.*)<([^<>]+)>\s*$/);
+        const address = (bracketed ? bracketed[2] : entry).trim().toLowerCase();
+        const name = bracketed ? bracketed[1].trim().replace(/^"|"$/g, '') : '';
+        return { name: MimeParser.decodeWords(name) || null, address };
+      })
+      .filter(entry => /^[^@\s]+@[^@\s]+$/.test(entry.address));
+  }
+
+  /**
+   * Rough plain text for a message that only has an HTML body
+   */
+  static htmlToText(html) {
+    return html
+      .replace(/<(script|style)[\s\S]*?<\/\1>/gi, '')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&amp;/g, '&')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  /**
+   * Drop the quoted history from a reply: everything from an "On ... wrote:"
+   * line or a run of ">" lines at the end
+   */
+  static stripQuotedReply(text) {
+    const lines = text.split(/\r?\n/);
+    const cut = lines.findIndex((line, index) =>
+      /^On .+wrote:\s*$/.test(line.trim()) ||
+      /^-{2,}\s*Original Message\s*-{2,}$/i.test(line.trim()) ||
+      (/^>/.test(line) && lines.slice(index).every(rest => /^>/.test(rest) || !rest.trim()))
+    );
+
+    return (cut >= 0 ? lines.slice(0, cut) : lines).join('\n').trim();
+  }
+}
+
+module.exports = MimeParser;
@@ -0,0 +1,50 @@
+// utils/mobileMoney/airtelTigoAdapter.js
+const config = require('../../config/env');
+const MoneyUtils = require('../moneyUtils');
+const BaseAdapter = require('./baseAdapter');
+
+// AirtelTigo Money reports TS (successful) / TF (failed) status codes
+class AirtelTigoAdapter extends BaseAdapter {
+  constructor() {
+    super({
+      name: 'AirtelTigo Money',
+      apiUrl: config.AIRTELTIGO_MONEY_API_URL,
+      apiKey: config.AIRTELTIGO_MONEY_API_KEY,
+      webhookSecret: config.AIRTELTIGO_MONEY_WEBHOOK_SECRET
+    });
+  }
+
+  buildCollectionRequest({ reference, amountMinor, msisdn, description }) {
+    return {
+      path: '/merchant/v1/payments/',
+      body: {
+        reference: description,
+        subscriber: { country: 'GH', currency: 'GHS', msisdn },
+        transaction: {
+          amount: MoneyUtils.fromMinorUnits(amountMinor),
+          country: 'GH',
+          currency: 'GHS',
+          id: reference
+        }
+      }
+    };
+  }
+
+  extractProviderReference(data) {
+    return data.data?.transaction?.id || null;
+  }
+
+  parseDepositEvent(body) {
+    const transaction = body.transaction || {};
+    return {
+      eventId: `${transaction.airtel_money_id || transaction.id}:${transaction.status_code}`,
+      reference: transaction.id,
+      status: transaction.status_code === 'TS' ? 'successful' : transaction.status_code === 'TF' ? 'failed' : 'pending',
+      amountMinor: transaction.amount ? MoneyUtils.toMinorUnits(transaction.amount) : null,
+      providerReference: transaction.airtel_money_id,
+      reason: transaction.message
+    };
+  }
+}
+
+module.exports = AirtelTigoAdapter;
@@ -0,0 +1,115 @@
+// utils/mobileMoney/baseAdapter.js
+const crypto = require('crypto');
+const config = require('../../config/env');
+const { AppError } = require('../../middlewares/errorHandler');
+
+/**
+ * Mobile money provider adapter.
+ * Subclasses set name/apiUrl/apiKey/webhookSecret and implement
+ * buildCollectionRequest() and parseDepositEvent().
+ */
+class BaseAdapter {
+  static SIGNATURE_HEADER = 'x-webhook-signature';
+  static TIMESTAMP_HEADER = 'x-webhook-timestamp';
+
+  constructor({ name, apiUrl, apiKey, webhookSecret }) {
+    this.name = name;
+    this.apiUrl = apiUrl;
+    this.apiKey = apiKey;
+    this.webhookSecret = webhookSecret;
+  }
+
+  /**
+   * International MSISDN (233XXXXXXXXX) for a Ghana phone number
+   */
+  static toMsisdn(phone) {
+    const national = phone.replace(/[\s()-]/g, '').replace(/^(\+?233|0)/, '');
+    return `233${national}`;
+  }
+
+  /**
+   * HMAC-SHA256 over "<timestamp>.<raw body>"
+   */
+  sign(timestamp, rawBody) {
+    return crypto
+      .createHmac('sha256', this.webhookSecret)
+      .update(`${timestamp}.${rawBody}`)
+      .digest('hex');
+  }
+
+  /**
+   * Reject webhooks with a bad signature or a timestamp outside the replay window
+   */
+  verifySignature(req) {
+    if (!this.webhookSecret) {
+      throw new AppError(`Webhook secret for ${this.name} is not configured`, 500);
+    }
+
+    const signature = req.get(BaseAdapter.SIGNATURE_HEADER) || '';
+    const timestamp = Number(req.get(BaseAdapter.TIMESTAMP_HEADER));
+    const age = Math.abs(Date.now() / 1000 - timestamp);
+
+    if (!timestamp || age > config.MOMO_WEBHOOK_TOLERANCE_SECONDS) {
+      throw new AppError('Webhook timestamp outside the allowed window', 401);
+    }
+
+    const expected = Buffer.from(this.sign(timestamp, req.rawBody || ''), 'hex');
+    const provided = Buffer.from(signature, 'hex');
+
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      throw new AppError('Invalid webhook signature', 401);
+    }
+  }
+
+  /**
+   * Ask the provider to collect a payment from the customer's wallet
+   * @returns {Promise<Object>} { providerReference }
+   */
+  async requestCollection({ reference, amountMinor, phone, description }) {
+    if (!this.apiUrl || !this.apiKey) {
+      throw new AppError(`${this.name} is not configured`, 503);
+    }
+
+    const { path, body, headers = {} } = this.buildCollectionRequest({
+      reference,
+      amountMinor,
+      msisdn: BaseAdapter.toMsisdn(phone),
+      description
+    });
+
+    const response = await fetch(`${this.apiUrl}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${this.apiKey}`,
+        ...headers
+      },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      throw new AppError(`${this.name} rejected the collection request (${response.status})`, 502);
+    }
+
+    const data = await response.json().catch(() => ({}));
+    return { providerReference: this.extractProviderReference(data, headers) };
+  }
+
+  buildCollectionRequest() {
+    throw new Error(`${this.name} adapter must implement buildCollectionRequest`);
+  }
+
+  extractProviderReference(data) {
+    return data.transaction_id || data.id || null;
+  }
+
+  /**
+   * Normalize a webhook body to
+   * { eventId, reference, status: 'successful'|'failed'|'pending', amountMinor, providerReference, reason }
+   */
+  parseDepositEvent() {
+    throw new Error(`${this.name} adapter must implement parseDepositEvent`);
+  }
+}
+
+module.exports = BaseAdapter;
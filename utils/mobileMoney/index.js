@@ -0,0 +1,33 @@
+// utils/mobileMoney/index.js
+const config = require('../../config/env');
+const MtnMomoAdapter = require('./mtnMomoAdapter');
+const TelecelCashAdapter = require('./telecelCashAdapter');
+const AirtelTigoAdapter = require('./airtelTigoAdapter');
+const SimulatorAdapter = require('./simulatorAdapter');
+
+const ADAPTERS = {
+  mtn: MtnMomoAdapter,
+  telecel: TelecelCashAdapter,
+  airteltigo: AirtelTigoAdapter
+};
+
+// The simulator has to be turned on with MOMO_SIMULATOR_ENABLED and is never available in production
+if (config.MOMO_SIMULATOR_ENABLED && config.NODE_ENV !== 'production') {
+  ADAPTERS.simulator = SimulatorAdapter;
+}
+
+class MobileMoney {
+  static get PROVIDERS() {
+    return Object.keys(ADAPTERS);
+  }
+
+  /**
+   * Get the adapter for a provider slug, or null if unknown
+   */
+  static getAdapter(provider) {
+    const Adapter = ADAPTERS[provider];
+    return Adapter ? new Adapter() : null;
+  }
+}
+
+module.exports = MobileMoney;
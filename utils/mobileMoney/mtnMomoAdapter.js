@@ -0,0 +1,57 @@
+// utils/mobileMoney/mtnMomoAdapter.js
+const { v4: uuidv4 } = require('uuid');
+const config = require('../../config/env');
+const MoneyUtils = require('../moneyUtils');
+const BaseAdapter = require('./baseAdapter');
+
+const STATUS_MAP = {
+  SUCCESSFUL: 'successful',
+  FAILED: 'failed',
+  REJECTED: 'failed',
+  TIMEOUT: 'failed',
+  PENDING: 'pending'
+};
+
+class MtnMomoAdapter extends BaseAdapter {
+  constructor() {
+    super({
+      name: 'MTN MoMo',
+      apiUrl: config.MTN_MOMO_API_URL,
+      apiKey: config.MTN_MOMO_API_KEY,
+      webhookSecret: config.MTN_MOMO_WEBHOOK_SECRET
+    });
+  }
+
+  buildCollectionRequest({ reference, amountMinor, msisdn, description }) {
+    return {
+      path: '/collection/v1_0/requesttopay',
+      headers: { 'X-Reference-Id': uuidv4() },
+      body: {
+        amount: MoneyUtils.fromMinorUnits(amountMinor).toFixed(2),
+        currency: 'GHS',
+        externalId: reference,
+        payer: { partyIdType: 'MSISDN', partyId: msisdn },
+        payerMessage: description,
+        payeeNote: description
+      }
+    };
+  }
+
+  // requesttopay answers 202 with no body; the id is the X-Reference-Id we sent
+  extractProviderReference(data, headers) {
+    return headers['X-Reference-Id'];
+  }
+
+  parseDepositEvent(body) {
+    return {
+      eventId: `${body.financialTransactionId || body.externalId}:${body.status}`,
+      reference: body.externalId,
+      status: STATUS_MAP[body.status] || 'pending',
+      amountMinor: body.amount ? MoneyUtils.toMinorUnits(body.amount) : null,
+      providerReference: body.financialTransactionId,
+      reason: body.reason?.message || body.reason
+    };
+  }
+}
+
+module.exports = MtnMomoAdapter;
@@ -0,0 +1,49 @@
+// utils/mobileMoney/simulatorAdapter.js
+const { v4: uuidv4 } = require('uuid');
+const config = require('../../config/env');
+const MoneyUtils = require('../moneyUtils');
+const BaseAdapter = require('./baseAdapter');
+
+/**
+ * Offline stand-in for a provider. Collections are accepted immediately;
+ * utils/momoSimulator.js then delivers the signed webhook.
+ */
+class SimulatorAdapter extends BaseAdapter {
+  constructor() {
+    super({
+      name: 'Simulator',
+      webhookSecret: config.MOMO_SIMULATOR_WEBHOOK_SECRET
+    });
+  }
+
+  async requestCollection({ reference }) {
+    console.log(`Simulator collection requested for ${reference}. Run: node utils/momoSimulator.js ${reference}`);
+    return { providerReference: `SIM-${uuidv4()}` };
+  }
+
+  /**
+   * Build the body the simulator sends for a deposit outcome
+   */
+  buildDepositEvent({ reference, amountMinor, status = 'successful', providerReference }) {
+    return {
+      event_id: uuidv4(),
+      reference,
+      amount: amountMinor ? MoneyUtils.fromMinorUnits(amountMinor) : undefined,
+      status,
+      provider_reference: providerReference || `SIM-${uuidv4()}`
+    };
+  }
+
+  parseDepositEvent(body) {
+    return {
+      eventId: body.event_id,
+      reference: body.reference,
+      status: ['successful', 'failed'].includes(body.status) ? body.status : 'pending',
+      amountMinor: body.amount ? MoneyUtils.toMinorUnits(body.amount) : null,
+      providerReference: body.provider_reference,
+      reason: body.reason
+    };
+  }
+}
+
+module.exports = SimulatorAdapter;
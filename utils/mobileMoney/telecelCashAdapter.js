@@ -0,0 +1,41 @@
+// utils/mobileMoney/telecelCashAdapter.js
+const config = require('../../config/env');
+const MoneyUtils = require('../moneyUtils');
+const BaseAdapter = require('./baseAdapter');
+
+// Telecel Cash (formerly Vodafone Cash)
+class TelecelCashAdapter extends BaseAdapter {
+  constructor() {
+    super({
+      name: 'Telecel Cash',
+      apiUrl: config.TELECEL_CASH_API_URL,
+      apiKey: config.TELECEL_CASH_API_KEY,
+      webhookSecret: config.TELECEL_CASH_WEBHOOK_SECRET
+    });
+  }
+
+  buildCollectionRequest({ reference, amountMinor, msisdn, description }) {
+    return {
+      path: '/v1/payments/collect',
+      body: {
+        client_reference: reference,
+        amount: MoneyUtils.fromMinorUnits(amountMinor).toFixed(2),
+        msisdn,
+        description
+      }
+    };
+  }
+
+  parseDepositEvent(body) {
+    return {
+      eventId: `${body.transaction_id}:${body.status}`,
+      reference: body.client_reference,
+      status: body.status === 'SUCCESS' ? 'successful' : body.status === 'FAILED' ? 'failed' : 'pending',
+      amountMinor: body.amount ? MoneyUtils.toMinorUnits(body.amount) : null,
+      providerReference: body.transaction_id,
+      reason: body.message
+    };
+  }
+}
+
+module.exports = TelecelCashAdapter;
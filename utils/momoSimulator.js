@@ -0,0 +1,57 @@
+// utils/momoSimulator.js
+// Deliver a signed simulator webhook for a pending deposit. A successful
+// deposit needs the amount that was requested:
+//   node utils/momoSimulator.js <reference> [successful|failed] [amount]
+const config = require('../config/env');
+const MoneyUtils = require('./moneyUtils');
+const BaseAdapter = require('./mobileMoney/baseAdapter');
+const SimulatorAdapter = require('./mobileMoney/simulatorAdapter');
+
+class MomoSimulator {
+  static async sendDepositEvent({ reference, status = 'successful', amount, baseUrl }) {
+    const adapter = new SimulatorAdapter();
+    const body = JSON.stringify(adapter.buildDepositEvent({
+      reference,
+      status,
+      amountMinor: amount ? MoneyUtils.toMinorUnits(amount) : undefined
+    }));
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    const response = await fetch(`${baseUrl}/api/webhooks/momo/simulator`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        [BaseAdapter.SIGNATURE_HEADER]: adapter.sign(timestamp, body),
+        [BaseAdapter.TIMESTAMP_HEADER]: String(timestamp)
+      },
+      body
+    });
+
+    return { status: response.status, body: await response.json() };
+  }
+}
+
+// Run simulator if called directly
+if (require.main === module) {
+  const [reference, status, amount] = process.argv.slice(2);
+
+  if (!reference || ((status || 'successful') === 'successful' && !amount)) {
+    console.error('Usage: node utils/momoSimulator.js <reference> [successful|failed] [amount]');
+    console.error('A successful deposit needs the amount that was requested');
+    process.exit(1);
+  }
+
+  MomoSimulator.sendDepositEvent({
+    reference,
+    status,
+    amount,
+    baseUrl: process.env.API_URL || `http://localhost:${config.PORT}`
+  })
+    .then(result => console.log('Webhook response:', result.status, result.body))
+    .catch(error => {
+      console.error('Simulator failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = MomoSimulator;
@@ -0,0 +1,33 @@
+class MoneyUtils {
+  static MINOR_UNITS = 100; // pesewas per cedi
+
+  /**
+   * Convert a cedi amount to integer minor units
+   */
+  static toMinorUnits(amount) {
+    const value = Number(amount);
+    if (!Number.isFinite(value)) {
+      throw new Error(`Invalid amount: ${amount}`);
+    }
+    return Math.round(value * this.MINOR_UNITS);
+  }
+
+  /**
+   * Convert integer minor units back to a cedi amount
+   */
+  static fromMinorUnits(amountMinor) {
+    return Number(amountMinor) / this.MINOR_UNITS;
+  }
+
+  /**
+   * Format minor units for messages, e.g. "GHS 1,250.00"
+   */
+  static format(amountMinor) {
+    return `GHS ${this.fromMinorUnits(amountMinor).toLocaleString('en-GH', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    })}`;
+  }
+}
+
+module.exports = MoneyUtils;
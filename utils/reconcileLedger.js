@@ -0,0 +1,37 @@
+// utils/reconcileLedger.js
+// Recompute every ledger account and store a reconciliation report:
+//   node utils/reconcileLedger.js
+// Exits with status 2 when discrepancies are found, so a scheduler can alert on it.
+const ReconciliationReport = require('../models/ReconciliationReport');
+
+class ReconcileLedger {
+  static async run(trigger = 'cli') {
+    const report = await new ReconciliationReport().run({ trigger });
+
+    if (report.status === ReconciliationReport.STATUSES.FAILED) {
+      throw new Error(report.error);
+    }
+
+    console.log(
+      `Reconciliation ${report.id}: ${report.accounts_checked} accounts, ` +
+      `${report.transactions_checked} transactions, ${report.discrepancy_count} discrepancies`
+    );
+    report.discrepancies.forEach(discrepancy => {
+      console.warn(`  ${discrepancy.kind} ${discrepancy.account_code || discrepancy.transaction_id}: ${discrepancy.detail}`);
+    });
+
+    return report;
+  }
+}
+
+// Run reconciliation if called directly
+if (require.main === module) {
+  ReconcileLedger.run()
+    .then(report => process.exit(report.discrepancy_count > 0 ? 2 : 0))
+    .catch(error => {
+      console.error('Reconciliation failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = ReconcileLedger;
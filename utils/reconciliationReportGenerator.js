@@ -0,0 +1,40 @@
+// utils/reconciliationReportGenerator.js
+const StatementGenerator = require('./statementGenerator');
+
+class ReconciliationReportGenerator {
+  static CSV_HEADERS = ['Kind', 'Account', 'User ID', 'Transaction ID', 'Expected', 'Actual', 'Detail'];
+
+  static formatAmount(amountMinor) {
+    return amountMinor === null || amountMinor === undefined ? '' : StatementGenerator.formatAmount(amountMinor);
+  }
+
+  /**
+   * Render a reconciliation report as CSV
+   */
+  static toCsv(report) {
+    const lines = [
+      ['Report', report.id],
+      ['Run', `${report.trigger} at ${report.started_at}`],
+      ['Status', report.status],
+      ['Accounts checked', report.accounts_checked],
+      ['Transactions checked', report.transactions_checked],
+      ['Discrepancies', report.discrepancy_count],
+      ...(report.error ? [['Error', report.error]] : []),
+      [],
+      this.CSV_HEADERS,
+      ...(report.discrepancies || []).map(discrepancy => [
+        discrepancy.kind,
+        discrepancy.account_code,
+        discrepancy.user_id,
+        discrepancy.transaction_id,
+        this.formatAmount(discrepancy.expected_minor),
+        this.formatAmount(discrepancy.actual_minor),
+        discrepancy.detail
+      ])
+    ];
+
+    return lines.map(line => line.map(value => StatementGenerator.escapeCsv(value)).join(',')).join('\n');
+  }
+}
+
+module.exports = ReconciliationReportGenerator;
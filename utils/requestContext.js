@@ -0,0 +1,29 @@
+// utils/requestContext.js
+// Values that belong to the request being handled, readable from anything it
+// calls without passing them down, e.g. the idempotency key a payment was made under.
+const { AsyncLocalStorage } = require('async_hooks');
+
+class RequestContext {
+  static storage = new AsyncLocalStorage();
+
+  /**
+   * Run a function with values attached to everything it calls
+   * @param {Object} values - Values to attach
+   * @param {Function} fn - Function to run
+   */
+  static run(values, fn) {
+    return RequestContext.storage.run({ ...RequestContext.storage.getStore(), ...values }, fn);
+  }
+
+  /**
+   * Read a value attached to the current request
+   * @param {string} name - Value name
+   * @returns {*} The value, or undefined outside a request
+   */
+  static get(name) {
+    const store = RequestContext.storage.getStore();
+    return store ? store[name] : undefined;
+  }
+}
+
+module.exports = RequestContext;
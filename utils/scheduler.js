@@ -0,0 +1,69 @@
+// utils/scheduler.js
+// Minimal in-process scheduler for daily and interval jobs. With more than one server
+// instance, enable it on one of them (SCHEDULED_JOBS=false on the rest) or run
+// the job's CLI from cron instead.
+class Scheduler {
+  static timers = new Map();
+
+  /**
+   * Run a task every day at a UTC time (Ghana time), e.g. '02:00'
+   */
+  static daily(name, time, task) {
+    const [hour, minute] = time.split(':').map(Number);
+
+    const scheduleNext = () => {
+      const now = new Date();
+      const next = new Date(now);
+      next.setUTCHours(hour, minute, 0, 0);
+      if (next <= now) next.setUTCDate(next.getUTCDate() + 1);
+
+      const timer = setTimeout(async () => {
+        try {
+          await task();
+        } catch (error) {
+          console.error(`Scheduled job ${name} failed:`, error);
+        }
+        scheduleNext();
+      }, next - now);
+
+      // Don't keep the process alive just for a pending job
+      timer.unref();
+      this.timers.set(name, timer);
+    };
+
+    scheduleNext();
+  }
+
+  /**
+   * Run a task every few minutes; a run that overlaps the previous one is skipped
+   */
+  static every(name, minutes, task) {
+    let running = false;
+
+    const timer = setInterval(async () => {
+      if (running) return;
+      running = true;
+      try {
+        await task();
+      } catch (error) {
+        console.error(`Scheduled job ${name} failed:`, error);
+      } finally {
+        running = false;
+      }
+    }, minutes * 60 * 1000);
+
+    timer.unref();
+    this.timers.set(name, timer);
+  }
+
+  /**
+   * Cancel every scheduled job
+   */
+  static stopAll() {
+    // clearTimeout also clears intervals
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+}
+
+module.exports = Scheduler;
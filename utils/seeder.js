@@ -47,6 +47,7 @@ class DatabaseSeeder {
         phone: '+233559847050',
         password: await bcrypt.hash('Admin@123', 10),
         role: 'admin',
+        status: 'ACTIVE',
         verified: true,
         agent_code: agentCode,
         email_verified_at: new Date().toISOString(),
@@ -85,6 +86,7 @@ class DatabaseSeeder {
             phone: `+23312345${String(i + 1).padStart(4, '0')}`,
             password: bcrypt.hashSync('Test@123', 10),
             role: 'user',
+            status: 'ACTIVE',
             verified: i % 2 === 0, 
             agent_code: agentCode,
             email_verified_at: i % 2 === 0 ? new Date().toISOString() : null,
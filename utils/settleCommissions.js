@@ -0,0 +1,30 @@
+// utils/settleCommissions.js
+// Move accrued agent commission into agents' wallets. Schedule it, e.g. nightly:
+//   node utils/settleCommissions.js
+const CommissionSettlement = require('../models/CommissionSettlement');
+const MoneyUtils = require('./moneyUtils');
+
+class SettleCommissions {
+  static async run() {
+    const settlement = await new CommissionSettlement().run();
+
+    console.log(`Settled ${MoneyUtils.format(settlement.total_minor)} for ${settlement.agent_count} agent(s)`);
+    settlement.failures.forEach(failure => {
+      console.error(`Agent ${failure.agent_id} not settled: ${failure.reason}`);
+    });
+
+    return settlement;
+  }
+}
+
+// Run settlement if called directly
+if (require.main === module) {
+  SettleCommissions.run()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Commission settlement failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = SettleCommissions;
@@ -0,0 +1,116 @@
+// utils/statementGenerator.js
+const PDFDocument = require('pdfkit');
+const MoneyUtils = require('./moneyUtils');
+
+class StatementGenerator {
+  static CSV_HEADERS = ['Date', 'Reference', 'Type', 'Description', 'Debit', 'Credit', 'Balance'];
+
+  /**
+   * Format minor units as a cedi amount string
+   */
+  static formatAmount(amountMinor) {
+    return MoneyUtils.fromMinorUnits(amountMinor).toFixed(2);
+  }
+
+  /**
+   * Quote a CSV field when needed
+   */
+  static escapeCsv(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Flatten a statement entry into display columns
+   */
+  static toRow(entry) {
+    const amount = this.formatAmount(entry.amount_minor);
+    return [
+      new Date(entry.created_at).toISOString(),
+      entry.transaction?.reference,
+      entry.transaction?.type,
+      entry.transaction?.description,
+      entry.direction === 'debit' ? amount : '',
+      entry.direction === 'credit' ? amount : '',
+      this.formatAmount(entry.balance_after_minor)
+    ];
+  }
+
+  static describePeriod({ startDate, endDate }) {
+    return `${startDate || 'Account opening'} to ${endDate || new Date().toISOString()}`;
+  }
+
+  /**
+   * Render a statement as CSV
+   */
+  static toCsv(statement, user, period = {}) {
+    const lines = [
+      ['Account holder', user.name],
+      ['Agent code', user.agent_code],
+      ['Period', this.describePeriod(period)],
+      [],
+      this.CSV_HEADERS,
+      ['', '', '', 'Opening balance', '', '', this.formatAmount(statement.opening_balance_minor)],
+      ...statement.entries.map(entry => this.toRow(entry)),
+      [
+        '', '', '', 'Closing balance',
+        this.formatAmount(statement.total_debits_minor),
+        this.formatAmount(statement.total_credits_minor),
+        this.formatAmount(statement.closing_balance_minor)
+      ]
+    ];
+
+    return lines.map(line => line.map(value => this.escapeCsv(value)).join(',')).join('\n');
+  }
+
+  /**
+   * Render a statement as a PDF buffer
+   */
+  static toPdf(statement, user, period = {}) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 40 });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      doc.fontSize(18).text('Wallet Statement', { align: 'center' });
+      doc.moveDown();
+      doc.fontSize(10)
+        .text(`Account holder: ${user.name}`)
+        .text(`Agent code: ${user.agent_code || '-'}`)
+        .text(`Period: ${this.describePeriod(period)}`)
+        .text(`Opening balance: GHS ${this.formatAmount(statement.opening_balance_minor)}`)
+        .text(`Total credits: GHS ${this.formatAmount(statement.total_credits_minor)}`)
+        .text(`Total debits: GHS ${this.formatAmount(statement.total_debits_minor)}`)
+        .text(`Closing balance: GHS ${this.formatAmount(statement.closing_balance_minor)}`);
+      doc.moveDown();
+
+      const columns = [40, 150, 270, 360, 420, 480];
+      const writeRow = (values) => {
+        const y = doc.y;
+        let bottom = y;
+        values.forEach((value, i) => {
+          doc.text(value || '', columns[i], y, { width: (columns[i + 1] || 555) - columns[i] - 5 });
+          bottom = Math.max(bottom, doc.y);
+        });
+        doc.x = columns[0];
+        doc.y = bottom;
+        doc.moveDown(0.5);
+        if (doc.y > 780) doc.addPage();
+      };
+
+      doc.fontSize(8);
+      writeRow(['Date', 'Reference', 'Type', 'Debit', 'Credit', 'Balance']);
+      statement.entries.forEach(entry => {
+        const [date, reference, type, , debit, credit, balance] = this.toRow(entry);
+        writeRow([date.replace('T', ' ').slice(0, 19), reference, type, debit, credit, balance]);
+      });
+
+      doc.end();
+    });
+  }
+}
+
+module.exports = StatementGenerator;
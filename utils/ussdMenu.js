@@ -0,0 +1,252 @@
+// utils/ussdMenu.js
+// USSD menu state machine. Each step gets the session as stored after the
+// previous step and the caller's latest input, and returns the text to show
+// plus the next state; a step without a next state ends the session.
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const FeeSchedule = require('../models/FeeSchedule');
+const WalletHold = require('../models/WalletHold');
+const FraudScreening = require('../models/FraudScreening');
+const UssdSession = require('../models/UssdSession');
+const MoneyUtils = require('./moneyUtils');
+
+class UssdMenu {
+  static STATES = {
+    MAIN: 'main',
+    BALANCE_PIN: 'balance_pin',
+    TRANSFER_RECIPIENT: 'transfer_recipient',
+    TRANSFER_AMOUNT: 'transfer_amount',
+    TRANSFER_CONFIRM: 'transfer_confirm',
+    TRANSFER_PROCESSING: 'transfer_processing',
+    PIN_CURRENT: 'pin_current',
+    PIN_NEW: 'pin_new',
+    PIN_CONFIRM: 'pin_confirm'
+  };
+
+  static MAIN_MENU = [
+    'Ultimate Blog Wallet',
+    '1. Check balance',
+    '2. Send money',
+    '3. Verification status',
+    '4. Change PIN',
+    '0. Exit'
+  ].join('\n');
+
+  static NO_PIN = 'You have not set a wallet PIN. Please set one in the app first.';
+
+  static continueWith(text, state, data = {}) {
+    return { text, state, data };
+  }
+
+  static end(text) {
+    return { text, state: null };
+  }
+
+  /**
+   * Run one step of the menu
+   * @param {Object} session - Stored session
+   * @param {string} input - Latest input from the caller
+   * @param {Object} user - User the MSISDN belongs to
+   * @returns {Promise<Object>} text, state (null to end), data
+   */
+  static async handle(session, input, user) {
+    const step = {
+      [this.STATES.MAIN]: this.main,
+      [this.STATES.BALANCE_PIN]: this.balance,
+      [this.STATES.TRANSFER_RECIPIENT]: this.transferRecipient,
+      [this.STATES.TRANSFER_AMOUNT]: this.transferAmount,
+      [this.STATES.TRANSFER_CONFIRM]: this.transferConfirm,
+      [this.STATES.PIN_CURRENT]: this.pinCurrent,
+      [this.STATES.PIN_NEW]: this.pinNew,
+      [this.STATES.PIN_CONFIRM]: this.pinConfirm
+    }[session.state];
+
+    if (!step) {
+      return this.end('This request is already being processed.');
+    }
+
+    try {
+      return await step.call(this, session, input.trim(), user);
+    } catch (error) {
+      if (error.isOperational) return this.end(error.message);
+      console.error('USSD menu error:', error);
+      return this.end('Service is temporarily unavailable. Please try again later.');
+    }
+  }
+
+  static async main(session, input, user) {
+    switch (input) {
+      case '1':
+        if (!user.wallet_pin_hash) return this.end(this.NO_PIN);
+        return this.continueWith('Enter your wallet PIN', this.STATES.BALANCE_PIN);
+      case '2':
+        if (!user.verified) return this.end('Please verify your email before sending money.');
+        if (!user.wallet_pin_hash) return this.end(this.NO_PIN);
+        return this.continueWith('Enter the recipient\'s agent code', this.STATES.TRANSFER_RECIPIENT);
+      case '3':
+        return this.end(await this.verificationStatus(user));
+      case '4':
+        if (!user.wallet_pin_hash) return this.end(this.NO_PIN);
+        return this.continueWith('Enter your current PIN', this.STATES.PIN_CURRENT);
+      case '0':
+        return this.end('Thank you for using Ultimate Blog Wallet.');
+      default:
+        return this.continueWith(`Invalid choice.\n${this.MAIN_MENU}`, this.STATES.MAIN);
+    }
+  }
+
+  /**
+   * Check a PIN; a wrong PIN asks again while attempts are left
+   */
+  static async checkPin(session, input, user, prompt) {
+    try {
+      await new User().verifyWalletPin(user, input);
+      return null;
+    } catch (error) {
+      if (error.statusCode === 401) {
+        return this.continueWith(`${error.message}\n${prompt}`, session.state, session.data);
+      }
+      throw error;
+    }
+  }
+
+  static async balance(session, input, user) {
+    const retry = await this.checkPin(session, input, user, 'Enter your wallet PIN');
+    if (retry) return retry;
+
+    const balances = await new WalletHold().getBalances(user.id);
+    const lines = [`Available balance: ${MoneyUtils.format(balances.available_minor)}`];
+    if (balances.held_minor > 0) {
+      lines.push(`On hold: ${MoneyUtils.format(balances.held_minor)}`);
+    }
+
+    return this.end(lines.join('\n'));
+  }
+
+  static async transferRecipient(session, input, user) {
+    const agentCode = input.replace(/[\s-]/g, '').toUpperCase();
+    const recipient = /^[A-Z]{2}\d+$/.test(agentCode) ? await new User().findByIdentifier(agentCode) : null;
+
+    if (!User.canReceive(recipient)) {
+      return this.continueWith('Agent code not found.\nEnter the recipient\'s agent code', session.state);
+    }
+    if (recipient.id === user.id) {
+      return this.continueWith('You cannot send money to yourself.\nEnter the recipient\'s agent code', session.state);
+    }
+
+    return this.continueWith(
+      `Send to ${recipient.name} (${recipient.agent_code})\nEnter amount in GHS`,
+      this.STATES.TRANSFER_AMOUNT,
+      { recipient_id: recipient.id, recipient_name: recipient.name, recipient_code: recipient.agent_code }
+    );
+  }
+
+  static async transferAmount(session, input, user) {
+    if (!/^\d+(\.\d{1,2})?$/.test(input) || Number(input) <= 0) {
+      return this.continueWith('Invalid amount.\nEnter amount in GHS', session.state, session.data);
+    }
+
+    const amountMinor = MoneyUtils.toMinorUnits(input);
+    const fee = await new FeeSchedule().quote(FeeSchedule.OPERATIONS.TRANSFER, amountMinor, user);
+
+    return this.continueWith(
+      [
+        `Send ${MoneyUtils.format(amountMinor)} to ${session.data.recipient_name} (${session.data.recipient_code})`,
+        `Fee: ${MoneyUtils.format(fee.amountMinor)}`,
+        'Enter PIN to confirm or 0 to cancel'
+      ].join('\n'),
+      this.STATES.TRANSFER_CONFIRM,
+      { ...session.data, amount_minor: amountMinor, fee_minor: fee.amountMinor }
+    );
+  }
+
+  static async transferConfirm(session, input, user) {
+    if (input === '0') {
+      return this.end('Transfer cancelled.');
+    }
+
+    const retry = await this.checkPin(session, input, user, 'Enter PIN to confirm or 0 to cancel');
+    if (retry) return retry;
+
+    const { recipient_id: recipientId, amount_minor: amountMinor } = session.data;
+    const fee = await new FeeSchedule().quote(FeeSchedule.OPERATIONS.TRANSFER, amountMinor, user);
+    FeeSchedule.assertQuoteMatches(fee, MoneyUtils.fromMinorUnits(session.data.fee_minor));
+
+    // Claim the confirmation so a repeated request cannot send the money twice
+    if (!(await new UssdSession().advance(session, this.STATES.TRANSFER_PROCESSING))) {
+      return this.end('This transfer is already being processed.');
+    }
+
+    const description = `Transfer to ${session.data.recipient_name}`;
+    const metadata = { channel: 'ussd', recipient_identifier: session.data.recipient_code };
+
+    // The PIN was just checked, so a challenge is already answered
+    const screeningModel = new FraudScreening();
+    const { screening, review } = await screeningModel.guard(user, {
+      operation: FraudScreening.OPERATIONS.TRANSFER,
+      amountMinor,
+      counterpartyId: recipientId
+    }, FraudScreening.NO_DEVICE, { pinVerified: true, review: { fee, description, metadata } });
+
+    if (review) {
+      return this.end('Your transfer is being reviewed. The funds are on hold until it is approved.');
+    }
+
+    const transaction = await new Transaction().transfer(user.id, recipientId, amountMinor, { fee, description, metadata });
+    await screeningModel.linkTransaction(screening, transaction.id);
+
+    const senderEntry = transaction.entries.filter(entry => entry.user_id === user.id).pop();
+
+    return this.end([
+      `Sent ${MoneyUtils.format(amountMinor)} to ${session.data.recipient_name}.`,
+      `New balance: ${MoneyUtils.format(senderEntry.balance_after_minor)}`,
+      `Ref: ${transaction.reference}`
+    ].join('\n'));
+  }
+
+  static async verificationStatus(user) {
+    const request = await new User().getDocumentVerificationStatus(user.id);
+    const lines = [`Email: ${user.verified ? 'verified' : 'not verified'}`];
+
+    if (!request) {
+      lines.push('ID document: not submitted');
+    } else {
+      lines.push(`ID document (${request.document_type}): ${request.status.replace('_', ' ')}`);
+      if (request.status === 'rejected' && request.admin_comments) {
+        lines.push(`Reason: ${request.admin_comments}`);
+      }
+    }
+
+    return lines.join('\n');
+  }
+
+  static async pinCurrent(session, input, user) {
+    const retry = await this.checkPin(session, input, user, 'Enter your current PIN');
+    if (retry) return retry;
+
+    return this.continueWith('Enter your new 4-digit PIN', this.STATES.PIN_NEW);
+  }
+
+  static async pinNew(session, input) {
+    if (!/^\d{4}$/.test(input)) {
+      return this.continueWith('PIN must be 4 digits.\nEnter your new 4-digit PIN', session.state);
+    }
+
+    // Only a hash of the new PIN is kept between steps
+    return this.continueWith('Confirm your new PIN', this.STATES.PIN_CONFIRM, {
+      pin_hash: await new User().hashPassword(input)
+    });
+  }
+
+  static async pinConfirm(session, input, user) {
+    const userModel = new User();
+    if (!(await userModel.comparePassword(input, session.data.pin_hash))) {
+      return this.end('PINs do not match. Your PIN was not changed.');
+    }
+
+    await userModel.setWalletPin(user.id, input);
+    return this.end('Your wallet PIN has been changed.');
+  }
+}
+
+module.exports = UssdMenu;
@@ -0,0 +1,76 @@
+// utils/ussdSimulator.js
+// Walk the USSD menus from a terminal, posting the same form fields an
+// aggregator sends:
+//   node utils/ussdSimulator.js <msisdn>
+const readline = require('readline');
+const crypto = require('crypto');
+const config = require('../config/env');
+
+class UssdSimulator {
+  /**
+   * Send one screen's input; text carries every input so far joined by "*"
+   */
+  static async send({ baseUrl, sessionId, msisdn, inputs }) {
+    const response = await fetch(`${baseUrl}/api/ussd/callback`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'x-ussd-token': config.USSD_GATEWAY_TOKEN || ''
+      },
+      body: new URLSearchParams({
+        sessionId,
+        msisdn,
+        serviceCode: '*920#',
+        text: inputs.join('*')
+      })
+    });
+
+    const body = await response.text();
+    return {
+      status: response.status,
+      end: !body.startsWith('CON '),
+      text: body.replace(/^(CON|END) /, '')
+    };
+  }
+
+  static async run({ msisdn, baseUrl }) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const ask = (prompt) => new Promise(resolve => rl.question(prompt, resolve));
+    const sessionId = `sim-${crypto.randomUUID()}`;
+    const inputs = [];
+
+    try {
+      let screen = await this.send({ baseUrl, sessionId, msisdn, inputs });
+
+      while (!screen.end) {
+        console.log(`\n${screen.text}`);
+        inputs.push((await ask('> ')).trim());
+        screen = await this.send({ baseUrl, sessionId, msisdn, inputs });
+      }
+
+      console.log(`\n${screen.text}\n[session ended]`);
+    } finally {
+      rl.close();
+    }
+  }
+}
+
+// Run simulator if called directly
+if (require.main === module) {
+  const [msisdn] = process.argv.slice(2);
+
+  if (!msisdn) {
+    console.error('Usage: node utils/ussdSimulator.js <msisdn>');
+    process.exit(1);
+  }
+
+  UssdSimulator.run({
+    msisdn,
+    baseUrl: process.env.API_URL || `http://localhost:${config.PORT}`
+  }).catch(error => {
+    console.error('Simulator failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = UssdSimulator;